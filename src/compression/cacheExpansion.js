@@ -0,0 +1,155 @@
+/**
+ * Expansion des individus compressés de individualsCache
+ * Transforme le format compact produit par CacheBuilder en objets lisibles, et inversement :
+ *
+ *   fn "Surname|Given"  → name { surname, given, full }
+ *   fo                  → phoneticName (FONE, même format que name)
+ *   g                   → sex ("M", "F", "U")
+ *   f / m / s / b       → fatherId / motherId / spouseIds / siblingIds
+ *   e                   → events (voir decompressEvent)
+ *   n                   → noteIds
+ *   q                   → quality
+ *   gen                 → generation (relative à la racine, voir numberGenealogy)
+ *   tn / x / no         → nameTranslations / externalIds / negativeAssertions (GEDCOM 7)
+ *   u / r               → uid (_UID ou UID) / rin (RIN)
+ *
+ * compactIndividual(expandIndividual(individu)) redonne l'individu d'origine.
+ */
+
+import { compressEvent, decompressEvent, EVENT_TYPE_COMPRESSION } from './eventCompression.js';
+
+const CHILD_BIRTH_CODE = EVENT_TYPE_COMPRESSION['child-birth'];
+
+/**
+ * Développe un individu compressé
+ * @param {Object} compressed - Entrée de individualsCache
+ * @param {string|null} [pointer] - Pointeur de l'individu (clé de individualsCache)
+ * @returns {Object|null} Individu lisible
+ *
+ * @example
+ * expandIndividual({ fn: 'DUPONT|Jean', g: 'M', e: [{ t: 'fb', d: 18500000, dq: 'ab' }] }, '@I1@')
+ * // → { pointer: '@I1@', name: { surname: 'DUPONT', given: 'Jean', full: 'Jean DUPONT' }, sex: 'M',
+ * //     events: [{ type: 'birth', date: '1850', dateQualifier: 'about', gedcomDate: 'ABT 1850' }], ... }
+ */
+export function expandIndividual(compressed, pointer = null) {
+    if (!compressed) return null;
+
+    const events = (compressed.e || []).map(decompressEvent);
+
+    const individual = {
+        pointer,
+        name: _expandName(compressed.fn),
+        phoneticName: _expandName(compressed.fo),
+        sex: compressed.g || null,
+        fatherId: compressed.f || null,
+        motherId: compressed.m || null,
+        spouseIds: compressed.s || [],
+        siblingIds: compressed.b || [],
+        // Dérivé des naissances d'enfants (fc), dans l'ordre des événements
+        childrenIds: (compressed.e || []).filter(event => event.t === CHILD_BIRTH_CODE && event.m && event.m.c)
+            .map(event => event.m.c),
+        events,
+        noteIds: compressed.n || [],
+        quality: compressed.q ?? null,
+        generation: compressed.gen ?? null,
+        nameTranslations: Object.entries(compressed.tn || {}).map(([language, fn]) => ({ language, ..._expandName(fn) })),
+        externalIds: (compressed.x || []).map(({ i, t }) => ({ id: i, type: t || null })),
+        negativeAssertions: (compressed.no || []).map(decompressEvent),
+        uid: compressed.u ?? null,
+        rin: compressed.r ?? null
+    };
+
+    if (compressed._source) individual.extractedVia = compressed._source;
+
+    return individual;
+}
+
+/**
+ * Recompresse un individu développé par expandIndividual
+ * childrenIds et name.full sont dérivés : ils ne sont pas relus
+ * @param {Object} individual - Individu lisible
+ * @returns {Object|null} Entrée de individualsCache
+ */
+export function compactIndividual(individual) {
+    if (!individual) return null;
+
+    const compressed = {};
+
+    if (individual.name) compressed.fn = `${individual.name.surname}|${individual.name.given}`;
+    if (individual.phoneticName) compressed.fo = `${individual.phoneticName.surname}|${individual.phoneticName.given}`;
+    if (individual.sex) compressed.g = individual.sex;
+    if (individual.fatherId) compressed.f = individual.fatherId;
+    if (individual.motherId) compressed.m = individual.motherId;
+    if (individual.spouseIds && individual.spouseIds.length > 0) compressed.s = individual.spouseIds;
+    if (individual.siblingIds && individual.siblingIds.length > 0) compressed.b = individual.siblingIds;
+    if (individual.events && individual.events.length > 0) compressed.e = individual.events.map(compressEvent);
+    if (individual.noteIds && individual.noteIds.length > 0) compressed.n = individual.noteIds;
+    if (individual.quality !== null && individual.quality !== undefined) compressed.q = individual.quality;
+    if (individual.generation !== null && individual.generation !== undefined) compressed.gen = individual.generation;
+
+    if (individual.nameTranslations && individual.nameTranslations.length > 0) {
+        compressed.tn = Object.fromEntries(individual.nameTranslations.map(translation =>
+            [translation.language, `${translation.surname}|${translation.given}`]));
+    }
+    if (individual.externalIds && individual.externalIds.length > 0) {
+        compressed.x = individual.externalIds.map(({ id, type }) => (type ? { i: id, t: type } : { i: id }));
+    }
+    if (individual.negativeAssertions && individual.negativeAssertions.length > 0) {
+        compressed.no = individual.negativeAssertions.map(compressEvent);
+    }
+
+    if (individual.uid) compressed.u = individual.uid;
+    if (individual.rin) compressed.r = individual.rin;
+
+    if (individual.extractedVia) compressed._source = individual.extractedVia;
+
+    return compressed;
+}
+
+/**
+ * Développe tout un individualsCache
+ * @param {Map|Object} individualsCache - Cache compressé (Map, ou objet après JSON)
+ * @returns {Map<string, Object>} Pointeur → individu lisible, dans l'ordre du cache
+ */
+export function expandCache(individualsCache) {
+    const expanded = new Map();
+    for (const [pointer, compressed] of _entries(individualsCache)) {
+        expanded.set(pointer, expandIndividual(compressed, pointer));
+    }
+    return expanded;
+}
+
+/**
+ * Recompresse un cache développé par expandCache
+ * @param {Map|Object} expandedCache - Pointeur → individu lisible
+ * @returns {Map<string, Object>} individualsCache
+ */
+export function compactCache(expandedCache) {
+    const compressed = new Map();
+    for (const [pointer, individual] of _entries(expandedCache)) {
+        compressed.set(pointer, compactIndividual(individual));
+    }
+    return compressed;
+}
+
+/**
+ * "Surname|Given" → { surname, given, full }
+ * @private
+ */
+function _expandName(fn) {
+    if (typeof fn !== 'string') return null;
+
+    const separator = fn.indexOf('|');
+    const surname = separator >= 0 ? fn.slice(0, separator) : fn;
+    const given = separator >= 0 ? fn.slice(separator + 1) : '';
+
+    return { surname, given, full: [given, surname].filter(Boolean).join(' ') };
+}
+
+/**
+ * @private
+ */
+function _entries(cache) {
+    if (!cache) return [];
+    return cache instanceof Map ? cache.entries() : Object.entries(cache);
+}
@@ -6,6 +6,16 @@
  * Format: { "t": "fb", "d": 19290720, "l": "fourmies" }
  */
 
+import {
+    encodeGedcomDate,
+    decodeGedcomDate,
+    formatGedcomDate,
+    fromSortKey,
+    toSortKey,
+    DATE_QUALIFIER_COMPRESSION
+} from '../dates/gedcomDate.js';
+import { CALENDAR_COMPRESSION } from '../dates/calendars.js';
+
 /**
  * Dictionnaire des types d'événements compressés
  * Économise ~50% sur les types d'événements fréquents
@@ -98,33 +108,90 @@ const EVENT_TYPE_DECOMPRESSION = Object.fromEntries(
     Object.entries(EVENT_TYPE_COMPRESSION).map(([key, value]) => [value, key])
 );
 
+/**
+ * Tags GEDCOM 5.5.1 des types d'événements (export, voir GedcomWriter)
+ * Les types sans tag standard sont écrits en EVEN avec un TYPE
+ */
+const EVENT_TYPE_TAGS = {
+    'birth': 'BIRT',
+    'death': 'DEAT',
+    'marriage': 'MARR',
+    'divorce': 'DIV',
+    'baptism': 'BAPM',
+    'christening': 'CHR',
+    'adoption': 'ADOP',
+    'occupation': 'OCCU',
+    'retirement': 'RETI',
+    'education': 'EDUC',
+    'graduation': 'GRAD',
+    'residence': 'RESI',
+    'immigration': 'IMMI',
+    'naturalization': 'NATU',
+    'census': 'CENS',
+    'confirmation': 'CONF',
+    'first-communion': 'FCOM',
+    'bar-mitzvah': 'BARM',
+    'bat-mitzvah': 'BASM',
+    'adult-christening': 'CHRA',
+    'burial': 'BURI',
+    'cremation': 'CREM',
+    'emigration': 'EMIG',
+    'probate': 'PROB',
+    'will': 'WILL',
+    'caste': 'CAST',
+    'physical-description': 'DSCR',
+    'id-number': 'IDNO',
+    'nationality': 'NATI',
+    'children-count': 'NCHI',
+    'marriage-count': 'NMR',
+    'property': 'PROP',
+    'religion': 'RELI',
+    'title': 'TITL',
+    'fact': 'FACT',
+    'custom': 'EVEN'
+};
+
+/**
+ * Tag d'origine (m.tg) d'un type qui partage son code avec un autre (baptism et christening : ft)
+ * @param {string} type - Type d'événement
+ * @returns {string|null} Tag à conserver, null si le code suffit à retrouver le type
+ */
+export function sharedTypeTag(type) {
+    const code = EVENT_TYPE_COMPRESSION[type];
+    if (!code || EVENT_TYPE_DECOMPRESSION[code] === type) return null;
+    return EVENT_TYPE_TAGS[type] || null;
+}
+
+/**
+ * Type d'un événement compressé, en tenant compte du tag d'origine (m.tg)
+ * @param {Object} compressedEvent
+ * @returns {string} ex: 'baptism' pour { t: 'ft', m: { tg: 'BAPM' } }, 'christening' pour { t: 'ft' }
+ */
+export function decompressEventType(compressedEvent) {
+    const tag = compressedEvent.m?.tg;
+    if (tag) {
+        const type = Object.keys(EVENT_TYPE_TAGS).find(candidate =>
+            EVENT_TYPE_TAGS[candidate] === tag && EVENT_TYPE_COMPRESSION[candidate] === compressedEvent.t);
+        if (type) return type;
+    }
+    return EVENT_TYPE_DECOMPRESSION[compressedEvent.t] || compressedEvent.t;
+}
+
 /**
  * Convertit une date DD/MM/YYYY vers format compact YYYYMMDD
+ * Inverse exact de decompressDate : "1939" et "7/1850" (mois/jour inconnus → 00),
+ * années sur moins de 4 chiffres et années av. J.-C. ("-44")
  * @param {string} dateStr - Date format "20/07/1929"
  * @returns {number|null} - Date format 19290720 ou null
  */
 function compressDate(dateStr) {
     if (!dateStr || dateStr === "date inconnue") return null;
     
-    try {
-        // Gérer les années seules (ex: "1939")
-        if (/^\d{4}$/.test(dateStr)) {
-            return parseInt(`${dateStr}0101`); // 1er janvier par défaut
-        }
-        
-        // Gérer les dates complètes DD/MM/YYYY
-        const parts = dateStr.split('/');
-        if (parts.length !== 3) return null;
-        
-        const [day, month, year] = parts;
-        const paddedDay = day.padStart(2, '0');
-        const paddedMonth = month.padStart(2, '0');
-        
-        return parseInt(`${year}${paddedMonth}${paddedDay}`);
-    } catch (error) {
-        console.warn('Erreur compression date:', dateStr, error);
-        return null;
-    }
+    const parts = String(dateStr).split('/');
+    if (parts.length > 3 || !parts.every(part => /^-?\d+$/.test(part.trim()))) return null;
+    
+    const [year, month = 0, day = 0] = parts.map(Number).reverse();
+    return toSortKey({ year, month, day });
 }
 
 /**
@@ -136,19 +203,18 @@ function decompressDate(compactDate) {
     if (!compactDate) return null;
     
     try {
-        const dateStr = compactDate.toString();
-        if (dateStr.length !== 8) return null;
-        
-        const year = dateStr.slice(0, 4);
-        const month = dateStr.slice(4, 6);
-        const day = dateStr.slice(6, 8);
+        const parts = fromSortKey(compactDate);
+        if (!parts) return null;
         
-        // Si c'est une année seule (01/01), retourner juste l'année
-        if (month === '01' && day === '01') {
-            return year;
+        // Mois/jour à 00 : date partielle (année seule ou mois/année)
+        if (!parts.month) {
+            return String(parts.year);
+        }
+        if (!parts.day) {
+            return `${parts.month}/${parts.year}`;
         }
         
-        return `${parseInt(day)}/${parseInt(month)}/${year}`;
+        return `${parts.day}/${parts.month}/${parts.year}`;
     } catch (error) {
         console.warn('Erreur décompression date:', compactDate, error);
         return null;
@@ -169,15 +235,17 @@ export function compressEvent(event) {
     compressed.t = EVENT_TYPE_COMPRESSION[event.type] || event.type;
     
     // Date compressée (économie: ~10% sur les dates)
-    if (event.date) {
-        const compactDate = compressDate(event.date);
-        if (compactDate) {
-            compressed.d = compactDate;
-        }
+    Object.assign(compressed, _compressDateFields(event));
+    
+    // Date de tri GEDCOM 7 (SDATE)
+    if (event.sortDate) {
+        const sortKey = compressDate(event.sortDate);
+        if (sortKey !== null) compressed.ds = sortKey;
     }
     
     // Lieu par clé normalisée (économie: utilise familyTownsStore)
-    if (event.townKey) {
+    // null = lieu présent mais indéterminé
+    if (event.townKey !== undefined) {
         compressed.l = event.townKey;
     }
     
@@ -188,10 +256,33 @@ export function compressEvent(event) {
     if (event.childId) metadata.c = event.childId;
     if (event.occupation) metadata.o = event.occupation;
     if (event.eventAttendees) metadata.a = event.eventAttendees;
+    if (event.value) metadata.v = event.value;
+    if (event.customType) metadata.ct = event.customType;
     
     // 🆕 Ajout eventType standardisé (GEDCOM 5.5)
     if (event.eventType) metadata.et = event.eventType;
     
+    // Tag d'origine quand le code est partagé (BAPM et CHR → ft)
+    const tag = sharedTypeTag(event.type);
+    if (tag) metadata.tg = tag;
+    
+    if (event.noteIds && event.noteIds.length > 0) metadata.n = event.noteIds;
+    if (event.subdivision) metadata.sd = event.subdivision;
+    
+    // Cérémonies d'un mariage fusionné (civile/religieuse)
+    if (event.ceremonies && event.ceremonies.length > 0) {
+        metadata.ceremonies = event.ceremonies.map(ceremony => {
+            const compressedCeremony = {
+                t: ceremony.type === 'civil' ? 'c' : 'r',
+                ..._compressDateFields(ceremony)
+            };
+            if (ceremony.townKey !== undefined) compressedCeremony.l = ceremony.townKey;
+            if (ceremony.noteIds && ceremony.noteIds.length > 0) compressedCeremony.n = ceremony.noteIds;
+            if (ceremony.subdivision) compressedCeremony.sd = ceremony.subdivision;
+            return compressedCeremony;
+        });
+    }
+    
     // Ajouter metadata seulement si non vide
     if (Object.keys(metadata).length > 0) {
         compressed.m = metadata;
@@ -211,18 +302,18 @@ export function decompressEvent(compressedEvent) {
     const event = {};
     
     // Type décompressé
-    event.type = EVENT_TYPE_DECOMPRESSION[compressedEvent.t] || compressedEvent.t;
+    event.type = decompressEventType(compressedEvent);
     
-    // Date décompressée
-    if (compressedEvent.d) {
-        const standardDate = decompressDate(compressedEvent.d);
-        if (standardDate) {
-            event.date = standardDate;
-        }
+    // Date, qualificatif, borne supérieure et phrase de date (ABT, BET/AND, FROM/TO, INT...)
+    Object.assign(event, _decompressDateFields(compressedEvent));
+    
+    // Date de tri GEDCOM 7 (SDATE)
+    if (compressedEvent.ds) {
+        event.sortDate = decompressDate(compressedEvent.ds);
     }
     
-    // Lieu par clé normalisée
-    if (compressedEvent.l) {
+    // Lieu par clé normalisée (null = lieu indéterminé)
+    if (compressedEvent.l !== undefined) {
         event.townKey = compressedEvent.l;
         // IMPORTANT: La timeline et d'autres composants s'attendent à 'town' pas 'townKey'
         // Pour l'instant on met la clé, l'enrichissement se fera plus tard
@@ -237,14 +328,93 @@ export function decompressEvent(compressedEvent) {
         if (metadata.c) event.childId = metadata.c;
         if (metadata.o) event.occupation = metadata.o;
         if (metadata.a) event.eventAttendees = metadata.a;
+        if (metadata.v) event.value = metadata.v;                 // Valeur d'attribut (OCCU Forgeron)
+        if (metadata.ct) event.customType = metadata.ct;          // TYPE d'un EVEN
         
         // 🆕 Décompression eventType standardisé
         if (metadata.et) event.eventType = metadata.et;
+        
+        if (metadata.n) event.noteIds = metadata.n;               // Pointeurs ou IDs INLINE_ de notesCache
+        if (metadata.sd) event.subdivision = metadata.sd;         // Lieu précis (église, quartier...)
+        
+        if (metadata.ceremonies) {
+            event.ceremonies = metadata.ceremonies.map(ceremony => {
+                const decompressed = {
+                    type: ceremony.t === 'c' ? 'civil' : 'religious',
+                    ..._decompressDateFields(ceremony)
+                };
+                if (ceremony.l !== undefined) decompressed.townKey = ceremony.l;
+                if (ceremony.n) decompressed.noteIds = ceremony.n;
+                if (ceremony.sd) decompressed.subdivision = ceremony.sd;
+                return decompressed;
+            });
+        }
     }
     
     return event;
 }
 
+/**
+ * Champs de date lisibles d'un événement ou d'une cérémonie compressés
+ * @private
+ */
+function _decompressDateFields(compressed) {
+    const fields = {};
+    
+    if (compressed.d) {
+        const standardDate = decompressDate(compressed.d);
+        if (standardDate) fields.date = standardDate;
+    }
+    
+    const dateModel = decodeGedcomDate(compressed);
+    if (dateModel) {
+        if (dateModel.qualifier) fields.dateQualifier = dateModel.qualifier;
+        if (compressed.du) fields.dateEnd = decompressDate(compressed.du);
+        if (dateModel.phrase) fields.datePhrase = dateModel.phrase;
+        if (dateModel.calendar !== 'gregorian') {
+            // Calendrier source (julien, hébraïque, républicain) pour l'affichage
+            fields.dateCalendar = dateModel.calendar;
+        }
+        // Texte saisi : autre calendrier ou année double ("1 JAN 1850/51")
+        if (dateModel.raw) fields.dateOriginal = dateModel.raw;
+        fields.gedcomDate = formatGedcomDate(dateModel);
+    }
+    
+    return fields;
+}
+
+/**
+ * Champs de date compressés (d, dq, du, dt, dc, dr), inverse de _decompressDateFields
+ * Sans champ décompressé, date peut aussi être une valeur GEDCOM ("ABT 1850")
+ * @private
+ */
+function _compressDateFields(event) {
+    const fields = {};
+    if (!event.date && !event.dateQualifier) return fields;
+    
+    const compactDate = compressDate(event.date);
+    if (compactDate === null && event.date && !event.dateQualifier) {
+        // Syntaxe GEDCOM (ABT 1850, BET ... AND ..., etc.)
+        return encodeGedcomDate(event.date) || fields;
+    }
+    
+    if (compactDate !== null) fields.d = compactDate;
+    if (event.dateQualifier) {
+        fields.dq = DATE_QUALIFIER_COMPRESSION[event.dateQualifier] || event.dateQualifier;
+    }
+    if (event.dateEnd) {
+        const upper = compressDate(event.dateEnd);
+        if (upper !== null) fields.du = upper;
+    }
+    if (event.datePhrase) fields.dt = event.datePhrase;
+    if (event.dateCalendar) {
+        fields.dc = CALENDAR_COMPRESSION[event.dateCalendar] || event.dateCalendar;
+    }
+    if (event.dateOriginal) fields.dr = event.dateOriginal;
+    
+    return fields;
+}
+
 /**
  * Compresse un array d'événements
  * @param {Array} events - Array d'événements standard
@@ -320,4 +490,4 @@ export function getCompressionStats(events) {
 }
 
 // Export des dictionnaires pour référence
-export { EVENT_TYPE_COMPRESSION, EVENT_TYPE_DECOMPRESSION };
\ No newline at end of file
+export { EVENT_TYPE_COMPRESSION, EVENT_TYPE_DECOMPRESSION, EVENT_TYPE_TAGS };
\ No newline at end of file
@@ -0,0 +1,289 @@
+/**
+ * calendars.js - Conversions de calendriers GEDCOM vers le grégorien
+ *
+ * Toutes les conversions passent par le Jour Julien (JDN, entier à midi) :
+ *   @#DJULIAN@   → calendrier julien
+ *   @#DHEBREW@   → calendrier hébraïque (mois dans l'ordre GEDCOM : TSH=1 … ELL=13)
+ *   @#DFRENCH R@ → calendrier républicain (VEND=1 … COMP=13, an I = 22 sept. 1792)
+ */
+
+// Époque hébraïque (JD 347995.5) ramenée au JDN entier, report de molad inclus
+const HEBREW_EPOCH = 347997;
+
+// JDN du 1er Vendémiaire an I (22 septembre 1792)
+const FRENCH_REPUBLICAN_EPOCH = 2375840;
+
+/**
+ * Calendriers reconnus et leur code compressé
+ */
+const CALENDAR_COMPRESSION = {
+    'julian': 'j',
+    'hebrew': 'h',
+    'french-republican': 'f',
+    'unknown': 'u'
+};
+
+const CALENDAR_DECOMPRESSION = Object.fromEntries(
+    Object.entries(CALENDAR_COMPRESSION).map(([key, value]) => [value, key])
+);
+
+/**
+ * Mois républicains (noms complets ou abrégés, sans accents) → code GEDCOM
+ */
+const FRENCH_REPUBLICAN_MONTHS = {
+    'VENDEMIAIRE': 'VEND', 'BRUMAIRE': 'BRUM', 'FRIMAIRE': 'FRIM',
+    'NIVOSE': 'NIVO', 'PLUVIOSE': 'PLUV', 'VENTOSE': 'VENT',
+    'GERMINAL': 'GERM', 'FLOREAL': 'FLOR', 'PRAIRIAL': 'PRAI',
+    'MESSIDOR': 'MESS', 'THERMIDOR': 'THER', 'FERVIDOR': 'THER', 'FRUCTIDOR': 'FRUC',
+    'JOURS COMPLEMENTAIRES': 'COMP', 'SANSCULOTTIDES': 'COMP'
+};
+
+/**
+ * Convertit une date grégorienne en Jour Julien
+ * @param {number} year - Année astronomique (0 = 1 av. J.-C.)
+ * @param {number} month - Mois 1-12
+ * @param {number} day - Jour 1-31
+ * @returns {number} JDN
+ */
+export function gregorianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y +
+        Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+/**
+ * Convertit une date julienne en Jour Julien
+ * @param {number} year - Année astronomique
+ * @param {number} month - Mois 1-12
+ * @param {number} day - Jour 1-31
+ * @returns {number} JDN
+ */
+export function julianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+}
+
+/**
+ * Convertit un Jour Julien en date grégorienne
+ * @param {number} jdn - Jour Julien
+ * @returns {{year: number, month: number, day: number}} Année astronomique
+ */
+export function jdnToGregorian(jdn) {
+    const a = jdn + 32044;
+    const b = Math.floor((4 * a + 3) / 146097);
+    const c = a - Math.floor(146097 * b / 4);
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor(1461 * d / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+
+    return {
+        year: 100 * b + d - 4800 + Math.floor(m / 10),
+        month: m + 3 - 12 * Math.floor(m / 10),
+        day: e - Math.floor((153 * m + 2) / 5) + 1
+    };
+}
+
+/**
+ * Convertit une date hébraïque en Jour Julien
+ * @param {number} year - Année hébraïque (Anno Mundi)
+ * @param {number} month - Mois GEDCOM : TSH=1, CSH=2, KSL=3, TVT=4, SHV=5, ADR=6, ADS=7,
+ *                         NSN=8, IYR=9, SVN=10, TMZ=11, AAV=12, ELL=13
+ * @param {number} day - Jour 1-30
+ * @returns {number} JDN
+ */
+export function hebrewToJdn(year, month, day) {
+    // Passage à la numérotation liturgique (Nisan=1 … Adar=12, Adar II=13)
+    const civilToLiturgical = [7, 8, 9, 10, 11, 12, 13, 1, 2, 3, 4, 5, 6];
+    let lMonth = civilToLiturgical[month - 1];
+
+    // ADS (Adar II) n'existe qu'en année embolismique ; sinon ramené à Adar
+    if (lMonth === 13 && !_isHebrewLeapYear(year)) lMonth = 12;
+
+    let jdn = HEBREW_EPOCH + _hebrewElapsedDays(year) + _hebrewYearDelay(year) + day;
+
+    if (lMonth < 7) {
+        for (let m = 7; m <= _hebrewMonthsInYear(year); m++) jdn += _hebrewMonthDays(year, m);
+        for (let m = 1; m < lMonth; m++) jdn += _hebrewMonthDays(year, m);
+    } else {
+        for (let m = 7; m < lMonth; m++) jdn += _hebrewMonthDays(year, m);
+    }
+
+    return jdn;
+}
+
+/**
+ * Convertit une date républicaine en Jour Julien
+ * @param {number} year - An républicain (1 = 1792-1793)
+ * @param {number} month - VEND=1 … FRUC=12, COMP=13 (jours complémentaires)
+ * @param {number} day - Jour 1-30 (1-6 pour COMP)
+ * @returns {number} JDN
+ */
+export function frenchRepublicanToJdn(year, month, day) {
+    let jdn = FRENCH_REPUBLICAN_EPOCH;
+    for (let y = 1; y < year; y++) {
+        jdn += _isFrenchRepublicanLeapYear(y) ? 366 : 365;
+    }
+    return jdn + 30 * (month - 1) + (day - 1);
+}
+
+/**
+ * Convertit une date partielle d'un calendrier GEDCOM en date grégorienne
+ * La précision est conservée : un an seul donne l'année grégorienne de son premier jour,
+ * un mois seul donne le mois grégorien de son premier jour.
+ * @param {string} calendar - 'gregorian' | 'julian' | 'hebrew' | 'french-republican' | 'unknown'
+ * @param {{year: number, month: number|null, day: number|null}} parts - Année négative = av. J.-C.
+ * @returns {{year: number, month: number|null, day: number|null}|null}
+ */
+export function toGregorian(calendar, parts) {
+    if (!parts || typeof parts.year !== 'number') return null;
+    if (calendar === 'gregorian' || calendar === 'unknown') return parts;
+
+    const month = parts.month || 1;
+    const day = parts.day || 1;
+
+    let jdn;
+    switch (calendar) {
+        case 'julian':
+            jdn = julianToJdn(parts.year < 0 ? parts.year + 1 : parts.year, month, day);
+            break;
+        case 'hebrew':
+            jdn = hebrewToJdn(parts.year, month, day);
+            break;
+        case 'french-republican':
+            jdn = frenchRepublicanToJdn(parts.year, month, day);
+            break;
+        default:
+            return parts;
+    }
+
+    const gregorian = jdnToGregorian(jdn);
+    const year = gregorian.year <= 0 ? gregorian.year - 1 : gregorian.year;
+
+    return {
+        year,
+        month: parts.month ? gregorian.month : null,
+        day: parts.day ? gregorian.day : null
+    };
+}
+
+/**
+ * Réécrit les dates républicaines "à la française" en syntaxe GEDCOM
+ * ("12 vendémiaire an III" → "@#DFRENCH R@ 12 VEND 3")
+ * Sans effet si la chaîne contient déjà un échappement de calendrier.
+ * @param {string} dateString - Date en majuscules, sans phrase entre parenthèses
+ * @returns {string}
+ */
+export function normalizeFrenchRepublicanDate(dateString) {
+    if (!dateString || dateString.includes('@#D')) return dateString;
+
+    let text = dateString.normalize('NFD').replace(/[̀-ͯ]/g, '');
+
+    for (const [name, code] of Object.entries(FRENCH_REPUBLICAN_MONTHS)) {
+        text = text.replace(new RegExp(`\\b${name}\\b`, 'g'), code);
+    }
+
+    const monthCodes = 'VEND|BRUM|FRIM|NIVO|PLUV|VENT|GERM|FLOR|PRAI|MESS|THER|FRUC|COMP';
+    const datePattern = new RegExp(`(?:\\b(\\d{1,2}) )?(?:\\b(${monthCodes}) )?\\bAN ([IVXLC]+|\\d+)\\b|(?:\\b(\\d{1,2}) )?\\b(${monthCodes}) (\\d+)\\b`, 'g');
+
+    if (!datePattern.test(text)) return dateString;
+    datePattern.lastIndex = 0;
+
+    return text.replace(datePattern, (match, d1, m1, anYear, d2, m2, numYear) => {
+        const day = d1 || d2;
+        const month = m1 || m2;
+        const year = anYear ? _romanToNumber(anYear) : parseInt(numYear, 10);
+        return ['@#DFRENCH R@', day, month, year].filter(Boolean).join(' ');
+    });
+}
+
+/**
+ * Année embolismique hébraïque (13 mois)
+ * @private
+ */
+function _isHebrewLeapYear(year) {
+    return ((7 * year) + 1) % 19 < 7;
+}
+
+/**
+ * @private
+ */
+function _hebrewMonthsInYear(year) {
+    return _isHebrewLeapYear(year) ? 13 : 12;
+}
+
+/**
+ * Jours écoulés depuis l'époque jusqu'au molad de Tishri (avec report "lo ADU")
+ * @private
+ */
+function _hebrewElapsedDays(year) {
+    const months = Math.floor(((235 * year) - 234) / 19);
+    const parts = 12084 + 13753 * months;
+    let day = months * 29 + Math.floor(parts / 25920);
+    if ((3 * (day + 1)) % 7 < 3) day++;
+    return day;
+}
+
+/**
+ * Report supplémentaire pour éviter des années de longueur invalide
+ * @private
+ */
+function _hebrewYearDelay(year) {
+    const last = _hebrewElapsedDays(year - 1);
+    const present = _hebrewElapsedDays(year);
+    const next = _hebrewElapsedDays(year + 1);
+    if (next - present === 356) return 2;
+    if (present - last === 382) return 1;
+    return 0;
+}
+
+/**
+ * @private
+ */
+function _hebrewYearDays(year) {
+    return (_hebrewElapsedDays(year + 1) + _hebrewYearDelay(year + 1)) -
+        (_hebrewElapsedDays(year) + _hebrewYearDelay(year));
+}
+
+/**
+ * Nombre de jours d'un mois hébraïque (numérotation liturgique)
+ * @private
+ */
+function _hebrewMonthDays(year, month) {
+    if ([2, 4, 6, 10, 13].includes(month)) return 29;
+    if (month === 12 && !_isHebrewLeapYear(year)) return 29;
+    if (month === 8 && _hebrewYearDays(year) % 10 !== 5) return 29;
+    if (month === 9 && _hebrewYearDays(year) % 10 === 3) return 29;
+    return 30;
+}
+
+/**
+ * Années sextiles républicaines : III, VII, XI historiquement, règle de Romme ensuite
+ * @private
+ */
+function _isFrenchRepublicanLeapYear(year) {
+    if (year <= 14) return year % 4 === 3;
+    return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+}
+
+/**
+ * @private
+ */
+function _romanToNumber(roman) {
+    if (/^\d+$/.test(roman)) return parseInt(roman, 10);
+
+    const values = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+    let total = 0;
+    for (let i = 0; i < roman.length; i++) {
+        const current = values[roman[i]];
+        const next = values[roman[i + 1]] || 0;
+        total += current < next ? -current : current;
+    }
+    return total;
+}
+
+// Export des dictionnaires pour référence
+export { CALENDAR_COMPRESSION, CALENDAR_DECOMPRESSION };
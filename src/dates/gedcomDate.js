@@ -0,0 +1,435 @@
+/**
+ * gedcomDate.js - Modèle de date GEDCOM 5.5.1 pour read-gedcom-geneafan
+ *
+ * S'appuie sur parseDate de read-gedcom pour la grammaire (ABT, BEF, BET/AND,
+ * FROM/TO, INT, phrases) et produit un encodage compact et réversible pour
+ * le champ `d` des événements compressés.
+ *
+ * Format compressé d'un événement :
+ *   d  : clé de tri YYYYMMDD (00 pour un mois/jour inconnu)  ex: 18500000
+ *   dq : qualificatif compressé (absent pour une date exacte) ex: "ab"
+ *   du : borne supérieure YYYYMMDD (BET/AND, FROM/TO)       ex: 18250000
+ *   dt : texte libre (phrase de date, INT ... (texte))       ex: "vers la guerre"
+ *   dc : calendrier source si non grégorien                  ex: "f"
+ *   dr : texte original si calendrier non grégorien ou année double  ex: "12 VEND AN III", "1 JAN 1850/51"
+ *   ds : clé de tri GEDCOM 7 (SDATE), posée par CacheBuilder   ex: 19000000
+ *
+ * Les dates julienne, hébraïque et républicaine sont converties en grégorien
+ * pour d/du afin que le tri reste cohérent (voir dates/calendars.js).
+ * Une année double ("1850/51", ancien et nouveau style) compte pour l'année nouveau
+ * style dans d/du, quelle que soit sa position (date seule, ABT, BET/AND, FROM/TO...).
+ * La grammaire GEDCOM 7.0 (JULIAN/HEBREW/FRENCH_R sans échappement, BCE,
+ * phrase accolée à n'importe quelle date) est acceptée en entrée.
+ */
+
+import { parseDate } from 'read-gedcom';
+import {
+    toGregorian,
+    normalizeFrenchRepublicanDate,
+    CALENDAR_COMPRESSION,
+    CALENDAR_DECOMPRESSION
+} from './calendars.js';
+
+/**
+ * Dictionnaire des qualificatifs de date compressés
+ */
+const DATE_QUALIFIER_COMPRESSION = {
+    'about': 'ab',          // ABT
+    'calculated': 'ca',     // CAL
+    'estimated': 'es',      // EST
+    'before': 'bf',         // BEF
+    'after': 'af',          // AFT
+    'between': 'bt',        // BET ... AND ...
+    'from': 'fr',           // FROM (période ouverte)
+    'to': 'to',             // TO (période ouverte)
+    'from-to': 'ft',        // FROM ... TO ...
+    'interpreted': 'in',    // INT ... (texte)
+    'phrase': 'ph'          // (texte) ou date non interprétable
+};
+
+/**
+ * Dictionnaire inverse pour décompression
+ */
+const DATE_QUALIFIER_DECOMPRESSION = Object.fromEntries(
+    Object.entries(DATE_QUALIFIER_COMPRESSION).map(([key, value]) => [value, key])
+);
+
+/**
+ * Mot-clé GEDCOM associé à chaque qualificatif (pour la reconstruction)
+ */
+const QUALIFIER_KEYWORDS = {
+    'about': 'ABT',
+    'calculated': 'CAL',
+    'estimated': 'EST',
+    'before': 'BEF',
+    'after': 'AFT',
+    'interpreted': 'INT'
+};
+
+/**
+ * Mots-clés de calendrier GEDCOM 7 → échappements GEDCOM 5.5.1
+ */
+const GEDCOM7_CALENDARS = {
+    'GREGORIAN': '@#DGREGORIAN@',
+    'JULIAN': '@#DJULIAN@',
+    'HEBREW': '@#DHEBREW@',
+    'FRENCH_R': '@#DFRENCH R@'
+};
+
+// Année double "1850/51", "1699/00", "1750/1751"
+const DUAL_YEAR = /\b(\d{3,4})\/(\d{1,4})\b/g;
+
+const GREGORIAN_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Parse une date GEDCOM en modèle structuré
+ * @param {string} dateString - Valeur brute de la ligne DATE
+ * @returns {Object|null} { raw, qualifier, calendar, date, endDate, phrase, original } ou null si vide
+ *   date/endDate sont toujours grégoriens ; original conserve { date, endDate } dans
+ *   le calendrier source lorsque celui-ci n'est pas grégorien.
+ *
+ * @example
+ * parseGedcomDate("BET 1820 AND 1825")
+ * // → { raw, qualifier: "between", calendar: "gregorian", date: { year: 1820, month: null, day: null },
+ * //     endDate: { year: 1825, month: null, day: null }, phrase: null, original: null }
+ *
+ * parseGedcomDate("12 VEND AN III")
+ * // → { ..., calendar: "french-republican", date: { year: 1794, month: 10, day: 3 },
+ * //     original: { date: { year: 3, month: 1, day: 12 }, endDate: null } }
+ */
+export function parseGedcomDate(dateString) {
+    if (!dateString || typeof dateString !== 'string') return null;
+
+    const raw = dateString.trim();
+    if (!raw) return null;
+
+    const result = {
+        raw,
+        qualifier: null,
+        calendar: 'gregorian',
+        date: null,
+        endDate: null,
+        phrase: null,
+        original: null
+    };
+
+    let parsed = parseDate(_newStyleYears(_normalizeDateString(raw)));
+
+    // GEDCOM 7 : "BET 1900 AND 1910 (phrase)", la phrase n'est pas réservée à INT
+    const withPhrase = !parsed && raw.match(/^(.*?[^\s(])\s*\((.*)\)$/);
+    if (withPhrase) {
+        parsed = parseDate(_newStyleYears(_normalizeDateString(withPhrase[1])));
+        if (parsed) result.phrase = withPhrase[2];
+    }
+
+    // Date non conforme : conservée telle quelle comme phrase
+    if (!parsed) {
+        result.qualifier = 'phrase';
+        result.phrase = raw;
+        return result;
+    }
+
+    if (parsed.hasPhrase) {
+        result.phrase = parsed.phrase;
+    }
+
+    if (!parsed.hasDate) {
+        result.qualifier = 'phrase';
+        return result;
+    }
+
+    if (parsed.isDatePunctual) {
+        result.date = parsed.date;
+        if (parsed.isDateInterpreted) {
+            result.qualifier = 'interpreted';
+        } else if (parsed.isDateApproximated) {
+            const kind = parsed.approximationKind;
+            result.qualifier = kind.isAbout ? 'about' : kind.isCalculated ? 'calculated' : 'estimated';
+        }
+    } else if (parsed.isDateRange) {
+        // read-gedcom : dateAfter = borne basse, dateBefore = borne haute
+        if (parsed.dateAfter && parsed.dateBefore) {
+            result.qualifier = 'between';
+            result.date = parsed.dateAfter;
+            result.endDate = parsed.dateBefore;
+        } else if (parsed.dateAfter) {
+            result.qualifier = 'after';
+            result.date = parsed.dateAfter;
+        } else {
+            result.qualifier = 'before';
+            result.date = parsed.dateBefore;
+        }
+    } else if (parsed.isDatePeriod) {
+        if (parsed.dateFrom && parsed.dateTo) {
+            result.qualifier = 'from-to';
+            result.date = parsed.dateFrom;
+            result.endDate = parsed.dateTo;
+        } else if (parsed.dateFrom) {
+            result.qualifier = 'from';
+            result.date = parsed.dateFrom;
+        } else {
+            result.qualifier = 'to';
+            result.date = parsed.dateTo;
+        }
+    }
+
+    _applyCalendars(result);
+
+    return result;
+}
+
+/**
+ * Encode une date GEDCOM au format compressé des événements
+ * @param {string|Object} dateValue - Date GEDCOM brute ou modèle de parseGedcomDate
+ * @returns {Object|null} { d, dq?, du?, dt?, dc?, dr? } ou null si la date est vide
+ *
+ * @example
+ * encodeGedcomDate("ABT 1850")          // → { d: 18500000, dq: "ab" }
+ * encodeGedcomDate("FROM 1914 TO 1918") // → { d: 19140000, dq: "ft", du: 19180000 }
+ * encodeGedcomDate("12 VEND AN III")    // → { d: 17941003, dc: "f", dr: "12 VEND AN III" }
+ * encodeGedcomDate("ABT 1850/51")       // → { d: 18510000, dq: "ab", dr: "ABT 1850/51" }
+ */
+export function encodeGedcomDate(dateValue) {
+    const parsed = typeof dateValue === 'string' ? parseGedcomDate(dateValue) : dateValue;
+    if (!parsed) return null;
+
+    const encoded = {};
+
+    const sortKey = toSortKey(parsed.date);
+    if (sortKey !== null) encoded.d = sortKey;
+
+    if (parsed.qualifier) {
+        encoded.dq = DATE_QUALIFIER_COMPRESSION[parsed.qualifier] || parsed.qualifier;
+    }
+
+    const upperKey = toSortKey(parsed.endDate);
+    if (upperKey !== null) encoded.du = upperKey;
+
+    if (parsed.phrase) encoded.dt = parsed.phrase;
+
+    if (parsed.calendar && parsed.calendar !== 'gregorian') {
+        encoded.dc = CALENDAR_COMPRESSION[parsed.calendar] || parsed.calendar;
+        if (parsed.raw) encoded.dr = parsed.raw;
+    } else if (parsed.raw && parsed.qualifier !== 'phrase' && _hasDualYear(parsed.raw)) {
+        encoded.dr = parsed.raw;
+    }
+
+    return encoded;
+}
+
+/**
+ * Décode les champs de date d'un événement compressé
+ * @param {Object} compressed - Objet portant d, dq, du, dt, dc, dr
+ * @returns {Object|null} Modèle équivalent à parseGedcomDate (raw seulement si dr) ou null
+ */
+export function decodeGedcomDate(compressed) {
+    if (!compressed) return null;
+
+    const { d, dq, du, dt, dc, dr } = compressed;
+    if (d == null && !dq && !dt) return null;
+
+    return {
+        raw: dr || null,
+        qualifier: dq ? (DATE_QUALIFIER_DECOMPRESSION[dq] || dq) : null,
+        calendar: dc ? (CALENDAR_DECOMPRESSION[dc] || dc) : 'gregorian',
+        date: fromSortKey(d),
+        endDate: fromSortKey(du),
+        phrase: dt || null
+    };
+}
+
+/**
+ * Reconstruit une valeur DATE GEDCOM 5.5.1 depuis le modèle structuré
+ * Une date d'un autre calendrier est restituée dans son calendrier source,
+ * une année double telle qu'elle a été saisie.
+ * @param {Object} model - Modèle issu de parseGedcomDate ou decodeGedcomDate
+ * @returns {string|null} ex: "BET 1820 AND 1825", "@#DFRENCH R@ 12 VEND 3"
+ */
+export function formatGedcomDate(model) {
+    if (!model) return null;
+
+    if (model.raw && ((model.calendar && model.calendar !== 'gregorian') || _hasDualYear(model.raw))) {
+        return _normalizeDateString(model.raw);
+    }
+
+    const date = _formatDateParts(model.date);
+    const endDate = _formatDateParts(model.endDate);
+    const phrase = model.phrase ? `(${model.phrase})` : null;
+
+    switch (model.qualifier) {
+        case 'between':
+            return `BET ${date} AND ${endDate}`;
+        case 'from-to':
+            return `FROM ${date} TO ${endDate}`;
+        case 'from':
+            return `FROM ${date}`;
+        case 'to':
+            return `TO ${date}`;
+        case 'interpreted':
+            return phrase ? `INT ${date} ${phrase}` : `INT ${date}`;
+        case 'phrase':
+            return phrase;
+        case null:
+        case undefined:
+            return date;
+        default:
+            return QUALIFIER_KEYWORDS[model.qualifier] ? `${QUALIFIER_KEYWORDS[model.qualifier]} ${date}` : date;
+    }
+}
+
+/**
+ * Calcule la clé de tri YYYYMMDD d'une date partielle
+ * Les composantes inconnues valent 00, ce qui place "1850" avant "1 JAN 1850"
+ * @param {Object|null} parts - { year, month, day }
+ * @returns {number|null}
+ */
+export function toSortKey(parts) {
+    if (!parts || typeof parts.year !== 'number') return null;
+    return parts.year * 10000 + (parts.month || 0) * 100 + (parts.day || 0);
+}
+
+/**
+ * Reconstruit une date partielle depuis sa clé de tri
+ * @param {number|null} sortKey - Clé YYYYMMDD
+ * @returns {Object|null} { year, month, day } avec null pour les parties inconnues
+ */
+export function fromSortKey(sortKey) {
+    if (typeof sortKey !== 'number' || !Number.isFinite(sortKey)) return null;
+
+    // Math.floor garde la cohérence pour les années av. J.-C. (clés négatives)
+    const year = Math.floor(sortKey / 10000);
+    const rest = sortKey - year * 10000;
+    const month = Math.floor(rest / 100);
+    const day = rest % 100;
+
+    return {
+        year,
+        month: month || null,
+        day: day || null
+    };
+}
+
+/**
+ * Nettoie les variantes courantes avant le passage à read-gedcom
+ * ("abt. 1850" → "ABT 1850")
+ * @private
+ */
+function _normalizeDateString(raw) {
+    // La phrase entre parenthèses est conservée telle quelle
+    const phraseIndex = raw.indexOf('(');
+    const head = phraseIndex >= 0 ? raw.slice(0, phraseIndex) : raw;
+    const phrase = phraseIndex >= 0 ? raw.slice(phraseIndex) : '';
+
+    const normalizedHead = head
+        .replace(/\s+/g, ' ')
+        .replace(/^(abt|cal|est|bef|aft|bet|int)\.(?=\s)/i, '$1')
+        .toUpperCase()
+        // GEDCOM 7 : "JULIAN 1 JAN 1700", "44 BCE"
+        .replace(/\b(GREGORIAN|JULIAN|HEBREW|FRENCH_R)\s+/g, (match, calendar) => `${GEDCOM7_CALENDARS[calendar]} `)
+        .replace(/(\d)\s+BCE\b/g, '$1 B.C.');
+
+    // Dates républicaines saisies sans échappement ("12 VEND AN III")
+    return (normalizeFrenchRepublicanDate(normalizedHead) + phrase).trim();
+}
+
+/**
+ * Remplace les années doubles par l'année nouveau style ("ABT 1850/51" → "ABT 1851")
+ * read-gedcom ne les accepte qu'après un mois ; la phrase entre parenthèses est laissée intacte
+ * @private
+ */
+function _newStyleYears(text) {
+    const phraseIndex = text.indexOf('(');
+    const head = phraseIndex >= 0 ? text.slice(0, phraseIndex) : text;
+    const phrase = phraseIndex >= 0 ? text.slice(phraseIndex) : '';
+
+    return head.replace(DUAL_YEAR, (match, year, dual) => {
+        const newStyle = String(Number(year) + 1);
+        return dual.length <= newStyle.length && newStyle.endsWith(dual) ? newStyle : match;
+    }) + phrase;
+}
+
+/**
+ * Vrai si le texte contient une année double reconnue
+ * @private
+ */
+function _hasDualYear(text) {
+    return _newStyleYears(text) !== text;
+}
+
+/**
+ * Remplace les dates read-gedcom du modèle par leur équivalent grégorien
+ * et conserve les dates source si un autre calendrier est utilisé
+ * @private
+ */
+function _applyCalendars(result) {
+    const start = result.date;
+    const end = result.endDate;
+    const startCalendar = _calendarOf(start);
+    const endCalendar = _calendarOf(end);
+
+    const original = { date: _toDateParts(start), endDate: _toDateParts(end) };
+
+    result.date = toGregorian(startCalendar, original.date);
+    result.endDate = toGregorian(endCalendar, original.endDate);
+
+    result.calendar = startCalendar !== 'gregorian' ? startCalendar : endCalendar;
+    if (result.calendar !== 'gregorian') {
+        result.original = original;
+    }
+}
+
+/**
+ * Calendrier d'une date read-gedcom
+ * @private
+ */
+function _calendarOf(date) {
+    const calendar = date && date.calendar;
+    if (!calendar) return 'gregorian';
+    if (calendar.isJulian) return 'julian';
+    if (calendar.isHebrew) return 'hebrew';
+    if (calendar.isFrenchRepublican) return 'french-republican';
+    if (calendar.isUnknown) return 'unknown';
+    return 'gregorian';
+}
+
+/**
+ * Convertit une date read-gedcom en { year, month, day } (calendrier source)
+ * @private
+ */
+function _toDateParts(date) {
+    if (!date || !date.year) return null;
+
+    let year = date.year.value;
+    // Année double "1750/51" : retenir l'année nouveau style pour le tri
+    if (date.year.isDual && typeof date.year.valueDual === 'number') {
+        year += 1;
+    }
+    if (date.year.isBce) {
+        year = -year;
+    }
+
+    return {
+        year,
+        month: date.month || null,
+        day: date.day || null
+    };
+}
+
+/**
+ * Formate une date partielle en syntaxe GEDCOM (calendrier grégorien)
+ * @private
+ */
+function _formatDateParts(parts) {
+    if (!parts || typeof parts.year !== 'number') return '';
+
+    const year = parts.year < 0 ? `${-parts.year} B.C.` : String(parts.year);
+    const tokens = [];
+    if (parts.day && parts.month) tokens.push(String(parts.day).padStart(2, '0'));
+    if (parts.month) tokens.push(GREGORIAN_MONTHS[parts.month - 1]);
+    tokens.push(year);
+
+    return tokens.join(' ');
+}
+
+// Export des dictionnaires pour référence
+export { DATE_QUALIFIER_COMPRESSION, DATE_QUALIFIER_DECOMPRESSION };
@@ -0,0 +1,112 @@
+/**
+ * JSON Patch (RFC 6902) sur les caches d'un résultat de parsing
+ *
+ * Les chemins désignent un cache puis une clé : /individualsCache/@I1@/e,
+ * /notesCache/@N4@, /familyTownsStore/paris. Un conteneur peut être une Map (résultat
+ * de parsing) ou un objet (copie relue depuis JSON) : le même patch s'applique aux deux.
+ */
+
+/**
+ * Chemin JSON Pointer (RFC 6901) à partir de ses segments
+ * @param {...(string|number)} segments
+ * @returns {string}
+ *
+ * @example
+ * toJsonPointer('individualsCache', '@I1@', 'e') // → '/individualsCache/@I1@/e'
+ * toJsonPointer('familyTownsStore', 'a/b')       // → '/familyTownsStore/a~1b'
+ */
+export function toJsonPointer(...segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Segments d'un chemin JSON Pointer
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+export function parseJsonPointer(pointer) {
+    if (pointer === '') return [];
+    if (!pointer.startsWith('/')) throw new Error(`Chemin JSON Pointer invalide : ${pointer}`);
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Applique un patch aux caches, en place (opérations add, remove, replace)
+ * @param {Object} caches - Résultat de parsing ou sa copie JSON
+ * @param {Array<{op: string, path: string, value?: *}>} patch - Opérations, dans l'ordre
+ * @returns {Object} caches, modifié
+ *
+ * @example
+ * applyPatch(cachedCopy, diffResults(previous, current).patch);
+ */
+export function applyPatch(caches, patch) {
+    for (const operation of patch) {
+        const segments = parseJsonPointer(operation.path);
+        if (segments.length === 0) throw new Error(`Opération ${operation.op} impossible sur la racine`);
+        const key = segments.pop();
+        const parent = segments.reduce((container, segment) => {
+            const child = _get(container, segment);
+            if (child === undefined) throw new Error(`Chemin absent : ${operation.path}`);
+            return child;
+        }, caches);
+
+        switch (operation.op) {
+            case 'add':
+                _set(parent, key, _clone(operation.value), true);
+                break;
+            case 'replace':
+                if (_get(parent, key) === undefined) throw new Error(`Chemin absent : ${operation.path}`);
+                _set(parent, key, _clone(operation.value), false);
+                break;
+            case 'remove':
+                if (_get(parent, key) === undefined) throw new Error(`Chemin absent : ${operation.path}`);
+                _delete(parent, key);
+                break;
+            default:
+                throw new Error(`Opération JSON Patch non supportée : ${operation.op}`);
+        }
+    }
+    return caches;
+}
+
+/**
+ * @private
+ */
+function _get(container, key) {
+    if (container instanceof Map) return container.get(key);
+    if (Array.isArray(container)) return container[Number(key)];
+    if (container === null || typeof container !== 'object') return undefined;
+    return Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined;
+}
+
+/**
+ * @private
+ */
+function _set(container, key, value, insert) {
+    if (container instanceof Map) {
+        container.set(key, value);
+    } else if (Array.isArray(container)) {
+        const index = key === '-' ? container.length : Number(key);
+        if (insert) container.splice(index, 0, value);
+        else container[index] = value;
+    } else {
+        container[key] = value;
+    }
+}
+
+/**
+ * @private
+ */
+function _delete(container, key) {
+    if (container instanceof Map) container.delete(key);
+    else if (Array.isArray(container)) container.splice(Number(key), 1);
+    else delete container[key];
+}
+
+/**
+ * Les valeurs du patch ne doivent pas être partagées avec les caches
+ * @private
+ */
+function _clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,369 @@
+/**
+ * Différences entre deux versions d'un même arbre (réimport mensuel)
+ *
+ * Les individus sont rapprochés par pointeur, puis par _UID/UID (u) et enfin par RIN (r)
+ * quand le logiciel a renuméroté les pointeurs. Le rapport décrit, champ par champ, les
+ * changements de nom, d'événements, de liens, de notes et de sources ; les pointeurs de
+ * l'ancienne version y sont traduits dans la nouvelle, si bien qu'une simple renumérotation
+ * n'apparaît pas comme un changement. Le patch JSON (RFC 6902, voir applyPatch) transforme
+ * les caches de l'ancienne version en ceux de la nouvelle.
+ */
+
+import { EVENT_TYPE_COMPRESSION, EVENT_TYPE_DECOMPRESSION } from '../compression/eventCompression.js';
+import { toJsonPointer } from './jsonPatch.js';
+
+const CHILD_BIRTH = EVENT_TYPE_COMPRESSION['child-birth'];
+
+// Caches d'enregistrements comparés par clé (nom dans le rapport → cache)
+const RECORD_CACHES = {
+    notes: 'notesCache',
+    sources: 'sourcesCache',
+    media: 'mediaCache',
+    repositories: 'repositoriesCache'
+};
+
+/**
+ * Compare deux résultats de parsing
+ * @param {Object} previous - Ancienne version (caches en Map, ou copie JSON)
+ * @param {Object} current - Nouvelle version
+ * @returns {Object} { individuals: { added, removed, modified }, records, patch, statistics }
+ *
+ * @example
+ * const diff = diffResults(lastMonth, today);
+ * diff.individuals.modified[0]
+ * // → { pointer: '@I12@', previousPointer: '@I12@', matchedBy: 'pointer', changes: [
+ * //       { type: 'event', field: 'death', action: 'added', after: { t: 'fd', d: 20240312, l: 'lyon' } },
+ * //       { type: 'source', action: 'added', after: '@S40@' }] }
+ * applyPatch(cachedCopy, diff.patch); // cachedCopy est désormais à jour
+ */
+export function diffResults(previous, current) {
+    const previousIndividuals = _asMap(previous.individualsCache);
+    const currentIndividuals = _asMap(current.individualsCache);
+
+    const { pairs, matchedBy } = _matchIndividuals(previousIndividuals, currentIndividuals);
+    const pointerOf = pointer => pairs.get(pointer) || pointer;
+    const matched = new Set(pairs.values());
+
+    // Individus supprimés écartés : leur pointeur peut avoir été repris par un autre
+    const before = _linkedRecords(previous, pointer => pairs.get(pointer) || null);
+    const after = _linkedRecords(current, pointer => pointer);
+
+    const individuals = { added: [], removed: [], modified: [] };
+    const patch = [];
+    const removals = [];
+    const additions = [];
+    let renamed = 0;
+
+    for (const pointer of previousIndividuals.keys()) {
+        if (!pairs.has(pointer)) {
+            individuals.removed.push(pointer);
+            removals.push({ op: 'remove', path: toJsonPointer('individualsCache', pointer) });
+        }
+    }
+    for (const [pointer, individual] of currentIndividuals) {
+        if (!matched.has(pointer)) {
+            individuals.added.push(pointer);
+            additions.push({ op: 'add', path: toJsonPointer('individualsCache', pointer), value: individual });
+        }
+    }
+
+    const fieldOperations = [];
+    for (const [previousPointer, pointer] of pairs) {
+        const oldIndividual = previousIndividuals.get(previousPointer);
+        const individual = currentIndividuals.get(pointer);
+
+        const changes = _compareIndividuals(_translate(oldIndividual, pointerOf), individual, {
+            notes: [before.notes.get(pointer) || [], after.notes.get(pointer) || []],
+            sources: [before.sources.get(pointer) || [], after.sources.get(pointer) || []]
+        });
+        if (changes.length > 0) {
+            individuals.modified.push({ pointer, previousPointer, matchedBy: matchedBy.get(previousPointer), changes });
+        }
+
+        // Pointeur changé : l'ancienne entrée est retirée avant que la nouvelle ne soit ajoutée
+        if (previousPointer !== pointer) {
+            renamed++;
+            removals.push({ op: 'remove', path: toJsonPointer('individualsCache', previousPointer) });
+            additions.push({ op: 'add', path: toJsonPointer('individualsCache', pointer), value: individual });
+        } else {
+            fieldOperations.push(..._fieldOperations(['individualsCache', pointer], oldIndividual, individual));
+        }
+    }
+    patch.push(...removals, ...additions, ...fieldOperations);
+
+    const records = {};
+    for (const [name, cacheName] of Object.entries(RECORD_CACHES)) {
+        records[name] = _diffRecords(cacheName, previous[cacheName], current[cacheName], patch,
+            // Les notes incluses sont suivies par individu (leur identifiant dépend de sa position)
+            name === 'notes' ? id => !id.startsWith('INLINE_') : () => true);
+    }
+    records.places = _diffRecords('familyTownsStore', previous.familyTownsStore, current.familyTownsStore, patch, () => true);
+
+    return {
+        individuals,
+        records,
+        patch,
+        statistics: {
+            previous: previousIndividuals.size,
+            current: currentIndividuals.size,
+            added: individuals.added.length,
+            removed: individuals.removed.length,
+            modified: individuals.modified.length,
+            unchanged: pairs.size - individuals.modified.length,
+            renamed,
+            operations: patch.length
+        }
+    };
+}
+
+/**
+ * Rapproche les individus : pointeur (sauf _UID contradictoire), puis _UID, puis RIN
+ * @returns {{pairs: Map<string, string>, matchedBy: Map<string, string>}} Ancien pointeur → nouveau
+ * @private
+ */
+function _matchIndividuals(previousIndividuals, currentIndividuals) {
+    const pairs = new Map();
+    const matchedBy = new Map();
+    const taken = new Set();
+    const match = (previousPointer, pointer, how) => {
+        pairs.set(previousPointer, pointer);
+        matchedBy.set(previousPointer, how);
+        taken.add(pointer);
+    };
+
+    for (const [pointer, individual] of previousIndividuals) {
+        const candidate = currentIndividuals.get(pointer);
+        if (!candidate) continue;
+        const uid = _uid(individual);
+        const candidateUid = _uid(candidate);
+        if (uid && candidateUid && uid !== candidateUid) continue;
+        match(pointer, pointer, 'pointer');
+    }
+
+    for (const [how, keyOf] of [['uid', _uid], ['rin', individual => individual.r || null]]) {
+        // Clés uniques seulement : un RIN réutilisé ne désigne personne
+        const index = new Map();
+        for (const [pointer, individual] of currentIndividuals) {
+            const key = taken.has(pointer) ? null : keyOf(individual);
+            if (key) index.set(key, index.has(key) ? null : pointer);
+        }
+        for (const [pointer, individual] of previousIndividuals) {
+            if (pairs.has(pointer)) continue;
+            const candidate = index.get(keyOf(individual));
+            if (candidate && !taken.has(candidate)) match(pointer, candidate, how);
+        }
+    }
+
+    return { pairs, matchedBy };
+}
+
+/**
+ * _UID sans tirets, accolades ni casse (les logiciels l'écrivent différemment)
+ * @private
+ */
+function _uid(individual) {
+    return individual.u ? String(individual.u).replace(/[{}-]/g, '').toUpperCase() : null;
+}
+
+/**
+ * Individu de l'ancienne version avec les pointeurs de la nouvelle
+ * @private
+ */
+function _translate(individual, pointerOf) {
+    const translated = { ...individual };
+    if (translated.f) translated.f = pointerOf(translated.f);
+    if (translated.m) translated.m = pointerOf(translated.m);
+    if (Array.isArray(translated.s)) translated.s = translated.s.map(pointerOf);
+    if (Array.isArray(translated.e)) {
+        translated.e = translated.e.map((event) => {
+            if (!event.m || (!event.m.s && !event.m.c)) return event;
+            const metadata = { ...event.m };
+            if (metadata.s) metadata.s = pointerOf(metadata.s);
+            if (metadata.c) metadata.c = pointerOf(metadata.c);
+            return { ...event, m: metadata };
+        });
+    }
+    return translated;
+}
+
+/**
+ * Textes des notes et sources rattachées à chaque individu (pointeurs de la nouvelle version,
+ * null pour un individu à ignorer)
+ * @private
+ */
+function _linkedRecords(caches, pointerOf) {
+    const notesCache = _asMap(caches.notesCache);
+    const notes = new Map();
+    const sources = new Map();
+    const push = (map, pointer, value) => {
+        if (!pointer) return;
+        if (!map.has(pointer)) map.set(pointer, []);
+        map.get(pointer).push(value);
+    };
+
+    for (const [pointer, individual] of _asMap(caches.individualsCache)) {
+        const ids = new Set(individual.n || []);
+        for (const event of individual.e || []) {
+            ((event.m && event.m.n) || []).forEach(id => ids.add(id));
+            for (const ceremony of (event.m && event.m.ceremonies) || []) (ceremony.n || []).forEach(id => ids.add(id));
+        }
+        for (const id of ids) {
+            const note = notesCache.get(id);
+            if (note && note.text) push(notes, pointerOf(pointer), note.text);
+        }
+    }
+    // Notes partagées : liées par notesCache[id].individuals
+    for (const [id, note] of notesCache) {
+        if (id.startsWith('INLINE_') || !note.text) continue;
+        for (const pointer of note.individuals || []) {
+            const texts = notes.get(pointerOf(pointer)) || [];
+            if (!texts.includes(note.text)) push(notes, pointerOf(pointer), note.text);
+        }
+    }
+    for (const [id, source] of _asMap(caches.sourcesCache)) {
+        for (const pointer of source.individuals || []) push(sources, pointerOf(pointer), id);
+    }
+
+    return { notes, sources };
+}
+
+/**
+ * Changements champ par champ entre deux versions d'un individu
+ * @private
+ */
+function _compareIndividuals(a, b, linked) {
+    const changes = [];
+    const change = (type, field, valueBefore, valueAfter) => {
+        const entry = field ? { type, field } : { type };
+        if (valueBefore === undefined) changes.push({ ...entry, action: 'added', after: valueAfter });
+        else if (valueAfter === undefined) changes.push({ ...entry, action: 'removed', before: valueBefore });
+        else changes.push({ ...entry, action: 'modified', before: valueBefore, after: valueAfter });
+    };
+    const compareValue = (type, field, valueBefore, valueAfter) => {
+        if (JSON.stringify(valueBefore) !== JSON.stringify(valueAfter)) change(type, field, valueBefore, valueAfter);
+    };
+    const compareList = (type, field, listBefore, listAfter) => {
+        for (const value of _subtract(listBefore, listAfter)) change(type, field, value, undefined);
+        for (const value of _subtract(listAfter, listBefore)) change(type, field, undefined, value);
+    };
+
+    compareValue('name', 'name', a.fn, b.fn);
+    compareValue('name', 'translations', a.tn, b.tn);
+    compareValue('sex', null, a.g, b.g);
+
+    // Événements d'un même type : les identiques s'annulent, les autres sont appariés dans l'ordre
+    const eventsOf = individual => (individual.e || []).filter(event => event.t !== CHILD_BIRTH).map(_withoutNotes);
+    const eventsBefore = eventsOf(a);
+    const eventsAfter = eventsOf(b);
+    const types = [...new Set([...eventsBefore, ...eventsAfter].map(event => event.t))];
+    for (const type of types) {
+        const field = EVENT_TYPE_DECOMPRESSION[type] || type;
+        const listBefore = eventsBefore.filter(event => event.t === type);
+        const listAfter = eventsAfter.filter(event => event.t === type);
+        const removed = _subtract(listBefore, listAfter);
+        const added = _subtract(listAfter, listBefore);
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) change('event', field, removed[i], added[i]);
+    }
+
+    compareValue('relation', 'father', a.f, b.f);
+    compareValue('relation', 'mother', a.m, b.m);
+    compareList('relation', 'spouse', a.s || [], b.s || []);
+    compareList('relation', 'child', _children(a), _children(b));
+
+    compareList('note', null, ...linked.notes);
+    compareList('source', null, ...linked.sources);
+
+    return changes;
+}
+
+/**
+ * @private
+ */
+function _children(individual) {
+    return (individual.e || []).filter(event => event.t === CHILD_BIRTH && event.m && event.m.c).map(event => event.m.c);
+}
+
+/**
+ * Événement sans ses notes (comparées à part, leurs identifiants dépendent de la position)
+ * @private
+ */
+function _withoutNotes(event) {
+    if (!event.m || !event.m.n) return event;
+    const { n, ...metadata } = event.m;
+    const { m, ...rest } = event;
+    return Object.keys(metadata).length > 0 ? { ...rest, m: metadata } : rest;
+}
+
+/**
+ * Éléments de a absents de b (multiensembles, comparaison par contenu)
+ * @private
+ */
+function _subtract(a, b) {
+    const remaining = new Map();
+    for (const value of b) {
+        const key = JSON.stringify(value);
+        remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+    return a.filter((value) => {
+        const key = JSON.stringify(value);
+        if (!remaining.get(key)) return true;
+        remaining.set(key, remaining.get(key) - 1);
+        return false;
+    });
+}
+
+/**
+ * Opérations add/remove/replace champ par champ d'une entrée conservée
+ * @private
+ */
+function _fieldOperations(path, a, b) {
+    const operations = [];
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const fieldPath = toJsonPointer(...path, field);
+        if (!(field in b)) operations.push({ op: 'remove', path: fieldPath });
+        else if (!(field in a)) operations.push({ op: 'add', path: fieldPath, value: b[field] });
+        else if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+            operations.push({ op: 'replace', path: fieldPath, value: b[field] });
+        }
+    }
+    return operations;
+}
+
+/**
+ * Enregistrements ajoutés, supprimés ou modifiés d'un cache (rapprochés par clé)
+ * @param {Function} reported - Clés à faire figurer dans le rapport (le patch les couvre toutes)
+ * @private
+ */
+function _diffRecords(cacheName, previousCache, currentCache, patch, reported) {
+    const previousRecords = _asMap(previousCache);
+    const currentRecords = _asMap(currentCache);
+    const report = { added: [], removed: [], modified: [] };
+
+    for (const key of previousRecords.keys()) {
+        if (currentRecords.has(key)) continue;
+        if (reported(key)) report.removed.push(key);
+        patch.push({ op: 'remove', path: toJsonPointer(cacheName, key) });
+    }
+    for (const [key, record] of currentRecords) {
+        const previousRecord = previousRecords.get(key);
+        if (previousRecord === undefined) {
+            if (reported(key)) report.added.push(key);
+            patch.push({ op: 'add', path: toJsonPointer(cacheName, key), value: record });
+        } else if (JSON.stringify(previousRecord) !== JSON.stringify(record)) {
+            // La liste des individus liés suit les individus : seul le contenu compte dans le rapport
+            const { individuals: linkedBefore, ...contentBefore } = previousRecord;
+            const { individuals: linkedAfter, ...content } = record;
+            if (reported(key) && JSON.stringify(contentBefore) !== JSON.stringify(content)) report.modified.push(key);
+            patch.push({ op: 'replace', path: toJsonPointer(cacheName, key), value: record });
+        }
+    }
+    return report;
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
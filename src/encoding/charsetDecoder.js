@@ -0,0 +1,535 @@
+/**
+ * Décodage des fichiers GEDCOM au niveau octet
+ * Détecte le jeu de caractères (BOM, ligne "1 CHAR" de l'en-tête) puis décode
+ * ANSEL, CP1252 (ANSI), MacRoman (MACINTOSH), CP850 (IBMPC) et UTF-8/UTF-16
+ * vers une chaîne Unicode NFC, avant le passage à read-gedcom.
+ * encodeText fait le chemin inverse pour l'export (GedcomWriter).
+ */
+
+import { isGedcom7 } from '../gedcom7/gedcom7Normalizer.js';
+
+/**
+ * Jeux de caractères appliqués par le décodeur
+ */
+export const CHARSETS = {
+    UTF8: 'UTF-8',
+    UTF16LE: 'UTF-16LE',
+    UTF16BE: 'UTF-16BE',
+    ANSEL: 'ANSEL',
+    CP1252: 'CP1252',
+    MACINTOSH: 'MACINTOSH',
+    IBMPC: 'IBMPC'
+};
+
+/**
+ * Valeurs de "1 CHAR" rencontrées dans les exports → jeu de caractères
+ * ASCII est décodé en CP1252 : les exports "ASCII" contiennent souvent des accents
+ */
+const DECLARED_CHARSETS = {
+    'UTF-8': CHARSETS.UTF8,
+    'UTF8': CHARSETS.UTF8,
+    'UNICODE': CHARSETS.UTF16LE,
+    'UTF-16': CHARSETS.UTF16LE,
+    'UTF-16LE': CHARSETS.UTF16LE,
+    'UTF-16BE': CHARSETS.UTF16BE,
+    'ANSEL': CHARSETS.ANSEL,
+    'ANSI': CHARSETS.CP1252,
+    'ASCII': CHARSETS.CP1252,
+    'WINDOWS': CHARSETS.CP1252,
+    'IBM WINDOWS': CHARSETS.CP1252,
+    'CP1252': CHARSETS.CP1252,
+    'WINDOWS-1252': CHARSETS.CP1252,
+    'ISO-8859-1': CHARSETS.CP1252,
+    'MACINTOSH': CHARSETS.MACINTOSH,
+    'MACROMAN': CHARSETS.MACINTOSH,
+    'IBMPC': CHARSETS.IBMPC,
+    'IBM PC': CHARSETS.IBMPC,
+    'MSDOS': CHARSETS.IBMPC,
+    'CP850': CHARSETS.IBMPC
+};
+
+// CP1252 : seule la plage 0x80-0x9F diffère de Latin-1 (octets non définis conservés)
+const CP1252_80_9F = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+// MacRoman 0x80-0xFF
+const MACINTOSH_HIGH =
+    'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü' +
+    '†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+    '¿¡¬√ƒ≈∆«»…\u00A0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ' +
+    '‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ\uF8FFÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+// CP850 (IBMPC) 0x80-0xFF
+const IBMPC_HIGH =
+    'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+    'áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+    '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+    'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+
+// ANSEL (ANSI Z39.47) : caractères espaçants
+const ANSEL_SPACING = {
+    0x8D: '\u200D', 0x8E: '\u200C',
+    0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ', 0xA6: 'Œ', 0xA7: 'ʹ',
+    0xA8: '·', 0xA9: '♭', 0xAA: '®', 0xAB: '±', 0xAC: 'Ơ', 0xAD: 'Ư', 0xAE: 'ʼ',
+    0xB0: 'ʻ', 0xB1: 'ł', 0xB2: 'ø', 0xB3: 'đ', 0xB4: 'þ', 0xB5: 'æ', 0xB6: 'œ',
+    0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£', 0xBA: 'ð', 0xBC: 'ơ', 0xBD: 'ư',
+    0xBE: '□', 0xBF: '■',
+    0xC0: '°', 0xC1: 'ℓ', 0xC2: '℗', 0xC3: '©', 0xC4: '♯', 0xC5: '¿', 0xC6: '¡',
+    0xC7: 'ß', 0xC8: '€', 0xCD: 'e', 0xCE: 'o', 0xCF: 'ß'
+};
+
+// ANSEL : diacritiques combinants, placés AVANT la lettre de base
+const ANSEL_COMBINING = {
+    0xE0: '\u0309', 0xE1: '\u0300', 0xE2: '\u0301', 0xE3: '\u0302', 0xE4: '\u0303',
+    0xE5: '\u0304', 0xE6: '\u0306', 0xE7: '\u0307', 0xE8: '\u0308', 0xE9: '\u030C',
+    0xEA: '\u030A', 0xEB: '\uFE20', 0xEC: '\uFE21', 0xED: '\u0315', 0xEE: '\u030B',
+    0xEF: '\u0310', 0xF0: '\u0327', 0xF1: '\u0328', 0xF2: '\u0323', 0xF3: '\u0324',
+    0xF4: '\u0325', 0xF5: '\u0333', 0xF6: '\u0332', 0xF7: '\u0326', 0xF8: '\u031C',
+    0xF9: '\u032E', 0xFA: '\uFE22', 0xFB: '\uFE23', 0xFE: '\u0313'
+};
+
+/**
+ * Détecte le jeu de caractères d'un fichier GEDCOM
+ * Ordre : BOM, puis "1 CHAR" de l'en-tête (ou GEDCOM 7, toujours UTF-8), puis heuristique UTF-8/CP1252
+ * @param {Buffer|ArrayBuffer|Uint8Array} data - Contenu brut du fichier
+ * @returns {{charset: string, declared: string|null, source: string, hasBom: boolean}}
+ *   source : 'bom' | 'header' | 'heuristic'
+ */
+export function detectCharset(data) {
+    const bytes = _toBytes(data);
+
+    // BOM
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { charset: CHARSETS.UTF8, declared: _readDeclaredCharset(bytes.subarray(3)), source: 'bom', hasBom: true };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { charset: CHARSETS.UTF16LE, declared: _readDeclaredCharset(bytes, CHARSETS.UTF16LE), source: 'bom', hasBom: true };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { charset: CHARSETS.UTF16BE, declared: _readDeclaredCharset(bytes, CHARSETS.UTF16BE), source: 'bom', hasBom: true };
+    }
+
+    // UTF-16 sans BOM : "0 HEAD" commence par un octet nul d'un côté ou de l'autre
+    if (bytes.length >= 2 && bytes[0] === 0x00 && bytes[1] !== 0x00) {
+        return { charset: CHARSETS.UTF16BE, declared: _readDeclaredCharset(bytes, CHARSETS.UTF16BE), source: 'heuristic', hasBom: false };
+    }
+    if (bytes.length >= 2 && bytes[0] !== 0x00 && bytes[1] === 0x00) {
+        return { charset: CHARSETS.UTF16LE, declared: _readDeclaredCharset(bytes, CHARSETS.UTF16LE), source: 'heuristic', hasBom: false };
+    }
+
+    const declared = _readDeclaredCharset(bytes);
+    const charset = declared ? DECLARED_CHARSETS[declared] : null;
+    if (charset && charset !== CHARSETS.UTF16LE && charset !== CHARSETS.UTF16BE) {
+        return { charset, declared, source: 'header', hasBom: false };
+    }
+
+    // GEDCOM 7 : pas de CHAR, UTF-8 imposé par la norme
+    if (!declared && isGedcom7(String.fromCharCode(...bytes.subarray(0, 4096)))) {
+        return { charset: CHARSETS.UTF8, declared, source: 'header', hasBom: false };
+    }
+
+    // Pas de CHAR exploitable : UTF-8 s'il est valide, sinon CP1252
+    return {
+        charset: _isValidUtf8(bytes) ? CHARSETS.UTF8 : CHARSETS.CP1252,
+        declared,
+        source: 'heuristic',
+        hasBom: false
+    };
+}
+
+/**
+ * Décode un fichier GEDCOM en texte Unicode (NFC)
+ * @param {Buffer|ArrayBuffer|Uint8Array} data - Contenu brut du fichier
+ * @param {Object} options
+ * @param {string} [options.forcedCharset] - Jeu de caractères imposé (ignore la détection)
+ * @returns {{text: string, detectedCharset: string, appliedCharset: string, declaredCharset: string|null, source: string, hasBom: boolean}}
+ *
+ * @example
+ * const { text, appliedCharset } = decodeGedcomBuffer(fs.readFileSync('heredis.ged'));
+ */
+export function decodeGedcomBuffer(data, options = {}) {
+    const bytes = _toBytes(data);
+    const report = _resolveCharset(bytes, options.forcedCharset);
+
+    return { text: decodeBytes(bytes, report.appliedCharset), ...report };
+}
+
+/**
+ * Décodeur incrémental pour les flux (mode streaming)
+ * Le jeu de caractères est détecté sur les premiers octets (probeSize), puis seules
+ * des lignes complètes sont décodées : un caractère multi-octets ou un diacritique
+ * ANSEL n'est jamais coupé entre deux morceaux.
+ * @param {Object} options
+ * @param {string} [options.forcedCharset] - Jeu de caractères imposé (ignore la détection)
+ * @param {number} [options.probeSize=65536] - Octets accumulés avant la détection
+ * @returns {{write: function(Uint8Array): string, end: function(): string, report: function(): Object|null}}
+ *
+ * @example
+ * const decoder = createStreamDecoder();
+ * for await (const chunk of fs.createReadStream('big.ged')) handleText(decoder.write(chunk));
+ * handleText(decoder.end());
+ */
+export function createStreamDecoder(options = {}) {
+    const probeSize = options.probeSize || 65536;
+    let pending = new Uint8Array(0);
+    let report = null;
+    let utf16Decoder = null;
+    let utf16Tail = '';
+
+    const detect = () => {
+        // Détection sur des lignes complètes : une séquence UTF-8 tronquée fausserait l'heuristique
+        const lineEnd = _lineEnd(pending);
+        const probe = lineEnd > 0 ? pending.subarray(0, lineEnd) : pending;
+        report = _resolveCharset(probe, options.forcedCharset);
+
+        if (report.appliedCharset === CHARSETS.UTF16LE || report.appliedCharset === CHARSETS.UTF16BE) {
+            utf16Decoder = new TextDecoder(report.appliedCharset.toLowerCase());
+        }
+    };
+
+    const decodeLines = (final) => {
+        if (utf16Decoder) {
+            const text = utf16Tail + utf16Decoder.decode(pending, { stream: !final });
+            pending = new Uint8Array(0);
+            const cut = final ? text.length : Math.max(text.lastIndexOf('\n'), text.lastIndexOf('\r')) + 1;
+            utf16Tail = text.slice(cut);
+            return text.slice(0, cut).normalize('NFC');
+        }
+
+        const cut = final ? pending.length : _lineEnd(pending);
+        if (cut === 0) return '';
+        const lines = pending.subarray(0, cut);
+        pending = pending.slice(cut);
+        return decodeBytes(lines, report.appliedCharset);
+    };
+
+    return {
+        write(chunk) {
+            pending = _concatBytes(pending, _toBytes(chunk));
+            if (!report) {
+                if (pending.length < probeSize) return '';
+                detect();
+            }
+            return decodeLines(false);
+        },
+        end() {
+            if (!report) detect();
+            return decodeLines(true);
+        },
+        report() {
+            return report;
+        }
+    };
+}
+
+/**
+ * Décode des octets avec un jeu de caractères donné
+ * @param {Buffer|ArrayBuffer|Uint8Array} data - Octets à décoder
+ * @param {string} charset - Une valeur de CHARSETS
+ * @returns {string} Texte Unicode normalisé NFC
+ */
+export function decodeBytes(data, charset) {
+    const bytes = _toBytes(data);
+
+    switch (charset) {
+        case CHARSETS.UTF8:
+            return new TextDecoder('utf-8').decode(bytes).normalize('NFC');
+        case CHARSETS.UTF16LE:
+            return new TextDecoder('utf-16le').decode(bytes).normalize('NFC');
+        case CHARSETS.UTF16BE:
+            return new TextDecoder('utf-16be').decode(bytes).normalize('NFC');
+        case CHARSETS.ANSEL:
+            return _decodeAnsel(bytes);
+        case CHARSETS.CP1252:
+            return _decodeSingleByte(bytes, (b) => b >= 0x80 && b <= 0x9F ? CP1252_80_9F[b - 0x80] : String.fromCharCode(b));
+        case CHARSETS.MACINTOSH:
+            return _decodeSingleByte(bytes, (b) => MACINTOSH_HIGH[b - 0x80]);
+        case CHARSETS.IBMPC:
+            return _decodeSingleByte(bytes, (b) => IBMPC_HIGH[b - 0x80]);
+        default:
+            throw new Error(`Jeu de caractères non supporté: ${charset}`);
+    }
+}
+
+/**
+ * Encode un texte Unicode dans un jeu de caractères donné
+ * Les caractères sans équivalent sont remplacés par '?'
+ * @param {string} text - Texte à encoder
+ * @param {string} charset - Une valeur de CHARSETS
+ * @param {Object} [options]
+ * @param {boolean} [options.bom=false] - Préfixer un BOM (UTF-8 ; toujours présent en UTF-16)
+ * @returns {Uint8Array}
+ */
+export function encodeText(text, charset, options = {}) {
+    switch (charset) {
+        case CHARSETS.UTF8: {
+            const bytes = new TextEncoder().encode(text);
+            return options.bom ? _concatBytes(new Uint8Array([0xEF, 0xBB, 0xBF]), bytes) : bytes;
+        }
+        case CHARSETS.UTF16LE:
+        case CHARSETS.UTF16BE:
+            return _encodeUtf16(text, charset === CHARSETS.UTF16LE);
+        case CHARSETS.ANSEL:
+            return _encodeAnsel(text);
+        case CHARSETS.CP1252:
+            return _encodeSingleByte(text, _highTable('cp1252', (b) => b <= 0x9F ? CP1252_80_9F[b - 0x80] : String.fromCharCode(b)));
+        case CHARSETS.MACINTOSH:
+            return _encodeSingleByte(text, _highTable('macintosh', (b) => MACINTOSH_HIGH[b - 0x80]));
+        case CHARSETS.IBMPC:
+            return _encodeSingleByte(text, _highTable('ibmpc', (b) => IBMPC_HIGH[b - 0x80]));
+        default:
+            throw new Error(`Jeu de caractères non supporté: ${charset}`);
+    }
+}
+
+/**
+ * Décode ANSEL : les diacritiques précèdent la lettre en ANSEL, ils la suivent en Unicode
+ * @private
+ */
+function _decodeAnsel(bytes) {
+    const output = [];
+    let pendingMarks = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        const b = bytes[i];
+
+        const mark = ANSEL_COMBINING[b];
+        if (mark) {
+            pendingMarks += mark;
+            continue;
+        }
+
+        // NSB/NSE (début/fin de non-tri) : sans équivalent texte
+        if (b === 0x88 || b === 0x89) continue;
+
+        const char = b < 0x80 ? String.fromCharCode(b) : (ANSEL_SPACING[b] || '\uFFFD');
+
+        if (pendingMarks) {
+            // Diacritique orphelin avant une fin de ligne : forme espaçante
+            output.push(b < 0x20 ? ' ' + pendingMarks + char : char + pendingMarks);
+            pendingMarks = '';
+        } else {
+            output.push(char);
+        }
+    }
+
+    if (pendingMarks) output.push(' ' + pendingMarks);
+
+    return output.join('').normalize('NFC');
+}
+
+/**
+ * Décode un jeu de caractères 8 bits compatible ASCII
+ * @private
+ */
+function _decodeSingleByte(bytes, decodeHigh) {
+    const chunks = [];
+    const CHUNK_SIZE = 8192;
+
+    for (let start = 0; start < bytes.length; start += CHUNK_SIZE) {
+        const end = Math.min(start + CHUNK_SIZE, bytes.length);
+        let chunk = '';
+        for (let i = start; i < end; i++) {
+            const b = bytes[i];
+            chunk += b < 0x80 ? String.fromCharCode(b) : decodeHigh(b);
+        }
+        chunks.push(chunk);
+    }
+
+    return chunks.join('').normalize('NFC');
+}
+
+// Tables inverses (caractère → octet), construites au premier encodage
+const ENCODING_TABLES = {};
+
+/**
+ * Table inverse de la plage 0x80-0xFF d'un jeu 8 bits
+ * @private
+ */
+function _highTable(name, decodeHigh) {
+    if (!ENCODING_TABLES[name]) {
+        const table = new Map();
+        for (let b = 0x80; b <= 0xFF; b++) {
+            const char = decodeHigh(b);
+            if (!table.has(char)) table.set(char, b);
+        }
+        ENCODING_TABLES[name] = table;
+    }
+    return ENCODING_TABLES[name];
+}
+
+/**
+ * Encode un jeu 8 bits compatible ASCII ; à défaut de forme précomposée,
+ * la lettre de base est conservée sans son diacritique
+ * @private
+ */
+function _encodeSingleByte(text, table) {
+    const bytes = [];
+
+    for (const char of text.normalize('NFC')) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (table.has(char)) {
+            bytes.push(table.get(char));
+        } else {
+            const base = char.normalize('NFD')[0];
+            bytes.push(base.charCodeAt(0) < 0x80 ? base.charCodeAt(0) : table.get(base) ?? 0x3F);
+        }
+    }
+
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode ANSEL : chaque diacritique combinant est écrit AVANT sa lettre de base
+ * @private
+ */
+function _encodeAnsel(text) {
+    if (!ENCODING_TABLES.anselSpacing) {
+        ENCODING_TABLES.anselSpacing = new Map();
+        for (const [b, char] of Object.entries(ANSEL_SPACING)) {
+            // 0xCD/0xCE (e/o en exposant) : lettres ASCII, encodées telles quelles
+            if (char.charCodeAt(0) >= 0x80 && !ENCODING_TABLES.anselSpacing.has(char)) {
+                ENCODING_TABLES.anselSpacing.set(char, Number(b));
+            }
+        }
+        ENCODING_TABLES.anselCombining = new Map(
+            Object.entries(ANSEL_COMBINING).map(([b, mark]) => [mark, Number(b)])
+        );
+    }
+    const spacing = ENCODING_TABLES.anselSpacing;
+    const combining = ENCODING_TABLES.anselCombining;
+
+    const bytes = [];
+    let base = null;
+    let marks = [];
+
+    const flush = () => {
+        if (base === null) return;
+        bytes.push(...marks, ...base);
+        base = null;
+        marks = [];
+    };
+
+    // Les lettres précomposées qui existent en ANSEL (Ø, Æ, ł...) ne se décomposent pas en NFD
+    for (const char of text.normalize('NFD')) {
+        const code = char.codePointAt(0);
+        if (combining.has(char) && base !== null) {
+            marks.push(combining.get(char));
+            continue;
+        }
+
+        flush();
+        if (code < 0x80) {
+            base = [code];
+        } else if (spacing.has(char)) {
+            base = [spacing.get(char)];
+        } else {
+            base = [0x3F];
+        }
+    }
+    flush();
+
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode UTF-16 avec BOM
+ * @private
+ */
+function _encodeUtf16(text, littleEndian) {
+    const bytes = new Uint8Array((text.length + 1) * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, 0xFEFF, littleEndian);
+    for (let i = 0; i < text.length; i++) {
+        view.setUint16((i + 1) * 2, text.charCodeAt(i), littleEndian);
+    }
+    return bytes;
+}
+
+/**
+ * Lit la valeur "1 CHAR" dans les premières lignes du fichier
+ * @private
+ */
+function _readDeclaredCharset(bytes, charset = null) {
+    const head = bytes.subarray(0, 4096);
+    const text = charset === CHARSETS.UTF16LE || charset === CHARSETS.UTF16BE ?
+        new TextDecoder(charset === CHARSETS.UTF16LE ? 'utf-16le' : 'utf-16be').decode(head) :
+        String.fromCharCode(...head);
+
+    const match = text.match(/^\s*1\s+CHAR(?:ACTER)?\s+([^\r\n]+?)\s*$/m);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * @private
+ */
+function _isValidUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * UTF-8 valide ET contenant au moins une séquence multi-octets
+ * @private
+ */
+function _hasMultibyteUtf8(bytes) {
+    return bytes.some(b => b >= 0x80) && _isValidUtf8(bytes);
+}
+
+/**
+ * Jeu de caractères appliqué : imposé, détecté, ou UTF-8 quand un export 8 bits l'utilise en réalité
+ * @private
+ */
+function _resolveCharset(bytes, forcedCharset) {
+    const detection = detectCharset(bytes);
+
+    let applied = detection.charset;
+    if (forcedCharset) {
+        applied = DECLARED_CHARSETS[forcedCharset.toUpperCase()] || forcedCharset;
+    } else if (detection.source === 'header' && applied !== CHARSETS.UTF8 && _hasMultibyteUtf8(bytes)) {
+        // Exports déclarés ANSI/ANSEL mais réellement écrits en UTF-8
+        applied = CHARSETS.UTF8;
+    }
+
+    return {
+        detectedCharset: detection.charset,
+        appliedCharset: applied,
+        declaredCharset: detection.declared,
+        source: forcedCharset ? 'forced' : detection.source,
+        hasBom: detection.hasBom
+    };
+}
+
+/**
+ * Position juste après la dernière fin de ligne (LF ou CR des exports Mac), 0 si aucune
+ * @private
+ */
+function _lineEnd(bytes) {
+    return Math.max(bytes.lastIndexOf(0x0A), bytes.lastIndexOf(0x0D)) + 1;
+}
+
+/**
+ * @private
+ */
+function _concatBytes(a, b) {
+    if (a.length === 0) return b;
+    const bytes = new Uint8Array(a.length + b.length);
+    bytes.set(a, 0);
+    bytes.set(b, a.length);
+    return bytes;
+}
+
+/**
+ * @private
+ */
+function _toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new Error('Format de données non supporté. Utilisez Buffer, ArrayBuffer ou Uint8Array.');
+}
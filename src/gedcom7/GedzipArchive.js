@@ -0,0 +1,186 @@
+/**
+ * GedzipArchive - Lecture des archives GEDZIP (.gdz, FamilySearch GEDCOM 7)
+ * Une archive GEDZIP est un zip contenant gedcom.ged à la racine et les fichiers
+ * multimédias référencés par FILE (chemins relatifs encodés en URL).
+ * Méthodes de compression : stored (0) et deflate (8) ; zip64 non pris en charge.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export const GEDZIP_GEDCOM_FILE = 'gedcom.ged';
+
+// zlib chargé une fois au chargement du module sous Node (readSync), absent dans le navigateur
+const nodeZlib = typeof process !== 'undefined' && process.versions && process.versions.node ?
+    await import('node:zlib') : null;
+
+export class GedzipArchive {
+    /**
+     * @param {Buffer|ArrayBuffer|Uint8Array} data - Contenu de l'archive
+     */
+    constructor(data) {
+        this.bytes = _toBytes(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.entries = this._readCentralDirectory();
+        
+        if (!this.entries.has(GEDZIP_GEDCOM_FILE)) {
+            throw new Error(`Archive GEDZIP invalide : ${GEDZIP_GEDCOM_FILE} absent`);
+        }
+    }
+    
+    /**
+     * Vrai si les données commencent par une signature zip
+     * @param {*} data - Données quelconques
+     * @returns {boolean}
+     */
+    static isGedzip(data) {
+        if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) return false;
+        const bytes = _toBytes(data);
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+    
+    /**
+     * Chemins des fichiers multimédias (tout sauf gedcom.ged et les répertoires)
+     * @returns {string[]}
+     */
+    get mediaPaths() {
+        return [...this.entries.keys()].filter(path => path !== GEDZIP_GEDCOM_FILE && !path.endsWith('/'));
+    }
+    
+    /**
+     * Chemin d'archive correspondant à une valeur FILE, ou null si le fichier est externe
+     * @param {string} file - Valeur FILE (chemin relatif encodé en URL)
+     * @returns {string|null}
+     */
+    resolve(file) {
+        if (!file || /^[a-z][a-z0-9+.-]*:/i.test(file)) return null;
+        
+        let path = file.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+        try {
+            path = decodeURIComponent(path);
+        } catch {
+            // Valeur non encodée contenant un % isolé
+        }
+        
+        return this.entries.has(path) ? path : null;
+    }
+    
+    /**
+     * Contenu d'un fichier de l'archive (sync)
+     * Le deflate synchrone utilise zlib (Node) ; ailleurs, utiliser read()
+     * @param {string} path - Chemin dans l'archive
+     * @returns {Uint8Array}
+     */
+    readSync(path) {
+        const { entry, data } = this._locate(path);
+        if (entry.method === METHOD_STORED) return data;
+        
+        if (!nodeZlib) {
+            throw new Error(`Décompression synchrone indisponible pour ${path} : utilisez parse() (async)`);
+        }
+        return new Uint8Array(nodeZlib.inflateRawSync(data));
+    }
+    
+    /**
+     * Contenu d'un fichier de l'archive (async)
+     * zlib sous Node, DecompressionStream('deflate-raw') dans le navigateur
+     * @param {string} path - Chemin dans l'archive
+     * @returns {Promise<Uint8Array>}
+     */
+    async read(path) {
+        const { entry, data } = this._locate(path);
+        if (entry.method === METHOD_STORED) return data;
+        
+        if (nodeZlib) {
+            return new Uint8Array(nodeZlib.inflateRawSync(data));
+        }
+        
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    /**
+     * Données compressées d'une entrée, après son en-tête local
+     * @private
+     */
+    _locate(path) {
+        const entry = this.entries.get(path);
+        if (!entry) throw new Error(`Fichier absent de l'archive GEDZIP : ${path}`);
+        
+        if (this.view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`Archive GEDZIP corrompue : en-tête local invalide pour ${path}`);
+        }
+        const start = entry.offset + 30 + this.view.getUint16(entry.offset + 26, true) + this.view.getUint16(entry.offset + 28, true);
+        
+        return { entry, data: this.bytes.subarray(start, start + entry.compressedSize) };
+    }
+    
+    /**
+     * Lit le répertoire central : chemin → { method, compressedSize, size, offset }
+     * @private
+     */
+    _readCentralDirectory() {
+        const eocd = this._findEndOfCentralDirectory();
+        const count = this.view.getUint16(eocd + 10, true);
+        let position = this.view.getUint32(eocd + 16, true);
+        
+        if (count === 0xFFFF || position === 0xFFFFFFFF) {
+            throw new Error('Archive GEDZIP zip64 non prise en charge');
+        }
+        
+        const decoder = new TextDecoder('utf-8');
+        const entries = new Map();
+        
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(position, true) !== CENTRAL_SIGNATURE) {
+                throw new Error('Archive GEDZIP corrompue : répertoire central invalide');
+            }
+            
+            const method = this.view.getUint16(position + 10, true);
+            const nameLength = this.view.getUint16(position + 28, true);
+            const extraLength = this.view.getUint16(position + 30, true);
+            const commentLength = this.view.getUint16(position + 32, true);
+            const path = decoder.decode(this.bytes.subarray(position + 46, position + 46 + nameLength));
+            
+            if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+                throw new Error(`Méthode de compression ${method} non prise en charge (${path})`);
+            }
+            
+            entries.set(path, {
+                method,
+                compressedSize: this.view.getUint32(position + 20, true),
+                size: this.view.getUint32(position + 24, true),
+                offset: this.view.getUint32(position + 42, true)
+            });
+            
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Position de l'enregistrement de fin du répertoire central (suivi d'un commentaire ≤ 64 Ko)
+     * @private
+     */
+    _findEndOfCentralDirectory() {
+        const min = Math.max(0, this.bytes.length - 22 - 0xFFFF);
+        for (let position = this.bytes.length - 22; position >= min; position--) {
+            if (this.view.getUint32(position, true) === EOCD_SIGNATURE) return position;
+        }
+        throw new Error('Archive GEDZIP invalide : fin du répertoire central introuvable');
+    }
+}
+
+/**
+ * @private
+ */
+function _toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
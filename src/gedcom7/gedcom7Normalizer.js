@@ -0,0 +1,158 @@
+/**
+ * Normalisation GEDCOM 7.0 → structures 5.5.1 lues par le pipeline
+ *
+ * read-gedcom et les extracteurs suivent la grammaire 5.5.1. Un fichier 7.0
+ * est réécrit ligne à ligne avant le parsing :
+ *   - SNOTE (notes partagées et leurs références) → NOTE
+ *   - DATE/SDATE + PHRASE → "DATE <date> (<phrase>)"
+ *   - pointeurs @VOID@ → structure supprimée (avec ses sous-structures)
+ *   - FILE > FORM en type MIME → format 5.5.1 ("image/jpeg" → "jpg")
+ *
+ * Les structures sans équivalent 5.5.1 (SCHMA, EXID, NO, SDATE, TRAN) sont
+ * conservées et lues par les extracteurs. La grammaire de date 7.0 (JULIAN,
+ * FRENCH_R, BCE...) est gérée par dates/gedcomDate.js.
+ */
+
+const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@\s]+@)\s+)?(\S+)(?: (.*))?$/;
+
+const VOID_POINTER = '@VOID@';
+
+/**
+ * Types MIME GEDCOM 7 → formats multimédia GEDCOM 5.5.1
+ */
+const MIME_FORMATS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tif',
+    'image/webp': 'webp',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/mpeg': 'mp3',
+    'video/mp4': 'mp4',
+    'application/pdf': 'pdf',
+    'text/plain': 'txt',
+    'text/html': 'html'
+};
+
+/**
+ * Lit la version GEDCOM déclarée dans l'en-tête (HEAD > GEDC > VERS)
+ * @param {string} text - Début du fichier GEDCOM
+ * @returns {string|null} ex: "5.5.1", "7.0"
+ */
+export function readGedcomVersion(text) {
+    if (typeof text !== 'string') return null;
+    const match = text.slice(0, 4096).match(/^[ \t]*1[ \t]+GEDC[ \t]*\r?\n(?:[ \t]*[2-9][^\r\n]*\r?\n)*?[ \t]*2[ \t]+VERS[ \t]+([^\s]+)/m);
+    return match ? match[1] : null;
+}
+
+/**
+ * Vrai si le texte déclare GEDCOM 7.x
+ * @param {string} text - Début du fichier GEDCOM
+ * @returns {boolean}
+ */
+export function isGedcom7(text) {
+    const version = readGedcomVersion(text);
+    return version !== null && /^7(\.|$)/.test(version);
+}
+
+/**
+ * Réécrit un texte GEDCOM 7.0 avec les structures 5.5.1 équivalentes
+ * Fonctionne sur un fichier complet ou sur une suite d'enregistrements complets
+ * (mode streaming). Les lignes non concernées sont conservées telles quelles.
+ * @param {string} text - Texte GEDCOM 7.0
+ * @param {number[]} [sourceLines] - Reçoit, pour chaque ligne produite, sa ligne d'origine (à partir de 1) :
+ *        les structures retirées décalent les lignes suivantes
+ * @returns {string} Texte normalisé (fins de ligne LF)
+ *
+ * @example
+ * normalizeGedcom7('0 @N1@ SNOTE Texte\n1 BIRT\n2 DATE 1900\n3 PHRASE Au printemps')
+ * // → '0 @N1@ NOTE Texte\n1 BIRT\n2 DATE 1900 (Au printemps)'
+ */
+export function normalizeGedcom7(text, sourceLines = null) {
+    const output = [];
+    const parents = [];
+    let skipLevel = null;
+    let phrase = null;
+
+    for (const [index, line] of text.split(/\r\n|\r|\n/).entries()) {
+        const match = line.match(LINE_PATTERN);
+        if (!match) {
+            output.push({ raw: line, source: index + 1 });
+            continue;
+        }
+
+        const level = Number(match[1]);
+        const node = { raw: line, source: index + 1, level, pointer: match[2] || null, tag: match[3], value: match[4] ?? null };
+
+        if (skipLevel !== null) {
+            if (level > skipLevel) {
+                if (phrase && node.tag === 'CONT') phrase.parts.push(node.value || '');
+                continue;
+            }
+            skipLevel = null;
+            if (phrase) {
+                _applyPhrase(phrase);
+                phrase = null;
+            }
+        }
+
+        parents.length = level;
+        const parent = level > 0 ? parents[level - 1] : null;
+
+        if (node.value === VOID_POINTER) {
+            skipLevel = level;
+            continue;
+        }
+
+        if (node.tag === 'PHRASE' && parent && (parent.tag === 'DATE' || parent.tag === 'SDATE')) {
+            phrase = { date: parent, parts: [node.value || ''] };
+            skipLevel = level;
+            continue;
+        }
+
+        if (node.tag === 'SNOTE') {
+            node.tag = 'NOTE';
+            node.raw = null;
+        } else if (node.tag === 'FORM' && parent && parent.tag === 'FILE' && node.value) {
+            const format = MIME_FORMATS[node.value.toLowerCase()];
+            if (format) {
+                node.value = format;
+                node.raw = null;
+            }
+        }
+
+        parents[level] = node;
+        output.push(node);
+    }
+
+    if (phrase) _applyPhrase(phrase);
+
+    if (sourceLines) sourceLines.push(...output.map(node => node.source));
+    return output.map(_formatLine).join('\n');
+}
+
+/**
+ * Ajoute la phrase de date entre parenthèses à la valeur DATE (syntaxe 5.5.1)
+ * @private
+ */
+function _applyPhrase({ date, parts }) {
+    const text = parts.join(' ').trim();
+    if (text) {
+        date.value = date.value ? `${date.value} (${text})` : `(${text})`;
+        date.raw = null;
+    }
+}
+
+/**
+ * @private
+ */
+function _formatLine(node) {
+    if (node.raw !== null) return node.raw;
+    const pointer = node.pointer ? `${node.pointer} ` : '';
+    const value = node.value !== null && node.value !== '' ? ` ${node.value}` : '';
+    return `${node.level} ${pointer}${node.tag}${value}`;
+}
+
+export { MIME_FORMATS };
@@ -5,6 +5,8 @@
  */
 
 import { GeneaFanParser } from './parser/GeneaFanParser.js';
+import { GedcomWriter } from './writer/GedcomWriter.js';
+import { RelationshipCalculator } from './kinship/RelationshipCalculator.js';
 
 /**
  * Parse un fichier GEDCOM pour geneafan
@@ -17,8 +19,129 @@ export async function parseGedcomToGeneaFan(data, options = {}) {
     return parser.parse(data);
 }
 
+/**
+ * Parse un fichier GEDCOM pour geneafan (synchrone)
+ * @param {string|ArrayBuffer} data - Données GEDCOM
+ * @param {Object} options - Options de parsing
+ * @returns {Object} Cache individus + familyTownsStore pour geneafan
+ */
+export function parseGedcomToGeneaFanSync(data, options = {}) {
+    const parser = new GeneaFanParser(options);
+    return parser.parseSync(data);
+}
+
+/**
+ * Parse un gros fichier GEDCOM en streaming (individus émis par lots)
+ * @param {ReadableStream|import('stream').Readable} stream - Flux d'octets GEDCOM
+ * @param {Object} options - Options de parsing, plus batchSize et onBatch
+ * @returns {Promise<Object>} familyTownsStore + statistiques (les individus passent par onBatch)
+ */
+export async function parseGedcomStream(stream, options = {}) {
+    const { onBatch, batchSize, ...parserOptions } = options;
+    const parser = new GeneaFanParser(parserOptions);
+    return parser.parseStream(stream, { onBatch, ...(batchSize ? { batchSize } : {}) });
+}
+
+/**
+ * Exporte les caches d'un parsing vers un fichier GEDCOM 5.5.1
+ * @param {Object} caches - Résultat de parseGedcomToGeneaFan
+ * @param {Object} options - Options de GedcomWriter (charset, lineEnding, placeForm...)
+ * @returns {string} Texte GEDCOM (voir GedcomWriter.writeBytes pour les octets encodés)
+ */
+export function writeGedcom(caches, options = {}) {
+    return new GedcomWriter(options).write(caches);
+}
+
+/**
+ * Lien de parenté entre deux individus d'un individualsCache
+ * Pour plusieurs calculs sur le même cache, réutiliser un RelationshipCalculator (ascendances mémorisées)
+ * @param {Map|Object} individualsCache - Cache compressé
+ * @param {string} fromPointer - Individu de référence
+ * @param {string} toPointer - Individu dont on cherche le lien
+ * @param {Object} options - { language: 'fr' | 'en', maxGenerations }
+ * @returns {Object|null} Relation (type, kind, label, commonAncestors, path...)
+ */
+export function getRelationship(individualsCache, fromPointer, toPointer, options = {}) {
+    return new RelationshipCalculator(individualsCache, options).getRelationship(fromPointer, toPointer);
+}
+
 // Retourne: { individualsCache, familyTownsStore, ... }
 
+export { GeneaFanParser };
+export { GedcomWriter };
+export { RelationshipCalculator };
+export { StreamingParser } from './parser/StreamingParser.js';
+export { ParallelExtractor } from './parser/ParallelExtractor.js';
+export { preloadGeoData } from './utils/geoUtils.js';
+
+// Fournisseurs des données géographiques (options.geoDataProvider) : embarquées, en mémoire, HTTP
+export { GeoDataProvider, BundledGeoDataProvider, MemoryGeoDataProvider, HttpGeoDataProvider, GEO_DATA_URL } from './utils/geoDataProvider.js';
+export { extractPlaceComponents, extractPlaceComponentsSync, extractGeolocation } from './utils/geoUtils.js';
+
+// Coordonnées MAP/LATI/LONG (DMS, DM, décimal, hémisphères, virgule décimale, inversion latitude/longitude)
+export { parseCoordinate, parseCoordinates, parseCoordinateText, COORDINATE_LIMITS } from './utils/coordinates.js';
+// Centre et regroupement des coordonnées d'un même lieu (homonymes éloignés, doublons proches)
+export { coordinateDistance, coordinateCentroid, clusterCoordinates } from './utils/coordinates.js';
+
+// Clés de lieux hiérarchiques (placeKeys: 'hierarchical') et migration depuis les clés de ville
+export { hierarchicalPlaceKey, townPlaceKey, placeKeyMigration, migratePlaceKeys, PLACE_KEY_SEPARATOR } from './utils/placeKeys.js';
+// Événements des lieux séparés en homonymes (résultat splitPlaceKeys du streaming)
+export { applySplitPlaceKeys } from './utils/placeKeys.js';
+
+// Format PLAC (FORM) : contexte par parsing et niveaux structurés des lieux
+export { readPlacForm, applyPlacForm, createPlaceContext, placeLevels, PLACE_LEVELS } from './utils/placFormat.js';
+
+// Progression par enregistrement (onProgress) et annulation (signal)
+export { PROGRESS_PHASES } from './utils/progress.js';
+
+// Décodage des jeux de caractères (ANSEL, ANSI/CP1252, MACINTOSH, IBMPC, UTF-8/16)
+export { detectCharset, decodeGedcomBuffer, createStreamDecoder, encodeText, CHARSETS } from './encoding/charsetDecoder.js';
+
+// Modèle de date GEDCOM (ABT, BEF, BET/AND, FROM/TO, INT, phrases)
+export { parseGedcomDate, encodeGedcomDate, decodeGedcomDate, formatGedcomDate } from './dates/gedcomDate.js';
+export { toGregorian } from './dates/calendars.js';
+
+// GEDCOM 7.0 (normalisation vers les structures 5.5.1) et archives GEDZIP (.gdz)
+export { readGedcomVersion, isGedcom7, normalizeGedcom7 } from './gedcom7/gedcom7Normalizer.js';
+export { GedzipArchive } from './gedcom7/GedzipArchive.js';
+
+// Lecture du cache compressé (individualsCache ↔ objets lisibles)
+export { expandIndividual, compactIndividual, expandCache, compactCache } from './compression/cacheExpansion.js';
+export { compressEvent, decompressEvent, decompressEventType } from './compression/eventCompression.js';
+
+// Liens de parenté (ancêtres communs, cousins, demi-liens, alliances), en français et en anglais
+export { formatKinship, KINSHIP_LANGUAGES } from './kinship/kinshipTerms.js';
+
+// Numérotations Sosa-Stradonitz, d'Aboville et Henry (champ gen)
+export { computeSosaNumbers, computeDescendantNumbers, numberGenealogy, getSosaGeneration, DESCENDANT_NUMBERING_SYSTEMS } from './kinship/genealogicalNumbering.js';
+
+// Implexe (ancêtres multiples) et coefficient de consanguinité
+export { analyzeImplex, computeInbreedingCoefficient } from './kinship/implexAnalysis.js';
+
+// Extraction d'ascendance / descendance (caches réduits)
+export { extractAncestry, extractDescendancy, pruneCaches } from './kinship/subtreeExtraction.js';
+
+// Validation de cohérence généalogique (result.validation)
+export { validateGenealogy, VALIDATION_RULES, VALIDATION_THRESHOLDS } from './validation/genealogyValidator.js';
+
+// Conformité structurelle du fichier (result.conformance)
+export { checkGedcomStructure, STRUCTURE_RULES } from './validation/structureChecker.js';
+
+// Détection de doublons (blocage phonétique, score de similarité)
+export { findDuplicates, DUPLICATE_WEIGHTS } from './matching/duplicateFinder.js';
+export { soundex, normalizeName } from './matching/phonetics.js';
+
+// Index phonétique des noms (Soundex, Daitch–Mokotoff, Soundex2 français, FONE)
+export { daitchMokotoff, soundexFr } from './matching/phonetics.js';
+export { buildPhoneticIndex, searchPhoneticIndex, phoneticKeys, PHONETIC_ALGORITHMS } from './matching/phoneticIndex.js';
+
+// Fusion de deux arbres (renumérotation, individus identiques, conflits)
+export { mergeResults } from './matching/resultMerger.js';
+
+// Différences entre deux versions d'un arbre (rapport et JSON Patch RFC 6902)
+export { diffResults } from './diff/resultDiff.js';
+export { applyPatch, toJsonPointer, parseJsonPointer } from './diff/jsonPatch.js';
+
 // Export principal pour geneafan
 export const VERSION = '0.2.0';
-export const CACHE_VERSION = '2025.1';
\ No newline at end of file
+export const CACHE_VERSION = '2025.2';
\ No newline at end of file
@@ -0,0 +1,281 @@
+/**
+ * RelationshipCalculator - Calcul du lien de parenté entre deux individus
+ * Parcourt individualsCache (f, m, s) : ancêtres communs les plus proches,
+ * lien de sang (ascendant, frère, oncle, cousin...), demi-liens, conjoint,
+ * liens par alliance (beaux-parents, beaux-frères...) et familles recomposées
+ * (beau-père, beau-fils), avec le chemin d'un individu à l'autre.
+ */
+
+import { formatKinship } from './kinshipTerms.js';
+
+export class RelationshipCalculator {
+    /**
+     * @param {Map|Object} individualsCache - Cache compressé (Map, ou objet après JSON)
+     * @param {Object} [options]
+     */
+    constructor(individualsCache, options = {}) {
+        this.options = {
+            language: 'fr',         // 'fr' ou 'en' pour label
+            maxGenerations: 64,     // Profondeur maximale de remontée des ascendants
+            verbose: false,
+            ...options
+        };
+        
+        this.individuals = individualsCache instanceof Map ?
+            individualsCache : new Map(Object.entries(individualsCache || {}));
+        this.ancestorsMemo = new Map();
+    }
+    
+    /**
+     * Lien de parenté de toPointer vis-à-vis de fromPointer ("toPointer est le ... de fromPointer")
+     * @param {string} fromPointer - Individu de référence
+     * @param {string} toPointer - Individu dont on cherche le lien
+     * @param {Object} [options] - { language } pour ce seul appel
+     * @returns {Object|null} Relation, ou null si un des pointeurs est inconnu
+     *
+     * @example
+     * calculator.getRelationship('@I1@', '@I9@')
+     * // → { type: 'blood', kind: 'cousin', generations: { from: 3, to: 4 }, degree: 2, removed: 1,
+     * //     half: false, label: 'cousin issu de germain (1 génération d'écart)',
+     * //     commonAncestors: ['@I20@', '@I21@'], path: [{ pointer: '@I1@', relation: null }, ...] }
+     */
+    getRelationship(fromPointer, toPointer, options = {}) {
+        if (!this.individuals.has(fromPointer) || !this.individuals.has(toPointer)) return null;
+        
+        const language = options.language || this.options.language;
+        const relationship = this._findRelationship(fromPointer, toPointer);
+        relationship.label = formatKinship(relationship, language);
+        
+        this._log(`${fromPointer} → ${toPointer} : ${relationship.label}`);
+        return relationship;
+    }
+    
+    /**
+     * Tous les ancêtres communs de deux individus, du plus proche au plus éloigné
+     * Un individu est son propre ancêtre à la génération 0 (ascendance directe)
+     * @param {string} fromPointer
+     * @param {string} toPointer
+     * @returns {Array<{pointer: string, generations: {from: number, to: number}}>}
+     */
+    findCommonAncestors(fromPointer, toPointer) {
+        const fromAncestors = this.getAncestors(fromPointer);
+        const toAncestors = this.getAncestors(toPointer);
+        const common = [];
+        
+        for (const [pointer, { generations }] of fromAncestors) {
+            const other = toAncestors.get(pointer);
+            if (other) common.push({ pointer, generations: { from: generations, to: other.generations } });
+        }
+        
+        return common.sort((a, b) =>
+            (a.generations.from + a.generations.to) - (b.generations.from + b.generations.to) ||
+            Math.abs(a.generations.from - a.generations.to) - Math.abs(b.generations.from - b.generations.to));
+    }
+    
+    /**
+     * Ascendants d'un individu (lui-même inclus) par parcours en largeur
+     * En cas d'implexe, chaque ancêtre est gardé à sa génération la plus proche
+     * @param {string} pointer
+     * @returns {Map<string, {generations: number, child: string|null}>} child = descendant par lequel il est atteint
+     */
+    getAncestors(pointer) {
+        if (this.ancestorsMemo.has(pointer)) return this.ancestorsMemo.get(pointer);
+        
+        const ancestors = new Map([[pointer, { generations: 0, child: null }]]);
+        let frontier = [pointer];
+        
+        for (let generation = 1; frontier.length > 0 && generation <= this.options.maxGenerations; generation++) {
+            const next = [];
+            for (const current of frontier) {
+                for (const parent of this._parents(current)) {
+                    if (ancestors.has(parent)) continue;
+                    ancestors.set(parent, { generations: generation, child: current });
+                    next.push(parent);
+                }
+            }
+            frontier = next;
+        }
+        
+        this.ancestorsMemo.set(pointer, ancestors);
+        return ancestors;
+    }
+    
+    /**
+     * Ordre de recherche : soi-même, sang, conjoint, alliance
+     * @private
+     */
+    _findRelationship(fromPointer, toPointer) {
+        const sex = this._sex(toPointer);
+        
+        if (fromPointer === toPointer) {
+            return { from: fromPointer, to: toPointer, type: 'self', kind: null, sex, commonAncestors: [], path: [{ pointer: fromPointer, relation: null }] };
+        }
+        
+        const blood = this._bloodRelationship(fromPointer, toPointer);
+        if (blood) return { from: fromPointer, to: toPointer, type: 'blood', ...blood, sex };
+        
+        if (this._spouses(fromPointer).includes(toPointer)) {
+            return {
+                from: fromPointer, to: toPointer, type: 'spouse', kind: null, sex, commonAncestors: [],
+                path: [{ pointer: fromPointer, relation: null }, { pointer: toPointer, relation: 'spouse' }]
+            };
+        }
+        
+        const affinal = this._affinalRelationship(fromPointer, toPointer);
+        if (affinal) return { from: fromPointer, to: toPointer, ...affinal, sex };
+        
+        return { from: fromPointer, to: toPointer, type: 'none', kind: null, sex, commonAncestors: [], path: [] };
+    }
+    
+    /**
+     * Lien de sang par les ancêtres communs les plus proches
+     * @private
+     */
+    _bloodRelationship(fromPointer, toPointer) {
+        const common = this.findCommonAncestors(fromPointer, toPointer);
+        if (common.length === 0) return null;
+        
+        const { generations } = common[0];
+        const closest = common.filter(ancestor =>
+            ancestor.generations.from === generations.from && ancestor.generations.to === generations.to);
+        const ancestor = closest[0].pointer;
+        
+        const upPath = this._pathToAncestor(fromPointer, ancestor);
+        const downPath = this._pathToAncestor(toPointer, ancestor).reverse();
+        
+        return {
+            kind: _bloodKind(generations),
+            generations: { ...generations },
+            ...(generations.from >= 2 && generations.to >= 2 ? {
+                degree: Math.min(generations.from, generations.to) - 1,
+                removed: Math.abs(generations.from - generations.to)
+            } : {}),
+            half: this._isHalf(closest, upPath, downPath, generations),
+            commonAncestors: closest.map(({ pointer }) => pointer),
+            path: [
+                { pointer: fromPointer, relation: null },
+                ...upPath.slice(1).map(pointer => ({ pointer, relation: 'parent' })),
+                ...downPath.slice(1).map(pointer => ({ pointer, relation: 'child' }))
+            ]
+        };
+    }
+    
+    /**
+     * Demi-lien : un seul ancêtre commun le plus proche, et les deux branches
+     * en descendent par des enfants dont l'autre parent, connu des deux côtés, diffère
+     * (un parent inconnu n'est pas un autre parent : le lien reste entier)
+     * @private
+     */
+    _isHalf(closest, upPath, downPath, generations) {
+        if (generations.from === 0 || generations.to === 0 || closest.length > 1) return false;
+        
+        const ancestor = closest[0].pointer;
+        const fromParent = this._otherParent(upPath[upPath.length - 2], ancestor);
+        const toParent = this._otherParent(downPath[1], ancestor);
+        return Boolean(fromParent && toParent) && fromParent !== toParent;
+    }
+    
+    /**
+     * Lien par alliance le plus proche : parent par le sang d'un conjoint
+     * (beau-père, beau-frère, beau-fils) ou conjoint d'un parent par le sang
+     * (gendre, belle-sœur, belle-mère, tante par alliance)
+     * @private
+     */
+    _affinalRelationship(fromPointer, toPointer) {
+        const candidates = [];
+        
+        for (const spouse of this._spouses(fromPointer)) {
+            const base = this._bloodRelationship(spouse, toPointer);
+            if (!base) continue;
+            candidates.push({
+                ...base,
+                type: base.kind === 'descendant' ? 'step' : 'in-law',
+                via: spouse,
+                path: [{ pointer: fromPointer, relation: null }, { pointer: spouse, relation: 'spouse' }, ...base.path.slice(1)]
+            });
+        }
+        
+        for (const spouse of this._spouses(toPointer)) {
+            if (spouse === fromPointer) continue;
+            const base = this._bloodRelationship(fromPointer, spouse);
+            if (!base) continue;
+            candidates.push({
+                ...base,
+                type: base.kind === 'ancestor' ? 'step' : 'in-law',
+                via: spouse,
+                path: [...base.path, { pointer: toPointer, relation: 'spouse' }]
+            });
+        }
+        
+        if (candidates.length === 0) return null;
+        
+        const distance = ({ generations }) => generations.from + generations.to;
+        return candidates.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+    }
+    
+    /**
+     * Individus de pointer jusqu'à ancestor (inclus), en remontant les filiations
+     * @private
+     */
+    _pathToAncestor(pointer, ancestor) {
+        const ancestors = this.getAncestors(pointer);
+        const path = [];
+        for (let current = ancestor; current; current = ancestors.get(current).child) {
+            path.push(current);
+        }
+        return path.reverse();
+    }
+    
+    /**
+     * @private
+     */
+    _parents(pointer) {
+        const individual = this.individuals.get(pointer);
+        if (!individual) return [];
+        return [individual.f, individual.m].filter(Boolean);
+    }
+    
+    /**
+     * @private
+     */
+    _otherParent(pointer, parent) {
+        const individual = this.individuals.get(pointer);
+        if (!individual) return null;
+        return (individual.f === parent ? individual.m : individual.f) || null;
+    }
+    
+    /**
+     * @private
+     */
+    _spouses(pointer) {
+        const individual = this.individuals.get(pointer);
+        return (individual && individual.s) || [];
+    }
+    
+    /**
+     * @private
+     */
+    _sex(pointer) {
+        const individual = this.individuals.get(pointer);
+        return (individual && individual.g) || 'U';
+    }
+    
+    _log(message) {
+        if (this.options.verbose) {
+            console.log(`[RelationshipCalculator] ${message}`);
+        }
+    }
+}
+
+/**
+ * Nature du lien de sang selon les générations jusqu'à l'ancêtre commun
+ * @private
+ */
+function _bloodKind({ from, to }) {
+    if (to === 0) return 'ancestor';
+    if (from === 0) return 'descendant';
+    if (from === 1 && to === 1) return 'sibling';
+    if (to === 1) return 'uncle';
+    if (from === 1) return 'nephew';
+    return 'cousin';
+}
@@ -0,0 +1,241 @@
+/**
+ * Numérotations généalogiques à partir d'un individu racine (de cujus)
+ *
+ *   Sosa-Stradonitz (Ahnentafel) : racine 1, père 2n, mère 2n + 1
+ *   d'Aboville : racine 1, enfants 1.1, 1.2, petits-enfants 1.2.1...
+ *   Henry : racine 1, enfants 11, 12, ..., 1(10), petits-enfants 121...
+ *
+ * Implexe : un ancêtre atteint par plusieurs chemins reçoit plusieurs numéros
+ * (de même pour un descendant issu d'un mariage entre cousins).
+ * Le parcours se fait génération par génération, une seule visite par individu et par génération :
+ * paths compte les chemins (positions) et seuls les maxNumbers plus petits numéros sont conservés,
+ * sans quoi un pedigree qui se referme double ses numéros à chaque génération.
+ * Les enfants sont numérotés dans l'ordre des événements fc du parent (ordre des CHIL),
+ * puis dans l'ordre de individualsCache.
+ *
+ * Le champ gen (voir FIELD_COMPRESSION_MAP) reçoit la génération relative à la racine :
+ * 0 pour la racine, positive pour les ascendants (parents 1), négative pour les descendants (enfants -1).
+ */
+
+import { EVENT_TYPE_COMPRESSION } from '../compression/eventCompression.js';
+
+// 2^50 : les numéros Sosa restent des entiers exacts
+const DEFAULT_MAX_GENERATIONS = 50;
+const DEFAULT_MAX_NUMBERS = 100;
+
+const CHILD_BIRTH_CODE = EVENT_TYPE_COMPRESSION['child-birth'];
+
+export const DESCENDANT_NUMBERING_SYSTEMS = ['aboville', 'henry'];
+
+/**
+ * Numéros Sosa des ascendants de la racine
+ * @param {Map|Object} individualsCache - Cache compressé (Map, ou objet après JSON)
+ * @param {string} rootPointer - De cujus (Sosa 1)
+ * @param {Object} [options]
+ * @param {number} [options.maxGenerations=50] - Générations remontées
+ * @param {number} [options.maxNumbers=100] - Numéros conservés par ancêtre (les plus petits)
+ * @returns {Map<string, {sosa: number[], generation: number, paths: number}>} Par numéro croissant ;
+ *   generation = 0 pour la racine (première génération atteinte), paths = nombre de chemins depuis la racine
+ *
+ * @example
+ * computeSosaNumbers(individualsCache, '@I1@').get('@I7@')
+ * // → { sosa: [6, 10], generation: 2, paths: 2 } (grand-parent par les deux branches)
+ */
+export function computeSosaNumbers(individualsCache, rootPointer, options = {}) {
+    const { maxNumbers = DEFAULT_MAX_NUMBERS } = options;
+    const numbers = new Map();
+
+    for (const { generation, ancestors } of sosaGenerations(individualsCache, rootPointer, options)) {
+        for (const [pointer, visit] of ancestors) {
+            const entry = numbers.get(pointer);
+            if (!entry) {
+                numbers.set(pointer, { sosa: visit.numbers, generation, paths: visit.paths });
+                continue;
+            }
+            // Les numéros d'une génération plus lointaine sont toujours plus grands
+            entry.sosa = entry.sosa.concat(visit.numbers).slice(0, maxNumbers);
+            entry.paths += visit.paths;
+        }
+    }
+
+    return numbers;
+}
+
+/**
+ * Ascendants de la racine, une génération à la fois
+ * @param {Map|Object} individualsCache - Cache compressé
+ * @param {string} rootPointer - De cujus (Sosa 1)
+ * @param {Object} [options]
+ * @param {number} [options.maxGenerations=50]
+ * @param {number} [options.maxNumbers=100] - Numéros conservés par ancêtre et par génération
+ * @yields {{generation: number, ancestors: Map<string, {numbers: number[], paths: number}>}} Par plus petit numéro croissant
+ */
+export function* sosaGenerations(individualsCache, rootPointer, options = {}) {
+    const { maxGenerations = DEFAULT_MAX_GENERATIONS, maxNumbers = DEFAULT_MAX_NUMBERS } = options;
+    const individuals = _asMap(individualsCache);
+    if (!individuals.has(rootPointer)) return;
+
+    let ancestors = new Map([[rootPointer, { numbers: [1], paths: 1 }]]);
+    for (let generation = 0; ancestors.size > 0 && generation <= maxGenerations; generation++) {
+        yield { generation, ancestors };
+
+        const parents = new Map();
+        for (const [pointer, { numbers, paths }] of ancestors) {
+            const { f, m } = individuals.get(pointer);
+            if (f && individuals.has(f)) _visit(parents, f, numbers.map(n => n * 2), paths, maxNumbers, _byNumber);
+            if (m && individuals.has(m)) _visit(parents, m, numbers.map(n => n * 2 + 1), paths, maxNumbers, _byNumber);
+        }
+        ancestors = new Map([...parents].sort(([, a], [, b]) => a.numbers[0] - b.numbers[0]));
+    }
+}
+
+/**
+ * Numéros d'Aboville ou Henry des descendants de la racine
+ * @param {Map|Object} individualsCache - Cache compressé (Map, ou objet après JSON)
+ * @param {string} rootPointer - Ancêtre (numéro 1)
+ * @param {Object} [options]
+ * @param {string} [options.system='aboville'] - 'aboville' ou 'henry'
+ * @param {number} [options.maxGenerations=50] - Générations descendues
+ * @param {number} [options.maxNumbers=100] - Numéros conservés par descendant (dans l'ordre de numérotation)
+ * @returns {Map<string, {numbers: string[], generation: number, paths: number}>} generation = 0 pour la racine
+ *
+ * @example
+ * computeDescendantNumbers(individualsCache, '@I1@').get('@I12@')   // → { numbers: ['1.2.1'], generation: 2, paths: 1 }
+ * computeDescendantNumbers(individualsCache, '@I1@', { system: 'henry' }).get('@I12@') // → { numbers: ['121'], generation: 2, paths: 1 }
+ */
+export function computeDescendantNumbers(individualsCache, rootPointer, options = {}) {
+    const { system = 'aboville', maxGenerations = DEFAULT_MAX_GENERATIONS, maxNumbers = DEFAULT_MAX_NUMBERS } = options;
+    if (!DESCENDANT_NUMBERING_SYSTEMS.includes(system)) {
+        throw new Error(`Numérotation descendante inconnue : ${system} (${DESCENDANT_NUMBERING_SYSTEMS.join(', ')})`);
+    }
+
+    const individuals = _asMap(individualsCache);
+    const numbers = new Map();
+    if (!individuals.has(rootPointer)) return numbers;
+
+    const children = _childrenIndex(individuals);
+    let frontier = new Map([[rootPointer, { numbers: ['1'], paths: 1 }]]);
+    for (let generation = 0; frontier.size > 0 && generation <= maxGenerations; generation++) {
+        const next = new Map();
+        for (const [pointer, { numbers: parentNumbers, paths }] of frontier) {
+            const entry = numbers.get(pointer);
+            if (entry) {
+                entry.numbers = entry.numbers.concat(parentNumbers).slice(0, maxNumbers);
+                entry.paths += paths;
+            } else {
+                numbers.set(pointer, { numbers: parentNumbers, generation, paths });
+            }
+
+            (children.get(pointer) || []).forEach((child, index) => {
+                const childNumbers = parentNumbers.map(number => _childNumber(number, index + 1, system));
+                _visit(next, child, childNumbers, paths, maxNumbers);
+            });
+        }
+        frontier = next;
+    }
+
+    return numbers;
+}
+
+/**
+ * Ascendants (Sosa) et descendants (d'Aboville/Henry) d'une racine, avec la génération relative
+ * @param {Map|Object} individualsCache - Cache compressé
+ * @param {string} rootPointer - De cujus
+ * @param {Object} [options]
+ * @param {string} [options.system='aboville'] - Numérotation des descendants
+ * @param {number} [options.maxGenerations=50]
+ * @param {number} [options.maxNumbers=100] - Numéros conservés par individu
+ * @param {boolean} [options.storeGeneration=false] - Écrit gen dans les entrées du cache (et le retire des autres)
+ * @returns {{root: string, sosa: Map, descendants: Map, generations: Map<string, number>}}
+ */
+export function numberGenealogy(individualsCache, rootPointer, options = {}) {
+    const { storeGeneration = false, ...numberingOptions } = options;
+    const sosa = computeSosaNumbers(individualsCache, rootPointer, numberingOptions);
+    const descendants = computeDescendantNumbers(individualsCache, rootPointer, numberingOptions);
+
+    const generations = new Map();
+    for (const [pointer, { generation }] of descendants) generations.set(pointer, -generation);
+    for (const [pointer, { generation }] of sosa) generations.set(pointer, generation);
+
+    if (storeGeneration) {
+        for (const [pointer, individual] of _asMap(individualsCache)) {
+            if (generations.has(pointer)) individual.gen = generations.get(pointer);
+            else delete individual.gen;
+        }
+    }
+
+    return { root: rootPointer, sosa, descendants, generations };
+}
+
+/**
+ * Génération Sosa d'un numéro (1 → 0, 2-3 → 1, 4-7 → 2...)
+ * @param {number} sosa
+ * @returns {number}
+ */
+export function getSosaGeneration(sosa) {
+    return Math.floor(Math.log2(sosa));
+}
+
+/**
+ * Ajoute les chemins arrivant sur un individu pour la génération suivante
+ * @private
+ */
+function _visit(visits, pointer, numbers, paths, maxNumbers, compare) {
+    const visit = visits.get(pointer);
+    if (!visit) {
+        visits.set(pointer, { numbers: numbers.slice(0, maxNumbers), paths });
+        return;
+    }
+    const merged = visit.numbers.concat(numbers);
+    if (compare) merged.sort(compare);
+    visit.numbers = merged.slice(0, maxNumbers);
+    visit.paths += paths;
+}
+
+/**
+ * @private
+ */
+function _byNumber(a, b) {
+    return a - b;
+}
+
+/**
+ * @private
+ */
+function _childNumber(parentNumber, rank, system) {
+    if (system === 'henry') return `${parentNumber}${rank <= 9 ? rank : `(${rank})`}`;
+    return `${parentNumber}.${rank}`;
+}
+
+/**
+ * Parent → enfants, dans l'ordre des événements fc du parent puis du cache
+ * @private
+ */
+function _childrenIndex(individuals) {
+    const children = new Map();
+    for (const [pointer, individual] of individuals) {
+        for (const parent of new Set([individual.f, individual.m])) {
+            if (!parent || !individuals.has(parent)) continue;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(pointer);
+        }
+    }
+
+    for (const [parent, list] of children) {
+        const order = (individuals.get(parent).e || [])
+            .filter(event => event.t === CHILD_BIRTH_CODE && event.m && event.m.c)
+            .map(event => event.m.c);
+        const rank = pointer => (order.includes(pointer) ? order.indexOf(pointer) : order.length);
+        list.sort((a, b) => rank(a) - rank(b));
+    }
+
+    return children;
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
@@ -0,0 +1,174 @@
+/**
+ * Analyse de l'implexe (pedigree collapse) d'un individu racine
+ *
+ * Un ancêtre atteint par plusieurs chemins porte plusieurs numéros Sosa.
+ * Les positions sont comptées par chemins (paths), pas en énumérant les numéros :
+ * un pedigree qui se referme sur 50 générations reste linéaire en nombre d'ancêtres.
+ * Taux d'implexe d'une génération = (positions connues - ancêtres distincts) / positions connues.
+ * Coefficient de consanguinité : F(x) = φ(père, mère), avec le coefficient de parenté
+ *   φ(a, a) = (1 + F(a)) / 2
+ *   φ(a, b) = (φ(père de a, b) + φ(mère de a, b)) / 2, a n'étant pas ascendant de b
+ * (équivalent à la méthode des chemins de Wright, implexes imbriqués compris).
+ *
+ * Le rapport ne contient que des objets et des tableaux (sérialisable en JSON).
+ */
+
+import { RelationshipCalculator } from './RelationshipCalculator.js';
+import { computeSosaNumbers, sosaGenerations } from './genealogicalNumbering.js';
+
+/**
+ * Rapport d'implexe des ascendants d'une racine
+ * @param {Map|Object} individualsCache - Cache compressé (Map, ou objet après JSON)
+ * @param {string} rootPointer - De cujus
+ * @param {Object} [options]
+ * @param {number} [options.maxGenerations=50] - Générations analysées
+ * @param {number} [options.maxNumbers=100] - Numéros Sosa listés par ancêtre (les plus petits)
+ * @param {string} [options.language='fr'] - Langue du lien entre les conjoints apparentés
+ * @returns {Object|null} Rapport, ou null si la racine est inconnue
+ *
+ * @example
+ * analyzeImplex(individualsCache, '@I1@')
+ * // → { root: '@I1@', ancestors: 12, positions: 14, implexRate: 0.1429, inbreeding: 0.0625,
+ * //     generations: [{ generation: 1, theoretical: 2, known: 2, distinct: 2, completeness: 1, implexRate: 0 }, ...],
+ * //     duplicatedAncestors: [{ pointer: '@I8@', sosa: [8, 14], paths: 2, generations: [3] }, ...],
+ * //     couples: [{ father: '@I2@', mother: '@I3@', child: '@I1@', sosa: [1], relationship: 'cousine germaine',
+ * //                 commonAncestors: ['@I8@', '@I9@'], inbreeding: 0.0625 }] }
+ */
+export function analyzeImplex(individualsCache, rootPointer, options = {}) {
+    const { maxGenerations = 50, maxNumbers, language = 'fr' } = options;
+    const individuals = _asMap(individualsCache);
+    if (!individuals.has(rootPointer)) return null;
+
+    const sosa = computeSosaNumbers(individuals, rootPointer, { maxGenerations, maxNumbers });
+    const calculator = new RelationshipCalculator(individuals, { language });
+    const inbreeding = _createInbreedingCalculator(individuals, calculator);
+
+    const generations = [];
+    const generationsOf = new Map();
+    for (const { generation, ancestors: visits } of sosaGenerations(individuals, rootPointer, { maxGenerations, maxNumbers: 1 })) {
+        for (const pointer of visits.keys()) {
+            if (!generationsOf.has(pointer)) generationsOf.set(pointer, []);
+            generationsOf.get(pointer).push(generation);
+        }
+        if (generation === 0) continue;
+
+        const known = [...visits.values()].reduce((total, { paths }) => total + paths, 0);
+        const distinct = visits.size;
+        const theoretical = 2 ** generation;
+        generations.push({
+            generation,
+            theoretical,
+            known,
+            distinct,
+            completeness: _round(known / theoretical),
+            implexRate: known > 0 ? _round((known - distinct) / known) : 0
+        });
+    }
+
+    const positions = generations.reduce((total, { known }) => total + known, 0);
+    const ancestors = sosa.size - 1;
+
+    const duplicatedAncestors = [...sosa]
+        .filter(([, { paths }]) => paths > 1)
+        .map(([pointer, { sosa: numbers, paths }]) => ({
+            pointer,
+            sosa: numbers,
+            paths,
+            generations: generationsOf.get(pointer)
+        }));
+
+    const couples = [];
+    for (const [child, { sosa: numbers }] of sosa) {
+        const { f: father, m: mother } = individuals.get(child);
+        if (!father || !mother || !individuals.has(father) || !individuals.has(mother)) continue;
+
+        const relationship = calculator.getRelationship(father, mother);
+        if (relationship.type !== 'blood') continue;
+
+        couples.push({
+            father,
+            mother,
+            child,
+            sosa: numbers,
+            relationship: relationship.label,
+            commonAncestors: relationship.commonAncestors,
+            inbreeding: _round(inbreeding(child))
+        });
+    }
+
+    return {
+        root: rootPointer,
+        ancestors,
+        positions,
+        implexRate: positions > 0 ? _round((positions - ancestors) / positions) : 0,
+        inbreeding: _round(inbreeding(rootPointer)),
+        generations,
+        duplicatedAncestors,
+        couples
+    };
+}
+
+/**
+ * Coefficient de consanguinité d'un individu (0 sans parents apparentés)
+ * @param {Map|Object} individualsCache - Cache compressé
+ * @param {string} pointer
+ * @returns {number} Ex. 0.0625 pour l'enfant de cousins germains
+ */
+export function computeInbreedingCoefficient(individualsCache, pointer) {
+    const individuals = _asMap(individualsCache);
+    if (!individuals.has(pointer)) return 0;
+    return _createInbreedingCalculator(individuals, new RelationshipCalculator(individuals))(pointer);
+}
+
+/**
+ * F(x) et φ(a, b) mémorisés sur un même cache
+ * @private
+ */
+function _createInbreedingCalculator(individuals, calculator) {
+    const kinshipMemo = new Map();
+
+    const inbreeding = (pointer) => {
+        const individual = individuals.get(pointer);
+        if (!individual) return 0;
+        return kinship(individual.f, individual.m);
+    };
+
+    const kinship = (a, b) => {
+        if (!a || !b || !individuals.has(a) || !individuals.has(b)) return 0;
+
+        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (kinshipMemo.has(key)) return kinshipMemo.get(key);
+        // Garde contre les boucles de filiation (données corrompues)
+        kinshipMemo.set(key, 0);
+
+        let value;
+        if (a === b) {
+            value = (1 + inbreeding(a)) / 2;
+        } else {
+            // On remonte depuis celui qui n'est pas l'ascendant de l'autre
+            const [younger, other] = calculator.getAncestors(b).has(a) ? [b, a] : [a, b];
+            const { f, m } = individuals.get(younger);
+            value = (kinship(f, other) + kinship(m, other)) / 2;
+        }
+
+        kinshipMemo.set(key, value);
+        return value;
+    };
+
+    return inbreeding;
+}
+
+/**
+ * @private
+ */
+function _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
@@ -0,0 +1,220 @@
+/**
+ * Termes de parenté français et anglais
+ * Nomme une relation calculée par RelationshipCalculator à partir de :
+ *   type        'self' | 'blood' | 'spouse' | 'step' | 'in-law' | 'none'
+ *   kind        'ancestor' | 'descendant' | 'sibling' | 'uncle' | 'nephew' | 'cousin' (lien de sang de base)
+ *   generations { from, to } : générations de chaque personne jusqu'à l'ancêtre commun
+ *   half        demi-lien (un seul parent commun)
+ *   sex         sexe de la personne nommée ("M", "F", "U")
+ *
+ * Conventions : "grand-uncle" / "grand-oncle" pour le frère d'un grand-parent ;
+ * cousins au sens généalogique (degré = générations jusqu'à l'ancêtre commun - 1).
+ */
+
+export const KINSHIP_LANGUAGES = ['fr', 'en'];
+
+// Formes [masculin, féminin, neutre] ; sans neutre, les deux formes sont proposées
+const EN_FORMS = {
+    spouse: ['husband', 'wife', 'spouse'],
+    parent: ['father', 'mother', 'parent'],
+    child: ['son', 'daughter', 'child'],
+    sibling: ['brother', 'sister', 'sibling'],
+    uncle: ['uncle', 'aunt', null],
+    nephew: ['nephew', 'niece', null],
+    cousin: ['cousin', 'cousin', 'cousin']
+};
+
+const FR_FORMS = {
+    spouse: ['mari', 'épouse', 'conjoint'],
+    parent: ['père', 'mère', 'parent'],
+    grandparent: ['grand-père', 'grand-mère', 'grand-parent'],
+    child: ['fils', 'fille', 'enfant'],
+    grandchild: ['petit-fils', 'petite-fille', 'petit-enfant'],
+    sibling: ['frère', 'sœur', null],
+    uncle: ['oncle', 'tante', null],
+    granduncle: ['grand-oncle', 'grand-tante', null],
+    nephew: ['neveu', 'nièce', null],
+    grandnephew: ['petit-neveu', 'petite-nièce', null],
+    cousin: ['cousin', 'cousine', null],
+    parentInLaw: ['beau-père', 'belle-mère', 'beau-parent'],
+    siblingInLaw: ['beau-frère', 'belle-sœur', null],
+    childInLaw: ['gendre', 'belle-fille', null],
+    stepchild: ['beau-fils', 'belle-fille', null]
+};
+
+/**
+ * Nomme une relation dans la langue demandée
+ * @param {Object} relationship - Relation (voir en-tête du module)
+ * @param {string} [language='fr'] - 'fr' ou 'en'
+ * @returns {string}
+ *
+ * @example
+ * formatKinship({ type: 'blood', kind: 'cousin', generations: { from: 4, to: 3 }, sex: 'F' }, 'en')
+ * // → "second cousin once removed"
+ * formatKinship({ type: 'blood', kind: 'uncle', generations: { from: 4, to: 1 }, sex: 'M' }, 'fr')
+ * // → "arrière-grand-oncle"
+ */
+export function formatKinship(relationship, language = 'fr') {
+    const terms = language === 'en' ? EN_TERMS : FR_TERMS;
+    if (!relationship || relationship.type === 'none') return terms.none;
+    if (relationship.type === 'self') return terms.self;
+    if (relationship.type === 'spouse') return _form(EN_FORMS.spouse, FR_FORMS.spouse, language, relationship.sex);
+
+    const base = terms.blood(relationship);
+    if (relationship.type === 'step') return terms.step(relationship, base);
+    if (relationship.type === 'in-law') return terms.inLaw(relationship, base);
+    return base;
+}
+
+const EN_TERMS = {
+    none: 'no known relationship',
+    self: 'self',
+
+    blood({ kind, generations, half, sex }) {
+        const halfPrefix = half ? 'half-' : '';
+        switch (kind) {
+            case 'ancestor':
+                return _genderedTerm(EN_FORMS.parent, sex, form => (generations.from === 1 ?
+                    form : `${_greatsEn(generations.from - 2)}grand${form}`));
+            case 'descendant':
+                return _genderedTerm(EN_FORMS.child, sex, form => (generations.to === 1 ?
+                    form : `${_greatsEn(generations.to - 2)}grand${form}`));
+            case 'sibling':
+                return _genderedTerm(EN_FORMS.sibling, sex, form => `${halfPrefix}${form}`);
+            case 'uncle':
+                return _genderedTerm(EN_FORMS.uncle, sex, form => (generations.from === 2 ?
+                    `${halfPrefix}${form}` : `${halfPrefix}${_greatsEn(generations.from - 3)}grand-${form}`));
+            case 'nephew':
+                return _genderedTerm(EN_FORMS.nephew, sex, form => (generations.to === 2 ?
+                    `${halfPrefix}${form}` : `${halfPrefix}${_greatsEn(generations.to - 3)}grand-${form}`));
+            default: {
+                const { degree, removed } = _cousinDegree(generations);
+                const cousin = `${half ? 'half ' : ''}${_ordinalEn(degree)} cousin`;
+                if (removed === 0) return cousin;
+                const times = removed === 1 ? 'once' : removed === 2 ? 'twice' : `${removed} times`;
+                return `${cousin} ${times} removed`;
+            }
+        }
+    },
+
+    step({ kind, generations }, base) {
+        const direct = kind === 'ancestor' ? generations.from === 1 : generations.to === 1;
+        return direct ? `step${base}` : `step-${base}`;
+    },
+
+    inLaw({ kind }, base) {
+        return ['ancestor', 'descendant', 'sibling'].includes(kind) ? `${base}-in-law` : `${base} by marriage`;
+    }
+};
+
+const FR_TERMS = {
+    none: 'aucun lien connu',
+    self: 'soi-même',
+
+    blood({ kind, generations, half, sex }) {
+        const halfPrefix = half ? 'demi-' : '';
+        switch (kind) {
+            case 'ancestor':
+                return generations.from === 1 ?
+                    _genderedTerm(FR_FORMS.parent, sex, undefined, ' ou ') :
+                    _genderedTerm(FR_FORMS.grandparent, sex, form => `${_arriere(generations.from - 2)}${form}`, ' ou ');
+            case 'descendant':
+                return generations.to === 1 ?
+                    _genderedTerm(FR_FORMS.child, sex, undefined, ' ou ') :
+                    _genderedTerm(FR_FORMS.grandchild, sex, form => `${_arriere(generations.to - 2)}${form}`, ' ou ');
+            case 'sibling':
+                return _genderedTerm(FR_FORMS.sibling, sex, form => `${halfPrefix}${form}`, ' ou ');
+            case 'uncle':
+                return generations.from === 2 ?
+                    _genderedTerm(FR_FORMS.uncle, sex, form => `${halfPrefix}${form}`, ' ou ') :
+                    _genderedTerm(FR_FORMS.granduncle, sex, form => `${halfPrefix}${_arriere(generations.from - 3)}${form}`, ' ou ');
+            case 'nephew':
+                return generations.to === 2 ?
+                    _genderedTerm(FR_FORMS.nephew, sex, form => `${halfPrefix}${form}`, ' ou ') :
+                    _genderedTerm(FR_FORMS.grandnephew, sex, form => `${halfPrefix}${_arriere(generations.to - 3)}${form}`, ' ou ');
+            default: {
+                const { degree, removed } = _cousinDegree(generations);
+                const cousin = _genderedTerm(FR_FORMS.cousin, sex, form => `${halfPrefix}${form}${_cousinQualifierFr(degree, form)}`, ' ou ');
+                if (removed === 0) return cousin;
+                return `${cousin} (${removed} génération${removed > 1 ? 's' : ''} d'écart)`;
+            }
+        }
+    },
+
+    step({ kind, generations, sex }, base) {
+        if (kind === 'ancestor' && generations.from === 1) return _genderedTerm(FR_FORMS.parentInLaw, sex, undefined, ' ou ');
+        if (kind === 'descendant' && generations.to === 1) return _genderedTerm(FR_FORMS.stepchild, sex, undefined, ' ou ');
+        return `${base} par alliance`;
+    },
+
+    inLaw({ kind, generations, sex }, base) {
+        if (kind === 'ancestor' && generations.from === 1) return _genderedTerm(FR_FORMS.parentInLaw, sex, undefined, ' ou ');
+        if (kind === 'sibling' && !base.startsWith('demi-')) return _genderedTerm(FR_FORMS.siblingInLaw, sex, undefined, ' ou ');
+        if (kind === 'descendant' && generations.to === 1) return _genderedTerm(FR_FORMS.childInLaw, sex, undefined, ' ou ');
+        return `${base} par alliance`;
+    }
+};
+
+/**
+ * @private
+ */
+function _form(enForms, frForms, language, sex) {
+    return language === 'en' ? _genderedTerm(enForms, sex) : _genderedTerm(frForms, sex, undefined, ' ou ');
+}
+
+/**
+ * Forme selon le sexe ; sexe inconnu sans forme neutre → "oncle ou tante"
+ * @private
+ */
+function _genderedTerm([male, female, neutral], sex, decorate = form => form, separator = ' or ') {
+    if (sex === 'M') return decorate(male);
+    if (sex === 'F') return decorate(female);
+    if (neutral) return decorate(neutral);
+    return `${decorate(male)}${separator}${decorate(female)}`;
+}
+
+/**
+ * Degré et décalage de générations de deux cousins
+ * @private
+ */
+function _cousinDegree({ from, to }) {
+    return { degree: Math.min(from, to) - 1, removed: Math.abs(from - to) };
+}
+
+/**
+ * "great-", "great-great-", puis "3rd great-"
+ * @private
+ */
+function _greatsEn(count) {
+    if (count <= 0) return '';
+    if (count <= 2) return 'great-'.repeat(count);
+    return `${_ordinalEn(count)} great-`;
+}
+
+/**
+ * @private
+ */
+function _ordinalEn(n) {
+    const words = ['zeroth', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+    if (n < words.length) return words[n];
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+    return `${n}${suffix}`;
+}
+
+/**
+ * @private
+ */
+function _arriere(count) {
+    return 'arrière-'.repeat(Math.max(0, count));
+}
+
+/**
+ * "germain", "issu de germain", puis "au 3e degré"
+ * @private
+ */
+function _cousinQualifierFr(degree, form) {
+    const feminine = form === 'cousine';
+    if (degree === 1) return feminine ? ' germaine' : ' germain';
+    if (degree === 2) return feminine ? ' issue de germain' : ' issu de germain';
+    return ` au ${degree}e degré`;
+}
@@ -0,0 +1,220 @@
+/**
+ * Extraction d'une ascendance ou d'une descendance sous forme de caches autonomes
+ *
+ * Le résultat a la forme d'un résultat de parsing réduit : individualsCache, notesCache,
+ * sourcesCache, mediaCache, repositoriesCache et familyTownsStore ne référencent plus
+ * que les individus retenus (utilisable tel quel par GedcomWriter ou un éventail).
+ * Les caches d'entrée ne sont pas modifiés.
+ */
+
+import { EVENT_TYPE_COMPRESSION } from '../compression/eventCompression.js';
+
+// Au-delà, une boucle de filiation (données corrompues) ne peut plus faire tourner le parcours
+const DEFAULT_MAX_GENERATIONS = 50;
+
+const CHILD_BIRTH_CODE = EVENT_TYPE_COMPRESSION['child-birth'];
+
+/**
+ * Ascendance d'un individu
+ * @param {Object} caches - Résultat de parsing (individualsCache, notesCache, sourcesCache...)
+ * @param {string} rootPointer - De cujus
+ * @param {Object} [options]
+ * @param {number} [options.generations=50] - Générations remontées (parents = 1)
+ * @returns {Object|null} Caches réduits et metadata.subset, ou null si la racine est inconnue
+ *
+ * @example
+ * const fan = extractAncestry(result, '@I1@', { generations: 7 });
+ * fan.individualsCache.size // → de cujus + ascendants jusqu'aux Sosa 128-255
+ */
+export function extractAncestry(caches, rootPointer, options = {}) {
+    const { generations = DEFAULT_MAX_GENERATIONS } = options;
+    const individuals = _asMap(caches.individualsCache);
+    if (!individuals.has(rootPointer)) return null;
+
+    const kept = _walk(rootPointer, generations, (pointer) => {
+        const { f, m } = individuals.get(pointer);
+        return [f, m].filter(parent => parent && individuals.has(parent));
+    });
+
+    return _subset(caches, kept, { type: 'ancestry', root: rootPointer, generations });
+}
+
+/**
+ * Descendance d'un individu
+ * @param {Object} caches - Résultat de parsing
+ * @param {string} rootPointer - Ancêtre
+ * @param {Object} [options]
+ * @param {number} [options.generations=50] - Générations descendues (enfants = 1)
+ * @param {boolean} [options.includeSpouses=false] - Ajoute les conjoints de la racine et des descendants
+ * @returns {Object|null} Caches réduits et metadata.subset, ou null si la racine est inconnue
+ *
+ * @example
+ * extractDescendancy(result, '@I1@', { includeSpouses: true }) // descendance du couple et conjoints
+ */
+export function extractDescendancy(caches, rootPointer, options = {}) {
+    const { generations = DEFAULT_MAX_GENERATIONS, includeSpouses = false } = options;
+    const individuals = _asMap(caches.individualsCache);
+    if (!individuals.has(rootPointer)) return null;
+
+    const children = new Map();
+    for (const [pointer, individual] of individuals) {
+        for (const parent of new Set([individual.f, individual.m])) {
+            if (!parent) continue;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(pointer);
+        }
+    }
+
+    const kept = _walk(rootPointer, generations, pointer => children.get(pointer) || []);
+
+    if (includeSpouses) {
+        for (const pointer of [...kept]) {
+            for (const spouse of individuals.get(pointer).s || []) {
+                if (individuals.has(spouse)) kept.add(spouse);
+            }
+        }
+    }
+
+    return _subset(caches, kept, { type: 'descendancy', root: rootPointer, generations, includeSpouses });
+}
+
+/**
+ * Réduit les caches d'un parsing à un ensemble d'individus
+ * @param {Object} caches - Résultat de parsing
+ * @param {Iterable<string>} pointers - Individus retenus (les pointeurs inconnus sont ignorés)
+ * @returns {Object} { individualsCache, notesCache, sourcesCache, mediaCache, repositoriesCache, familyTownsStore, metadata }
+ */
+export function pruneCaches(caches, pointers) {
+    return _subset(caches, new Set(pointers), { type: 'custom' });
+}
+
+/**
+ * Parcours en largeur limité en générations, chaque individu n'étant visité qu'une fois (implexe)
+ * @private
+ */
+function _walk(rootPointer, maxGenerations, next) {
+    const visited = new Set([rootPointer]);
+    let frontier = [rootPointer];
+    for (let generation = 1; frontier.length > 0 && generation <= maxGenerations; generation++) {
+        frontier = frontier.flatMap(next).filter(pointer => !visited.has(pointer));
+        frontier.forEach(pointer => visited.add(pointer));
+    }
+    return visited;
+}
+
+/**
+ * @private
+ */
+function _subset(caches, pointers, subset) {
+    const individuals = _asMap(caches.individualsCache);
+
+    const individualsCache = new Map();
+    for (const [pointer, individual] of individuals) {
+        if (pointers.has(pointer)) individualsCache.set(pointer, _pruneIndividual(individual, pointers));
+    }
+    const kept = new Set(individualsCache.keys());
+
+    // Références portées par les individus retenus
+    const noteIds = new Set();
+    const townKeys = new Set();
+    for (const individual of individualsCache.values()) {
+        (individual.n || []).forEach(id => noteIds.add(id));
+        for (const event of individual.e || []) {
+            if (event.l) townKeys.add(event.l);
+            ((event.m && event.m.n) || []).forEach(id => noteIds.add(id));
+            for (const ceremony of (event.m && event.m.ceremonies) || []) {
+                if (ceremony.l) townKeys.add(ceremony.l);
+                (ceremony.n || []).forEach(id => noteIds.add(id));
+            }
+        }
+    }
+
+    const sourcesCache = _pruneRecords(caches.sourcesCache, kept);
+    const mediaCache = _pruneRecords(caches.mediaCache, kept);
+
+    const repositoryIds = new Set();
+    for (const source of sourcesCache.values()) {
+        const repository = typeof source.repository === 'string' ? source.repository : source.repository?.pointer;
+        if (repository) repositoryIds.add(repository);
+    }
+    const repositoriesCache = new Map();
+    for (const [pointer, repository] of _asMap(caches.repositoriesCache)) {
+        if (!repositoryIds.has(pointer)) continue;
+        repositoriesCache.set(pointer, repository);
+        (repository.notes || []).forEach(note => note && note.pointer && noteIds.add(note.pointer));
+    }
+
+    const notesCache = _pruneRecords(caches.notesCache, kept, noteIds);
+
+    const familyTownsStore = {};
+    for (const [townKey, town] of Object.entries(caches.familyTownsStore || {})) {
+        if (townKeys.has(townKey)) familyTownsStore[townKey] = town;
+    }
+
+    return {
+        individualsCache,
+        notesCache,
+        sourcesCache,
+        mediaCache,
+        repositoriesCache,
+        familyTownsStore,
+        metadata: {
+            ...(caches.metadata || {}),
+            subset: { ...subset, individuals: individualsCache.size }
+        }
+    };
+}
+
+/**
+ * Copie d'un individu sans les liens vers des individus hors de l'ensemble
+ * (parents, conjoints, fratrie, conjoint d'un mariage ; une naissance d'enfant écarté est retirée)
+ * @private
+ */
+function _pruneIndividual(individual, pointers) {
+    const pruned = { ...individual };
+    const inside = pointer => pointers.has(pointer);
+
+    if (pruned.f && !inside(pruned.f)) delete pruned.f;
+    if (pruned.m && !inside(pruned.m)) delete pruned.m;
+    for (const field of ['s', 'b', 'c']) {
+        if (!Array.isArray(pruned[field])) continue;
+        const list = pruned[field].filter(inside);
+        if (list.length > 0) pruned[field] = list;
+        else delete pruned[field];
+    }
+
+    if (Array.isArray(pruned.e)) {
+        pruned.e = pruned.e
+            .filter(event => !(event.t === CHILD_BIRTH_CODE && event.m && event.m.c && !inside(event.m.c)))
+            .map(event => {
+                if (!event.m || !event.m.s || inside(event.m.s)) return event;
+                const { s, ...metadata } = event.m;
+                const { m, ...rest } = event;
+                return Object.keys(metadata).length > 0 ? { ...rest, m: metadata } : rest;
+            });
+    }
+
+    return pruned;
+}
+
+/**
+ * Enregistrements liés à l'ensemble (ou référencés explicitement), liste individuals filtrée
+ * @private
+ */
+function _pruneRecords(cache, pointers, referenced = new Set()) {
+    const pruned = new Map();
+    for (const [id, record] of _asMap(cache)) {
+        const individuals = (record.individuals || []).filter(pointer => pointers.has(pointer));
+        if (individuals.length === 0 && !referenced.has(id)) continue;
+        pruned.set(id, { ...record, individuals });
+    }
+    return pruned;
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
@@ -0,0 +1,350 @@
+/**
+ * Détection des individus en double dans individualsCache
+ *
+ * Blocage : seuls sont comparés les individus de même nom (Soundex) nés la même
+ * décennie ou la décennie suivante (naissance, à défaut baptême). Un bloc plus grand
+ * que maxBlockSize est redécoupé par le Soundex du premier prénom ; s'il reste trop grand
+ * (homonymes, individus sans date), ses membres sont triés (sexe, prénoms, date et lieu
+ * de naissance, nom) et chacun n'est comparé qu'à ses windowSize suivants.
+ * Un individu est ainsi comparé à au plus 2 × maxBlockSize autres.
+ *
+ * Score : moyenne pondérée des similarités (-1 contradiction … 1 identique) des champs
+ * renseignés des deux côtés, rapportée à au moins MIN_EVIDENCE : deux homonymes sans
+ * autre information ne suffisent pas à faire un doublon.
+ */
+
+import { EVENT_TYPE_COMPRESSION } from '../compression/eventCompression.js';
+import { fromSortKey } from '../dates/gedcomDate.js';
+import { normalizeName, soundex } from './phonetics.js';
+
+/**
+ * Poids des champs comparés
+ */
+export const DUPLICATE_WEIGHTS = {
+    given: 25,
+    surname: 10,
+    birthDate: 20,
+    birthPlace: 10,
+    deathDate: 15,
+    deathPlace: 5,
+    parents: 15,
+    spouses: 10
+};
+
+// Poids minimal au dénominateur du score (noms + une date exacte)
+const MIN_EVIDENCE = 60;
+
+const BIRTH = EVENT_TYPE_COMPRESSION.birth;
+const BAPTISM = EVENT_TYPE_COMPRESSION.baptism;
+const DEATH = EVENT_TYPE_COMPRESSION.death;
+
+// Qualificatifs de date sans valeur précise : pas de contradiction possible
+const APPROXIMATE_QUALIFIERS = new Set(['ab', 'ca', 'es']);
+const BOUNDED_QUALIFIERS = new Set(['bf', 'af', 'bt', 'fr', 'to', 'ft']);
+
+/**
+ * Paires d'individus susceptibles d'être la même personne
+ * @param {Object} caches - Résultat de parsing (individualsCache, familyTownsStore)
+ * @param {Object} [options]
+ * @param {number} [options.minScore=0.6] - Score minimal d'une paire retenue (0 à 1)
+ * @param {number} [options.maxBlockSize=200] - Taille au-delà de laquelle un bloc est redécoupé par prénom,
+ *        puis comparé par fenêtre glissante
+ * @param {number} [options.windowSize=20] - Voisins comparés à chaque membre d'un bloc trop grand
+ * @returns {{candidates: Array<Object>, statistics: {individuals: number, blocks: number, comparisons: number}}}
+ *          Paires par score décroissant
+ *
+ * @example
+ * findDuplicates(result).candidates[0]
+ * // → { pointers: ['@I12@', '@I340@'], score: 0.94,
+ * //     matches: [{ field: 'given', level: 'exact', similarity: 1, values: ['Jean Pierre', 'Jean Pierre'] }, ...],
+ * //     conflicts: [{ field: 'deathPlace', level: 'different', similarity: -0.5, values: ['lyon', 'paris'] }] }
+ */
+export function findDuplicates(caches, options = {}) {
+    const { minScore = 0.6, maxBlockSize = 200, windowSize = 20 } = options;
+    const individuals = _asMap(caches.individualsCache);
+    const towns = caches.familyTownsStore || {};
+
+    const profiles = new Map();
+    for (const [pointer, individual] of individuals) {
+        const profile = _profile(pointer, individual, profiles.size);
+        if (profile.surnameCode) profiles.set(pointer, profile);
+    }
+
+    // Blocs (nom, décennie), redécoupés par prénom quand ils sont trop grands
+    const baseSizes = new Map();
+    for (const profile of profiles.values()) {
+        const base = _blockKey(profile.surnameCode, profile.decade);
+        baseSizes.set(base, (baseSizes.get(base) || 0) + 1);
+    }
+    const keyFor = (profile, decade) => {
+        const base = _blockKey(profile.surnameCode, decade);
+        return (baseSizes.get(base) || 0) > maxBlockSize ? `${base}|${profile.givenCode}` : base;
+    };
+
+    const blocks = new Map();
+    for (const profile of profiles.values()) {
+        const key = keyFor(profile, profile.decade);
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(profile);
+    }
+
+    const candidates = [];
+    let comparisons = 0;
+    const compare = (a, b) => {
+        comparisons++;
+        const candidate = a.order < b.order ? _comparePair(a, b, individuals, towns) : _comparePair(b, a, individuals, towns);
+        if (candidate && candidate.score >= minScore) candidates.push(candidate);
+    };
+
+    // Toutes les paires d'un bloc, ou seulement les voisines dans l'ordre de tri s'il est trop grand
+    const compareWithin = (members) => {
+        if (members.length <= maxBlockSize) {
+            members.forEach((profile, index) => {
+                for (let i = index + 1; i < members.length; i++) compare(profile, members[i]);
+            });
+            return;
+        }
+        const sorted = [...members].sort(_byNeighbourKey);
+        sorted.forEach((profile, index) => {
+            for (let i = index + 1; i < Math.min(index + 1 + windowSize, sorted.length); i++) compare(profile, sorted[i]);
+        });
+    };
+    const compareAcross = (members, others) => {
+        if (members.length <= maxBlockSize && others.length <= maxBlockSize) {
+            for (const profile of members) for (const other of others) compare(profile, other);
+            return;
+        }
+        const sorted = [...members, ...others].sort(_byNeighbourKey);
+        const side = new Set(members);
+        sorted.forEach((profile, index) => {
+            for (let i = index + 1; i < Math.min(index + 1 + windowSize, sorted.length); i++) {
+                if (side.has(profile) !== side.has(sorted[i])) compare(profile, sorted[i]);
+            }
+        });
+    };
+
+    for (const members of blocks.values()) {
+        compareWithin(members);
+
+        // Décennie suivante : chaque paire n'est vue que depuis la plus ancienne
+        const byNextKey = new Map();
+        for (const profile of members) {
+            if (profile.decade === null) continue;
+            const key = keyFor(profile, profile.decade + 1);
+            if (!blocks.has(key)) continue;
+            if (!byNextKey.has(key)) byNextKey.set(key, []);
+            byNextKey.get(key).push(profile);
+        }
+        for (const [key, group] of byNextKey) compareAcross(group, blocks.get(key));
+    }
+
+    // Paires dans l'ordre du fichier, puis par score décroissant
+    const order = pointer => profiles.get(pointer).order;
+    candidates.sort((a, b) => b.score - a.score ||
+        order(a.pointers[0]) - order(b.pointers[0]) ||
+        order(a.pointers[1]) - order(b.pointers[1]));
+
+    return {
+        candidates,
+        statistics: { individuals: profiles.size, blocks: blocks.size, comparisons }
+    };
+}
+
+/**
+ * Champs utiles à la comparaison, calculés une fois par individu
+ * @private
+ */
+function _profile(pointer, individual, order) {
+    const separator = typeof individual.fn === 'string' ? individual.fn.indexOf('|') : -1;
+    const surname = separator >= 0 ? individual.fn.slice(0, separator) : (individual.fn || '');
+    const given = separator >= 0 ? individual.fn.slice(separator + 1) : '';
+    const givenNames = given.split(/[\s,-]+/).map(normalizeName).filter(Boolean);
+
+    const events = individual.e || [];
+    const find = type => events.find(event => event.t === type && (event.d !== undefined || event.l)) || null;
+    const birth = find(BIRTH);
+    const baptism = find(BAPTISM);
+    const death = find(DEATH);
+    const dated = [birth, baptism].find(event => event && typeof event.d === 'number');
+
+    return {
+        pointer,
+        order,
+        individual,
+        given,
+        surname,
+        givenNames,
+        normalizedSurname: normalizeName(surname),
+        surnameCode: soundex(surname),
+        givenCode: givenNames.length > 0 ? soundex(givenNames[0]) : '',
+        decade: dated ? Math.floor(fromSortKey(dated.d).year / 10) : null,
+        birth: birth || baptism,
+        death,
+        neighbourKey: [
+            individual.g || '',
+            givenNames.join(' '),
+            dated ? String(dated.d).padStart(8, '0') : '',
+            (birth || baptism)?.l || '',
+            normalizeName(surname)
+        ].join('|')
+    };
+}
+
+/**
+ * Ordre du tri par voisinage (blocs trop grands)
+ * @private
+ */
+function _byNeighbourKey(a, b) {
+    if (a.neighbourKey !== b.neighbourKey) return a.neighbourKey < b.neighbourKey ? -1 : 1;
+    return a.order - b.order;
+}
+
+/**
+ * @private
+ */
+function _blockKey(surnameCode, decade) {
+    return `${surnameCode}|${decade === null ? '?' : decade}`;
+}
+
+/**
+ * Compare deux individus d'un même bloc
+ * @returns {Object|null} null si la paire est exclue (sexes différents, parents ou conjoints)
+ * @private
+ */
+function _comparePair(a, b, individuals, towns) {
+    const x = a.individual;
+    const y = b.individual;
+    if (x.g && y.g && x.g !== 'U' && y.g !== 'U' && x.g !== y.g) return null;
+    if ([x.f, x.m].includes(b.pointer) || [y.f, y.m].includes(a.pointer)) return null;
+    if ((x.s || []).includes(b.pointer)) return null;
+
+    const fields = [
+        ['given', _compareGivenNames(a, b), [a.given, b.given]],
+        ['surname', a.normalizedSurname === b.normalizedSurname ?
+            { level: 'exact', similarity: 1 } : { level: 'phonetic', similarity: 0.7 }, [a.surname, b.surname]],
+        ['birthDate', _compareDates(a.birth, b.birth), [a.birth?.d, b.birth?.d]],
+        ['birthPlace', _comparePlaces(a.birth?.l, b.birth?.l, towns), [a.birth?.l, b.birth?.l]],
+        ['deathDate', _compareDates(a.death, b.death), [a.death?.d, b.death?.d]],
+        ['deathPlace', _comparePlaces(a.death?.l, b.death?.l, towns), [a.death?.l, b.death?.l]],
+        ['parents', _compareRelatives([[x.f, y.f], [x.m, y.m]], individuals), [[x.f, x.m], [y.f, y.m]]],
+        ['spouses', _compareSpouses(x.s, y.s, individuals), [x.s, y.s]]
+    ];
+
+    let total = 0;
+    let compared = 0;
+    const matches = [];
+    const conflicts = [];
+    for (const [field, result, values] of fields) {
+        if (!result) continue;
+        const weight = DUPLICATE_WEIGHTS[field];
+        total += weight * result.similarity;
+        compared += weight;
+        const entry = { field, level: result.level, similarity: result.similarity, values };
+        if (result.similarity > 0) matches.push(entry);
+        else if (result.similarity < 0) conflicts.push(entry);
+    }
+
+    const score = Math.max(0, total / Math.max(compared, MIN_EVIDENCE));
+    return { pointers: [a.pointer, b.pointer], score: Math.round(score * 1000) / 1000, matches, conflicts };
+}
+
+/**
+ * @private
+ */
+function _compareGivenNames(a, b) {
+    if (a.givenNames.length === 0 || b.givenNames.length === 0) return null;
+    if (a.givenNames.join(' ') === b.givenNames.join(' ')) return { level: 'exact', similarity: 1 };
+    if (a.givenNames[0] === b.givenNames[0]) return { level: 'first-name', similarity: 0.8 };
+    if (a.givenNames.some(name => b.givenNames.includes(name))) return { level: 'shared', similarity: 0.6 };
+    if (a.givenCode === b.givenCode) return { level: 'phonetic', similarity: 0.5 };
+    return { level: 'different', similarity: -0.5 };
+}
+
+/**
+ * Deux dates d'événement (clé de tri d, qualificatif dq)
+ * @private
+ */
+function _compareDates(eventA, eventB) {
+    if (!eventA || !eventB || typeof eventA.d !== 'number' || typeof eventB.d !== 'number') return null;
+    const a = fromSortKey(eventA.d);
+    const b = fromSortKey(eventB.d);
+    const bounded = BOUNDED_QUALIFIERS.has(eventA.dq) || BOUNDED_QUALIFIERS.has(eventB.dq);
+    const approximate = bounded || APPROXIMATE_QUALIFIERS.has(eventA.dq) || APPROXIMATE_QUALIFIERS.has(eventB.dq);
+    const gap = Math.abs(a.year - b.year);
+
+    if (!approximate && eventA.d === eventB.d && a.day) return { level: 'exact', similarity: 1 };
+    if (gap === 0 && a.month && a.month === b.month) return { level: 'month', similarity: 0.8 };
+    if (gap === 0) return { level: 'year', similarity: 0.6 };
+    if (gap <= (approximate ? 5 : 2)) return { level: 'close', similarity: 0.3 };
+    if (bounded) return { level: 'uncertain', similarity: 0 };
+    return { level: 'conflict', similarity: -1 };
+}
+
+/**
+ * Deux lieux (clés de familyTownsStore)
+ * @private
+ */
+function _comparePlaces(keyA, keyB, towns) {
+    if (!keyA || !keyB) return null;
+    if (keyA === keyB) return { level: 'exact', similarity: 1 };
+
+    const townA = towns[keyA] || {};
+    const townB = towns[keyB] || {};
+    if (townA.departement && townA.departement === townB.departement) return { level: 'departement', similarity: 0.5 };
+    if (townA.country && townB.country && townA.country !== townB.country) return { level: 'country', similarity: -0.5 };
+    return { level: 'different', similarity: 0 };
+}
+
+/**
+ * Parents deux à deux : même pointeur, ou même nom (doublons des parents eux-mêmes)
+ * @private
+ */
+function _compareRelatives(pairs, individuals) {
+    const scores = [];
+    for (const [pointerA, pointerB] of pairs) {
+        if (!pointerA || !pointerB) continue;
+        if (pointerA === pointerB) {
+            scores.push(1);
+            continue;
+        }
+        const nameA = _fullName(individuals.get(pointerA));
+        const nameB = _fullName(individuals.get(pointerB));
+        if (!nameA || !nameB) scores.push(0);
+        else scores.push(nameA === nameB ? 0.8 : -0.5);
+    }
+    if (scores.length === 0) return null;
+
+    const similarity = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const level = similarity === 1 ? 'same' : similarity > 0 ? 'same-name' : 'different';
+    return { level, similarity };
+}
+
+/**
+ * Conjoints : un conjoint commun ou homonyme ; des conjoints différents ne contredisent rien (remariage)
+ * @private
+ */
+function _compareSpouses(spousesA, spousesB, individuals) {
+    if (!spousesA || !spousesB || spousesA.length === 0 || spousesB.length === 0) return null;
+    if (spousesA.some(pointer => spousesB.includes(pointer))) return { level: 'same', similarity: 1 };
+
+    const names = new Set(spousesA.map(pointer => _fullName(individuals.get(pointer))).filter(Boolean));
+    if (spousesB.some(pointer => names.has(_fullName(individuals.get(pointer))))) {
+        return { level: 'same-name', similarity: 0.8 };
+    }
+    return { level: 'different', similarity: 0 };
+}
+
+/**
+ * @private
+ */
+function _fullName(individual) {
+    return individual && typeof individual.fn === 'string' ? normalizeName(individual.fn) : '';
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
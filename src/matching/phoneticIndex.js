@@ -0,0 +1,115 @@
+/**
+ * Index phonétique des noms de famille : clé phonétique → pointeurs
+ *
+ * Chaque individu est indexé sous toutes les graphies connues de son nom : NAME (fn),
+ * variante phonétique FONE (fo) et traductions GEDCOM 7 (tn). Une recherche "Dupond"
+ * retrouve ainsi Dupont, Du Pont ou Dupond, quel que soit l'algorithme.
+ */
+
+import { soundex, daitchMokotoff, soundexFr } from './phonetics.js';
+
+/**
+ * Algorithmes disponibles : nom → clés
+ */
+export const PHONETIC_ALGORITHMS = {
+    soundex: name => [soundex(name)],
+    daitchMokotoff,
+    soundexFr: name => [soundexFr(name)]
+};
+
+/**
+ * Clés phonétiques d'un individu, pour chaque algorithme
+ * @param {Object} individual - Entrée de individualsCache
+ * @param {Object} [options]
+ * @param {string[]} [options.algorithms] - Sous-ensemble de PHONETIC_ALGORITHMS (tous par défaut)
+ * @returns {Object<string, string[]>} Algorithme → clés distinctes
+ *
+ * @example
+ * phoneticKeys({ fn: 'Dupont|Jean', fo: 'Du Pond|Jean' })
+ * // → { soundex: ['D153'], daitchMokotoff: ['376300'], soundexFr: ['DPN'] }
+ */
+export function phoneticKeys(individual, options = {}) {
+    const { algorithms = Object.keys(PHONETIC_ALGORITHMS) } = options;
+    const surnames = _surnames(individual);
+
+    const keys = {};
+    for (const algorithm of algorithms) {
+        const encode = PHONETIC_ALGORITHMS[algorithm];
+        if (!encode) throw new Error(`Algorithme phonétique inconnu : ${algorithm}`);
+        keys[algorithm] = [...new Set(surnames.flatMap(encode))].filter(Boolean);
+    }
+    return keys;
+}
+
+/**
+ * Construit l'index phonétique d'un résultat de parsing
+ * @param {Object} caches - Résultat de parsing (individualsCache)
+ * @param {Object} [options]
+ * @param {string[]} [options.algorithms] - Sous-ensemble de PHONETIC_ALGORITHMS (tous par défaut)
+ * @returns {Object<string, Map<string, string[]>>} Algorithme → (clé → pointeurs dans l'ordre du cache)
+ *
+ * @example
+ * const index = buildPhoneticIndex(result);
+ * index.soundexFr.get('DPN') // → ['@I1@', '@I7@', '@I12@']
+ */
+export function buildPhoneticIndex(caches, options = {}) {
+    const { algorithms = Object.keys(PHONETIC_ALGORITHMS) } = options;
+    const index = Object.fromEntries(algorithms.map(algorithm => [algorithm, new Map()]));
+
+    for (const [pointer, individual] of _asMap(caches.individualsCache)) {
+        const keys = phoneticKeys(individual, { algorithms });
+        for (const algorithm of algorithms) {
+            for (const key of keys[algorithm]) {
+                const pointers = index[algorithm].get(key);
+                if (pointers) pointers.push(pointer);
+                else index[algorithm].set(key, [pointer]);
+            }
+        }
+    }
+    return index;
+}
+
+/**
+ * Individus dont le nom sonne comme name
+ * @param {Object} index - Résultat de buildPhoneticIndex
+ * @param {string} name - Nom de famille cherché
+ * @returns {Array<{pointer: string, algorithms: string[]}>} Les individus reconnus par le plus
+ *          d'algorithmes d'abord
+ *
+ * @example
+ * searchPhoneticIndex(index, 'Dupond')
+ * // → [{ pointer: '@I1@', algorithms: ['soundex', 'daitchMokotoff', 'soundexFr'] }, ...]
+ */
+export function searchPhoneticIndex(index, name) {
+    const found = new Map();
+    for (const [algorithm, keys] of Object.entries(index)) {
+        const encode = PHONETIC_ALGORITHMS[algorithm];
+        if (!encode) continue;
+        const pointers = new Set(encode(name).flatMap(key => keys.get(key) || []));
+        for (const pointer of pointers) {
+            if (!found.has(pointer)) found.set(pointer, { pointer, algorithms: [], rank: found.size });
+            found.get(pointer).algorithms.push(algorithm);
+        }
+    }
+
+    return [...found.values()]
+        .sort((a, b) => b.algorithms.length - a.algorithms.length || a.rank - b.rank)
+        .map(({ pointer, algorithms }) => ({ pointer, algorithms }));
+}
+
+/**
+ * Graphies du nom de famille (NAME, FONE, traductions)
+ * @private
+ */
+function _surnames(individual) {
+    const surnameOf = fn => (typeof fn === 'string' ? fn.split('|')[0] : '');
+    return [individual.fn, individual.fo, ...Object.values(individual.tn || {})].map(surnameOf).filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
@@ -0,0 +1,195 @@
+/**
+ * Clés phonétiques des noms de personnes
+ *
+ * Les noms sont d'abord ramenés à leurs lettres latines sans accent
+ * ("Du Pont" → "dupont", "Hélène" → "helene").
+ *
+ *   soundex         Soundex américain (D153)
+ *   daitchMokotoff  Soundex Daitch–Mokotoff, 6 chiffres, plusieurs codes pour une graphie ambiguë
+ *   soundexFr       Soundex2 de F. Brouard, adapté au français (DPN)
+ */
+
+const SOUNDEX_CODES = {
+    b: '1', f: '1', p: '1', v: '1',
+    c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+    d: '3', t: '3',
+    l: '4',
+    m: '5', n: '5',
+    r: '6'
+};
+
+/**
+ * Minuscules sans accents ni séparateurs
+ * @param {string} name
+ * @returns {string}
+ *
+ * @example
+ * normalizeName("D'Hérouville-Saint Clair") // → 'dherouvillesaintclair'
+ */
+export function normalizeName(name) {
+    if (typeof name !== 'string') return '';
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/æ/gi, 'ae')
+        .replace(/œ/gi, 'oe')
+        .replace(/ß/g, 'ss')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Soundex américain (lettre initiale + 3 chiffres, H et W transparents)
+ * @param {string} name
+ * @returns {string} Code, ou '' pour un nom sans lettre
+ *
+ * @example
+ * soundex('Dupont') // → 'D153'
+ * soundex('Du Pond') // → 'D153'
+ */
+export function soundex(name) {
+    const letters = normalizeName(name);
+    if (!letters) return '';
+
+    let code = letters[0].toUpperCase();
+    let previous = SOUNDEX_CODES[letters[0]] || '';
+    for (let i = 1; i < letters.length && code.length < 4; i++) {
+        const letter = letters[i];
+        const digit = SOUNDEX_CODES[letter];
+        if (digit) {
+            if (digit !== previous) code += digit;
+            previous = digit;
+        } else if (letter !== 'h' && letter !== 'w') {
+            // Une voyelle sépare deux consonnes de même code ; H et W non
+            previous = '';
+        }
+    }
+    return code.padEnd(4, '0');
+}
+
+// Daitch–Mokotoff : [lettres, code en tête du nom, avant une voyelle, ailleurs]
+// '' : non codé ; tableau : graphie ambiguë, un code par interprétation
+const DM_RULES = [
+    ['schtsch', '2', '4', '4'], ['schtsh', '2', '4', '4'], ['schtch', '2', '4', '4'],
+    ['shtch', '2', '4', '4'], ['shtsh', '2', '4', '4'], ['stsch', '2', '4', '4'], ['ttsch', '4', '4', '4'],
+    ['zhdzh', '2', '4', '4'],
+    ['shch', '2', '4', '4'], ['scht', '2', '43', '43'], ['schd', '2', '43', '43'], ['stch', '2', '4', '4'],
+    ['strz', '2', '4', '4'], ['strs', '2', '4', '4'], ['stsh', '2', '4', '4'], ['szcz', '2', '4', '4'],
+    ['szcs', '2', '4', '4'], ['ttch', '4', '4', '4'], ['tsch', '4', '4', '4'], ['ttsz', '4', '4', '4'],
+    ['zdzh', '2', '4', '4'], ['zsch', '4', '4', '4'],
+    ['chs', '5', '54', '54'], ['csz', '4', '4', '4'], ['czs', '4', '4', '4'], ['drz', '4', '4', '4'],
+    ['drs', '4', '4', '4'], ['dsh', '4', '4', '4'], ['dsz', '4', '4', '4'], ['dzh', '4', '4', '4'],
+    ['dzs', '4', '4', '4'], ['sch', '4', '4', '4'], ['sht', '2', '43', '43'], ['szt', '2', '43', '43'],
+    ['shd', '2', '43', '43'], ['szd', '2', '43', '43'], ['tch', '4', '4', '4'], ['trz', '4', '4', '4'],
+    ['trs', '4', '4', '4'], ['tsh', '4', '4', '4'], ['tts', '4', '4', '4'], ['ttz', '4', '4', '4'],
+    ['tzs', '4', '4', '4'], ['tsz', '4', '4', '4'], ['zdz', '2', '4', '4'], ['zhd', '2', '43', '43'],
+    ['zsh', '4', '4', '4'],
+    ['ai', '0', '1', ''], ['aj', '0', '1', ''], ['ay', '0', '1', ''], ['au', '0', '7', ''],
+    ['ch', ['5', '4'], ['5', '4'], ['5', '4']], ['ck', ['5', '45'], ['5', '45'], ['5', '45']],
+    ['cs', '4', '4', '4'], ['cz', '4', '4', '4'], ['ds', '4', '4', '4'], ['dz', '4', '4', '4'],
+    ['dt', '3', '3', '3'], ['ei', '0', '1', ''], ['ej', '0', '1', ''], ['ey', '0', '1', ''],
+    ['eu', '1', '1', ''], ['fb', '7', '7', '7'], ['ia', '1', '', ''], ['ie', '1', '', ''],
+    ['io', '1', '', ''], ['iu', '1', '', ''], ['ks', '5', '54', '54'], ['kh', '5', '5', '5'],
+    ['mn', '66', '66', '66'], ['nm', '66', '66', '66'], ['oi', '0', '1', ''], ['oj', '0', '1', ''],
+    ['oy', '0', '1', ''], ['pf', '7', '7', '7'], ['ph', '7', '7', '7'],
+    ['rz', ['94', '4'], ['94', '4'], ['94', '4']], ['rs', ['94', '4'], ['94', '4'], ['94', '4']],
+    ['sh', '4', '4', '4'], ['sc', '2', '4', '4'], ['st', '2', '43', '43'], ['sd', '2', '43', '43'],
+    ['sz', '4', '4', '4'], ['th', '3', '3', '3'], ['ts', '4', '4', '4'], ['tc', '4', '4', '4'],
+    ['tz', '4', '4', '4'], ['ui', '0', '1', ''], ['uj', '0', '1', ''], ['uy', '0', '1', ''],
+    ['ue', '0', '', ''], ['zd', '2', '43', '43'], ['zh', '4', '4', '4'], ['zs', '4', '4', '4'],
+    ['a', '0', '', ''], ['b', '7', '7', '7'], ['c', ['5', '4'], ['5', '4'], ['5', '4']], ['d', '3', '3', '3'],
+    ['e', '0', '', ''], ['f', '7', '7', '7'], ['g', '5', '5', '5'], ['h', '5', '5', ''],
+    ['i', '0', '', ''], ['j', ['1', '4'], ['', '4'], ['', '4']], ['k', '5', '5', '5'], ['l', '8', '8', '8'],
+    ['m', '6', '6', '6'], ['n', '6', '6', '6'], ['o', '0', '', ''], ['p', '7', '7', '7'],
+    ['q', '5', '5', '5'], ['r', '9', '9', '9'], ['s', '4', '4', '4'], ['t', '3', '3', '3'],
+    ['u', '0', '', ''], ['v', '7', '7', '7'], ['w', '7', '7', '7'], ['x', '5', '54', '54'],
+    ['y', '1', '', ''], ['z', '4', '4', '4']
+];
+
+// Règles par première lettre, les plus longues d'abord
+const DM_RULES_BY_LETTER = new Map();
+for (const rule of DM_RULES) {
+    if (!DM_RULES_BY_LETTER.has(rule[0][0])) DM_RULES_BY_LETTER.set(rule[0][0], []);
+    DM_RULES_BY_LETTER.get(rule[0][0]).push(rule);
+}
+DM_RULES_BY_LETTER.forEach(rules => rules.sort((a, b) => b[0].length - a[0].length));
+
+const DM_VOWELS = 'aeiou';
+
+/**
+ * Soundex Daitch–Mokotoff (noms d'Europe centrale et orientale, graphies yiddish ou slaves)
+ * @param {string} name
+ * @returns {string[]} Codes à 6 chiffres, triés ; plusieurs quand une graphie est ambiguë (CH, CK, J, RZ...)
+ *
+ * @example
+ * daitchMokotoff('Auerbach')    // → ['097400', '097500']
+ * daitchMokotoff('Szlamawicz')  // → ['486740'], comme 'Shlamovitz'
+ */
+export function daitchMokotoff(name) {
+    const letters = normalizeName(name);
+    if (!letters) return [];
+
+    // Une branche par interprétation ; un code identique au précédent n'est pas répété
+    let branches = [{ code: '', last: null }];
+    for (let i = 0; i < letters.length;) {
+        const [pattern, ...columns] = DM_RULES_BY_LETTER.get(letters[i]).find(([group]) => letters.startsWith(group, i));
+        const next = letters[i + pattern.length];
+        const column = i === 0 ? columns[0] : next && DM_VOWELS.includes(next) ? columns[1] : columns[2];
+        const alternatives = Array.isArray(column) ? column : [column];
+
+        const extended = new Map();
+        for (const branch of branches) {
+            for (const code of alternatives) {
+                const repeated = branch.last !== null && code !== '' && branch.last.endsWith(code);
+                const result = { code: repeated ? branch.code : branch.code + code, last: code };
+                extended.set(`${result.code}|${result.last}`, result);
+            }
+        }
+        branches = [...extended.values()];
+        i += pattern.length;
+    }
+
+    return [...new Set(branches.map(({ code }) => code.padEnd(6, '0').slice(0, 6)))].sort();
+}
+
+// Soundex2 : groupes remplacés partout, puis préfixes
+const FR_GROUPS = [
+    ['GUI', 'KI'], ['GUE', 'KE'], ['GA', 'KA'], ['GO', 'KO'], ['GU', 'K'], ['CA', 'KA'], ['CO', 'KO'],
+    ['CU', 'KU'], ['Q', 'K'], ['CC', 'K'], ['CK', 'K']
+];
+const FR_PREFIXES = [['MAC', 'MCC'], ['ASA', 'AZA'], ['KN', 'NN'], ['PF', 'FF'], ['SCH', 'SSS'], ['PH', 'FF']];
+
+/**
+ * Soundex2 (F. Brouard), Soundex adapté à la prononciation française
+ * La première lettre est conservée, les voyelles, les H muets, les Y et les finales
+ * muettes (A, D, S, T) sont supprimés
+ * @param {string} name
+ * @returns {string} Jusqu'à 4 lettres, ou '' pour un nom sans lettre
+ *
+ * @example
+ * soundexFr('Dupont')    // → 'DPN'
+ * soundexFr('Du Pond')   // → 'DPN'
+ * soundexFr('Gauthier')  // → 'KTR'
+ */
+export function soundexFr(name) {
+    let code = normalizeName(name).toUpperCase();
+    if (!code) return '';
+
+    for (const [group, replacement] of FR_GROUPS) code = code.split(group).join(replacement);
+    code = code[0] + code.slice(1).replace(/[EIOU]/g, 'A');
+    const prefix = FR_PREFIXES.find(([group]) => code.startsWith(group));
+    if (prefix) code = prefix[1] + code.slice(prefix[0].length);
+
+    // H muet sauf dans CH et SH ; Y seulement après A
+    let kept = code[0];
+    for (let i = 1; i < code.length; i++) {
+        if (code[i] === 'H' && code[i - 1] !== 'C' && code[i - 1] !== 'S') continue;
+        if (code[i] === 'Y' && code[i - 1] !== 'A') continue;
+        kept += code[i];
+    }
+    code = kept;
+
+    if (code.length > 1) code = code.replace(/[ADST]$/, '');
+    code = code[0] + code.slice(1).replace(/A/g, '');
+    return code.replace(/(.)\1+/g, '$1').slice(0, 4);
+}
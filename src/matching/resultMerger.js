@@ -0,0 +1,645 @@
+/**
+ * Fusion de deux résultats de parsing (arbre d'un cousin dans le nôtre)
+ *
+ * Le premier résultat garde ses pointeurs. Dans le second, un pointeur déjà pris est
+ * renuméroté (@I1@ → @I16@) et un individu reconnu comme identique (correspondance
+ * explicite ou détectée) est fusionné avec son homologue : événements, notes, sources
+ * et médias ne sont pas dupliqués, et une contradiction (autre date de naissance, autre
+ * père...) est rapportée dans conflicts sans être tranchée : la valeur du premier
+ * résultat est conservée. Un lieu de même clé mais d'un autre département ou pays
+ * (Paris, France et Paris, Texas) est séparé en homonymes comme au parsing.
+ * Les caches d'entrée ne sont pas modifiés.
+ */
+
+import { EVENT_TYPE_COMPRESSION, EVENT_TYPE_DECOMPRESSION } from '../compression/eventCompression.js';
+import { findDuplicates } from './duplicateFinder.js';
+import { normalizeName } from './phonetics.js';
+import { coordinateDistance } from '../utils/coordinates.js';
+import { normalizeGeoString, extractPlaceComponentsSync } from '../utils/geoUtils.js';
+
+// Événements uniques : deux valeurs différentes sont une contradiction, pas deux événements
+const SINGLE_EVENTS = new Set(['birth', 'death', 'burial'].map(type => EVENT_TYPE_COMPRESSION[type]));
+const MARRIAGE = EVENT_TYPE_COMPRESSION.marriage;
+const CHILD_BIRTH = EVENT_TYPE_COMPRESSION['child-birth'];
+
+const DATE_FIELDS = ['d', 'dq', 'du', 'dt', 'dc', 'dr'];
+
+// Champ de familyTownsStore qui départage des homonymes, dans l'ordre de CacheBuilder._resolvePlaces
+const SPLIT_FIELDS = { department: 'departement', country: 'country' };
+const COORDINATE_FIELDS = ['latitude', 'longitude', '_hasNativeCoords', '_coordsOccurrences', '_coordsSpread', '_coordsConflict'];
+
+// Clé de contenu : deux enregistrements de même clé sont le même enregistrement
+const RECORD_SIGNATURES = {
+    notes: note => _signature(note.text),
+    repositories: repository => _signature(repository.name, repository.address?.full),
+    sources: source => _signature(source.title, source.author),
+    media: media => _signature(media.file || media.url, media.title, media.format)
+};
+
+/**
+ * Fusionne un second résultat de parsing dans le premier
+ * @param {Object} base - Résultat de parsing de référence (pointeurs conservés)
+ * @param {Object} other - Résultat à intégrer
+ * @param {Object} [options]
+ * @param {Object|Map} [options.mapping] - Individus identiques : pointeur de other → pointeur de base
+ * @param {boolean} [options.autoDetect=true] - Complète la correspondance par findDuplicates
+ * @param {number} [options.minScore=0.8] - Score minimal d'une correspondance détectée
+ * @param {number} [options.placeConflictDistance=20] - Distance (km) au-delà de laquelle deux lieux de même clé diffèrent
+ * @returns {Object} { individualsCache, notesCache, sourcesCache, mediaCache, repositoriesCache,
+ *          familyTownsStore, conflicts, metadata } ; metadata.merge décrit les correspondances et renumérotations
+ *
+ * @example
+ * const merged = mergeResults(ours, cousin, { mapping: { '@I1@': '@I42@' } });
+ * merged.metadata.merge.renamed // → { '@I2@': '@I108@', ... }
+ * merged.conflicts[0]
+ * // → { pointers: ['@I42@', '@I1@'], field: 'birth',
+ * //     values: [{ d: 19000101, l: 'paris' }, { d: 19000312, l: 'paris' }], sources: [['@S1@'], ['@S7@']] }
+ */
+export function mergeResults(base, other, options = {}) {
+    const { mapping = {}, autoDetect = true, minScore = 0.8, placeConflictDistance = 20 } = options;
+    const baseIndividuals = _asMap(base.individualsCache);
+    const otherIndividuals = _asMap(other.individualsCache);
+
+    const identical = new Map();
+    const taken = new Set();
+    for (const [otherPointer, basePointer] of _asMap(mapping)) {
+        if (!otherIndividuals.has(otherPointer) || !baseIndividuals.has(basePointer)) {
+            throw new Error(`Correspondance invalide : ${otherPointer} → ${basePointer} (individu absent)`);
+        }
+        if (taken.has(basePointer)) {
+            throw new Error(`Correspondance invalide : ${basePointer} est associé à plusieurs individus`);
+        }
+        identical.set(otherPointer, basePointer);
+        taken.add(basePointer);
+    }
+    const explicit = identical.size;
+    if (autoDetect) _detectIdentical(base, other, identical, minScore);
+
+    // Espace de nommage commun à tous les enregistrements d'un fichier GEDCOM
+    const baseKeys = new Set();
+    const used = new Set();
+    for (const caches of [base, other]) {
+        for (const name of ['individualsCache', 'familiesCache', 'notesCache', 'sourcesCache', 'mediaCache', 'repositoriesCache']) {
+            for (const key of _asMap(caches[name]).keys()) {
+                if (caches === base) baseKeys.add(key);
+                used.add(key);
+            }
+        }
+    }
+    const allocate = _keyAllocator(used);
+    const renamed = {};
+
+    const individualPointers = new Map();
+    for (const pointer of otherIndividuals.keys()) {
+        let target = identical.get(pointer) || pointer;
+        if (!identical.has(pointer) && baseKeys.has(pointer)) {
+            target = allocate(pointer);
+            renamed[pointer] = target;
+        }
+        individualPointers.set(pointer, target);
+    }
+    const pointerOf = pointer => individualPointers.get(pointer) || pointer;
+
+    // Notes d'abord : dépôts et médias les référencent, les sources référencent les dépôts
+    const context = { baseKeys, allocate, renamed, pointerOf };
+    const notes = _mergeRecords('notes', base.notesCache, other.notesCache, context, note => note);
+    const noteOf = id => notes.ids.get(id) || id;
+    const renoteList = list => list.map(note => (note && note.pointer ? { ...note, pointer: noteOf(note.pointer) } : note));
+
+    const repositories = _mergeRecords('repositories', base.repositoriesCache, other.repositoriesCache, context,
+        repository => (repository.notes ? { ...repository, notes: renoteList(repository.notes) } : repository));
+    const repositoryOf = id => repositories.ids.get(id) || id;
+
+    const sources = _mergeRecords('sources', base.sourcesCache, other.sourcesCache, context, (source) => {
+        if (!source.repository) return source;
+        const repository = typeof source.repository === 'string' ? repositoryOf(source.repository) :
+            { ...source.repository, pointer: repositoryOf(source.repository.pointer) };
+        return { ...source, repository };
+    });
+    const media = _mergeRecords('media', base.mediaCache, other.mediaCache, context,
+        item => (item.notes ? { ...item, notes: renoteList(item.notes) } : item));
+
+    // Sources citées par chaque individu, pour juger une contradiction
+    const citedBy = (pointer, side) => {
+        const cited = [];
+        for (const [id, source] of sources.cache) {
+            if (source.origins[side].has(pointer)) cited.push(id);
+        }
+        return cited;
+    };
+
+    // Lieux de même clé des deux côtés : homonymes séparés avant de comparer les événements
+    const places = _splitTowns(base.familyTownsStore || {}, other.familyTownsStore || {}, placeConflictDistance);
+    const individualsCache = new Map();
+    for (const [pointer, individual] of baseIndividuals) {
+        individualsCache.set(pointer, _rekeyPlaces(individual, places.keys[0]));
+    }
+    const conflicts = [...places.conflicts];
+    for (const [pointer, individual] of otherIndividuals) {
+        const rewritten = _rekeyPlaces(_rewriteIndividual(individual, pointerOf, noteOf), places.keys[1]);
+        const target = identical.get(pointer);
+        if (!target) {
+            individualsCache.set(pointerOf(pointer), rewritten);
+            continue;
+        }
+        const report = (field, values) => conflicts.push({
+            pointers: [target, pointer], field, values, sources: [citedBy(target, 0), citedBy(pointer, 1)]
+        });
+        individualsCache.set(target, _mergeIndividual(individualsCache.get(target), rewritten, report));
+    }
+
+    return {
+        individualsCache,
+        notesCache: _stripOrigins(notes.cache),
+        sourcesCache: _stripOrigins(sources.cache),
+        mediaCache: _stripOrigins(media.cache),
+        repositoriesCache: _stripOrigins(repositories.cache),
+        familyTownsStore: _mergeTowns(individualsCache, base.familyTownsStore || {}, other.familyTownsStore || {}, places.entries),
+        conflicts,
+        metadata: {
+            ...(base.metadata || {}),
+            merge: {
+                mapping: Object.fromEntries(identical),
+                detected: identical.size - explicit,
+                renamed,
+                individuals: {
+                    base: baseIndividuals.size,
+                    other: otherIndividuals.size,
+                    merged: identical.size,
+                    total: individualsCache.size
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Complète la correspondance par les paires de doublons à cheval sur les deux arbres
+ * (chaque individu n'est associé qu'une fois, meilleur score d'abord)
+ * @private
+ */
+function _detectIdentical(base, other, identical, minScore) {
+    const tagged = new Map();
+    const tag = (side, pointer) => (pointer ? `${side}:${pointer}` : pointer);
+    [base, other].forEach((caches, side) => {
+        for (const [pointer, individual] of _asMap(caches.individualsCache)) {
+            tagged.set(tag(side, pointer), {
+                ...individual,
+                f: tag(side, individual.f),
+                m: tag(side, individual.m),
+                s: (individual.s || []).map(spouse => tag(side, spouse))
+            });
+        }
+    });
+
+    const familyTownsStore = { ...(other.familyTownsStore || {}), ...(base.familyTownsStore || {}) };
+    const { candidates } = findDuplicates({ individualsCache: tagged, familyTownsStore }, { minScore });
+
+    const taken = new Set(identical.values());
+    for (const { pointers } of candidates) {
+        const [first, second] = pointers.map(pointer => [Number(pointer[0]), pointer.slice(2)]);
+        if (first[0] === second[0]) continue;
+        const [basePointer, otherPointer] = first[0] === 0 ? [first[1], second[1]] : [second[1], first[1]];
+        if (identical.has(otherPointer) || taken.has(basePointer)) continue;
+        identical.set(otherPointer, basePointer);
+        taken.add(basePointer);
+    }
+}
+
+/**
+ * Nouveaux identifiants libres : même préfixe, numéro suivant le plus grand utilisé
+ * (@I1@ → @I16@) ; suffixe numérique pour les identifiants de notes incluses
+ * @private
+ */
+function _keyAllocator(used) {
+    const highest = new Map();
+    for (const key of used) {
+        const match = /^@(.*?)(\d+)@$/.exec(key);
+        if (match) highest.set(match[1], Math.max(highest.get(match[1]) || 0, Number(match[2])));
+    }
+
+    return (key) => {
+        let candidate;
+        if (/^@.*@$/.test(key)) {
+            const prefix = key.slice(1, -1).replace(/\d+$/, '');
+            do {
+                const next = (highest.get(prefix) || 0) + 1;
+                highest.set(prefix, next);
+                candidate = `@${prefix}${next}@`;
+            } while (used.has(candidate));
+        } else {
+            for (let suffix = 2; used.has(candidate = `${key}_${suffix}`); suffix++);
+        }
+        used.add(candidate);
+        return candidate;
+    };
+}
+
+/**
+ * Fusionne un cache d'enregistrements (notes, sources, médias, dépôts) :
+ * un enregistrement de même contenu est réutilisé, un identifiant déjà pris est renuméroté
+ * @returns {{cache: Map, ids: Map}} Cache fusionné (avec origins) et identifiants de other → identifiants fusionnés
+ * @private
+ */
+function _mergeRecords(kind, baseCache, otherCache, context, rewrite) {
+    const { baseKeys, allocate, renamed, pointerOf } = context;
+    const signatureOf = RECORD_SIGNATURES[kind];
+
+    const cache = new Map();
+    const bySignature = new Map();
+    for (const [id, record] of _asMap(baseCache)) {
+        const individuals = record.individuals || [];
+        cache.set(id, {
+            ...record,
+            ...(record.individuals && { individuals: [...individuals] }),
+            origins: [new Set(individuals), new Set()]
+        });
+        const signature = signatureOf(record);
+        if (signature && !bySignature.has(signature)) bySignature.set(signature, id);
+    }
+
+    const ids = new Map();
+    for (const [id, record] of _asMap(otherCache)) {
+        const individuals = (record.individuals || []).map(pointerOf);
+        const signature = signatureOf(record);
+        // Les notes incluses portent le pointeur de leur individu (INLINE_@I1@_0)
+        let target = id.startsWith('INLINE_') ? id.replace(/@[^@]+@/g, pointerOf) : id;
+        // Même identifiant et même contenu d'abord : deux notes identiques restent distinctes
+        const sameKey = cache.has(target) && signatureOf(cache.get(target)) === signature;
+        const existing = signature ? (sameKey ? target : bySignature.get(signature)) : undefined;
+        if (existing) {
+            const merged = cache.get(existing);
+            if (individuals.length > 0) merged.individuals = _union(merged.individuals, individuals);
+            (record.individuals || []).forEach(pointer => merged.origins[1].add(pointer));
+            ids.set(id, existing);
+            continue;
+        }
+
+        if (baseKeys.has(target) || cache.has(target)) target = allocate(target);
+        if (target !== id) renamed[id] = target;
+        ids.set(id, target);
+        cache.set(target, {
+            ...rewrite(record),
+            ...(record.individuals && { individuals }),
+            origins: [new Set(), new Set(record.individuals || [])]
+        });
+        if (signature) bySignature.set(signature, target);
+    }
+
+    return { cache, ids };
+}
+
+/**
+ * @private
+ */
+function _stripOrigins(cache) {
+    const stripped = new Map();
+    for (const [id, { origins, ...record }] of cache) stripped.set(id, record);
+    return stripped;
+}
+
+/**
+ * Copie d'un individu de other avec ses pointeurs et identifiants de notes fusionnés
+ * @private
+ */
+function _rewriteIndividual(individual, pointerOf, noteOf) {
+    const rewritten = { ...individual };
+    if (rewritten.f) rewritten.f = pointerOf(rewritten.f);
+    if (rewritten.m) rewritten.m = pointerOf(rewritten.m);
+    for (const field of ['s', 'b']) {
+        if (Array.isArray(rewritten[field])) rewritten[field] = rewritten[field].map(pointerOf);
+    }
+    if (Array.isArray(rewritten.n)) rewritten.n = rewritten.n.map(noteOf);
+
+    if (Array.isArray(rewritten.e)) {
+        rewritten.e = rewritten.e.map((event) => {
+            if (!event.m) return event;
+            const metadata = { ...event.m };
+            if (metadata.s) metadata.s = pointerOf(metadata.s);
+            if (metadata.c) metadata.c = pointerOf(metadata.c);
+            if (metadata.n) metadata.n = metadata.n.map(noteOf);
+            if (metadata.ceremonies) {
+                metadata.ceremonies = metadata.ceremonies.map(ceremony =>
+                    (ceremony.n ? { ...ceremony, n: ceremony.n.map(noteOf) } : ceremony));
+            }
+            return { ...event, m: metadata };
+        });
+    }
+    return rewritten;
+}
+
+/**
+ * Fusionne deux fiches d'une même personne ; les champs absents de a sont complétés par b
+ * @private
+ */
+function _mergeIndividual(a, b, report) {
+    const merged = { ...a };
+
+    if (a.fn && b.fn && normalizeName(a.fn) !== normalizeName(b.fn)) report('name', [a.fn, b.fn]);
+    if (!a.fn && b.fn) merged.fn = b.fn;
+    if (!a.g || a.g === 'U') {
+        if (b.g) merged.g = b.g;
+    } else if (b.g && b.g !== 'U' && a.g !== b.g) {
+        report('sex', [a.g, b.g]);
+    }
+
+    for (const [field, name] of [['f', 'father'], ['m', 'mother']]) {
+        if (!a[field]) {
+            if (b[field]) merged[field] = b[field];
+        } else if (b[field] && a[field] !== b[field]) {
+            report(name, [a[field], b[field]]);
+        }
+    }
+
+    for (const field of ['s', 'b', 'n']) {
+        const union = _union(a[field], b[field]);
+        if (union.length > 0) merged[field] = union;
+    }
+    if (b.tn) merged.tn = { ...b.tn, ...(a.tn || {}) };
+    if (b.x) {
+        const known = new Set((a.x || []).map(({ i }) => i));
+        merged.x = [...(a.x || []), ...b.x.filter(({ i }) => !known.has(i))];
+    }
+
+    const events = (a.e || []).map(event => ({ ...event }));
+    for (const event of b.e || []) {
+        const identical = events.findIndex(candidate => _eventKey(candidate) === _eventKey(event));
+        if (identical >= 0) {
+            events[identical] = _withNotes(events[identical], event);
+            continue;
+        }
+
+        const same = events.findIndex(candidate => _sameEvent(candidate, event));
+        if (same < 0) {
+            events.push(event);
+            continue;
+        }
+        const completed = _completeEvent(events[same], event);
+        if (completed) events[same] = completed;
+        else report(EVENT_TYPE_DECOMPRESSION[event.t] || event.t, [_summary(events[same]), _summary(event)]);
+    }
+    if (events.length > 0) merged.e = events;
+
+    return merged;
+}
+
+/**
+ * Deux occurrences du même fait (naissance, décès, inhumation ; mariage avec le même
+ * conjoint ; naissance du même enfant), éventuellement décrites différemment
+ * @private
+ */
+function _sameEvent(a, b) {
+    if (a.t !== b.t) return false;
+    if (SINGLE_EVENTS.has(a.t)) return true;
+    if (a.t === MARRIAGE) return Boolean(a.m?.s) && a.m.s === b.m?.s;
+    if (a.t === CHILD_BIRTH) return Boolean(a.m?.c) && a.m.c === b.m?.c;
+    return false;
+}
+
+/**
+ * Complète a par b quand ils ne se contredisent pas (date ou lieu absent d'un côté)
+ * @returns {Object|null} Événement complété, null en cas de contradiction
+ * @private
+ */
+function _completeEvent(a, b) {
+    const hasDate = event => event.d !== undefined || event.dt !== undefined;
+    const dateOf = event => JSON.stringify(DATE_FIELDS.map(field => event[field]));
+    if (hasDate(a) && hasDate(b) && dateOf(a) !== dateOf(b)) return null;
+    if (a.l && b.l && a.l !== b.l) return null;
+
+    let completed = _withNotes(a, b);
+    if (completed === a) completed = { ...a };
+    if (!hasDate(a) && hasDate(b)) {
+        for (const field of DATE_FIELDS) {
+            if (b[field] !== undefined) completed[field] = b[field];
+        }
+    }
+    if (!a.l && b.l) completed.l = b.l;
+    return completed;
+}
+
+/**
+ * @private
+ */
+function _withNotes(a, b) {
+    const notes = _union(a.m?.n, b.m?.n);
+    if (notes.length === 0) return a;
+    return { ...a, m: { ...(a.m || {}), n: notes } };
+}
+
+/**
+ * Contenu d'un événement hors notes
+ * @private
+ */
+function _eventKey(event) {
+    if (!event.m || !event.m.n) return JSON.stringify(event);
+    const { n, ...metadata } = event.m;
+    return JSON.stringify({ ...event, m: metadata });
+}
+
+/**
+ * Date et lieu d'un événement, pour le rapport de conflit
+ * @private
+ */
+function _summary(event) {
+    const summary = {};
+    for (const field of [...DATE_FIELDS, 'l']) {
+        if (event[field] !== undefined && event[field] !== null) summary[field] = event[field];
+    }
+    return summary;
+}
+
+/**
+ * Lieux des individus fusionnés ; un lieu connu des deux côtés est complété champ par champ,
+ * un lieu séparé en homonymes (entries, voir _splitTowns) garde sa clé commune
+ * @private
+ */
+function _mergeTowns(individuals, baseTowns, otherTowns, entries = {}) {
+    const keys = new Set();
+    for (const individual of individuals.values()) {
+        for (const event of individual.e || []) {
+            if (event.l) keys.add(event.l);
+            for (const ceremony of (event.m && event.m.ceremonies) || []) {
+                if (ceremony.l) keys.add(ceremony.l);
+            }
+        }
+    }
+
+    const familyTownsStore = {};
+    const townOf = key => entries[key] || _mergeTown(baseTowns[key], otherTowns[key]);
+    for (const key of keys) {
+        const town = townOf(key);
+        if (!town) continue;
+        familyTownsStore[key] = town;
+        if (town._splitFrom && !familyTownsStore[town._splitFrom] && townOf(town._splitFrom)) {
+            familyTownsStore[town._splitFrom] = townOf(town._splitFrom);
+        }
+    }
+    return familyTownsStore;
+}
+
+/**
+ * Entrée complétée champ par champ par celle de l'autre arbre
+ * @private
+ */
+function _mergeTown(town, otherTown) {
+    if (!town || !otherTown) return town || otherTown;
+    const merged = { ...town };
+    for (const [field, value] of Object.entries(otherTown)) {
+        if (merged[field] === undefined || merged[field] === null || merged[field] === '') merged[field] = value;
+    }
+    if (Array.isArray(town._samples) || Array.isArray(otherTown._samples)) {
+        merged._samples = _union(town._samples, otherTown._samples);
+    }
+    if (town._split && otherTown._split) {
+        merged._split = { ...town._split, keys: _union(town._split.keys, otherTown._split.keys) };
+    }
+    return merged;
+}
+
+/**
+ * Confronte les lieux de même clé des deux arbres, comme CacheBuilder._resolvePlaces :
+ * - autre département (à défaut autre pays) sans coordonnées proches : homonymes séparés
+ *   en `${clé}@${département ou pays}`, la clé commune perdant ses coordonnées (_split)
+ * - lieu déjà séparé d'un côté : l'entrée de l'autre côté rejoint son homonyme
+ * - coordonnées éloignées sans rien pour les départager : conflit rapporté
+ * @returns {{keys: Array<Map<string, string>>, entries: Object, conflicts: Array<Object>}}
+ *          keys : nouvelles clés des événements de chaque arbre ; entries : entrées de familyTownsStore
+ * @private
+ */
+function _splitTowns(baseTowns, otherTowns, maxDistance) {
+    const keys = [new Map(), new Map()];
+    const entries = {};
+    const conflicts = [];
+    const stores = [baseTowns, otherTowns];
+
+    for (const [key, town] of Object.entries(baseTowns)) {
+        const otherTown = otherTowns[key];
+        if (!otherTown || town._splitFrom || otherTown._splitFrom) continue;
+        const towns = [town, otherTown];
+
+        // Un seul côté séparé : l'autre entrée rejoint l'homonyme de son département ou pays
+        const splitSide = towns.findIndex(candidate => candidate._split);
+        if (splitSide !== -1 && !towns[1 - splitSide]._split) {
+            const side = 1 - splitSide;
+            const { by } = towns[splitSide]._split;
+            const value = _townComponent(towns[side], by);
+            if (!value) continue;
+            const partKey = `${key}@${normalizeGeoString(value)}`;
+            keys[side].set(key, partKey);
+            const part = _splitPart(towns[side], key, by, value);
+            entries[partKey] = _mergeTown(...(side === 0 ? [part, otherTowns[partKey]] : [baseTowns[partKey], part]));
+            entries[key] = { ...towns[splitSide], _split: { ...towns[splitSide]._split, keys: _union(towns[splitSide]._split.keys, [partKey]) } };
+            continue;
+        }
+        if (splitSide !== -1) continue;
+
+        const distance = _townDistance(town, otherTown);
+        if (distance !== null && distance <= maxDistance) continue;
+        const by = Object.keys(SPLIT_FIELDS).find((candidate) => {
+            const values = towns.map(candidateTown => normalizeGeoString(_townComponent(candidateTown, candidate)));
+            return values.every(Boolean) && values[0] !== values[1];
+        });
+
+        if (!by) {
+            if (distance !== null) {
+                conflicts.push({
+                    field: 'place',
+                    place: key,
+                    distance: Math.round(distance * 10) / 10,
+                    values: towns.map(({ latitude, longitude, departement, country }) => ({ latitude, longitude, departement, country }))
+                });
+            }
+            continue;
+        }
+
+        const values = towns.map(candidate => _townComponent(candidate, by));
+        const partKeys = values.map(value => `${key}@${normalizeGeoString(value)}`);
+        const parent = _mergeTown(town, otherTown);
+        COORDINATE_FIELDS.forEach(field => delete parent[field]);
+        entries[key] = {
+            ...parent,
+            latitude: '',
+            longitude: '',
+            _split: { by, distance: distance === null ? null : Math.round(distance * 10) / 10, keys: partKeys }
+        };
+        towns.forEach((candidate, side) => {
+            keys[side].set(key, partKeys[side]);
+            entries[partKeys[side]] = { ...(stores[side][partKeys[side]] || {}), ..._splitPart(candidate, key, by, values[side]) };
+        });
+    }
+    return { keys, entries, conflicts };
+}
+
+/**
+ * Entrée d'un homonyme séparé, affichée avec son département ou son pays (hors France)
+ * @private
+ */
+function _splitPart(town, key, by, value) {
+    const part = { ...town, [SPLIT_FIELDS[by]]: town[SPLIT_FIELDS[by]] || value, _splitFrom: key };
+    if (part.townDisplay === part.town && (by === 'department' || value !== 'France')) {
+        part.townDisplay = `${part.town} (${value})`;
+    }
+    return part;
+}
+
+/**
+ * Département ou pays d'une entrée de familyTownsStore, à défaut tiré de son texte PLAC d'origine
+ * (les clés de ville seule n'en gardent pas toujours trace)
+ * @private
+ */
+function _townComponent(town, by) {
+    if (town[SPLIT_FIELDS[by]]) return town[SPLIT_FIELDS[by]];
+    return (town._placText && extractPlaceComponentsSync(town._placText)[by]) || null;
+}
+
+/**
+ * Distance (km) entre les coordonnées de deux entrées de familyTownsStore, null si l'une n'en a pas
+ * @private
+ */
+function _townDistance(a, b) {
+    const points = [a, b].map(town => ({ latitude: parseFloat(town.latitude), longitude: parseFloat(town.longitude) }));
+    if (points.some(point => Number.isNaN(point.latitude) || Number.isNaN(point.longitude))) return null;
+    return coordinateDistance(points[0], points[1]);
+}
+
+/**
+ * Oriente les lieux des événements et cérémonies vers leur nouvelle clé (homonymes séparés)
+ * @private
+ */
+function _rekeyPlaces(individual, placeKeys) {
+    if (placeKeys.size === 0 || !Array.isArray(individual.e)) return individual;
+    const rekey = place => (placeKeys.has(place.l) ? { ...place, l: placeKeys.get(place.l) } : place);
+    return {
+        ...individual,
+        e: individual.e.map((event) => {
+            const rekeyed = rekey(event);
+            const ceremonies = event.m && event.m.ceremonies;
+            if (!ceremonies || !ceremonies.some(ceremony => placeKeys.has(ceremony.l))) return rekeyed;
+            return { ...rekeyed, m: { ...event.m, ceremonies: ceremonies.map(rekey) } };
+        })
+    };
+}
+
+/**
+ * @private
+ */
+function _union(a, b) {
+    return [...new Set([...(a || []), ...(b || [])])];
+}
+
+/**
+ * @private
+ */
+function _signature(...values) {
+    const text = values.filter(Boolean).map(value => String(value).trim().replace(/\s+/g, ' ').toLowerCase()).join('|');
+    return text || null;
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
@@ -3,20 +3,45 @@
  * Transforme les données enrichies en caches compressées
  */
 
-import { compressEventArray, EVENT_TYPE_COMPRESSION } from '../compression/eventCompression.js';
+import { compressEventArray, sharedTypeTag, EVENT_TYPE_COMPRESSION } from '../compression/eventCompression.js';
 import { compressIndividualFields, conditionalCompressFields } from '../compression/fieldCompression.js';
-import { calculateQualityScore, calculateCacheQualityStats } from '../utils/qualityScoring.js';
-import { normalizePlace, extractPlaceComponents } from '../utils/geoUtils.js';
+import {
+    calculateQualityScore,
+    calculateCacheQualityStats,
+    createQualityStatsAccumulator,
+    accumulateQualityStats,
+    mergeQualityStats,
+    finalizeQualityStats
+} from '../utils/qualityScoring.js';
+import {
+    validateGenealogy,
+    createValidationAccumulator,
+    accumulateValidation,
+    mergeValidation,
+    finalizeValidation
+} from '../validation/genealogyValidator.js';
+import { normalizePlace, normalizeGeoString, extractPlaceComponentsSync } from '../utils/geoUtils.js';
+import { coordinateCentroid, coordinateDistance, clusterCoordinates } from '../utils/coordinates.js';
+import { hierarchicalPlaceKey } from '../utils/placeKeys.js';
+import { BundledGeoDataProvider } from '../utils/geoDataProvider.js';
+import { encodeGedcomDate } from '../dates/gedcomDate.js';
+import { ProgressTracker, PROGRESS_PHASES, runSteps, runStepsAsync } from '../utils/progress.js';
+
+// Individus mesurés pour stats.compressionRatio : sérialiser tout le fichier doublerait le pic mémoire
+const COMPRESSION_SAMPLE_SIZE = 1000;
 
 export class CacheBuilder {
     constructor(options = {}) {
         this.options = {
             calculateQuality: true,
+            validate: true,
             compressEvents: true,
             compressFields: true,
             extractPlaces: true,
             generateStats: true,
             enrichGeocoding: false,
+            placeConflictDistance: 20,  // km : au-delà, deux coordonnées d'une même clé sont deux lieux
+            placeKeys: 'town',          // 'hierarchical' : clés ville@département@pays (utils/placeKeys.js)
             verbose: false,
             ...options
         };
@@ -27,43 +52,101 @@ export class CacheBuilder {
             errors: 0,
             compressionRatio: 0
         };
+        
+        // Progression par individu (onProgress) et annulation (signal)
+        this.progress = new ProgressTracker(this.options);
+        
+        // Pays et départements de familyTownsStore (options.geoDataProvider, données embarquées par défaut)
+        this.geoDataProvider = this.options.geoDataProvider || new BundledGeoDataProvider();
+        
+        // Clés hiérarchiques déjà calculées, vidées à chaque construction (_buildSteps, createStreamState)
+        this._placeKeyCache = new Map();
     }
     
     /**
-     * Construit tous les caches OPTIMISÉS GeneaFan avec relations directes
-     * Exploite les données extraites via read-gedcom APIs directes
+     * Charge les données géographiques du fournisseur avant une construction
+     * Sans effet si extractPlaces est désactivé
+     * @returns {Promise<void>}
+     */
+    async loadGeoData() {
+        if (this.options.extractPlaces) {
+            await this.geoDataProvider.load();
+        }
+    }
+    
+    /**
+     * Construit tous les caches OPTIMISÉS GeneaFan avec relations directes (async)
+     * Charge les données géographiques du fournisseur avant la construction,
+     * puis rend la main à la boucle d'événements entre les individus (annulable via options.signal)
      * @param {Object} enrichedData - Données du DataExtractor optimisé
      * @returns {Promise<Object>} Toutes les caches GeneaFan format compressé
      */
     async build(enrichedData) {
+        await this.loadGeoData();
+        return runStepsAsync(this._buildSteps(enrichedData));
+    }
+    
+    /**
+     * Construit tous les caches OPTIMISÉS GeneaFan avec relations directes (sync)
+     * Exploite les données extraites via read-gedcom APIs directes
+     * Utilise les données géographiques synchrones du fournisseur (loadSync)
+     * @param {Object} enrichedData - Données du DataExtractor optimisé
+     * @returns {Object} Toutes les caches GeneaFan format compressé
+     */
+    buildSync(enrichedData) {
+        return runSteps(this._buildSteps(enrichedData));
+    }
+    
+    /**
+     * Étapes de construction, partagées par build() et buildSync()
+     * Chaque yield est un point de pause entre deux individus
+     * @private
+     */
+    *_buildSteps(enrichedData) {
         const startTime = Date.now();
         
         try {
-            // Réinitialiser stats
+            this.progress.checkAborted();
+            
+            // Réinitialiser stats et clés de lieux
             this.stats = { processed: 0, skipped: 0, errors: 0, compressionRatio: 0 };
+            this._placeKeyCache = new Map();
             
             // ÉTAPE 1: Construction des caches de base (AVANT compression des individus)
             this._log('Construction du cache des sources...');
-            const sourcesCache = await this._buildSourcesCache(enrichedData.sources);
+            const sourcesCache = this._buildSourcesCache(enrichedData.sources);
             
             this._log('Construction du cache des médias...');
-            const mediaCache = await this._buildMediaCache(enrichedData.media);
+            const mediaCache = this._buildMediaCache(enrichedData.media);
             
             this._log('Construction du cache des notes...');
-            const notesCache = await this._buildNotesCache(enrichedData.notes);
+            const notesCache = this._buildNotesCache(enrichedData.notes);
             
             this._log('Construction du cache des dépôts...');
-            const repositoriesCache = await this._buildRepositoriesCache(enrichedData.repositories);
+            const repositoriesCache = this._buildRepositoriesCache(enrichedData.repositories);
+            yield;
             
             // ÉTAPE 2: Phase de référencement croisé - AVANT compression !
             // CRITIQUE: Les noteIds des subdivisions doivent être créés AVANT la compression des événements
             this._log('Référencement croisé notes/médias ↔ individus (AVANT compression)...');
             this._crossReferenceNotesAndMedia(enrichedData.individuals, notesCache, mediaCache);
+            this._crossReferenceSources(enrichedData.individuals, sourcesCache);
+            yield;
+            
+            // Lieux collectés AVANT la compression : des homonymes éloignés reçoivent chacun leur clé (l)
+            const placesData = new Map();
+            let coordsExtracted = 0;
+            let placeResolution = null;
+            if (this.options.extractPlaces) {
+                coordsExtracted = this._collectPlaces(enrichedData.individuals, placesData);
+                placeResolution = this._resolvePlaces(placesData);
+                this._assignSplitPlaceKeys(enrichedData.individuals, placeResolution);
+            }
             
             // ÉTAPE 3: Construction du cache individus APRÈS cross-reference 
             // Les noteIds des subdivisions sont maintenant disponibles pour la compression
             this._log('Construction du cache des individus optimisé (APRÈS cross-reference)...');
-            const individualsCache = await this._buildOptimizedIndividualsCache(enrichedData.individuals);
+            const individualsCache = yield* this._buildOptimizedIndividualsCache(enrichedData.individuals);
             
             // Les familles ne sont plus nécessaires (relations intégrées dans individus)
             this._log('Construction du cache des familles...');
@@ -75,7 +158,8 @@ export class CacheBuilder {
             
             // Générer familyTownsStore de base (données extraites sans enrichissement)
             const familyTownsStore = this.options.extractPlaces ? 
-                await this._generateFamilyTownsStore(enrichedData.individuals, familiesCache) : {};
+                this._buildFamilyTownsStore(placesData, coordsExtracted, placeResolution) : {};
+            yield;
             
             // Extraire les lieux uniques (pour compatibilité)
             const places = Object.keys(familyTownsStore).length > 0 ? 
@@ -89,6 +173,10 @@ export class CacheBuilder {
             const qualityStats = this.options.calculateQuality ? 
                 calculateCacheQualityStats(individualsCache) : {};
             
+            // Validation de cohérence sur les données extraites (dates, filiation, lignes du fichier)
+            const validation = this.options.validate ? 
+                validateGenealogy(enrichedData.individuals, this.options.validationThresholds) : {};
+            
             const buildTime = Date.now() - startTime;
             
             this._log(`✅ Caches construites en ${buildTime}ms`);
@@ -110,13 +198,14 @@ export class CacheBuilder {
                 places,
                 statistics,
                 qualityStats,
+                validation,
                 
                 // Métadonnées
                 metadata: {
                     ...enrichedData.metadata,
                     buildTime,
                     compressionStats: this.stats,
-                    cacheVersion: '2025.1',
+                    cacheVersion: '2025.2',
                     buildDate: new Date().toISOString()
                 }
             };
@@ -128,19 +217,318 @@ export class CacheBuilder {
     }
     
     /**
-     * Version synchrone
+     * Initialise l'état du mode streaming (lieux, liens notes/médias, statistiques)
+     * cumulé de lot en lot par buildBatchSync puis consommé par finishStreamSync
+     * @returns {Object} État de construction par lots
      */
-    buildSync(enrichedData) {
-        // Pour l'instant, utiliser la version async
-        // TODO: Implémenter version vraiment synchrone si nécessaire
-        return this.build(enrichedData);
+    createStreamState() {
+        this.stats = { processed: 0, skipped: 0, errors: 0, compressionRatio: 0 };
+        this._placeKeyCache = new Map();
+        
+        return {
+            stats: this.stats,
+            batches: 0,
+            individuals: 0,
+            noteLinks: new Map(),
+            mediaLinks: new Map(),
+            sourceLinks: new Map(),
+            inlineNotes: new Map(),
+            placesData: new Map(),
+            placeEvents: new Map(),
+            coordsExtracted: 0,
+            statistics: this._createStatisticsAccumulator(),
+            quality: createQualityStatsAccumulator(),
+            validation: createValidationAccumulator(this.options.validationThresholds),
+            sampled: 0,
+            uncompressedSize: 0,
+            compressedSize: 0
+        };
+    }
+    
+    /**
+     * Construit le cache compressé d'un lot d'individus (mode streaming)
+     * Les enregistrements NOTE/OBJE/SOUR ne sont pas encore connus : les liens sont
+     * conservés dans l'état et appliqués par finishStreamSync
+     * @param {Array} individualsData - Individus extraits du lot
+     * @param {Object} state - État créé par createStreamState
+     * @param {Array|null} [lineMap] - Correspondance des lignes du lot avec le fichier (composeBatchGedcom)
+     * @returns {Map} Individus du lot au format GeneaFan compressé
+     */
+    buildBatchSync(individualsData, state, lineMap = null) {
+        // Caches temporaires : une entrée vide par référence rencontrée dans le lot
+        const notesCache = new Map();
+        const mediaCache = new Map();
+        const sourcesCache = new Map();
+        const { notes: noteRefs, media: mediaRefs, sources: sourceRefs } = this._collectRecordReferences(individualsData);
+        noteRefs.forEach(ref => notesCache.set(ref, { individuals: [] }));
+        mediaRefs.forEach(ref => mediaCache.set(ref, { individuals: [] }));
+        sourceRefs.forEach(ref => sourcesCache.set(ref, { individuals: [] }));
+        
+        this._crossReferenceNotesAndMedia(individualsData, notesCache, mediaCache);
+        this._crossReferenceSources(individualsData, sourcesCache);
+        
+        const individualsCache = new Map();
+        this._compressIndividualsInto(individualsData, individualsCache);
+        this._addNotesReferencesToIndividuals(individualsData, individualsCache, notesCache);
+        
+        for (const [id, note] of notesCache) {
+            if (noteRefs.has(id)) {
+                this._appendLinks(state.noteLinks, id, note.individuals);
+            } else {
+                state.inlineNotes.set(id, note);
+            }
+        }
+        for (const [id, media] of mediaCache) {
+            this._appendLinks(state.mediaLinks, id, media.individuals);
+        }
+        for (const [id, source] of sourcesCache) {
+            this._appendLinks(state.sourceLinks, id, source.individuals);
+        }
+        
+        if (this.options.extractPlaces) {
+            state.coordsExtracted += this._collectPlaces(individualsData, state.placesData);
+            this._collectPlaceEvents(individualsData, state.placeEvents);
+        }
+        if (this.options.generateStats) {
+            this._accumulateStatistics(state.statistics, individualsCache.values());
+        }
+        if (this.options.calculateQuality) {
+            accumulateQualityStats(state.quality, individualsCache.values());
+        }
+        if (this.options.validate) {
+            accumulateValidation(state.validation, individualsData, lineMap);
+        }
+        
+        // Ratio de compression mesuré sur les premiers individus du flux
+        this._sampleCompression(individualsData, individualsCache, state);
+        state.individuals += individualsCache.size;
+        state.batches++;
+        
+        return individualsCache;
+    }
+    
+    /**
+     * Fusionne l'état d'un lot construit ailleurs (worker) dans l'état courant
+     * Appelé dans l'ordre des lots, le résultat est identique à un traitement séquentiel
+     * @param {Object} target - État créé par createStreamState
+     * @param {Object} source - État d'un lot (copie structurée)
+     */
+    mergeStreamState(target, source) {
+        for (const key of ['processed', 'skipped', 'errors']) {
+            target.stats[key] += source.stats[key];
+        }
+        target.batches += source.batches;
+        target.individuals += source.individuals;
+        target.sampled += source.sampled;
+        target.uncompressedSize += source.uncompressedSize;
+        target.compressedSize += source.compressedSize;
+        
+        for (const [id, individuals] of source.noteLinks) this._appendLinks(target.noteLinks, id, individuals);
+        for (const [id, individuals] of source.mediaLinks) this._appendLinks(target.mediaLinks, id, individuals);
+        for (const [id, individuals] of source.sourceLinks) this._appendLinks(target.sourceLinks, id, individuals);
+        for (const [id, note] of source.inlineNotes) target.inlineNotes.set(id, note);
+        
+        // Lieux : premiers échantillons et premières coordonnées conservés, comme en séquentiel
+        target.coordsExtracted += source.coordsExtracted;
+        for (const [key, place] of source.placesData) {
+            const existing = target.placesData.get(key);
+            if (!existing) {
+                target.placesData.set(key, place);
+                continue;
+            }
+            place.samples.forEach(sample => existing.samples.add(sample));
+            place.fullPlaces.forEach(fullPlace => existing.fullPlaces.add(fullPlace));
+            place.texts.forEach(text => existing.texts.add(text));
+            if (place.latitude !== null) {
+                if (existing.latitude === null) {
+                    existing.latitude = place.latitude;
+                    existing.longitude = place.longitude;
+                } else {
+                    target.coordsExtracted--;
+                }
+            }
+            existing.coordsCount += place.coordsCount;
+            place.coordsIssues.forEach(issue => existing.coordsIssues.add(issue));
+            place.points.forEach(point => this._addPlacePoint(existing.points, point));
+        }
+        for (const [key, hints] of source.placeEvents) {
+            if (!target.placeEvents.has(key)) {
+                target.placeEvents.set(key, hints);
+                continue;
+            }
+            const existing = target.placeEvents.get(key);
+            for (const [hintKey, hint] of hints) {
+                if (existing.has(hintKey)) existing.get(hintKey).events.push(...hint.events);
+                else existing.set(hintKey, hint);
+            }
+        }
+        
+        const statistics = target.statistics;
+        statistics.minYear = Math.min(statistics.minYear, source.statistics.minYear);
+        statistics.maxYear = Math.max(statistics.maxYear, source.statistics.maxYear);
+        statistics.qualityCount += source.statistics.qualityCount;
+        statistics.qualitySum += source.statistics.qualitySum;
+        statistics.qualityMin = Math.min(statistics.qualityMin, source.statistics.qualityMin);
+        statistics.qualityMax = Math.max(statistics.qualityMax, source.statistics.qualityMax);
+        
+        mergeQualityStats(target.quality, source.quality);
+        mergeValidation(target.validation, source.validation);
+    }
+    
+    /**
+     * Termine la construction par lots : caches des enregistrements, familyTownsStore et statistiques
+     * Les lots étant compressés avant que tous les lieux soient connus, les événements d'un lieu
+     * séparé en homonymes sont listés dans splitPlaceKeys (voir applySplitPlaceKeys)
+     * @param {Object} enrichedData - Données du DataExtractor sans les individus (sources, notes, médias...)
+     * @param {Object} state - État alimenté par buildBatchSync
+     * @returns {Object} Caches GeneaFan et splitPlaceKeys, sans individualsCache
+     */
+    finishStreamSync(enrichedData, state) {
+        const startTime = Date.now();
+        this.stats = state.stats;
+        
+        const sourcesCache = this._buildSourcesCache(enrichedData.sources);
+        const mediaCache = this._buildMediaCache(enrichedData.media);
+        const notesCache = this._buildNotesCache(enrichedData.notes);
+        const repositoriesCache = this._buildRepositoriesCache(enrichedData.repositories);
+        const familiesCache = new Map(); // VIDE car relations dans les individus
+        
+        // Liens différés vers les enregistrements lus après les individus
+        this._applyLinks(notesCache, state.noteLinks);
+        this._applyLinks(mediaCache, state.mediaLinks);
+        this._applyLinks(sourcesCache, state.sourceLinks);
+        for (const [id, note] of state.inlineNotes) {
+            if (!notesCache.has(id)) notesCache.set(id, note);
+        }
+        
+        if (state.uncompressedSize > 0) {
+            this.stats.compressionRatio = ((state.uncompressedSize - state.compressedSize) / state.uncompressedSize * 100).toFixed(1);
+        }
+        
+        let familyTownsStore = {};
+        let splitPlaceKeys = {};
+        if (this.options.extractPlaces) {
+            const placeResolution = this._resolvePlaces(state.placesData);
+            familyTownsStore = this._buildFamilyTownsStore(state.placesData, state.coordsExtracted, placeResolution);
+            splitPlaceKeys = this._splitPlaceEventKeys(state.placeEvents, placeResolution);
+        }
+        
+        const places = new Set(Object.keys(familyTownsStore));
+        
+        const statistics = this.options.generateStats ? 
+            this._finalizeStatistics(state.statistics, {
+                individuals: state.individuals,
+                families: familiesCache.size,
+                sources: sourcesCache.size,
+                media: mediaCache.size,
+                places: places.size
+            }) : {};
+        
+        const qualityStats = this.options.calculateQuality ? 
+            finalizeQualityStats(state.quality) : {};
+        
+        const validation = this.options.validate ? 
+            finalizeValidation(state.validation) : {};
+        
+        this._log(`✅ Streaming terminé: ${state.individuals} individus en ${state.batches} lots`);
+        
+        return {
+            familiesCache,
+            sourcesCache,
+            mediaCache,
+            notesCache,
+            repositoriesCache,
+            familyTownsStore,
+            splitPlaceKeys,
+            places,
+            statistics,
+            qualityStats,
+            validation,
+            metadata: {
+                ...enrichedData.metadata,
+                buildTime: Date.now() - startTime,
+                compressionStats: this.stats,
+                cacheVersion: '2025.2',
+                buildDate: new Date().toISOString(),
+                streaming: { batches: state.batches }
+            }
+        };
+    }
+    
+    /**
+     * Références NOTE/OBJE/SOUR (pointeurs) utilisées par des individus
+     * Mêmes champs que ceux lus par _crossReferenceNotesAndMedia et _crossReferenceSources
+     * @private
+     */
+    _collectRecordReferences(individualsData) {
+        const notes = new Set();
+        const media = new Set();
+        const sources = new Set();
+        
+        for (const individual of individualsData) {
+            (individual.notes?.refs || []).forEach(ref => notes.add(ref));
+            (individual.noteRefs || []).forEach(ref => notes.add(ref));
+            (individual.mediaRefs || []).forEach(ref => media.add(ref));
+            
+            for (const event of individual.events || []) {
+                if (Array.isArray(event.notes)) {
+                    event.notes.forEach(note => note.pointer && notes.add(note.pointer));
+                }
+                if (Array.isArray(event.multimedia)) {
+                    event.multimedia.forEach(item => item.pointer && media.add(item.pointer));
+                }
+            }
+            this._individualSourcePointers(individual).forEach(pointer => sources.add(pointer));
+        }
+        
+        return { notes, media, sources };
+    }
+    
+    /**
+     * Ajoute les individus liés à une note, un média ou une source (état du mode streaming)
+     * @private
+     */
+    _appendLinks(links, id, individuals) {
+        if (!individuals || individuals.length === 0) return;
+        if (!links.has(id)) links.set(id, []);
+        links.get(id).push(...individuals);
+    }
+    
+    /**
+     * Reporte les liens individus collectés sur les entrées existantes du cache
+     * @private
+     */
+    _applyLinks(cache, links) {
+        for (const [id, individuals] of links) {
+            const entry = cache.get(id);
+            if (!entry) continue;
+            if (!entry.individuals) entry.individuals = [];
+            for (const pointer of individuals) {
+                if (!entry.individuals.includes(pointer)) entry.individuals.push(pointer);
+            }
+        }
+    }
+    
+    /**
+     * Tailles JSON brute et compressée des premiers individus, jusqu'à COMPRESSION_SAMPLE_SIZE
+     * cumulées d'un lot à l'autre dans sizes ({ sampled, uncompressedSize, compressedSize })
+     * @private
+     */
+    _sampleCompression(individualsData, cache, sizes) {
+        const remaining = COMPRESSION_SAMPLE_SIZE - sizes.sampled;
+        if (remaining <= 0 || !Array.isArray(individualsData)) return;
+        
+        const sample = individualsData.slice(0, remaining).filter(individual => cache.has(individual.pointer));
+        sizes.uncompressedSize += JSON.stringify(sample).length;
+        sizes.compressedSize += JSON.stringify(sample.map(individual => [individual.pointer, cache.get(individual.pointer)])).length;
+        sizes.sampled += Math.min(remaining, individualsData.length);
     }
     
     /**
      * Construit le cache des individus optimisé
      * @private
      */
-    async _buildOptimizedIndividualsCache(individualsData) {
+    *_buildOptimizedIndividualsCache(individualsData) {
         const cache = new Map();
         
         if (!Array.isArray(individualsData)) {
@@ -149,11 +537,42 @@ export class CacheBuilder {
         }
         
         this._log(`🚀 Traitement optimisé de ${individualsData.length} individus...`);
-        const uncompressedSize = JSON.stringify(individualsData).length;
+        
+        yield* this._compressIndividualsSteps(individualsData, cache);
+        
+        // 🌍 ENRICHISSEMENT GÉOCODAGE: Désactivé - sera fait par geneafan en arrière-plan
+        // L'enrichissement (couleurs + coordonnées) sera géré par familyTownsStore.js
+        
+        // Calculer compression (échantillon des premiers individus, comme en streaming)
+        const sizes = { sampled: 0, uncompressedSize: 0, compressedSize: 0 };
+        this._sampleCompression(individualsData, cache, sizes);
+        if (sizes.uncompressedSize > 0) {
+            this.stats.compressionRatio = ((sizes.uncompressedSize - sizes.compressedSize) / sizes.uncompressedSize * 100).toFixed(1);
+        }
+        
+        this._log(`✅ Compression: ${this.stats.compressionRatio}% (${this.stats.processed} individus)`);
+        
+        return cache;
+    }
+    
+    /**
+     * Compresse les individus extraits et les ajoute au cache
+     * @private
+     */
+    _compressIndividualsInto(individualsData, cache) {
+        runSteps(this._compressIndividualsSteps(individualsData, cache));
+    }
+    
+    /**
+     * Boucle de compression des individus, avec progression et pause par individu
+     * @private
+     */
+    *_compressIndividualsSteps(individualsData, cache) {
+        this.progress.start(PROGRESS_PHASES.COMPRESSION, individualsData.length);
         
         for (const individual of individualsData) {
             try {
-                const geneafanOptimized = await this._createGeneaFanOptimizedIndividual(individual);
+                const geneafanOptimized = this._createGeneaFanOptimizedIndividual(individual);
                 if (geneafanOptimized && individual.pointer) {
                     cache.set(individual.pointer, geneafanOptimized);
                     this.stats.processed++;
@@ -164,18 +583,9 @@ export class CacheBuilder {
                 this._log(`❌ Erreur individu ${individual.pointer}: ${error.message}`);
                 this.stats.errors++;
             }
+            
+            if (this.progress.tick()) yield;
         }
-        
-        // 🌍 ENRICHISSEMENT GÉOCODAGE: Désactivé - sera fait par geneafan en arrière-plan
-        // L'enrichissement (couleurs + coordonnées) sera géré par familyTownsStore.js
-        
-        // Calculer compression
-        const compressedSize = JSON.stringify([...cache.entries()]).length;
-        this.stats.compressionRatio = ((uncompressedSize - compressedSize) / uncompressedSize * 100).toFixed(1);
-        
-        this._log(`✅ Compression: ${this.stats.compressionRatio}% (${this.stats.processed} individus)`);
-        
-        return cache;
     }
     
     /**
@@ -183,7 +593,7 @@ export class CacheBuilder {
      * Exploite les relations directes extraites par read-gedcom APIs
      * @private
      */
-    async _createGeneaFanOptimizedIndividual(individual) {
+    _createGeneaFanOptimizedIndividual(individual) {
         if (!individual || !individual.pointer) return null;
         
         // === FORMAT GENEAFAN OPTIMISÉ FINAL ===
@@ -221,9 +631,36 @@ export class CacheBuilder {
         // === ÉVÉNEMENTS COMPRESSÉS ===
         // Phase 6 Cloud: Compression systématique des événements
         if (individual.events && individual.events.length > 0) {
-            result.e = await this._compressEventsToGeneaFanFormat(individual.events);
+            result.e = this._compressEventsToGeneaFanFormat(individual.events);
+        }
+        
+        // fo: variante phonétique du nom (FONE), même format que fn
+        if (individual.name?.phonetic) {
+            result.fo = `${individual.name.phonetic.surname}|${individual.name.phonetic.given}`;
+        }
+        
+        // === GEDCOM 7 ===
+        // tn: traductions du nom par langue, x: identifiants externes (EXID),
+        // no: événements déclarés comme n'ayant pas eu lieu (NO)
+        if (individual.name?.translations?.length > 0) {
+            result.tn = Object.fromEntries(individual.name.translations.map(t =>
+                [t.language || 'und', `${t.surname}|${t.given}`]));
+        }
+        if (individual.identifiers?.exid?.length > 0) {
+            result.x = individual.identifiers.exid.map(({ id, type }) => (type ? { i: id, t: type } : { i: id }));
+        }
+        if (individual.negativeAssertions?.length > 0) {
+            result.no = individual.negativeAssertions.map(assertion => ({
+                t: this._getEventTypeCode(assertion.type),
+                ...this._compressDate(assertion.date)
+            }));
         }
         
+        // === IDENTIFIANTS STABLES ===
+        // u: _UID/UID, r: RIN (rapprochement de deux versions d'un arbre, voir diffResults)
+        if (individual.identifiers?.uid) result.u = individual.identifiers.uid;
+        if (individual.identifiers?.rin) result.r = individual.identifiers.rin;
+        
         // === NOTES (références uniquement) ===
         // Les références aux notes seront ajoutées APRÈS _crossReferenceNotesAndMedia
         // via _addNotesReferencesToIndividuals()
@@ -246,11 +683,11 @@ export class CacheBuilder {
      * Compresse les événements au format GeneaFan (Phase 6 Cloud)
      * @private
      */
-    async _compressEventsToGeneaFanFormat(events) {
+    _compressEventsToGeneaFanFormat(events) {
         const compressed = [];
         
         for (const event of events) {
-            const compressedEvent = await this._compressSingleEvent(event);
+            const compressedEvent = this._compressSingleEvent(event);
             if (compressedEvent) {
                 compressed.push(compressedEvent);
             }
@@ -263,7 +700,7 @@ export class CacheBuilder {
      * Compresse un événement individuel SANS dupliquer les coordonnées
      * @private
      */
-    async _compressSingleEvent(event) {
+    _compressSingleEvent(event) {
         if (!event || !event.type) return null;
         
         const compressed = {};
@@ -271,17 +708,24 @@ export class CacheBuilder {
         // Type compression (birth → fb, marriage → fm, etc.)
         compressed.t = this._getEventTypeCode(event.type);
         
-        // Date compression (DD/MM/YYYY → YYYYMMDD)
+        // Date compression (GEDCOM → d/dq/du/dt, voir dates/gedcomDate.js)
         if (event.date) {
-            compressed.d = this._compressDate(event.date);
+            Object.assign(compressed, this._compressDate(event.date));
+        }
+        
+        // Date de tri GEDCOM 7 (SDATE) : clé YYYYMMDD à préférer à d pour ordonner
+        if (event.sortDate) {
+            const { d } = this._compressDate(event.sortDate);
+            if (d != null) compressed.ds = d;
         }
         
         // Lieu - IMPORTANT : Ne stocker QUE la clé normalisée, PAS les coordonnées
         if (event.place) {
             // Si place est un objet temporaire avec coordonnées ET subdivision
             if (typeof event.place === 'object' && event.place.value) {
-                const normalizedPlace = await this._normalizePlace(event.place.value);
-                compressed.l = this._isUnknownPlace(normalizedPlace) ? null : normalizedPlace;
+                const normalizedPlace = this._placeKey(event.place);
+                // _townKey : clé d'un homonyme séparé (voir _assignSplitPlaceKeys)
+                compressed.l = this._isUnknownPlace(normalizedPlace) ? null : (event._townKey || normalizedPlace);
                 // [NOUVEAU] Extraire la subdivision si présente
                 if (event.place.subdivision) {
                     // Stocker dans les métadonnées (sera ajouté plus bas)
@@ -292,8 +736,8 @@ export class CacheBuilder {
             } 
             // Fallback si place est une string (rétrocompatibilité)
             else if (typeof event.place === 'string') {
-                const normalizedPlace = await this._normalizePlace(event.place);
-                compressed.l = this._isUnknownPlace(normalizedPlace) ? null : normalizedPlace;
+                const normalizedPlace = this._placeKey(event.place);
+                compressed.l = this._isUnknownPlace(normalizedPlace) ? null : (event._townKey || normalizedPlace);
             }
         }
         
@@ -317,6 +761,10 @@ export class CacheBuilder {
             metadata.et = event.eventType;
         }
         
+        // Tag d'origine quand le code est partagé (BAPM et CHR → ft)
+        const tag = sharedTypeTag(event.type);
+        if (tag) metadata.tg = tag;
+        
         // [NOUVEAU] Ajouter les IDs de notes si présents
         if (event.noteIds && event.noteIds.length > 0) {
             metadata.n = event.noteIds;
@@ -329,16 +777,16 @@ export class CacheBuilder {
         
         // [NOUVEAU] Ajouter les cérémonies multiples pour les mariages fusionnés
         if (event.ceremonies && event.ceremonies.length > 0) {
-            metadata.ceremonies = await Promise.all(event.ceremonies.map(async c => {
+            metadata.ceremonies = event.ceremonies.map(c => {
                 let normalizedCeremonyPlace = undefined;
                 if (c.place) {
-                    const tempPlace = await this._normalizePlace(c.place);
-                    normalizedCeremonyPlace = this._isUnknownPlace(tempPlace) ? undefined : tempPlace;
+                    const tempPlace = this._placeKey(c.place);
+                    normalizedCeremonyPlace = this._isUnknownPlace(tempPlace) ? undefined : (c._townKey || tempPlace);
                 }
                 
                 const ceremony = {
                     t: c.type === 'civil' ? 'c' : 'r',  // c=civil, r=religious
-                    d: this._compressDate(c.date),
+                    ...this._compressDate(c.date),
                     l: normalizedCeremonyPlace
                 };
                 
@@ -355,7 +803,7 @@ export class CacheBuilder {
                 }
                 
                 return ceremony;
-            }));
+            });
         }
         
         if (Object.keys(metadata).length > 0) {
@@ -375,38 +823,20 @@ export class CacheBuilder {
     }
     
     /**
-     * Compresse une date au format GeneaFan (YYYYMMDD)
+     * Compresse une date GEDCOM au format GeneaFan
+     * ABT/BEF/BET.../FROM.../INT/phrases → { d, dq?, du?, dt? }
      * @private
      */
     _compressDate(dateString) {
-        if (!dateString) return null;
-        
-        // Tentative parsing de différents formats
-        try {
-            // Format GEDCOM: "DD MMM YYYY" ou "DD/MM/YYYY"
-            const date = new Date(dateString);
-            if (!isNaN(date.getTime())) {
-                const year = date.getFullYear();
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const day = String(date.getDate()).padStart(2, '0');
-                return parseInt(`${year}${month}${day}`);
-            }
-        } catch (error) {
-            // Fallback: essayer d'extraire l'année au minimum
-            const yearMatch = dateString.match(/(\d{4})/);
-            if (yearMatch) {
-                return parseInt(`${yearMatch[1]}0101`); // 1er janvier de l'année
-            }
-        }
-        
-        return null;
+        if (!dateString) return {};
+        return encodeGedcomDate(dateString) || {};
     }
     
     /**
      * Normalise un lieu géographique avec parsePlaceParts + logique GeneaFan
      * @private
      */
-    async _normalizePlace(place) {
+    _normalizePlace(place) {
         if (!place || typeof place !== 'string') return null;
         
         // 🔍 LOGGING DÉTAILLÉ: Désactivé pour production propre
@@ -416,6 +846,25 @@ export class CacheBuilder {
         return normalizePlace(place);
     }
     
+    /**
+     * Clé d'un lieu (événements l, familyTownsStore) : ville normalisée, ou
+     * ville@département@pays avec options.placeKeys = 'hierarchical'
+     * @param {Object|string} place - Lieu extrait (objet temporaire) ou chaîne
+     * @returns {string|null}
+     * @private
+     */
+    _placeKey(place) {
+        const isObject = typeof place === 'object' && place !== null;
+        const townKey = this._normalizePlace(isObject ? place.value : place);
+        if (this.options.placeKeys !== 'hierarchical' || this._isUnknownPlace(townKey)) return townKey;
+        
+        return hierarchicalPlaceKey(isObject ? (place.fullPlace || place.value) : place, {
+            form: isObject ? place._placeForm : null,
+            geoData: this.geoDataProvider.loadSync(),
+            cache: this._placeKeyCache
+        }) || townKey;
+    }
+    
     /**
      * 🚫 Vérifie si un lieu normalisé est indéterminé/inutile
      * @param {string} normalizedPlace - Lieu normalisé
@@ -500,7 +949,7 @@ export class CacheBuilder {
      * Construit le cache des sources
      * @private
      */
-    async _buildSourcesCache(sourcesData) {
+    _buildSourcesCache(sourcesData) {
         const cache = new Map();
         if (!Array.isArray(sourcesData)) return cache;
         
@@ -514,7 +963,8 @@ export class CacheBuilder {
                 repository: source.repository || null,
                 quality: source.quality || 'unknown',
                 url: source.url || null,
-                citations: source.citations || 0
+                citations: source.citations || 0,
+                individuals: source.individuals || []
             });
         }
         return cache;
@@ -524,7 +974,7 @@ export class CacheBuilder {
      * Construit le cache des médias
      * @private
      */
-    async _buildMediaCache(mediaData) {
+    _buildMediaCache(mediaData) {
         const cache = new Map();
         if (!Array.isArray(mediaData)) return cache;
         
@@ -549,7 +999,7 @@ export class CacheBuilder {
      * Construit le cache des notes
      * @private
      */
-    async _buildNotesCache(notesData) {
+    _buildNotesCache(notesData) {
         const cache = new Map();
         if (!Array.isArray(notesData)) return cache;
         
@@ -560,7 +1010,9 @@ export class CacheBuilder {
                 type: note.type || 'general',
                 date: note.date || null,
                 author: note.author || null,
-                individuals: note.individuals || []
+                individuals: note.individuals || [],
+                // Traductions GEDCOM 7 (TRAN), seulement si présentes
+                ...(note.translations && note.translations.length > 0 ? { translations: note.translations } : {})
             });
         }
         return cache;
@@ -570,7 +1022,7 @@ export class CacheBuilder {
      * Construit le cache des dépôts
      * @private
      */
-    async _buildRepositoriesCache(repositoriesData) {
+    _buildRepositoriesCache(repositoriesData) {
         const cache = new Map();
         if (!Array.isArray(repositoriesData)) return cache;
         
@@ -586,6 +1038,42 @@ export class CacheBuilder {
         return cache;
     }
     
+    /**
+     * Référencement croisé : remplit le champ 'individuals' du cache des sources
+     * à partir des citations (SOUR) de l'individu, de ses événements et attributs
+     * @private
+     */
+    _crossReferenceSources(individualsData, sourcesCache) {
+        if (!Array.isArray(individualsData)) return;
+        
+        for (const individual of individualsData) {
+            if (!individual.pointer) continue;
+            
+            for (const pointer of this._individualSourcePointers(individual)) {
+                const source = sourcesCache.get(pointer);
+                if (source && !source.individuals.includes(individual.pointer)) {
+                    source.individuals.push(individual.pointer);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Pointeurs des sources citées par un individu : au niveau INDI, dans ses événements
+     * et dans les cérémonies d'un mariage fusionné
+     * @private
+     */
+    _individualSourcePointers(individual) {
+        const citations = [...(Array.isArray(individual.sources) ? individual.sources : [])];
+        for (const event of individual.events || []) {
+            if (Array.isArray(event.sources)) citations.push(...event.sources);
+            if (Array.isArray(event.ceremonies)) {
+                event.ceremonies.forEach(ceremony => citations.push(...(ceremony.sources || [])));
+            }
+        }
+        return citations.map(citation => citation && citation.pointer).filter(Boolean);
+    }
+    
     /**
      * Référencement croisé : remplit le champ 'individuals' dans les caches notes/médias
      * @private
@@ -599,6 +1087,7 @@ export class CacheBuilder {
         // Parcourir tous les individus pour collecter leurs références
         for (const individual of individualsData) {
             if (!individual.pointer) continue;
+            let eventNoteIndex = 0;
             
             // Traiter les références aux notes (nouvelle structure: individual.notes.refs)
             if (individual.notes && individual.notes.refs && Array.isArray(individual.notes.refs)) {
@@ -692,7 +1181,8 @@ export class CacheBuilder {
                                 }
                             } else if (noteData.type === 'embedded' && noteData.text) {
                                 // Notes inline dans les événements
-                                const eventNoteId = `INLINE_EVENT_${individual.pointer}_${event.type}_${noteLinks}`;
+                                // Numérotation propre à l'individu : ID stable quel que soit l'ordre de traitement (lots)
+                                const eventNoteId = `INLINE_EVENT_${individual.pointer}_${event.type}_${eventNoteIndex++}`;
                                 if (!notesCache.has(eventNoteId)) {
                                     notesCache.set(eventNoteId, {
                                         text: noteData.text,
@@ -772,19 +1262,14 @@ export class CacheBuilder {
     }
     
     /**
-     * 🗺️ GÉNÈRE familyTownsStore avec coordonnées natives centralisées
+     * Phase 1 de familyTownsStore : collecte les lieux uniques et leurs coordonnées
+     * Appelable lot par lot (mode streaming) avec le même placesData
+     * @returns {number} Nombre de lieux dont les coordonnées ont été capturées
      * @private
      */
-    async _generateFamilyTownsStore(individualsData, familiesCache) {
-        const familyTownsStore = {};
-        
-        this._log('🏗️ Génération familyTownsStore avec coordonnées natives centralisées...');
-        
-        // Structure pour collecter TOUS les lieux et leurs coordonnées
-        const placesData = new Map();
+    _collectPlaces(individualsData, placesData) {
         let coordsExtracted = 0;
         
-        // Phase 1 : Collecter tous les lieux uniques et leurs coordonnées
         if (Array.isArray(individualsData)) {
             for (const individual of individualsData) {
                 if (individual.events && Array.isArray(individual.events)) {
@@ -796,7 +1281,7 @@ export class CacheBuilder {
                             
                             if (!placeValue) continue;
                             
-                            const normalizedKey = await this._normalizePlace(placeValue);
+                            const normalizedKey = this._placeKey(event.place);
                             
                             // 🚫 Exclure les lieux indéterminés/inutiles
                             if (normalizedKey && !this._isUnknownPlace(normalizedKey)) {
@@ -805,14 +1290,20 @@ export class CacheBuilder {
                                     placesData.set(normalizedKey, {
                                         normalizedKey,
                                         samples: new Set(),
+                                        fullPlaces: new Set(),
+                                        texts: new Set(),
                                         latitude: null,
                                         longitude: null,
-                                        coordsCount: 0
+                                        coordsCount: 0,
+                                        coordsIssues: new Set(),
+                                        points: new Map()
                                     });
                                 }
                                 
                                 const placeInfo = placesData.get(normalizedKey);
                                 placeInfo.samples.add(placeValue);
+                                placeInfo.fullPlaces.add(event.place.fullPlace || placeValue);
+                                placeInfo.texts.add(this._placText(event.place));
                                 
                                 // Capturer les coordonnées temporaires si disponibles
                                 if (typeof event.place === 'object' && 
@@ -821,13 +1312,25 @@ export class CacheBuilder {
                                     event.place._tempLatitude !== null && 
                                     event.place._tempLongitude !== null) {
                                     
-                                    // Stocker les coordonnées (on pourrait faire une moyenne si plusieurs)
+                                    // Premières coordonnées (comptage) ; tous les points servent au centre et aux homonymes
                                     if (placeInfo.latitude === null) {
                                         placeInfo.latitude = event.place._tempLatitude;
                                         placeInfo.longitude = event.place._tempLongitude;
                                         coordsExtracted++;
                                     }
                                     placeInfo.coordsCount++;
+                                    this._addPlacePoint(placeInfo.points, {
+                                        latitude: event.place._tempLatitude,
+                                        longitude: event.place._tempLongitude,
+                                        place: event.place.fullPlace || placeValue,
+                                        text: this._placText(event.place),
+                                        count: 1
+                                    });
+                                }
+                                
+                                // Diagnostic des coordonnées rejetées ou inversées (voir utils/coordinates.js)
+                                if (typeof event.place === 'object' && event.place._coordsIssue) {
+                                    placeInfo.coordsIssues.add(event.place._coordsIssue);
                                 }
                             }
                         }
@@ -836,76 +1339,373 @@ export class CacheBuilder {
             }
         }
         
-        // Phase 2 : Générer familyTownsStore avec enrichissement progressif
+        return coordsExtracted;
+    }
+    
+    /**
+     * Texte PLAC d'origine sans la subdivision de l'événement (remise par GedcomWriter)
+     * @private
+     */
+    _placText(place) {
+        if (typeof place !== 'object') return place;
+        const text = place.fullPlace || place.value;
+        const subdivision = place.subdivision && place.subdivision.trim();
+        if (!subdivision) return text;
+        
+        if (text.startsWith(subdivision)) return text.slice(subdivision.length).replace(/^\s*,\s*/, '');
+        if (text.endsWith(subdivision)) return text.slice(0, -subdivision.length).replace(/\s*,\s*$/, '');
+        const parts = text.split(',').map(part => part.trim());
+        return parts.includes(subdivision) ? parts.filter(part => part !== subdivision).join(', ') : text;
+    }
+    
+    /**
+     * Cumule un point (coordonnées + libellé complet) dans points, clé → {latitude, longitude, place, text, count}
+     * @private
+     */
+    _addPlacePoint(points, point) {
+        const key = `${point.latitude},${point.longitude},${point.place}`;
+        const existing = points.get(key);
+        if (existing) existing.count += point.count;
+        else points.set(key, { ...point });
+    }
+    
+    /**
+     * Composants géographiques d'un libellé, mémorisés le temps d'une construction
+     * @private
+     */
+    _placeComponentsLookup() {
+        const geoData = this.geoDataProvider.loadSync();
+        const memo = new Map();
+        return place => {
+            if (!memo.has(place)) memo.set(place, extractPlaceComponentsSync(place, geoData));
+            return memo.get(place);
+        };
+    }
+    
+    /**
+     * Confronte les coordonnées relevées sous chaque clé de lieu
+     * - un seul groupe de points (distants de moins de placeConflictDistance) : centre robuste
+     * - plusieurs groupes de départements (à défaut de pays) distincts : homonymes séparés en clés
+     *   `${clé}@${département ou pays}`
+     * - plusieurs groupes indiscernables : centre du groupe le plus fourni, conflit signalé
+     * @returns {{resolutions: Map<string, Object>, componentsOf: Function}}
+     * @private
+     */
+    _resolvePlaces(placesData) {
+        const componentsOf = this._placeComponentsLookup();
+        const resolutions = new Map();
+        
         for (const [key, data] of placesData) {
-            // Enrichissement progressif : analyser tous les samples pour cumul d'informations
-            let bestComponents = {
-                town: null,
-                postalCode: null,
-                department: null,
-                region: null,
-                country: null
-            };
+            if (data.points.size === 0) continue;
             
-            // Analyser chaque sample et enrichir au fur et à mesure
-            for (const sample of Array.from(data.samples)) {
-                const components = await extractPlaceComponents(sample);
-                
-                // Enrichir avec les données les plus complètes (préférer les valeurs non-nulles)
-                if (components.town && !bestComponents.town) bestComponents.town = components.town;
-                if (components.postalCode && !bestComponents.postalCode) bestComponents.postalCode = components.postalCode;
-                if (components.department && !bestComponents.department) bestComponents.department = components.department;
-                if (components.region && !bestComponents.region) bestComponents.region = components.region;
-                if (components.country && !bestComponents.country) bestComponents.country = components.country;
+            const clusters = clusterCoordinates([...data.points.values()], this.options.placeConflictDistance);
+            const centers = clusters.map(cluster => coordinateCentroid(cluster));
+            if (clusters.length === 1) {
+                resolutions.set(key, { center: centers[0] });
+                continue;
             }
             
-            // Construire townDisplay avec contexte intelligent
-            const townName = bestComponents.town || key;
-            let townDisplay = townName;
+            let distance = 0;
+            for (let i = 0; i < centers.length; i++) {
+                for (let j = i + 1; j < centers.length; j++) {
+                    distance = Math.max(distance, coordinateDistance(centers[i], centers[j]));
+                }
+            }
+            distance = Math.round(distance * 10) / 10;
             
-            // Cas spécial : arrondissements parisiens
-            if (townName === 'Paris' && bestComponents.postalCode && bestComponents.postalCode.startsWith('75')) {
-                const arrondissement = bestComponents.postalCode.slice(2); // 75016 → 16
-                // Ignorer 75000 (code postal générique) et les codes comme 000
-                if (arrondissement && arrondissement !== '00' && arrondissement !== '000' && parseInt(arrondissement) > 0) {
-                    const arrNum = parseInt(arrondissement);
-                    townDisplay = `${townName} (${arrNum}e)`;
-                } else {
-                    townDisplay = townName; // Paris générique
+            const split = ['department', 'country']
+                .map(by => ({ by, values: clusters.map(cluster => this._dominantComponent(cluster, by, componentsOf)) }))
+                .find(({ values }) => values.every(Boolean) && new Set(values).size === values.length);
+            
+            if (split) {
+                const parts = clusters.map((points, index) => ({
+                    key: `${key}@${normalizeGeoString(split.values[index])}`,
+                    value: split.values[index],
+                    center: centers[index],
+                    points
+                }));
+                resolutions.set(key, { split: { by: split.by, distance, keys: parts.map(part => part.key) }, parts });
+            } else {
+                resolutions.set(key, {
+                    center: centers[0],
+                    conflict: {
+                        distance,
+                        clusters: clusters.map((cluster, index) => ({
+                            latitude: centers[index].latitude,
+                            longitude: centers[index].longitude,
+                            occurrences: cluster.reduce((sum, point) => sum + point.count, 0)
+                        }))
+                    }
+                });
+            }
+        }
+        
+        return { resolutions, componentsOf };
+    }
+    
+    /**
+     * Valeur la plus fréquente (en occurrences) d'un composant parmi les libellés d'un groupe
+     * @private
+     */
+    _dominantComponent(points, component, componentsOf) {
+        const counts = new Map();
+        for (const point of points) {
+            const value = componentsOf(point.place)[component];
+            if (value) counts.set(value, (counts.get(value) || 0) + point.count);
+        }
+        let dominant = null;
+        for (const [value, count] of counts) {
+            if (dominant === null || count > counts.get(dominant)) dominant = value;
+        }
+        return dominant;
+    }
+    
+    /**
+     * Oriente chaque lieu d'événement séparé vers son homonyme (_townKey de l'événement ou de la cérémonie)
+     * Les lots (streaming, workers) étant compressés avant de connaître tous les lieux,
+     * leurs événements sont relevés par _collectPlaceEvents puis réorientés par _splitPlaceEventKeys
+     * @private
+     */
+    _assignSplitPlaceKeys(individualsData, { resolutions, componentsOf }) {
+        if (!Array.isArray(individualsData)) return;
+        
+        for (const individual of individualsData) {
+            for (const event of individual.events || []) {
+                for (const { holder, place } of this._eventPlaces(event)) {
+                    const resolution = resolutions.get(this._placeKey(place));
+                    if (!resolution || !resolution.split) continue;
+                    
+                    const part = this._splitPart(resolution, this._placeEventHint(place), componentsOf);
+                    if (part) holder._townKey = part.key;
                 }
             }
-            // Cas général : département si différent de la ville
-            else if (bestComponents.department && bestComponents.department !== townName) {
-                townDisplay = `${townName} (${bestComponents.department})`;
-            } 
-            // Cas international : pays si différent de France
-            else if (bestComponents.country && bestComponents.country !== 'France') {
-                townDisplay = `${townName} (${bestComponents.country})`;
+        }
+    }
+    
+    /**
+     * Lieux d'un événement : le sien puis ceux des cérémonies d'un mariage fusionné
+     * (objet lieu, ou libellé complet pour les mariages), avec le suffixe de rang de la cérémonie
+     * @private
+     */
+    _eventPlaces(event) {
+        const places = [{ holder: event, place: event.place, suffix: '' }];
+        (event.ceremonies || []).forEach((ceremony, index) =>
+            places.push({ holder: ceremony, place: ceremony.place, suffix: `.${index}` }));
+        return places.filter(({ place }) => place && (typeof place === 'string' || place.value));
+    }
+    
+    /**
+     * Homonyme d'un lieu séparé : le plus proche des coordonnées de l'événement, sinon celui
+     * de son département ou pays ; null faute d'indice (l'événement garde la clé commune)
+     * @private
+     */
+    _splitPart({ split, parts }, { latitude, longitude, place }, componentsOf) {
+        if (latitude != null && longitude != null) {
+            const point = { latitude, longitude };
+            return parts.reduce((nearest, candidate) =>
+                coordinateDistance(point, candidate.center) < coordinateDistance(point, nearest.center) ? candidate : nearest);
+        }
+        const value = componentsOf(place)[split.by];
+        return parts.find(candidate => candidate.value === value) || null;
+    }
+    
+    /**
+     * Indice de l'homonyme d'un lieu d'événement : coordonnées, sinon libellé complet
+     * @private
+     */
+    _placeEventHint(place) {
+        if (typeof place === 'string') return { latitude: null, longitude: null, place };
+        if (place._tempLatitude != null && place._tempLongitude != null) {
+            return { latitude: place._tempLatitude, longitude: place._tempLongitude, place: null };
+        }
+        return { latitude: null, longitude: null, place: place.fullPlace || place.value };
+    }
+    
+    /**
+     * Relève, par clé de lieu et par indice, les événements compressés d'un lot (pointeur et rang dans e,
+     * `rang.cérémonie` pour une cérémonie) pour les réorienter en fin de construction si la clé est séparée
+     * @private
+     */
+    _collectPlaceEvents(individualsData, placeEvents) {
+        for (const individual of individualsData) {
+            if (!individual.pointer) continue;
+            
+            // Rang dans e : _compressEventsToGeneaFanFormat ne garde que les événements typés
+            let index = 0;
+            for (const event of individual.events || []) {
+                if (!event || !event.type) continue;
+                const rank = index++;
+                
+                for (const { place, suffix } of this._eventPlaces(event)) {
+                    const key = this._placeKey(place);
+                    if (!key || this._isUnknownPlace(key)) continue;
+                    
+                    const hint = this._placeEventHint(place);
+                    const hintKey = hint.place === null ? `${hint.latitude},${hint.longitude}` : `@${hint.place}`;
+                    if (!placeEvents.has(key)) placeEvents.set(key, new Map());
+                    const hints = placeEvents.get(key);
+                    if (!hints.has(hintKey)) hints.set(hintKey, { ...hint, events: [] });
+                    hints.get(hintKey).events.push(individual.pointer, `${rank}${suffix}`);
+                }
             }
+        }
+    }
+    
+    /**
+     * Nouvelles clés des événements relevés par _collectPlaceEvents dont le lieu est séparé
+     * @returns {Object<string, Object<string, string>>} Pointeur → rang dans e (ou `rang.cérémonie`) → clé de l'homonyme
+     * @private
+     */
+    _splitPlaceEventKeys(placeEvents, { resolutions, componentsOf }) {
+        const splitKeys = {};
+        for (const [key, hints] of placeEvents) {
+            const resolution = resolutions.get(key);
+            if (!resolution || !resolution.split) continue;
             
-            // Créer l'entrée avec coordonnées SI disponibles
-            familyTownsStore[key] = {
-                town: townName,
-                townDisplay: townDisplay,
-                // Coordonnées natives du GEDCOM (une seule fois par lieu !)
-                latitude: data.latitude !== null ? String(data.latitude) : "",
-                longitude: data.longitude !== null ? String(data.longitude) : "",
-                departement: bestComponents.department || "",
-                region: bestComponents.region || "",               // 🆕 Ajout région
-                postalCode: bestComponents.postalCode || "",       // 🆕 Ajout code postal
-                country: bestComponents.country || "",
-                departementColor: "",                  // Sera enrichi par geneafan
-                countryColor: "",                      // Sera enrichi par geneafan
-                _samples: Array.from(data.samples).slice(0, 3)
-            };
+            for (const hint of hints.values()) {
+                const part = this._splitPart(resolution, hint, componentsOf);
+                if (!part) continue;
+                for (let i = 0; i < hint.events.length; i += 2) {
+                    const pointer = hint.events[i];
+                    if (!splitKeys[pointer]) splitKeys[pointer] = {};
+                    splitKeys[pointer][hint.events[i + 1]] = part.key;
+                }
+            }
+        }
+        return splitKeys;
+    }
+    
+    /**
+     * Composants les plus complets d'une série de libellés (première valeur non nulle de chacun)
+     * @private
+     */
+    _mergePlaceComponents(samples, componentsOf) {
+        const bestComponents = {
+            town: null,
+            postalCode: null,
+            department: null,
+            region: null,
+            country: null
+        };
+        
+        for (const sample of samples) {
+            const components = componentsOf(sample);
             
-            // Ajouter des métadonnées de tracking si coordonnées natives
-            if (data.latitude !== null && data.longitude !== null) {
-                familyTownsStore[key]._hasNativeCoords = true;
-                if (data.coordsCount > 1) {
-                    familyTownsStore[key]._coordsOccurrences = data.coordsCount;
+            // Enrichir avec les données les plus complètes (préférer les valeurs non-nulles)
+            if (components.town && !bestComponents.town) bestComponents.town = components.town;
+            if (components.postalCode && !bestComponents.postalCode) bestComponents.postalCode = components.postalCode;
+            if (components.department && !bestComponents.department) bestComponents.department = components.department;
+            if (components.region && !bestComponents.region) bestComponents.region = components.region;
+            if (components.country && !bestComponents.country) bestComponents.country = components.country;
+        }
+        return bestComponents;
+    }
+    
+    /**
+     * townDisplay avec contexte intelligent : arrondissement parisien, département ou pays
+     * @private
+     */
+    _townDisplay(townName, components) {
+        // Cas spécial : arrondissements parisiens
+        if (townName === 'Paris' && components.postalCode && components.postalCode.startsWith('75')) {
+            const arrondissement = components.postalCode.slice(2); // 75016 → 16
+            // Ignorer 75000 (code postal générique) et les codes comme 000
+            if (arrondissement && arrondissement !== '00' && arrondissement !== '000' && parseInt(arrondissement) > 0) {
+                const arrNum = parseInt(arrondissement);
+                return `${townName} (${arrNum}e)`;
+            }
+            return townName; // Paris générique
+        }
+        // Cas général : département si différent de la ville
+        if (components.department && components.department !== townName) {
+            return `${townName} (${components.department})`;
+        }
+        // Cas international : pays si différent de France
+        if (components.country && components.country !== 'France') {
+            return `${townName} (${components.country})`;
+        }
+        return townName;
+    }
+    
+    /**
+     * Entrée de familyTownsStore
+     * @private
+     */
+    _townEntry(key, components, samples, center) {
+        const townName = components.town || key;
+        return {
+            town: townName,
+            townDisplay: this._townDisplay(townName, components),
+            // Coordonnées natives du GEDCOM (une seule fois par lieu !)
+            latitude: center ? String(center.latitude) : "",
+            longitude: center ? String(center.longitude) : "",
+            departement: components.department || "",
+            region: components.region || "",               // 🆕 Ajout région
+            postalCode: components.postalCode || "",       // 🆕 Ajout code postal
+            country: components.country || "",
+            departementColor: "",                  // Sera enrichi par geneafan
+            countryColor: "",                      // Sera enrichi par geneafan
+            _samples: samples.slice(0, 3)
+        };
+    }
+    
+    /**
+     * Phases 2 et 3 de familyTownsStore : composants géographiques et affichage
+     * @param {Map} placesData - Lieux collectés par _collectPlaces
+     * @param {number} coordsExtracted - Lieux dont les coordonnées ont été capturées
+     * @param {Object} [placeResolution] - Résultat de _resolvePlaces (calculé ici si absent)
+     * @private
+     */
+    _buildFamilyTownsStore(placesData, coordsExtracted, placeResolution = this._resolvePlaces(placesData)) {
+        const familyTownsStore = {};
+        const { resolutions, componentsOf } = placeResolution;
+        this.progress.start(PROGRESS_PHASES.PLACES, placesData.size);
+        
+        // Phase 2 : Générer familyTownsStore avec enrichissement progressif
+        for (const [key, data] of placesData) {
+            // Enrichissement progressif : analyser tous les samples pour cumul d'informations
+            // (clés hiérarchiques : les lieux complets dont la clé est issue)
+            const samples = Array.from(this.options.placeKeys === 'hierarchical' ? data.fullPlaces : data.samples);
+            const resolution = resolutions.get(key);
+            
+            if (resolution && resolution.split) {
+                // Homonymes éloignés : la clé commune reste, sans coordonnées, pour les événements non orientés
+                familyTownsStore[key] = this._townEntry(key, this._mergePlaceComponents(samples, componentsOf), samples, null);
+                familyTownsStore[key]._placText = data.texts.values().next().value;
+                familyTownsStore[key]._split = resolution.split;
+                
+                for (const part of resolution.parts) {
+                    const places = [...new Set(part.points.map(point => point.place))];
+                    const entry = this._townEntry(key, this._mergePlaceComponents(places, componentsOf), places, part.center);
+                    entry._placText = part.points[0].text;
+                    const occurrences = part.points.reduce((sum, point) => sum + point.count, 0);
+                    entry._hasNativeCoords = true;
+                    if (occurrences > 1) entry._coordsOccurrences = occurrences;
+                    if (part.center.spread > 0) entry._coordsSpread = part.center.spread;
+                    entry._splitFrom = key;
+                    familyTownsStore[part.key] = entry;
+                }
+            } else {
+                // Créer l'entrée avec coordonnées SI disponibles (centre robuste des points relevés)
+                const center = resolution ? resolution.center : null;
+                familyTownsStore[key] = this._townEntry(key, this._mergePlaceComponents(samples, componentsOf), samples, center);
+                familyTownsStore[key]._placText = data.texts.values().next().value;
+                
+                // Ajouter des métadonnées de tracking si coordonnées natives
+                if (center) {
+                    familyTownsStore[key]._hasNativeCoords = true;
+                    if (data.coordsCount > 1) {
+                        familyTownsStore[key]._coordsOccurrences = data.coordsCount;
+                    }
+                    if (center.spread > 0) familyTownsStore[key]._coordsSpread = center.spread;
+                    if (resolution.conflict) familyTownsStore[key]._coordsConflict = resolution.conflict;
                 }
             }
+            if (data.coordsIssues.size > 0) {
+                familyTownsStore[key]._coordsIssues = Array.from(data.coordsIssues);
+            }
+            
+            this.progress.tick();
         }
         
         // Phase 3 : Logging et statistiques
@@ -970,40 +1770,82 @@ export class CacheBuilder {
      * @private
      */
     _generateStatistics(individualsCache, familiesCache, sourcesCache, mediaCache, places) {
-        const individuals = Array.from(individualsCache.values());
+        const accumulator = this._createStatisticsAccumulator();
+        this._accumulateStatistics(accumulator, individualsCache.values());
         
-        // Calcul timespan
-        const dates = [];
-        individuals.forEach(individual => {
+        return this._finalizeStatistics(accumulator, {
+            individuals: individualsCache.size,
+            families: familiesCache.size,
+            sources: sourcesCache.size,
+            media: mediaCache.size,
+            places: places.size
+        });
+    }
+    
+    /**
+     * Accumulateur des statistiques globales (timespan, qualité)
+     * @private
+     */
+    _createStatisticsAccumulator() {
+        return {
+            minYear: Infinity,
+            maxYear: -Infinity,
+            qualityCount: 0,
+            qualitySum: 0,
+            qualityMin: Infinity,
+            qualityMax: -Infinity
+        };
+    }
+    
+    /**
+     * Ajoute des individus compressés à l'accumulateur de statistiques
+     * @private
+     */
+    _accumulateStatistics(accumulator, individuals) {
+        for (const individual of individuals) {
+            // Calcul timespan
             if (individual.e) {
-                individual.e.forEach(event => {
-                    if (event.d) dates.push(event.d);
-                });
+                for (const event of individual.e) {
+                    if (!event.d) continue;
+                    const year = Math.floor(event.d / 10000);
+                    if (year > 0) {
+                        if (year < accumulator.minYear) accumulator.minYear = year;
+                        if (year > accumulator.maxYear) accumulator.maxYear = year;
+                    }
+                }
             }
-        });
-        
-        const years = dates.map(d => Math.floor(d / 10000)).filter(y => y > 0);
-        const timespan = years.length > 0 ? 
-            { min: Math.min(...years), max: Math.max(...years) } : 
+            
+            // Calcul scores qualité
+            if (typeof individual.q === 'number') {
+                accumulator.qualityCount++;
+                accumulator.qualitySum += individual.q;
+                if (individual.q < accumulator.qualityMin) accumulator.qualityMin = individual.q;
+                if (individual.q > accumulator.qualityMax) accumulator.qualityMax = individual.q;
+            }
+        }
+    }
+    
+    /**
+     * Statistiques globales à partir de l'accumulateur et des tailles des caches
+     * @private
+     */
+    _finalizeStatistics(accumulator, counts) {
+        const timespan = accumulator.minYear !== Infinity ? 
+            { min: accumulator.minYear, max: accumulator.maxYear } : 
             { min: null, max: null };
         
-        // Calcul scores qualité
-        const qualityScores = individuals
-            .map(i => i.q)
-            .filter(q => typeof q === 'number');
-        
-        const qualityStats = qualityScores.length > 0 ? {
-            min: Math.min(...qualityScores),
-            max: Math.max(...qualityScores),
-            avg: Math.round(qualityScores.reduce((sum, score) => sum + score, 0) / qualityScores.length)
+        const qualityStats = accumulator.qualityCount > 0 ? {
+            min: accumulator.qualityMin,
+            max: accumulator.qualityMax,
+            avg: Math.round(accumulator.qualitySum / accumulator.qualityCount)
         } : { min: 0, max: 0, avg: 0 };
         
         return {
-            individuals: individualsCache.size,
-            families: familiesCache.size,
-            sources: sourcesCache.size,
-            media: mediaCache.size,
-            places: places.size,
+            individuals: counts.individuals,
+            families: counts.families,
+            sources: counts.sources,
+            media: counts.media,
+            places: counts.places,
             timespan,
             quality: qualityStats,
             
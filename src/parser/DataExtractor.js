@@ -10,7 +10,9 @@ import { MediaExtractor } from './extractors/MediaExtractor.js';
 import { NoteExtractor } from './extractors/NoteExtractor.js';
 import { AttributeExtractor } from './extractors/AttributeExtractor.js';
 import { SourceExtractor } from './extractors/SourceExtractor.js';
-import { setPlacFormat } from '../utils/geoUtils.js';
+import { sourceLine } from './sourceLines.js';
+import { createPlaceContext, readPlacForm } from '../utils/placFormat.js';
+import { ProgressTracker, PROGRESS_PHASES, runSteps, runStepsAsync } from '../utils/progress.js';
 
 export class DataExtractor {
     constructor(options = {}) {
@@ -31,14 +33,48 @@ export class DataExtractor {
         this.noteExtractor = new NoteExtractor(this.options);
         this.attributeExtractor = new AttributeExtractor(this.options);
         this.sourceExtractor = new SourceExtractor(this.options);
+        
+        // Progression par enregistrement (onProgress) et annulation (signal)
+        this.progress = new ProgressTracker(this.options);
     }
     
     /**
-     * Extrait toutes les données du SelectionGedcom
+     * Extrait toutes les données du SelectionGedcom (async)
+     * Rend la main à la boucle d'événements pendant l'extraction : options.signal peut l'annuler
      * @param {SelectionGedcom} rootSelection - Sélection racine read-gedcom
      * @returns {Promise<Object>} Données enrichies
      */
     async extract(rootSelection) {
+        return runStepsAsync(this._extractSteps(rootSelection));
+    }
+    
+    /**
+     * Extrait toutes les données du SelectionGedcom (sync)
+     * @param {SelectionGedcom} rootSelection - Sélection racine read-gedcom
+     * @returns {Object} Données enrichies
+     */
+    extractSync(rootSelection) {
+        return runSteps(this._extractSteps(rootSelection));
+    }
+    
+    /**
+     * Extrait tout sauf les individus (async)
+     * Utilisé quand les individus sont extraits par des workers (options.workers)
+     * @param {SelectionGedcom} rootSelection - Sélection racine read-gedcom
+     * @returns {Promise<Object>} Données enrichies, individuals vide
+     */
+    async extractRecords(rootSelection) {
+        return runStepsAsync(this._extractSteps(rootSelection, { individuals: false }));
+    }
+    
+    /**
+     * Étapes de l'extraction, partagées par extract() et extractSync()
+     * Chaque yield est un point de pause entre deux enregistrements
+     * @private
+     */
+    *_extractSteps(rootSelection, { individuals = true } = {}) {
+        this.progress.checkAborted();
+        
         const result = {
             individuals: [],
             families: [],
@@ -50,55 +86,84 @@ export class DataExtractor {
             metadata: {}
         };
         
-        // IMPORTANT: Extraire métadonnées EN PREMIER pour configurer le format PLAC
+        // IMPORTANT: Extraire métadonnées EN PREMIER : elles donnent le contexte PLAC du fichier
         this._log('Extraction des métadonnées...');
-        result.metadata = this._extractMetadata(rootSelection);
+        const { metadata, placeContext } = this._extractMetadata(rootSelection);
+        result.metadata = metadata;
         
-        // Maintenant que le format PLAC est configuré, extraire les individus
-        this._log('Extraction optimisée des individus avec relations directes...');
-        result.individuals = await this._extractIndividualsOptimized(rootSelection);
+        // Le contexte PLAC accompagne l'extraction des individus (aucun état partagé entre parsings)
+        if (individuals) {
+            this._log('Extraction optimisée des individus avec relations directes...');
+            result.individuals = yield* this._extractIndividualsSteps(rootSelection, placeContext);
+        }
         
         if (this.options.extractSources) {
             this._log('Extraction des sources...');
-            result.sources = await this.sourceExtractor.extractSources(rootSelection);
+            result.sources = this.sourceExtractor.extractSources(rootSelection, this.progress);
+            yield;
         }
         
         if (this.options.extractRepositories) {
             this._log('Extraction des dépôts...');
-            result.repositories = await this.sourceExtractor.extractRepositories(rootSelection);
+            result.repositories = this.sourceExtractor.extractRepositories(rootSelection, this.progress);
+            yield;
         }
         
         if (this.options.extractMedia) {
             this._log('Extraction des médias...');
-            result.media = await this.mediaExtractor.extractMedia(rootSelection);
+            result.media = this.mediaExtractor.extractMedia(rootSelection, this.progress);
+            yield;
         }
         
         if (this.options.extractNotes) {
             this._log('Extraction des notes...');
-            result.notes = await this.noteExtractor.extractNotes(rootSelection);
+            result.notes = this.noteExtractor.extractNotes(rootSelection, this.progress);
+            yield;
         }
         
         this._log('Extraction des familles...');
-        result.families = await this.familyExtractor.extractFamilies(rootSelection);
+        result.families = this.familyExtractor.extractFamilies(rootSelection, this.progress);
         
         return result;
     }
     
+    /**
+     * Extrait uniquement les individus (lots du mode streaming)
+     * Le HEAD doit faire partie de la sélection : il donne le contexte PLAC du lot
+     * @param {SelectionGedcom} rootSelection - HEAD, individus du lot et familles référencées
+     * @returns {Array} Individus enrichis
+     */
+    extractIndividualsSync(rootSelection) {
+        const { placeContext } = this._extractMetadata(rootSelection);
+        return this._extractIndividualsOptimized(rootSelection, placeContext);
+    }
+    
     /**
      * Extraction optimisée des individus avec relations directes
      * @private
      */
-    async _extractIndividualsOptimized(rootSelection) {
+    _extractIndividualsOptimized(rootSelection, placeContext = createPlaceContext(null)) {
+        return runSteps(this._extractIndividualsSteps(rootSelection, placeContext));
+    }
+    
+    /**
+     * Boucle d'extraction des individus, avec progression et pause par enregistrement
+     * @private
+     */
+    *_extractIndividualsSteps(rootSelection, placeContext) {
         const individuals = [];
         const individualRecords = rootSelection.getIndividualRecord().arraySelect();
+        this.progress.start(PROGRESS_PHASES.INDIVIDUALS, individualRecords.length);
         
         for (const individualSelection of individualRecords) {
             try {
-                const individual = await this._extractSingleIndividualOptimized(individualSelection, rootSelection);
+                const individual = this._extractSingleIndividualOptimized(individualSelection, rootSelection, placeContext);
                 individuals.push(individual);
             } catch (error) {
                 this._log(`Erreur extraction individu: ${error.message}`);
             }
+            
+            if (this.progress.tick()) yield;
         }
         
         this._log(`${individuals.length} individus extraits avec relations directes`);
@@ -109,7 +174,7 @@ export class DataExtractor {
      * Extraction optimisée d'un individu avec toutes ses données
      * @private
      */
-    async _extractSingleIndividualOptimized(individualSelection, rootSelection) {
+    _extractSingleIndividualOptimized(individualSelection, rootSelection, placeContext = createPlaceContext(null)) {
         const pointer = individualSelection.pointer()[0];
         
         // Extraction des relations familiales
@@ -118,6 +183,7 @@ export class DataExtractor {
         // Extraction des données de base
         const individual = {
             pointer,
+            line: sourceLine(individualSelection),
             name: this.individualExtractor.extractName(individualSelection),
             sex: this.individualExtractor.extractSex(individualSelection),
             
@@ -150,14 +216,19 @@ export class DataExtractor {
             notes: this.options.extractNotes ? 
                 this.noteExtractor.extractIndividualNotes(individualSelection) : [],
             
+            // Citations de sources au niveau de l'individu (1 SOUR)
+            sources: this.options.extractSources ? 
+                this.eventExtractor.extractEventSources(individualSelection) : [],
+            
             // Identifiants et métadonnées
             identifiers: this.individualExtractor.extractIdentifiers(individualSelection),
+            negativeAssertions: this.individualExtractor.extractNegativeAssertions(individualSelection),
             addresses: this.individualExtractor.extractAddresses(individualSelection),
             changeDate: this.individualExtractor.extractChangeDate(individualSelection)
         };
         
         // Extraction des événements individuels
-        const individualEvents = this.eventExtractor.extractAllEvents(individualSelection, pointer);
+        const individualEvents = this.eventExtractor.extractAllEvents(individualSelection, pointer, placeContext);
         
         // Extraction des attributs
         individual.attributes = this.attributeExtractor.extractAllAttributes(individualSelection);
@@ -165,7 +236,8 @@ export class DataExtractor {
         // Extraction des événements familiaux optimisés
         const familyEvents = this.eventExtractor.extractFamilyEventsOptimized(
             individualSelection, 
-            familyRelations
+            familyRelations,
+            placeContext
         );
         
         // Combiner tous les événements
@@ -176,6 +248,8 @@ export class DataExtractor {
     
     /**
      * Extraction des métadonnées du fichier GEDCOM
+     * @returns {{metadata: Object, placeContext: Object}} Métadonnées et contexte PLAC du fichier
+     *          (FORM de l'en-tête, à transmettre aux extracteurs : voir createPlaceContext)
      * @private
      */
     _extractMetadata(rootSelection) {
@@ -210,6 +284,16 @@ export class DataExtractor {
                     }
                 }
                 
+                // Extensions GEDCOM 7 (SCHMA > TAG "_TAG URI")
+                const schemaTags = header.get('SCHMA').get('TAG');
+                if (schemaTags.length > 0) {
+                    metadata.extensionTags = {};
+                    for (const value of schemaTags.value()) {
+                        const [tag, uri] = (value || '').split(/\s+/);
+                        if (tag) metadata.extensionTags[tag] = uri || null;
+                    }
+                }
+                
                 // Character encoding
                 const charset = header.get('CHAR');
                 if (charset && charset.length > 0) {
@@ -233,16 +317,11 @@ export class DataExtractor {
                     metadata.language = language.value()[0];
                 }
                 
-                // Place hierarchy
-                const placeHierarchy = header.get('PLAC');
-                if (placeHierarchy && placeHierarchy.length > 0) {
-                    const form = placeHierarchy.get('FORM');
-                    if (form && form.length > 0) {
-                        metadata.placeHierarchy = form.value()[0];
-                        // Configurer le format PLAC pour les extracteurs
-                        setPlacFormat(metadata.placeHierarchy);
-                        this._log(`Format PLAC configuré: ${metadata.placeHierarchy}`);
-                    }
+                // Place hierarchy (HEAD > PLAC > FORM)
+                const placeHierarchy = readPlacForm(rootSelection);
+                if (placeHierarchy) {
+                    metadata.placeHierarchy = placeHierarchy;
+                    this._log(`Format PLAC du fichier: ${metadata.placeHierarchy}`);
                 }
                 
                 // Submitter
@@ -264,12 +343,11 @@ export class DataExtractor {
                 }
             }
             
-            // Fallback : configurer format PLAC par défaut si non défini
+            // Fallback : format PLAC par défaut si non défini
             if (!metadata.placeHierarchy) {
                 const defaultPlacFormat = 'Town, Area code, County, Region, Country, Subdivision';
                 metadata.placeHierarchy = defaultPlacFormat;
-                setPlacFormat(defaultPlacFormat);
-                this._log(`Format PLAC par défaut configuré: ${defaultPlacFormat}`);
+                this._log(`Format PLAC par défaut: ${defaultPlacFormat}`);
             }
             
             // Statistics
@@ -286,7 +364,7 @@ export class DataExtractor {
             this._log(`Erreur extraction métadonnées: ${error.message}`);
         }
         
-        return metadata;
+        return { metadata, placeContext: createPlaceContext(metadata.placeHierarchy) };
     }
     
     /**
@@ -342,20 +420,20 @@ export class DataExtractor {
     }
     
     // Délégation vers EventExtractor
-    _extractAllEvents(individualSelection, pointer) {
-        return this.eventExtractor.extractAllEvents(individualSelection, pointer);
+    _extractAllEvents(individualSelection, pointer, placeContext) {
+        return this.eventExtractor.extractAllEvents(individualSelection, pointer, placeContext);
     }
     
-    _extractEventDetails(eventSelection, baseType) {
-        return this.eventExtractor.extractEventDetails(eventSelection, baseType);
+    _extractEventDetails(eventSelection, baseType, placeContext) {
+        return this.eventExtractor.extractEventDetails(eventSelection, baseType, placeContext);
     }
     
     _extractDate(dateSelection) {
         return this.eventExtractor.extractDate(dateSelection);
     }
     
-    _extractPlace(placeSelection) {
-        return this.eventExtractor.extractPlace(placeSelection);
+    _extractPlace(placeSelection, placeContext) {
+        return this.eventExtractor.extractPlace(placeSelection, placeContext);
     }
     
     _extractAge(ageSelection) {
@@ -370,8 +448,8 @@ export class DataExtractor {
         return this.eventExtractor.extractCustomEventType(eventSelection);
     }
     
-    _extractFamilyEventsOptimized(individualSelection, familyRelations) {
-        return this.eventExtractor.extractFamilyEventsOptimized(individualSelection, familyRelations);
+    _extractFamilyEventsOptimized(individualSelection, familyRelations, placeContext) {
+        return this.eventExtractor.extractFamilyEventsOptimized(individualSelection, familyRelations, placeContext);
     }
     
     _extractEventNotes(eventSelection) {
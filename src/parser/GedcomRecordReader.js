@@ -0,0 +1,145 @@
+/**
+ * GedcomRecordReader
+ * Regroupe un texte GEDCOM reçu par morceaux en enregistrements de niveau 0
+ * (mode streaming : le fichier n'est jamais entièrement en mémoire)
+ */
+
+const LEVEL_ZERO = /^0\s+(?:(@[^@]+@)\s+)?(\S+)/;
+const FAMILY_LINK = /^1\s+FAM[CS]\s+(@[^@]+@)/gm;
+
+/**
+ * Pointeurs FAMC/FAMS d'un enregistrement INDI, sans doublon
+ * @param {string} text - Texte de l'enregistrement
+ * @returns {string[]}
+ */
+export function readFamilyLinks(text) {
+    return [...new Set([...text.matchAll(FAMILY_LINK)].map(match => match[1]))];
+}
+
+/**
+ * Assemble un mini-GEDCOM : HEAD, individus du lot, puis les familles qu'ils référencent
+ * Familles dans l'ordre du fichier : read-gedcom résout les pointeurs dans l'ordre des enregistrements
+ * @param {string|null} head - Enregistrement HEAD
+ * @param {Array<{text: string, families: string[], line?: number, sourceLines?: number[]}>} individuals - Individus du lot
+ * @param {Map<string, {order: number, text: string, line?: number, sourceLines?: number[]}>} families - Familles lues, par pointeur
+ *        (line : ligne d'origine du niveau 0 ; sourceLines : ligne d'origine de chaque ligne, après normalisation GEDCOM 7)
+ * @returns {{text: string, lineMap: Array<[number, number, number]>}} Texte du lot et correspondance
+ *          de ses lignes avec celles du fichier (voir createLineMapper)
+ */
+export function composeBatchGedcom(head, individuals, families) {
+    const referenced = new Set();
+    const parts = [];
+    const lineMap = [];
+    let nextLine = 1;
+    
+    const append = ({ text, line = null, sourceLines = null }) => {
+        const count = text.split('\n').length;
+        if (sourceLines) {
+            sourceLines.forEach((source, index) => lineMap.push([nextLine + index, source, 1]));
+        } else if (line) {
+            lineMap.push([nextLine, line, count]);
+        }
+        parts.push(text);
+        nextLine += count;
+    };
+    
+    append({ text: head || '0 HEAD' });
+    for (const individual of individuals) {
+        append(individual);
+        individual.families.forEach(family => referenced.add(family));
+    }
+    
+    [...referenced]
+        .map(family => families.get(family))
+        .filter(Boolean)
+        .sort((a, b) => a.order - b.order)
+        .forEach(append);
+    
+    parts.push('0 TRLR');
+    return { text: parts.join('\n'), lineMap };
+}
+
+export class GedcomRecordReader {
+    constructor(options = {}) {
+        this.options = options;
+        this.tail = '';
+        this.current = null;
+        this.started = false;
+        this.lineNumber = 0;
+    }
+    
+    /**
+     * Ajoute un morceau de texte
+     * @param {string} text - Texte décodé (peut couper une ligne)
+     * @returns {Array<{tag: string, pointer: string|null, text: string, line: number}>} Enregistrements complets,
+     *          line étant la ligne de leur niveau 0 dans le texte reçu
+     */
+    push(text) {
+        const lines = (this.tail + text).split(/\r\n|\r|\n/);
+        this.tail = lines.pop();
+        
+        const records = [];
+        for (const line of lines) {
+            this._acceptLine(line, records);
+        }
+        return records;
+    }
+    
+    /**
+     * Termine la lecture
+     * @returns {Array<{tag: string, pointer: string|null, text: string, line: number}>} Derniers enregistrements
+     */
+    end() {
+        const records = [];
+        this._acceptLine(this.tail, records);
+        this.tail = '';
+        
+        if (this.current) {
+            records.push(this._closeRecord());
+        }
+        return records;
+    }
+    
+    /**
+     * @private
+     */
+    _acceptLine(rawLine, records) {
+        this.lineNumber++;
+        let line = rawLine;
+        if (!this.started) {
+            line = line.replace(/^\uFEFF/, '');
+            if (line.trim()) this.started = true;
+        }
+        
+        line = line.trimStart();
+        if (!line) return;
+        
+        const match = line.match(LEVEL_ZERO);
+        if (match) {
+            if (this.current) {
+                records.push(this._closeRecord());
+            }
+            this.current = {
+                tag: match[2].toUpperCase(),
+                pointer: match[1] || null,
+                line: this.lineNumber,
+                lines: [line]
+            };
+            return;
+        }
+        
+        // Lignes avant le premier enregistrement : ignorées
+        if (this.current) {
+            this.current.lines.push(line);
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _closeRecord() {
+        const { tag, pointer, line, lines } = this.current;
+        this.current = null;
+        return { tag, pointer, text: lines.join('\n'), line };
+    }
+}
@@ -6,50 +6,80 @@
 import { readGedcom } from 'read-gedcom';
 import { DataExtractor } from './DataExtractor.js';
 import { CacheBuilder } from './CacheBuilder.js';
+import { StreamingParser } from './StreamingParser.js';
+import { ParallelExtractor } from './ParallelExtractor.js';
 import { fixEncoding } from '../encoding/encodingFixes.js';
+import { decodeGedcomBuffer } from '../encoding/charsetDecoder.js';
+import { isGedcom7, normalizeGedcom7 } from '../gedcom7/gedcom7Normalizer.js';
+import { checkGedcomStructure } from '../validation/structureChecker.js';
+import { GedzipArchive, GEDZIP_GEDCOM_FILE } from '../gedcom7/GedzipArchive.js';
+import { ProgressTracker } from '../utils/progress.js';
+import { applySplitPlaceKeys } from '../utils/placeKeys.js';
 
 export class GeneaFanParser {
     constructor(options = {}) {
         this.options = {
             fixEncoding: true,
+            decodeCharset: true,
+            forcedCharset: null,
             extractMedia: true,
             extractNotes: true,
             extractSources: true,
             calculateQuality: true,
+            checkStructure: true,
             verbose: false,
+            onProgress: null,
+            signal: null,
+            workers: 0,
+            geoDataProvider: null,
             ...options
         };
         
         this.dataExtractor = new DataExtractor(this.options);
         this.cacheBuilder = new CacheBuilder(this.options);
+        this.progress = new ProgressTracker(this.options);
     }
     
     /**
      * Parse asynchrone du fichier GEDCOM
-     * @param {string|ArrayBuffer} data - Données GEDCOM
+     * options.onProgress reçoit la progression par enregistrement de chaque phase ;
+     * options.signal (AbortSignal) interrompt le parsing entre deux enregistrements ;
+     * options.workers (nombre ou 'auto') répartit l'extraction des individus sur des workers
+     * @param {string|ArrayBuffer} data - Données GEDCOM (5.5/5.5.1/7.0) ou archive GEDZIP
      * @returns {Promise<Object>} Toutes les caches générées
      */
     async parse(data) {
         const startTime = Date.now();
         
         try {
+            this.progress.checkAborted();
+            
             // Phase 1: Préparation des données
             this._log('Phase 1: Préparation des données...');
-            const buffer = await this._prepareData(data);
+            const { buffer, charset, archive, sourceLines, conformance } = await this._prepareData(data);
+            
+            if (ParallelExtractor.isEnabled(this.options.workers)) {
+                return await this._parseParallel(buffer, charset, startTime, { archive, sourceLines, conformance });
+            }
             
             // Phase 2: Parsing GEDCOM avec read-gedcom
             this._log('Phase 2: Parsing GEDCOM avec read-gedcom...');
-            const rootSelection = readGedcom(buffer);
+            const rootSelection = readGedcom(buffer, this._readGedcomOptions(charset));
             this._reportProgress('gedcom-parsing', 1.0);
+            this.progress.checkAborted();
             
             // Phase 3: Extraction enrichie des données
             this._log('Phase 3: Extraction enrichie des données...');
             const enrichedData = await this.dataExtractor.extract(rootSelection);
+            enrichedData.metadata.charset = charset;
             this._reportProgress('data-extraction', 1.0);
             
             // Phase 4: Construction des caches optimisées
             this._log('Phase 4: Construction des caches optimisées...');
             const result = await this.cacheBuilder.build(enrichedData);
+            result.conformance = conformance;
+            this._restoreSourceLines(result, sourceLines);
+            if (archive) await this._resolveArchiveMedia(result, archive);
             this._reportProgress('cache-building', 1.0);
             
             const endTime = Date.now();
@@ -69,33 +99,106 @@ export class GeneaFanParser {
         }
     }
     
+    /**
+     * Phases 2 à 4 avec extraction des individus sur des workers
+     * Les workers traitent les individus par lots pendant que le thread principal
+     * extrait les autres enregistrements ; les lots sont fusionnés dans l'ordre du fichier
+     * @private
+     */
+    async _parseParallel(buffer, charset, startTime, { archive = null, sourceLines = null, conformance = {} } = {}) {
+        this._log('Phase 2-3: Extraction des individus sur workers...');
+        // Chargées avant les workers : les clés hiérarchiques en ont besoin dès l'extraction
+        await this.cacheBuilder.loadGeoData();
+        const parallel = new ParallelExtractor(this.options);
+        const shards = parallel.extract(this._workerText(buffer, charset));
+        // Évite un rejet non géré si le thread principal échoue avant d'attendre les lots
+        shards.catch(() => {});
+        
+        const rootSelection = readGedcom(buffer, this._readGedcomOptions(charset));
+        this._reportProgress('gedcom-parsing', 1.0);
+        this.progress.checkAborted();
+        
+        const enrichedData = await this.dataExtractor.extractRecords(rootSelection);
+        enrichedData.metadata.charset = charset;
+        const { individualsCache, state } = await shards;
+        this._reportProgress('data-extraction', 1.0);
+        
+        this._log('Phase 4: Construction des caches optimisées...');
+        const { metadata, splitPlaceKeys, ...caches } = this.cacheBuilder.finishStreamSync(enrichedData, state);
+        applySplitPlaceKeys(individualsCache, splitPlaceKeys);
+        const { streaming, ...rest } = metadata;
+        const result = {
+            individualsCache,
+            ...caches,
+            conformance,
+            metadata: { ...rest, workers: { count: parallel.workerCount, shards: streaming.batches } }
+        };
+        this._restoreSourceLines(result, sourceLines);
+        if (archive) await this._resolveArchiveMedia(result, archive);
+        this._reportProgress('cache-building', 1.0);
+        
+        this._log(`✅ Parsing parallèle terminé en ${Date.now() - startTime}ms`);
+        this._log(`📊 ${individualsCache.size} individus sur ${parallel.workerCount} workers`);
+        
+        result.readGedcomData = rootSelection;
+        
+        return result;
+    }
+    
+    /**
+     * Texte découpé en lots pour les workers
+     * Données déjà ré-encodées en UTF-8 par _prepareDataSync, sinon (decodeCharset: false)
+     * octets bruts décodés par le même décodeur que le parse mono-thread
+     * @private
+     */
+    _workerText(buffer, charset) {
+        if (charset.applied || charset.source === 'string') return buffer.toString('utf8');
+        return decodeGedcomBuffer(buffer, { forcedCharset: this.options.forcedCharset }).text;
+    }
+    
     /**
      * Parse synchrone du fichier GEDCOM
-     * @param {string|ArrayBuffer} data - Données GEDCOM
+     * Même pipeline que parse() ; les données géographiques sont celles que
+     * options.geoDataProvider rend sans attendre (loadSync).
+     * options.workers est ignoré : les workers répondent de façon asynchrone.
+     * Une archive GEDZIP compressée demande zlib (Node) : dans le navigateur, utiliser parse()
+     * @param {string|ArrayBuffer} data - Données GEDCOM (5.5/5.5.1/7.0) ou archive GEDZIP
      * @returns {Object} Toutes les caches générées
      */
     parseSync(data) {
         const startTime = Date.now();
         
         try {
-            // Phase 1: Préparation
-            const text = this._prepareDataSync(data);
+            this.progress.checkAborted();
             
-            // Phase 2: Tokenisation
-            const tokens = this.tokenizer.tokenizeSync(text);
+            // Phase 1: Préparation des données
+            this._log('Phase 1: Préparation des données (sync)...');
+            const { buffer, charset, archive, sourceLines, conformance } = this._prepareDataSync(data);
             
-            // Phase 3: Arbre
-            const tree = this.treeBuilder.buildSync(tokens);
+            // Phase 2: Parsing GEDCOM avec read-gedcom
+            this._log('Phase 2: Parsing GEDCOM avec read-gedcom...');
+            const rootSelection = readGedcom(buffer, this._readGedcomOptions(charset));
+            this._reportProgress('gedcom-parsing', 1.0);
             
-            // Phase 4: Extraction
-            const rawData = this.dataExtractor.extractSync(tree);
+            // Phase 3: Extraction enrichie des données
+            this._log('Phase 3: Extraction enrichie des données...');
+            const enrichedData = this.dataExtractor.extractSync(rootSelection);
+            enrichedData.metadata.charset = charset;
+            this._reportProgress('data-extraction', 1.0);
             
-            // Phase 5: Caches
-            const result = this.cacheBuilder.buildSync(rawData);
+            // Phase 4: Construction des caches optimisées
+            this._log('Phase 4: Construction des caches optimisées...');
+            const result = this.cacheBuilder.buildSync(enrichedData);
+            result.conformance = conformance;
+            this._restoreSourceLines(result, sourceLines);
+            if (archive) this._resolveArchiveMediaSync(result, archive);
+            this._reportProgress('cache-building', 1.0);
             
             const duration = Date.now() - startTime;
             this._log(`✅ Parsing synchrone terminé en ${duration}ms`);
             
+            result.readGedcomData = rootSelection;
+            
             return result;
             
         } catch (error) {
@@ -104,19 +207,92 @@ export class GeneaFanParser {
         }
     }
     
+    /**
+     * Parse en streaming d'un gros fichier GEDCOM
+     * Les individus sont émis par lots au lieu d'être réunis dans individualsCache
+     * @param {ReadableStream|import('stream').Readable} stream - Flux d'octets GEDCOM
+     * @param {Object} options
+     * @param {number} [options.batchSize=1000] - Individus par lot
+     * @param {function({index: number, individuals: Map}): (void|Promise<void>)} [options.onBatch] - Reçoit chaque lot
+     * @returns {Promise<Object>} familyTownsStore, statistiques et caches des enregistrements (sans individualsCache)
+     */
+    async parseStream(stream, options = {}) {
+        const { onBatch, ...streamOptions } = options;
+        return this._createStreamingParser(streamOptions).parse(stream, onBatch);
+    }
+    
+    /**
+     * Itérateur asynchrone des lots d'un gros fichier GEDCOM
+     * Produit { type: 'batch', index, individuals } puis { type: 'end', result }
+     * @param {ReadableStream|import('stream').Readable} stream - Flux d'octets GEDCOM
+     * @param {Object} options
+     * @param {number} [options.batchSize=1000] - Individus par lot
+     * @returns {AsyncGenerator<Object>}
+     */
+    streamBatches(stream, options = {}) {
+        return this._createStreamingParser(options).batches(stream);
+    }
+    
+    /**
+     * @private
+     */
+    _createStreamingParser(options) {
+        return new StreamingParser({ ...this.options, ...options });
+    }
+    
     /**
      * Prépare les données pour le parsing (async)
      * @private
      */
     async _prepareData(data) {
-        if (Buffer.isBuffer(data)) {
-            // Buffer Node.js - perfect pour read-gedcom
-            return data;
+        if (GedzipArchive.isGedzip(data)) {
+            const archive = new GedzipArchive(data);
+            return { ...this._prepareDataSync(await archive.read(GEDZIP_GEDCOM_FILE)), archive };
+        }
+        return this._prepareDataSync(data);
+    }
+    
+    /**
+     * Prépare les données pour le parsing (sync)
+     * Les octets (Buffer/ArrayBuffer) sont décodés ici selon leur jeu de caractères
+     * puis ré-encodés en UTF-8 pour read-gedcom ; un fichier GEDCOM 7 est normalisé
+     * en structures 5.5.1 (voir gedcom7/gedcom7Normalizer.js)
+     * @returns {{buffer: Buffer, charset: Object, conformance: Object, archive?: GedzipArchive, sourceLines?: number[]}}
+     *          Données UTF-8, rapport de décodage, contrôle de structure du texte d'origine, archive GEDZIP
+     *          d'origine et, pour un fichier GEDCOM 7 normalisé, ligne d'origine de chaque ligne du texte lu
+     * @private
+     */
+    _prepareDataSync(data) {
+        if (GedzipArchive.isGedzip(data)) {
+            const archive = new GedzipArchive(data);
+            return { ...this._prepareDataSync(archive.readSync(GEDZIP_GEDCOM_FILE)), archive };
         }
         
-        if (data instanceof ArrayBuffer) {
-            // Convertir ArrayBuffer vers Buffer
-            return Buffer.from(data);
+        if (Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            if (!this.options.decodeCharset) {
+                // Détection et décodage laissés à read-gedcom
+                const buffer = Buffer.isBuffer(data) ? data :
+                    data instanceof ArrayBuffer ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+                return {
+                    buffer,
+                    conformance: this._checkStructure(buffer.toString('utf8')),
+                    charset: { source: 'read-gedcom', detected: null, applied: null, declared: null, hasBom: false }
+                };
+            }
+            
+            const decoded = decodeGedcomBuffer(data, { forcedCharset: this.options.forcedCharset });
+            this._log(`Jeu de caractères: ${decoded.detectedCharset} détecté (${decoded.source}), ${decoded.appliedCharset} appliqué`);
+            
+            return {
+                ...this._prepareText(decoded.text),
+                charset: {
+                    declared: decoded.declaredCharset,
+                    detected: decoded.detectedCharset,
+                    applied: decoded.appliedCharset,
+                    source: decoded.source,
+                    hasBom: decoded.hasBom
+                }
+            };
         }
         
         if (typeof data === 'string') {
@@ -125,88 +301,122 @@ export class GeneaFanParser {
             
             // Fix encoding si nécessaire
             if (this.options.fixEncoding) {
-                text = await fixEncoding(text);
+                text = fixEncoding(text);
             }
             
             // Convertir en Buffer
-            return Buffer.from(text, 'utf8');
+            return {
+                ...this._prepareText(text),
+                charset: { source: 'string', detected: null, applied: null, declared: null, hasBom: false }
+            };
         }
         
         throw new Error('Format de données non supporté. Utilisez string, Buffer ou ArrayBuffer.');
     }
     
     /**
-     * Prépare les données pour le parsing (sync)
+     * Contrôle la structure du texte décodé puis le normalise
+     * Le contrôle porte sur le texte d'origine : ses numéros de ligne sont ceux du fichier
+     * @returns {{buffer: Buffer, sourceLines: number[]|null, conformance: Object}}
      * @private
      */
-    _prepareDataSync(data) {
-        if (data instanceof ArrayBuffer) {
-            return data;
-        }
-        
-        if (typeof data === 'string') {
-            let text = data;
-            if (this.options.fixEncoding) {
-                text = fixEncoding(text);
-            }
-            
-            // Convertir en ArrayBuffer
-            const encoder = new TextEncoder();
-            return encoder.encode(text).buffer;
+    _prepareText(text) {
+        const conformance = this._checkStructure(text);
+        const { text: normalized, sourceLines } = this._normalizeVersion(text);
+        return { buffer: Buffer.from(normalized, 'utf8'), sourceLines, conformance };
+    }
+    
+    /**
+     * @private
+     */
+    _checkStructure(text) {
+        return this.options.checkStructure ? checkGedcomStructure(text) : {};
+    }
+    
+    /**
+     * Réécrit un texte GEDCOM 7 en structures 5.5.1, laisse les autres versions intactes
+     * @returns {{text: string, sourceLines: number[]|null}} sourceLines : ligne d'origine de chaque ligne réécrite
+     * @private
+     */
+    _normalizeVersion(text) {
+        if (!isGedcom7(text)) return { text, sourceLines: null };
+        this._log('GEDCOM 7 détecté : normalisation des structures 7.0');
+        const sourceLines = [];
+        return { text: normalizeGedcom7(text, sourceLines), sourceLines };
+    }
+    
+    /**
+     * Ramène les lignes des constats de validation à celles du fichier GEDCOM 7 d'origine
+     * (read-gedcom a lu le texte normalisé, d'où les structures @VOID@ et PHRASE ont été retirées)
+     * @private
+     */
+    _restoreSourceLines(result, sourceLines) {
+        if (!sourceLines || !result.validation || !result.validation.findings) return;
+        for (const finding of result.validation.findings) {
+            if (finding.line) finding.line = sourceLines[finding.line - 1] ?? null;
         }
-        
-        throw new Error('Format de données non supporté');
     }
     
     /**
-     * Détecte l'encodage du fichier
+     * Rattache aux médias les fichiers présents dans l'archive GEDZIP (async)
+     * mediaCache[ptr].data reçoit le contenu, size sa taille ; les fichiers externes sont ignorés
      * @private
      */
-    _detectEncoding(buffer) {
-        const bytes = new Uint8Array(buffer);
-        
-        // BOM UTF-8
-        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
-            return 'utf-8';
+    async _resolveArchiveMedia(result, archive) {
+        for (const [media, path] of this._archiveMediaPaths(result, archive)) {
+            media.data = await archive.read(path);
+            media.size = media.data.length;
         }
-        
-        // BOM UTF-16 LE
-        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
-            return 'utf-16le';
+    }
+    
+    /**
+     * Rattache aux médias les fichiers présents dans l'archive GEDZIP (sync)
+     * @private
+     */
+    _resolveArchiveMediaSync(result, archive) {
+        for (const [media, path] of this._archiveMediaPaths(result, archive)) {
+            media.data = archive.readSync(path);
+            media.size = media.data.length;
         }
-        
-        // BOM UTF-16 BE
-        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
-            return 'utf-16be';
+    }
+    
+    /**
+     * Médias dont le FILE désigne un fichier de l'archive ; renseigne metadata.archive
+     * @returns {Array<[Object, string]>} Paires [entrée de mediaCache, chemin dans l'archive]
+     * @private
+     */
+    _archiveMediaPaths(result, archive) {
+        const resolved = [];
+        for (const media of result.mediaCache.values()) {
+            const path = archive.resolve(media.file);
+            if (path) resolved.push([media, path]);
         }
         
-        // Recherche de CHAR dans l'en-tête
-        const headerText = new TextDecoder('ascii', { fatal: false })
-            .decode(buffer.slice(0, 1000));
-        
-        const charMatch = headerText.match(/1 CHAR ([^\r\n]+)/);
-        if (charMatch) {
-            const charset = charMatch[1].toUpperCase();
-            switch (charset) {
-                case 'UTF-8': return 'utf-8';
-                case 'UTF-16': return 'utf-16le';
-                case 'ANSEL': return 'windows-1252'; // Approximation
-                case 'ASCII': return 'ascii';
-                case 'ANSI': return 'windows-1252';
-            }
-        }
+        result.metadata.archive = {
+            format: 'gedzip',
+            files: archive.mediaPaths.length,
+            resolvedMedia: resolved.length
+        };
+        this._log(`GEDZIP: ${resolved.length} médias rattachés sur ${archive.mediaPaths.length} fichiers`);
         
-        // Par défaut UTF-8
-        return 'utf-8';
+        return resolved;
+    }
+    
+    /**
+     * Options read-gedcom : le texte est déjà en UTF-8 quand le décodage a eu lieu ici
+     * @private
+     */
+    _readGedcomOptions(charset) {
+        return charset.applied || charset.source === 'string' ? { forcedCharset: 'UTF-8' } : {};
     }
     
     /**
-     * Rapporte la progression
+     * Rapporte la fin d'une phase globale (les phases par enregistrement passent par ProgressTracker)
      * @private
      */
     _reportProgress(phase, progress) {
         if (this.options.onProgress) {
-            this.options.onProgress(phase, progress);
+            this.options.onProgress(phase, progress, { current: 1, total: 1, elapsed: null, eta: 0 });
         }
     }
     
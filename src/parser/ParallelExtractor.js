@@ -0,0 +1,258 @@
+/**
+ * ParallelExtractor - Extraction et compression des individus réparties sur des workers
+ * Le texte GEDCOM est découpé en lots (HEAD + individus + familles référencées),
+ * traités par worker_threads (Node) ou Web Workers (navigateur), puis fusionnés
+ * dans l'ordre du fichier : le résultat ne dépend pas de l'ordre de fin des workers.
+ */
+
+import { CacheBuilder } from './CacheBuilder.js';
+import { GedcomRecordReader, readFamilyLinks, composeBatchGedcom } from './GedcomRecordReader.js';
+import { ProgressTracker, PROGRESS_PHASES } from '../utils/progress.js';
+
+export class ParallelExtractor {
+    constructor(options = {}) {
+        this.options = {
+            workers: 0,
+            shardSize: 2000,
+            workerTimeout: 60000,  // ms sans réponse d'un worker sur son lot avant échec (0 : pas de limite)
+            verbose: false,
+            ...options
+        };
+        
+        this.cacheBuilder = new CacheBuilder({ ...this.options, onProgress: null });
+        this.progress = new ProgressTracker(this.options);
+        this.workerCount = 0;
+    }
+    
+    /**
+     * Vrai si l'option workers demande une extraction parallèle
+     * @param {number|'auto'} workers - Nombre de workers, ou 'auto' (cœurs - 1)
+     * @returns {boolean}
+     */
+    static isEnabled(workers) {
+        return workers === 'auto' || (Number.isInteger(workers) && workers > 0);
+    }
+    
+    /**
+     * Nombre de workers effectif
+     * @returns {Promise<number>}
+     */
+    async resolveWorkerCount() {
+        const { workers } = this.options;
+        if (workers !== 'auto') return ParallelExtractor.isEnabled(workers) ? workers : 1;
+        
+        let cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+        if (!cores) {
+            const os = await import('node:os');
+            cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+        }
+        return Math.max(1, cores - 1);
+    }
+    
+    /**
+     * Extrait et compresse tous les individus du texte
+     * @param {string} text - Texte GEDCOM décodé
+     * @returns {Promise<{individualsCache: Map, state: Object}>} Individus dans l'ordre du fichier
+     *          et état à passer à CacheBuilder.finishStreamSync
+     */
+    async extract(text) {
+        const shards = this._createShards(text);
+        const total = shards.reduce((sum, shard) => sum + shard.count, 0);
+        this.workerCount = Math.min(await this.resolveWorkerCount(), shards.length);
+        
+        this._log(`${total} individus en ${shards.length} lots sur ${this.workerCount} workers`);
+        this.progress.start(PROGRESS_PHASES.INDIVIDUALS, total);
+        
+        const results = await this._runPool(shards, this.workerCount);
+        
+        // Fusion dans l'ordre des lots = ordre du fichier
+        const state = this.cacheBuilder.createStreamState();
+        const individualsCache = new Map();
+        for (const result of results) {
+            for (const [pointer, individual] of result.individuals) {
+                individualsCache.set(pointer, individual);
+            }
+            this.cacheBuilder.mergeStreamState(state, result.state);
+        }
+        
+        return { individualsCache, state };
+    }
+    
+    /**
+     * Découpe le texte en lots de shardSize individus, dans l'ordre du fichier
+     * @private
+     */
+    _createShards(text) {
+        const reader = new GedcomRecordReader();
+        const records = [...reader.push(text), ...reader.end()];
+        
+        let head = null;
+        const families = new Map();
+        const individuals = [];
+        
+        for (const record of records) {
+            if (record.tag === 'HEAD') {
+                head = record.text;
+            } else if (record.tag === 'INDI') {
+                individuals.push({ text: record.text, line: record.line, families: readFamilyLinks(record.text) });
+            } else if (record.tag === 'FAM' && record.pointer) {
+                families.set(record.pointer, { order: families.size, text: record.text, line: record.line });
+            }
+        }
+        
+        const shards = [];
+        for (let i = 0; i < individuals.length; i += this.options.shardSize) {
+            const batch = individuals.slice(i, i + this.options.shardSize);
+            const { text, lineMap } = composeBatchGedcom(head, batch, families);
+            shards.push({ index: shards.length, count: batch.length, text, lineMap });
+        }
+        return shards;
+    }
+    
+    /**
+     * Distribue les lots aux workers (un lot à la fois par worker) et attend tous les résultats
+     * @private
+     */
+    async _runPool(shards, workerCount) {
+        const results = new Array(shards.length);
+        const workers = [];
+        const { signal, workerTimeout } = this.options;
+        const timers = new Map();
+        
+        try {
+            for (let i = 0; i < workerCount; i++) {
+                workers.push(await this._spawnWorker());
+            }
+            
+            await new Promise((resolve, reject) => {
+                let next = 0;
+                let done = 0;
+                
+                const settle = () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    timers.forEach(timer => clearTimeout(timer));
+                    timers.clear();
+                };
+                const fail = (error) => {
+                    settle();
+                    reject(error);
+                };
+                const onAbort = () => {
+                    try {
+                        this.progress.checkAborted();
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+                
+                const dispatch = (worker) => {
+                    if (next >= shards.length) return;
+                    const shard = shards[next++];
+                    worker.post({ type: 'shard', index: shard.index, text: shard.text, lineMap: shard.lineMap });
+                    // Worker mort sans événement (Web Worker) ou bloqué : l'attente ne doit pas être infinie
+                    if (workerTimeout > 0) {
+                        timers.set(worker, setTimeout(() =>
+                            fail(new Error(`Worker sans réponse (lot ${shard.index}) après ${workerTimeout} ms`)), workerTimeout));
+                    }
+                };
+                
+                for (const worker of workers) {
+                    worker.onMessage((message) => {
+                        clearTimeout(timers.get(worker));
+                        if (message.type === 'error') {
+                            fail(new Error(`Worker (lot ${message.index}): ${message.message}`));
+                            return;
+                        }
+                        
+                        results[message.index] = message;
+                        try {
+                            this.progress.tick(shards[message.index].count);
+                        } catch (error) {
+                            fail(error);
+                            return;
+                        }
+                        
+                        if (++done === shards.length) {
+                            settle();
+                            resolve();
+                        } else {
+                            dispatch(worker);
+                        }
+                    });
+                    worker.onError(fail);
+                    // Arrêt du worker (crash, process.exit) sans événement error : sinon l'attente ne finit jamais
+                    worker.onExit((code) => {
+                        if (done < shards.length) fail(new Error(`Worker arrêté (code ${code}) avant la fin des lots`));
+                    });
+                    worker.post({ type: 'init', options: this._workerOptions() });
+                    dispatch(worker);
+                }
+                
+                if (shards.length === 0) resolve();
+                onAbort();
+            });
+        } finally {
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Options transmissibles aux workers (copie structurée : ni fonctions, ni signal, ni fournisseur géographique)
+     * familyTownsStore est construit par le thread principal ; seules les clés hiérarchiques
+     * demandent aux workers les données géographiques, transmises telles que chargées (geoData)
+     * @private
+     */
+    _workerOptions() {
+        const options = {};
+        for (const [key, value] of Object.entries(this.options)) {
+            if (typeof value === 'function' || key === 'signal' || key === 'geoDataProvider') continue;
+            options[key] = value;
+        }
+        if (this.options.placeKeys === 'hierarchical') {
+            options.geoData = this.cacheBuilder.geoDataProvider.loadSync();
+        }
+        return options;
+    }
+    
+    /**
+     * Crée un worker d'extraction avec une interface commune Node / navigateur
+     * @private
+     */
+    async _spawnWorker() {
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            const { Worker } = await import('node:worker_threads');
+            const worker = new Worker(new URL('./workers/extractionWorker.js', import.meta.url));
+            return {
+                post: (message) => worker.postMessage(message),
+                onMessage: (handler) => worker.on('message', handler),
+                onError: (handler) => {
+                    worker.on('error', handler);
+                    worker.on('messageerror', () => handler(new Error('Message du worker illisible')));
+                },
+                onExit: (handler) => worker.on('exit', handler),
+                terminate: () => worker.terminate()
+            };
+        }
+        
+        const worker = new Worker(new URL('./workers/extractionWorker.js', import.meta.url), { type: 'module' });
+        return {
+            post: (message) => worker.postMessage(message),
+            onMessage: (handler) => worker.addEventListener('message', event => handler(event.data)),
+            onError: (handler) => {
+                worker.addEventListener('error', event => handler(event.error || new Error(event.message)));
+                worker.addEventListener('messageerror', () => handler(new Error('Message du worker illisible')));
+            },
+            onExit: () => {}, // Pas d'événement de sortie pour un Web Worker : workerTimeout en tient lieu
+            terminate: () => worker.terminate()
+        };
+    }
+    
+    _log(message) {
+        if (this.options.verbose) {
+            console.log(`[ParallelExtractor] ${message}`);
+        }
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * StreamingParser - Parsing GEDCOM par lots pour les très gros fichiers
+ * Lit un Readable Node ou un ReadableStream web, découpe le texte en enregistrements
+ * et émet les individus compressés par lots : ni le fichier complet, ni le tableau
+ * de tous les individus, ni individualsCache ne sont gardés en mémoire.
+ *
+ * Restent en mémoire jusqu'à la fin : les enregistrements FAM (nécessaires aux
+ * relations directes), les NOTE/SOUR/REPO/OBJE (caches finales) et les individus
+ * dont une famille n'a pas encore été lue.
+ */
+
+import { readGedcom } from 'read-gedcom';
+import { DataExtractor } from './DataExtractor.js';
+import { CacheBuilder } from './CacheBuilder.js';
+import { GedcomRecordReader, readFamilyLinks, composeBatchGedcom } from './GedcomRecordReader.js';
+import { createStreamDecoder } from '../encoding/charsetDecoder.js';
+import { fixEncoding } from '../encoding/encodingFixes.js';
+import { isGedcom7, normalizeGedcom7 } from '../gedcom7/gedcom7Normalizer.js';
+import { createStructureAccumulator, accumulateStructure, finalizeStructure } from '../validation/structureChecker.js';
+import { ProgressTracker, PROGRESS_PHASES } from '../utils/progress.js';
+
+export class StreamingParser {
+    constructor(options = {}) {
+        this.options = {
+            batchSize: 1000,
+            fixEncoding: true,
+            forcedCharset: null,
+            extractPlaces: true,
+            checkStructure: true,
+            verbose: false,
+            ...options
+        };
+        
+        // Progression rapportée par lot (phase 'streaming'), pas pour chaque mini-GEDCOM
+        const batchOptions = { ...this.options, onProgress: null };
+        this.dataExtractor = new DataExtractor(batchOptions);
+        this.cacheBuilder = new CacheBuilder(batchOptions);
+        this.progress = new ProgressTracker(this.options);
+    }
+    
+    /**
+     * Parse le flux et transmet chaque lot à onBatch
+     * @param {ReadableStream|import('stream').Readable} stream - Flux d'octets (ou de texte) GEDCOM
+     * @param {function({index: number, individuals: Map}): (void|Promise<void>)} [onBatch] - Attendu avant le lot suivant
+     * @returns {Promise<Object>} familyTownsStore, statistiques et caches des enregistrements (sans individualsCache)
+     */
+    async parse(stream, onBatch) {
+        for await (const item of this.batches(stream)) {
+            if (item.type === 'end') {
+                return item.result;
+            }
+            if (onBatch) {
+                await onBatch(item);
+            }
+        }
+    }
+    
+    /**
+     * Itérateur asynchrone des lots
+     * Produit { type: 'batch', index, individuals } puis un dernier { type: 'end', result }
+     * @param {ReadableStream|import('stream').Readable} stream - Flux d'octets (ou de texte) GEDCOM
+     * @returns {AsyncGenerator<Object>}
+     *
+     * @example
+     * for await (const item of parser.batches(fs.createReadStream('big.ged'))) {
+     *     if (item.type === 'batch') saveIndividuals(item.individuals);
+     *     else console.log(item.result.statistics);
+     * }
+     */
+    async *batches(stream) {
+        const startTime = Date.now();
+        
+        await this.cacheBuilder.loadGeoData();
+        
+        const context = {
+            head: null,
+            families: new Map(),
+            waiting: new Set(),
+            waitingByFamily: new Map(),
+            ready: [],
+            records: [],
+            counts: { INDI: 0, FAM: 0, SOUR: 0, REPO: 0, NOTE: 0, OBJE: 0 },
+            batchIndex: 0,
+            fromString: false,
+            gedcom7: false,
+            structure: this.options.checkStructure ? createStructureAccumulator() : null
+        };
+        const state = this.cacheBuilder.createStreamState();
+        this.progress.start(PROGRESS_PHASES.STREAMING, null);
+        const reader = new GedcomRecordReader();
+        // Les octets sont toujours décodés ici : read-gedcom ne reçoit que des lots UTF-8
+        const decoder = createStreamDecoder({ forcedCharset: this.options.forcedCharset });
+        
+        for await (const chunk of this._readChunks(stream)) {
+            this.progress.checkAborted();
+            let text;
+            if (typeof chunk === 'string') {
+                context.fromString = true;
+                text = chunk;
+            } else {
+                text = decoder.write(chunk);
+            }
+            
+            for (const record of reader.push(text)) {
+                this._acceptRecord(record, context);
+            }
+            
+            while (context.ready.length >= this.options.batchSize) {
+                yield this._buildBatch(context.ready.splice(0, this.options.batchSize), context, state);
+            }
+        }
+        
+        const rest = context.fromString ? reader.end() : [...reader.push(decoder.end()), ...reader.end()];
+        for (const record of rest) {
+            this._acceptRecord(record, context);
+        }
+        
+        // Fin du flux : les individus dont une famille manque sont traités tels quels
+        const remaining = [...context.ready, ...context.waiting];
+        context.ready = [];
+        context.waiting.clear();
+        context.waitingByFamily.clear();
+        
+        for (let i = 0; i < remaining.length; i += this.options.batchSize) {
+            yield this._buildBatch(remaining.slice(i, i + this.options.batchSize), context, state);
+        }
+        
+        yield { type: 'end', result: this._finish(context, state, decoder, startTime) };
+    }
+    
+    /**
+     * Classe un enregistrement de niveau 0
+     * @private
+     */
+    _acceptRecord(record, context) {
+        if (context.fromString && this.options.fixEncoding) {
+            record.text = fixEncoding(record.text);
+        }
+        
+        // Contrôle de structure sur le texte d'origine, avant normalisation GEDCOM 7
+        if (context.structure) {
+            accumulateStructure(context.structure, record.text, record.line);
+        }
+        
+        // GEDCOM 7 : le HEAD arrive en premier et fixe la normalisation de tout le flux
+        if (record.tag === 'HEAD') {
+            context.gedcom7 = isGedcom7(record.text);
+        }
+        if (context.gedcom7) {
+            const sourceLines = [];
+            record.text = normalizeGedcom7(record.text, sourceLines);
+            record.sourceLines = sourceLines.map(line => record.line + line - 1);
+            if (record.tag === 'SNOTE') record.tag = 'NOTE';
+        }
+        
+        if (record.tag in context.counts) {
+            context.counts[record.tag]++;
+        }
+        
+        switch (record.tag) {
+            case 'HEAD':
+                context.head = record.text;
+                break;
+            case 'TRLR':
+                break;
+            case 'INDI':
+                this._acceptIndividual(record, context);
+                break;
+            case 'FAM':
+                this._acceptFamily(record, context);
+                break;
+            default:
+                context.records.push(record.text);
+        }
+    }
+    
+    /**
+     * Un individu est prêt quand toutes ses familles (FAMC/FAMS) ont été lues
+     * @private
+     */
+    _acceptIndividual(record, context) {
+        const families = readFamilyLinks(record.text);
+        const entry = { pointer: record.pointer, text: record.text, line: record.line, sourceLines: record.sourceLines, families, missing: 0 };
+        
+        for (const family of families) {
+            if (context.families.has(family)) continue;
+            entry.missing++;
+            if (!context.waitingByFamily.has(family)) context.waitingByFamily.set(family, []);
+            context.waitingByFamily.get(family).push(entry);
+        }
+        
+        if (entry.missing === 0) {
+            context.ready.push(entry);
+        } else {
+            context.waiting.add(entry);
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _acceptFamily(record, context) {
+        if (!record.pointer) return;
+        context.families.set(record.pointer, {
+            order: context.families.size,
+            text: record.text,
+            line: record.line,
+            sourceLines: record.sourceLines
+        });
+        
+        const waiting = context.waitingByFamily.get(record.pointer);
+        if (!waiting) return;
+        context.waitingByFamily.delete(record.pointer);
+        
+        for (const entry of waiting) {
+            entry.missing--;
+            if (entry.missing === 0) {
+                context.waiting.delete(entry);
+                context.ready.push(entry);
+            }
+        }
+    }
+    
+    /**
+     * Construit un mini-GEDCOM (HEAD + individus du lot + familles référencées)
+     * et le fait passer par read-gedcom, DataExtractor et CacheBuilder
+     * @private
+     */
+    _buildBatch(entries, context, state) {
+        const { text, lineMap } = composeBatchGedcom(context.head, entries, context.families);
+        const rootSelection = readGedcom(Buffer.from(text, 'utf8'), { forcedCharset: 'UTF-8' });
+        const individualsData = this.dataExtractor.extractIndividualsSync(rootSelection);
+        const individuals = this.cacheBuilder.buildBatchSync(individualsData, state, lineMap);
+        
+        this.progress.tick(individuals.size);
+        this._log(`Lot ${context.batchIndex}: ${individuals.size} individus`);
+        return { type: 'batch', index: context.batchIndex++, individuals };
+    }
+    
+    /**
+     * Caches finales : enregistrements NOTE/SOUR/REPO/OBJE, familyTownsStore, statistiques
+     * @private
+     */
+    _finish(context, state, decoder, startTime) {
+        const parts = [context.head || '0 HEAD', ...context.records, '0 TRLR'];
+        context.records = [];
+        context.families.clear();
+        
+        const rootSelection = readGedcom(Buffer.from(parts.join('\n'), 'utf8'), { forcedCharset: 'UTF-8' });
+        const enrichedData = this.dataExtractor.extractSync(rootSelection);
+        
+        const { counts } = context;
+        enrichedData.metadata.statistics = {
+            individuals: counts.INDI,
+            families: counts.FAM,
+            sources: counts.SOUR,
+            repositories: counts.REPO,
+            notes: counts.NOTE,
+            media: counts.OBJE
+        };
+        enrichedData.metadata.charset = this._charsetReport(context, decoder);
+        
+        const result = this.cacheBuilder.finishStreamSync(enrichedData, state);
+        result.conformance = context.structure ? finalizeStructure(context.structure) : {};
+        
+        this._log(`✅ Streaming terminé en ${Date.now() - startTime}ms`);
+        return result;
+    }
+    
+    /**
+     * Même format que metadata.charset de GeneaFanParser
+     * @private
+     */
+    _charsetReport(context, decoder) {
+        const report = decoder.report();
+        if (context.fromString || !report) {
+            return { source: 'string', detected: null, applied: null, declared: null, hasBom: false };
+        }
+        
+        return {
+            declared: report.declaredCharset,
+            detected: report.detectedCharset,
+            applied: report.appliedCharset,
+            source: report.source,
+            hasBom: report.hasBom
+        };
+    }
+    
+    /**
+     * Morceaux d'un ReadableStream web (getReader) ou d'un Readable Node (itérable asynchrone)
+     * @private
+     */
+    async *_readChunks(stream) {
+        if (stream && typeof stream.getReader === 'function') {
+            const reader = stream.getReader();
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) return;
+                    yield value;
+                }
+            } finally {
+                reader.releaseLock();
+            }
+        }
+        
+        if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+            yield* stream;
+            return;
+        }
+        
+        throw new Error('Flux non supporté. Utilisez un Readable Node ou un ReadableStream.');
+    }
+    
+    _log(message) {
+        if (this.options.verbose) {
+            console.log(`[StreamingParser] ${message}`);
+        }
+    }
+}
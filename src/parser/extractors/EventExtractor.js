@@ -9,6 +9,10 @@
  */
 
 import { parsePlaceWithSubdivision, isInformativeSubdivision } from '../../utils/geoUtils.js';
+import { parseCoordinates, parseCoordinateText } from '../../utils/coordinates.js';
+import { createPlaceContext } from '../../utils/placFormat.js';
+import { parseGedcomDate as parseDateModel } from '../../dates/gedcomDate.js';
+import { sourceLine } from '../sourceLines.js';
 
 export class EventExtractor {
     constructor(options = {}) {
@@ -25,9 +29,10 @@ export class EventExtractor {
      * Extrait TOUS les événements individuels (21 types standards + customs)
      * @param {Object} individualSelection - Sélection read-gedcom de l'individu
      * @param {string} pointer - Pointeur de l'individu
+     * @param {Object} [placeContext] - Contexte PLAC du parsing (createPlaceContext, FORM de l'en-tête)
      * @returns {Array} Liste des événements
      */
-    extractAllEvents(individualSelection, pointer) {
+    extractAllEvents(individualSelection, pointer, placeContext = createPlaceContext(null)) {
         const events = [];
         
         // Événements standards avec API dédiée
@@ -57,16 +62,16 @@ export class EventExtractor {
         // Extraire événements standards
         standardEvents.forEach(({ method, type }) => {
             const eventSelection = individualSelection[method]();
-            events.push(...this.extractEventDetails(eventSelection, type));
+            events.push(...this.extractEventDetails(eventSelection, type, placeContext));
         });
         
         // Événements génériques/customs via getEventOther
         const otherEvents = individualSelection.getEventOther();
-        const customEvents = this.extractEventDetails(otherEvents, 'custom');
+        const customEvents = this.extractEventDetails(otherEvents, 'custom', placeContext);
         events.push(...customEvents);
         
         // Extraire les attributs et les traiter comme des événements
-        const attributes = this.extractAllAttributes(individualSelection);
+        const attributes = this.extractAllAttributes(individualSelection, placeContext);
         events.push(...attributes);
         
         return events.filter(event => event !== null);
@@ -76,9 +81,10 @@ export class EventExtractor {
      * Extrait les détails d'un événement avec toutes ses métadonnées
      * @param {Object} eventSelection - Sélection read-gedcom de l'événement
      * @param {string} baseType - Type de base de l'événement
+     * @param {Object} [placeContext] - Contexte PLAC du parsing (createPlaceContext, FORM de l'en-tête)
      * @returns {Array} Liste des événements détaillés
      */
-    extractEventDetails(eventSelection, baseType) {
+    extractEventDetails(eventSelection, baseType, placeContext = createPlaceContext(null)) {
         const events = [];
         const eventArray = eventSelection.arraySelect();
         
@@ -86,8 +92,10 @@ export class EventExtractor {
             const event = eventArray[i];
             const eventData = {
                 type: baseType,
+                line: sourceLine(event),
                 date: this.extractDate(event.getDate()),
-                place: this.extractPlace(event.getPlace()),
+                sortDate: this.extractDate(event.get('SDATE')),  // GEDCOM 7
+                place: this.extractPlace(event.getPlace(), placeContext),
                 age: typeof event.getAge === 'function' ? this.extractAge(event.getAge()) : null,
                 cause: this.extractCause(event),
                 notes: this.options.extractNotes ? this.extractEventNotes(event) : [],
@@ -137,9 +145,10 @@ export class EventExtractor {
     /**
      * Extrait TOUS les attributs (13 types standards + customs)
      * @param {Object} individualSelection - Sélection read-gedcom de l'individu
+     * @param {Object} [placeContext] - Contexte PLAC du parsing (createPlaceContext, FORM de l'en-tête)
      * @returns {Array} Liste des attributs
      */
-    extractAllAttributes(individualSelection) {
+    extractAllAttributes(individualSelection, placeContext = createPlaceContext(null)) {
         const attributes = [];
         
         const standardAttributes = [
@@ -159,12 +168,12 @@ export class EventExtractor {
         
         standardAttributes.forEach(({ method, type }) => {
             const attrSelection = individualSelection[method]();
-            attributes.push(...this.extractAttributeDetails(attrSelection, type));
+            attributes.push(...this.extractAttributeDetails(attrSelection, type, placeContext));
         });
         
         // Attributs génériques via getFact
         const factAttributes = individualSelection.getAttributeFact();
-        attributes.push(...this.extractAttributeDetails(factAttributes, 'fact'));
+        attributes.push(...this.extractAttributeDetails(factAttributes, 'fact', placeContext));
         
         return attributes.filter(attr => attr !== null);
     }
@@ -173,9 +182,10 @@ export class EventExtractor {
      * Extrait les détails d'un attribut (OCCU, RESI, etc.)
      * @param {Object} attrSelection - Sélection read-gedcom de l'attribut
      * @param {string} type - Type de l'attribut
+     * @param {Object} [placeContext] - Contexte PLAC du parsing (createPlaceContext, FORM de l'en-tête)
      * @returns {Array} Liste des attributs détaillés
      */
-    extractAttributeDetails(attrSelection, type) {
+    extractAttributeDetails(attrSelection, type, placeContext = createPlaceContext(null)) {
         const attributes = [];
         const attrArray = attrSelection.arraySelect();
         
@@ -183,9 +193,11 @@ export class EventExtractor {
             const attr = attrArray[i];
             const attrData = {
                 type: type,
+                line: sourceLine(attr),
                 value: attr.value()[0] || null,  // Valeur de l'attribut (ex: "Forgeron" pour occupation)
                 date: this.extractDate(attr.getDate()),
-                place: this.extractPlace(attr.getPlace()),
+                sortDate: this.extractDate(attr.get('SDATE')),  // GEDCOM 7
+                place: this.extractPlace(attr.getPlace(), placeContext),
                 age: typeof attr.getAge === 'function' ? this.extractAge(attr.getAge()) : null,
                 notes: this.options.extractNotes ? this.extractEventNotes(attr) : [],
                 sources: this.options.extractSources ? this.extractEventSources(attr) : []
@@ -201,9 +213,10 @@ export class EventExtractor {
      * Extraction optimisée des événements familiaux avec métadonnées
      * @param {Object} individualSelection - Sélection read-gedcom de l'individu
      * @param {Object} familyRelations - Relations familiales de l'individu
+     * @param {Object} [placeContext] - Contexte PLAC du parsing (createPlaceContext, FORM de l'en-tête)
      * @returns {Array} Liste des événements familiaux
      */
-    extractFamilyEventsOptimized(individualSelection, familyRelations) {
+    extractFamilyEventsOptimized(individualSelection, familyRelations, placeContext = createPlaceContext(null)) {
         const events = [];
         
         // === ÉVÉNEMENTS DE MARIAGE ===
@@ -221,6 +234,7 @@ export class EventExtractor {
                 if (marriageDate.length > 0) {
                     const marriage = {
                         type: 'marriage',
+                        line: sourceLine(marriageEvent),
                         date: marriageDate.value()[0],
                         place: marriagePlace.length > 0 ? marriagePlace.value()[0] : null,
                         spouseId: spouseId
@@ -229,10 +243,11 @@ export class EventExtractor {
                     // Parser le lieu avec subdivision si disponible
                     if (marriagePlace.length > 0) {
                         const placeString = marriagePlace.value()[0];
-                        const placeData = parsePlaceWithSubdivision(placeString);
+                        const placeData = parsePlaceWithSubdivision(placeString, placeContext);
                         
                         marriage.place = placeData.normalizedPlace || placeString;
                         marriage.fullPlace = placeData.fullPlace;
+                        marriage.placeLevels = placeData.levels;
                         
                         // 🆕 Traitement intelligent de la subdivision pour mariages
                         if (placeData.subdivision) {
@@ -413,17 +428,23 @@ export class EventExtractor {
 
     /**
      * Extrait le lieu d'un événement avec coordonnées et subdivision
+     * Les niveaux (levels) suivent le FORM du PLAC, à défaut celui de l'en-tête (placeContext)
      * @param {Object} placeSelection - Sélection read-gedcom du lieu
+     * @param {Object} [placeContext] - Contexte PLAC du parsing (createPlaceContext, FORM de l'en-tête)
      * @returns {Object|null} Objet lieu enrichi ou null
      */
-    extractPlace(placeSelection) {
+    extractPlace(placeSelection, placeContext = createPlaceContext(null)) {
         if (placeSelection.length === 0) return null;
         
         const placeValue = placeSelection.value()[0] || null;
         if (!placeValue) return null;
         
+        // Format de découpe : FORM propre au PLAC, sinon celui de l'en-tête
+        const placeForm = this._extractPlaceForm(placeSelection);
+        const context = placeForm ? createPlaceContext(placeForm) : placeContext;
+        
         // Parser le lieu avec subdivision
-        const placeData = parsePlaceWithSubdivision(placeValue);
+        const placeData = parsePlaceWithSubdivision(placeValue, context);
         
         // Structure enrichie avec données PLAC complètes via API read-gedcom
         const enrichedPlaceData = {
@@ -431,11 +452,13 @@ export class EventExtractor {
             fullPlace: placeData.fullPlace, // Lieu complet original
             subdivision: placeData.subdivision || null, // Subdivision (Synagogue, École, etc.)
             isInformativeSubdivision: placeData.isInformativeSubdivision || false, // Flag validation géographique
+            levels: placeData.levels, // {town, area_code, county, region, country, subdivision}
             // Coordonnées temporaires pour transport vers familyTownsStore
             _tempLatitude: null,
             _tempLongitude: null,
+            _coordsIssue: null,      // Diagnostic : coordonnées rejetées ou inversées
             // 🆕 Données PLAC enrichies via API read-gedcom
-            _placeForm: null,        // Format de découpe PLAC
+            _placeForm: context.form, // Format de découpe PLAC (FORM du lieu, sinon de l'en-tête)
             _placeNotes: [],         // Notes spécifiques au lieu
             _placeSources: []        // Sources associées au lieu
         };
@@ -454,12 +477,12 @@ export class EventExtractor {
                     if (coords.length > 0) {
                         const coordsValue = coords.value()[0];
                         if (coordsValue) {
-                            const coordsParsed = this._parseCoordinates(coordsValue);
-                            if (coordsParsed.latitude && coordsParsed.longitude) {
+                            const coordsParsed = parseCoordinateText(coordsValue);
+                            if (coordsParsed.latitude !== null) {
                                 enrichedPlaceData._tempLatitude = coordsParsed.latitude;
                                 enrichedPlaceData._tempLongitude = coordsParsed.longitude;
-                                // this.log(`Coordonnées getCoordinates() pour "${placeValue}": ${coordsParsed.latitude}, ${coordsParsed.longitude}`);
                             }
+                            enrichedPlaceData._coordsIssue = coordsParsed.issue;
                         }
                     }
                 }
@@ -467,23 +490,15 @@ export class EventExtractor {
                 // Méthode 2 : MAP/LATI/LONG (toutes variantes)
                 if (enrichedPlaceData._tempLatitude === null && typeof placeRecord.get === 'function') {
                     const coords = this._extractCoordinatesFromMAP(placeRecord);
-                    if (coords.latitude && coords.longitude) {
+                    if (coords.latitude !== null) {
                         enrichedPlaceData._tempLatitude = coords.latitude;
                         enrichedPlaceData._tempLongitude = coords.longitude;
-                        // this.log(`Coordonnées MAP pour "${placeValue}": ${coords.latitude}, ${coords.longitude}`);
                     }
+                    enrichedPlaceData._coordsIssue = coords.issue || enrichedPlaceData._coordsIssue;
                 }
                 
                 // === 🆕 NOUVELLES DONNÉES PLAC ===
                 
-                // Format de découpe PLAC
-                try {
-                    const formSelection = placeRecord.get('FORM');
-                    if (formSelection && formSelection.length > 0) {
-                        enrichedPlaceData._placeForm = formSelection.value()[0];
-                    }
-                } catch (error) { /* Ignore */ }
-                
                 // Notes spécifiques au lieu
                 try {
                     const notesSelection = placeRecord.get('NOTE');
@@ -524,51 +539,22 @@ export class EventExtractor {
     }
     
     /**
-     * 🆕 Parse coordonnées dans tous les formats possibles
+     * FORM déclaré sous le PLAC (prioritaire sur celui de l'en-tête)
+     * @returns {string|null}
      * @private
      */
-    _parseCoordinates(coordsValue) {
-        if (!coordsValue) return { latitude: null, longitude: null };
-        
+    _extractPlaceForm(placeSelection) {
         try {
-            const coordsStr = String(coordsValue).trim();
-            
-            // Format 1: "lat,lon"
-            if (coordsStr.includes(',')) {
-                const parts = coordsStr.split(',');
-                if (parts.length === 2) {
-                    const lat = parseFloat(parts[0].trim());
-                    const lon = parseFloat(parts[1].trim());
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        return { latitude: lat, longitude: lon };
-                    }
-                }
-            }
-            
-            // Format 2: "lat lon" (espace)
-            if (coordsStr.includes(' ')) {
-                const parts = coordsStr.split(/\s+/);
-                if (parts.length === 2) {
-                    const lat = parseFloat(parts[0]);
-                    const lon = parseFloat(parts[1]);
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        return { latitude: lat, longitude: lon };
-                    }
-                }
-            }
-            
-            // Format 3: Degrés-minutes-secondes (à implémenter si nécessaire)
-            // "48°51'30\"N 2°17'40\"E"
-            
+            const formSelection = placeSelection.get('FORM');
+            return formSelection.length > 0 ? formSelection.value()[0] || null : null;
         } catch (error) {
-            this.log(`Erreur parsing coordonnées "${coordsValue}": ${error.message}`);
+            return null;
         }
-        
-        return { latitude: null, longitude: null };
     }
-    
+
     /**
-     * 🆕 Extrait coordonnées depuis MAP/LATI/LONG avec tous formats
+     * 🆕 Extrait coordonnées depuis MAP/LATI/LONG avec tous formats (voir utils/coordinates.js)
+     * @returns {{latitude: number|null, longitude: number|null, issue: string|null}}
      * @private
      */
     _extractCoordinatesFromMAP(placeRecord) {
@@ -585,26 +571,11 @@ export class EventExtractor {
             
             const mapRecord = mapRecords[0];
             
-            // Extraire LATI et LONG
-            const latiSelection = mapRecord.get('LATI');
-            const longSelection = mapRecord.get('LONG');
-            
-            if (latiSelection && latiSelection.length > 0 && 
-                longSelection && longSelection.length > 0) {
-                
-                const latValue = latiSelection.value()[0];
-                const lonValue = longSelection.value()[0];
-                
-                if (latValue && lonValue) {
-                    // Parser les coordonnées (supporte différents formats)
-                    const lat = this._parseCoordinate(latValue);
-                    const lon = this._parseCoordinate(lonValue);
-                    
-                    if (lat !== null && lon !== null) {
-                        return { latitude: lat, longitude: lon };
-                    }
-                }
-            }
+            // Extraire LATI et LONG : une valeur absente, illisible ou hors limites donne un diagnostic
+            const latValue = mapRecord.get('LATI')?.value()[0] ?? null;
+            const lonValue = mapRecord.get('LONG')?.value()[0] ?? null;
+            const { latitude, longitude, issue } = parseCoordinates(latValue, lonValue);
+            return { latitude, longitude, issue };
         } catch (error) {
             this.log(`Erreur extraction MAP: ${error.message}`);
         }
@@ -612,63 +583,6 @@ export class EventExtractor {
         return { latitude: null, longitude: null };
     }
     
-    /**
-     * 🆕 Parse une coordonnée individuelle (latitude ou longitude)
-     * @private
-     */
-    _parseCoordinate(coordValue) {
-        if (!coordValue) return null;
-        
-        try {
-            const coordStr = String(coordValue).trim();
-            
-            // Format 1: Avec préfixes directionnels "N48.853410", "E2.348800", "S12.345", "W1.234"
-            const directionMatch = coordStr.match(/^([NSEW])(.+)$/);
-            if (directionMatch) {
-                const direction = directionMatch[1];
-                const value = parseFloat(directionMatch[2]);
-                
-                if (!isNaN(value)) {
-                    // Appliquer le signe selon la direction
-                    if (direction === 'S' || direction === 'W') {
-                        return -Math.abs(value); // Sud et Ouest sont négatifs
-                    } else {
-                        return Math.abs(value); // Nord et Est sont positifs
-                    }
-                }
-            }
-            
-            // Format 2: Décimal simple "48.8566"
-            const decimal = parseFloat(coordStr);
-            if (!isNaN(decimal)) {
-                return decimal;
-            }
-            
-            // Format 3: Avec suffixes directionnels "48.853410N", "2.348800E"
-            const suffixMatch = coordStr.match(/^(.+)([NSEW])$/);
-            if (suffixMatch) {
-                const value = parseFloat(suffixMatch[1]);
-                const direction = suffixMatch[2];
-                
-                if (!isNaN(value)) {
-                    if (direction === 'S' || direction === 'W') {
-                        return -Math.abs(value);
-                    } else {
-                        return Math.abs(value);
-                    }
-                }
-            }
-            
-            // Format 4: Degrés-minutes-secondes "48°51'30\"N" ou "48D51M30S"
-            // TODO: Implémenter si nécessaire (regex plus complexe)
-            
-        } catch (error) {
-            this.log(`Erreur parsing coordonnée "${coordValue}": ${error.message}`);
-        }
-        
-        return null;
-    }
-
     /**
      * Extrait l'âge d'un événement
      * @param {Object} ageSelection - Sélection read-gedcom de l'âge
@@ -954,6 +868,7 @@ export class EventExtractor {
         // Sinon, fusionner en un seul mariage avec cérémonies multiples
         const fusedMarriage = {
             type: 'marriage',
+            line: marriages[0].line,
             date: marriages[0].date,  // Date de la première cérémonie
             place: marriages[0].fullPlace || marriages[0].place,
             spouseId: spouseId,
@@ -963,6 +878,7 @@ export class EventExtractor {
                       (m.marriageType ? 
                        (m.marriageType.toLowerCase().includes('religious') ? 'religious' : 'civil') :
                        (index === 0 ? 'civil' : 'religious')), // Fallback: assume civil first
+                line: m.line,
                 date: m.date,
                 place: m.fullPlace || m.place, // Préserver le lieu complet
                 // Préserver la subdivision (Synagogue, Ecole, etc.)
@@ -987,36 +903,18 @@ export class EventExtractor {
 
     /**
      * Parse une date GEDCOM en Date JavaScript
+     * Les calendriers julien, hébraïque et républicain sont ramenés au grégorien
      * @param {string} dateStr - Date au format GEDCOM
      * @returns {Date} Date JavaScript
      */
     parseGedcomDate(dateStr) {
-        if (!dateStr) return new Date(0);
-        
-        // Format: "2 NOV 1956" ou "1956" ou "NOV 1956"
-        const months = {
-            'JAN': 0, 'FEB': 1, 'MAR': 2, 'APR': 3, 'MAY': 4, 'JUN': 5,
-            'JUL': 6, 'AUG': 7, 'SEP': 8, 'OCT': 9, 'NOV': 10, 'DEC': 11
-        };
-        
-        const parts = dateStr.split(' ');
-        let year = 1900, month = 0, day = 1;
-        
-        if (parts.length === 3) {
-            // "2 NOV 1956"
-            day = parseInt(parts[0]) || 1;
-            month = months[parts[1]] || 0;
-            year = parseInt(parts[2]) || 1900;
-        } else if (parts.length === 2) {
-            // "NOV 1956"
-            month = months[parts[0]] || 0;
-            year = parseInt(parts[1]) || 1900;
-        } else if (parts.length === 1) {
-            // "1956"
-            year = parseInt(parts[0]) || 1900;
-        }
-        
-        return new Date(year, month, day);
+        const model = parseDateModel(dateStr);
+        if (!model || !model.date) return new Date(0);
+
+        const { year, month, day } = model.date;
+        const date = new Date(0);
+        date.setFullYear(year, (month || 1) - 1, day || 1);
+        return date;
     }
 
     /**
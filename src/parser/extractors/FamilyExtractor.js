@@ -8,6 +8,8 @@
  * - Pedigree et détails d'adoption
  */
 
+import { PROGRESS_PHASES } from '../../utils/progress.js';
+
 export class FamilyExtractor {
     constructor(options = {}) {
         this.options = {
@@ -22,18 +24,22 @@ export class FamilyExtractor {
     /**
      * Extrait toutes les familles avec leurs relations et événements
      * @param {Object} rootSelection - Sélection racine read-gedcom
-     * @returns {Promise<Array>} Liste des familles extraites
+     * @param {ProgressTracker} [progress] - Progression par enregistrement et annulation
+     * @returns {Array} Liste des familles extraites
      */
-    async extractFamilies(rootSelection) {
+    extractFamilies(rootSelection, progress = null) {
         const families = [];
         const familyRecords = rootSelection.getFamilyRecord().arraySelect();
+        if (progress) progress.start(PROGRESS_PHASES.FAMILIES, familyRecords.length);
         
         for (let i = 0; i < familyRecords.length; i++) {
             const family = familyRecords[i];
-            const extractedFamily = await this.extractSingleFamily(family);
+            const extractedFamily = this.extractSingleFamily(family);
             if (extractedFamily) {
                 families.push(extractedFamily);
             }
+            
+            if (progress) progress.tick();
         }
         
         return families;
@@ -42,9 +48,9 @@ export class FamilyExtractor {
     /**
      * Extrait une famille complète avec toutes ses données
      * @param {Object} familySelection - Sélection read-gedcom de la famille
-     * @returns {Promise<Object>} Famille complète extraite
+     * @returns {Object} Famille complète extraite
      */
-    async extractSingleFamily(familySelection) {
+    extractSingleFamily(familySelection) {
         const pointer = familySelection.pointer()[0];
         if (!pointer) return null;
         
@@ -2,6 +2,14 @@
  * IndividualExtractor - Extraction des données individuelles
  */
 
+import { EVENT_TYPE_TAGS } from '../../compression/eventCompression.js';
+import { sourceLine } from '../sourceLines.js';
+
+// Tag GEDCOM → type d'événement (NO DEAT → death)
+const TAG_EVENT_TYPES = Object.fromEntries(
+    Object.entries(EVENT_TYPE_TAGS).map(([type, tag]) => [tag, type])
+);
+
 export class IndividualExtractor {
     constructor(options = {}) {
         this.options = options;
@@ -18,15 +26,53 @@ export class IndividualExtractor {
         if (nameParts.length === 0) return { given: '', surname: '' };
         
         const [given, surname, suffix] = nameParts[0] || ['', '', ''];
+        const firstName = nameSelection.arraySelect()[0];
+        const phonetic = this.extractPhoneticName(firstName);
         
         return {
             given: given || '',
             surname: surname || '',
             suffix: suffix || '',
-            full: nameSelection.value()[0] || ''
+            full: nameSelection.value()[0] || '',
+            translations: this.extractNameTranslations(firstName),
+            phonetic: phonetic ? this._splitNameValue(phonetic) : null
+        };
+    }
+
+    /**
+     * Découpe une valeur de nom GEDCOM ("Jean /Dupont/")
+     * @private
+     */
+    _splitNameValue(value) {
+        const parts = value.match(/^([^/]*)\/([^/]*)\/?/);
+        return {
+            given: (parts ? parts[1] : value).trim(),
+            surname: parts ? parts[2].trim() : ''
         };
     }
 
+    /**
+     * Extrait les traductions d'un nom (GEDCOM 7 : NAME > TRAN > LANG)
+     * @returns {Array} [{ language, given, surname }]
+     */
+    extractNameTranslations(nameSelection) {
+        const translations = [];
+        
+        try {
+            nameSelection.get('TRAN').arraySelect().forEach(tran => {
+                const language = tran.get('LANG');
+                translations.push({
+                    language: language.length > 0 ? language.value()[0] : null,
+                    ...this._splitNameValue(tran.value()[0] || '')
+                });
+            });
+        } catch (e) {
+            // Pas de traduction
+        }
+        
+        return translations;
+    }
+
     /**
      * Extrait le sexe
      */
@@ -39,7 +85,8 @@ export class IndividualExtractor {
     }
 
     /**
-     * Extrait le nom phonétique
+     * Extrait le nom phonétique (NAME > FONE, 5.5.1)
+     * @returns {string|null} Valeur brute ("Iochi /Sato/")
      */
     extractPhoneticName(nameSelection) {
         try {
@@ -69,7 +116,7 @@ export class IndividualExtractor {
     }
 
     /**
-     * Extrait les identifiants (AFN, RIN, etc.)
+     * Extrait les identifiants (AFN, RIN, _UID/UID, RFN, EXID)
      */
     extractIdentifiers(individualSelection) {
         const identifiers = {};
@@ -87,11 +134,29 @@ export class IndividualExtractor {
                 identifiers.rin = rin.value()[0];
             }
             
+            // _UID (extension 5.5.1 courante) ou UID (GEDCOM 7) : identifiant stable entre deux exports
+            for (const tag of ['_UID', 'UID']) {
+                const uid = individualSelection.get(tag);
+                if (uid && uid.length > 0) {
+                    identifiers.uid = uid.value()[0];
+                    break;
+                }
+            }
+            
             // RFN (Record File Number)
             const rfn = individualSelection.get('RFN');
             if (rfn && rfn.length > 0) {
                 identifiers.rfn = rfn.value()[0];
             }
+            
+            // EXID (GEDCOM 7) : identifiants externes, TYPE = URI de l'autorité
+            const exid = individualSelection.get('EXID');
+            if (exid && exid.length > 0) {
+                identifiers.exid = exid.arraySelect().map(id => {
+                    const type = id.get('TYPE');
+                    return { id: id.value()[0], type: type.length > 0 ? type.value()[0] : null };
+                });
+            }
         } catch (e) {
             // Pas d'identifiants supplémentaires
         }
@@ -99,6 +164,31 @@ export class IndividualExtractor {
         return identifiers;
     }
 
+    /**
+     * Extrait les assertions négatives (GEDCOM 7 : "1 NO DEAT")
+     * L'événement n'a pas eu lieu, éventuellement sur une période (DATE)
+     * @returns {Array} [{ type, date }]
+     */
+    extractNegativeAssertions(individualSelection) {
+        const assertions = [];
+        
+        try {
+            individualSelection.get('NO').arraySelect().forEach(no => {
+                const tag = no.value()[0];
+                if (!tag) return;
+                const date = no.get('DATE');
+                assertions.push({
+                    type: TAG_EVENT_TYPES[tag] || tag.toLowerCase(),
+                    date: date.length > 0 ? date.value()[0] : null
+                });
+            });
+        } catch (e) {
+            // Pas d'assertion négative
+        }
+        
+        return assertions;
+    }
+
     /**
      * Extrait les adresses
      */
@@ -168,7 +258,9 @@ export class IndividualExtractor {
             motherId: null,
             siblingIds: [],
             spouseIds: [],
-            childrenIds: []
+            childrenIds: [],
+            // Familles conjugales telles qu'écrites (CHIL en double compris), pour la validation
+            spouseFamilies: []
         };
         
         // === FAMILLE PARENTALE (où l'individu est enfant) ===
@@ -219,6 +311,12 @@ export class IndividualExtractor {
                     result.childrenIds.push(childId);
                 }
             });
+            
+            result.spouseFamilies.push({
+                pointer: spouseFamily.pointer()[0],
+                line: sourceLine(spouseFamily),
+                children: children.map(child => ({ pointer: child.value()[0], line: sourceLine(child) }))
+            });
         });
         
         return result;
@@ -9,6 +9,8 @@
  * - Données BLOB embarquées
  */
 
+import { PROGRESS_PHASES } from '../../utils/progress.js';
+
 export class MediaExtractor {
     constructor(options = {}) {
         this.options = {
@@ -23,13 +25,15 @@ export class MediaExtractor {
     /**
      * Extrait tous les médias (OBJE records) du GEDCOM
      * @param {Object} rootSelection - Sélection racine read-gedcom
+     * @param {ProgressTracker} [progress] - Progression par enregistrement et annulation
      * @returns {Array} Liste des médias extraits
      */
-    extractMedia(rootSelection) {
+    extractMedia(rootSelection, progress = null) {
         const mediaList = [];
         
         try {
             const multimediaRecords = rootSelection.getMultimediaRecord().arraySelect();
+            if (progress) progress.start(PROGRESS_PHASES.MEDIA, multimediaRecords.length);
             // Log de synthèse uniquement
             this.log(`Extraction de ${multimediaRecords.length} enregistrements MULTIMEDIA...`);
             
@@ -39,9 +43,12 @@ export class MediaExtractor {
                 if (mediaData) {
                     mediaList.push(mediaData);
                 }
+                
+                if (progress) progress.tick();
             }
             
         } catch (error) {
+            if (progress && progress.aborted) throw error;
             this.log(`Erreur extraction médias: ${error.message}`);
         }
         
@@ -79,6 +86,10 @@ export class MediaExtractor {
             const titleViaGet = mediaRecord.get('TITL');
             if (titleViaGet && titleViaGet.length > 0) {
                 title = titleViaGet.value()[0];
+            } else {
+                // GEDCOM 5.5.1 : TITL sous FILE
+                const fileTitle = mediaRecord.get('FILE').get('TITL');
+                if (fileTitle.length > 0) title = fileTitle.value()[0];
             }
             
             // Extraire FORM
@@ -132,6 +143,12 @@ export class MediaExtractor {
                 return formSelection.value()[0];
             }
             
+            // GEDCOM 5.5.1 : FORM sous FILE
+            const fileFormSelection = mediaRecord.get('FILE').get('FORM');
+            if (fileFormSelection.length > 0) {
+                return fileFormSelection.value()[0];
+            }
+            
         } catch (error) {
             this.log(`Erreur extraction format média: ${error.message}`);
         }
@@ -9,6 +9,8 @@
  * - Sources des notes
  */
 
+import { PROGRESS_PHASES } from '../../utils/progress.js';
+
 export class NoteExtractor {
     constructor(options = {}) {
         this.options = {
@@ -22,13 +24,15 @@ export class NoteExtractor {
     /**
      * Extrait toutes les notes (NOTE records) du GEDCOM
      * @param {Object} rootSelection - Sélection racine read-gedcom
+     * @param {ProgressTracker} [progress] - Progression par enregistrement et annulation
      * @returns {Array} Liste des notes extraites
      */
-    extractNotes(rootSelection) {
+    extractNotes(rootSelection, progress = null) {
         const notesList = [];
         
         try {
             const noteRecords = rootSelection.getNoteRecord().arraySelect();
+            if (progress) progress.start(PROGRESS_PHASES.NOTES, noteRecords.length);
             // Log de synthèse uniquement
             this.log(`Extraction de ${noteRecords.length} enregistrements NOTE...`);
             
@@ -38,9 +42,12 @@ export class NoteExtractor {
                 if (noteData) {
                     notesList.push(noteData);
                 }
+                
+                if (progress) progress.tick();
             }
             
         } catch (error) {
+            if (progress && progress.aborted) throw error;
             this.log(`Erreur extraction notes: ${error.message}`);
         }
         
@@ -71,7 +78,8 @@ export class NoteExtractor {
             const noteData = {
                 pointer,
                 text: noteText,
-                sources: this.extractNoteSources(noteRecord)
+                sources: this.extractNoteSources(noteRecord),
+                translations: this.extractNoteTranslations(noteRecord)
             };
             
             // Log désactivé pour éviter la pollution console
@@ -84,6 +92,33 @@ export class NoteExtractor {
         }
     }
 
+    /**
+     * Extrait les traductions d'une note (GEDCOM 7 : TRAN > LANG, MIME)
+     * @param {Object} noteRecord - Enregistrement note read-gedcom
+     * @returns {Array} [{ text, language, mime }]
+     */
+    extractNoteTranslations(noteRecord) {
+        const translations = [];
+        
+        try {
+            noteRecord.get('TRAN').arraySelect().forEach(tran => {
+                const text = tran.value()[0];
+                if (!text) return;
+                const language = tran.get('LANG');
+                const mime = tran.get('MIME');
+                translations.push({
+                    text,
+                    language: language.length > 0 ? language.value()[0] : null,
+                    mime: mime.length > 0 ? mime.value()[0] : null
+                });
+            });
+        } catch (error) {
+            this.log(`Erreur extraction traductions note: ${error.message}`);
+        }
+        
+        return translations;
+    }
+
     /**
      * Extrait le texte complet d'une note (avec CONT/CONC)
      * Gère correctement les tags GEDCOM :
@@ -9,6 +9,8 @@
  * - Références croisées
  */
 
+import { PROGRESS_PHASES } from '../../utils/progress.js';
+
 export class SourceExtractor {
     constructor(options = {}) {
         this.options = {
@@ -23,24 +25,29 @@ export class SourceExtractor {
     /**
      * Extrait toutes les sources (SOUR records) du GEDCOM
      * @param {Object} rootSelection - Sélection racine read-gedcom
-     * @returns {Promise<Array>} Liste des sources extraites
+     * @param {ProgressTracker} [progress] - Progression par enregistrement et annulation
+     * @returns {Array} Liste des sources extraites
      */
-    async extractSources(rootSelection) {
+    extractSources(rootSelection, progress = null) {
         const sources = [];
         
         try {
             const sourceRecords = rootSelection.getSourceRecord().arraySelect();
+            if (progress) progress.start(PROGRESS_PHASES.SOURCES, sourceRecords.length);
             this.log(`Extraction de ${sourceRecords.length} enregistrements SOURCE...`);
             
             for (let i = 0; i < sourceRecords.length; i++) {
                 const sourceRecord = sourceRecords[i];
-                const sourceData = await this.extractSingleSource(sourceRecord);
+                const sourceData = this.extractSingleSource(sourceRecord);
                 if (sourceData) {
                     sources.push(sourceData);
                 }
+                
+                if (progress) progress.tick();
             }
             
         } catch (error) {
+            if (progress && progress.aborted) throw error;
             this.log(`Erreur extraction sources: ${error.message}`);
         }
         
@@ -50,24 +57,29 @@ export class SourceExtractor {
     /**
      * Extrait tous les dépôts/repositories (REPO records) du GEDCOM
      * @param {Object} rootSelection - Sélection racine read-gedcom
-     * @returns {Promise<Array>} Liste des dépôts extraits
+     * @param {ProgressTracker} [progress] - Progression par enregistrement et annulation
+     * @returns {Array} Liste des dépôts extraits
      */
-    async extractRepositories(rootSelection) {
+    extractRepositories(rootSelection, progress = null) {
         const repositories = [];
         
         try {
             const repoRecords = rootSelection.getRepositoryRecord().arraySelect();
+            if (progress) progress.start(PROGRESS_PHASES.REPOSITORIES, repoRecords.length);
             this.log(`Extraction de ${repoRecords.length} enregistrements REPOSITORY...`);
             
             for (let i = 0; i < repoRecords.length; i++) {
                 const repoRecord = repoRecords[i];
-                const repoData = await this.extractSingleRepository(repoRecord);
+                const repoData = this.extractSingleRepository(repoRecord);
                 if (repoData) {
                     repositories.push(repoData);
                 }
+                
+                if (progress) progress.tick();
             }
             
         } catch (error) {
+            if (progress && progress.aborted) throw error;
             this.log(`Erreur extraction dépôts: ${error.message}`);
         }
         
@@ -77,9 +89,9 @@ export class SourceExtractor {
     /**
      * Extrait un enregistrement SOURCE complet
      * @param {Object} sourceRecord - Enregistrement source read-gedcom
-     * @returns {Promise<Object>} Données de la source extraites
+     * @returns {Object} Données de la source extraites
      */
-    async extractSingleSource(sourceRecord) {
+    extractSingleSource(sourceRecord) {
         try {
             const pointer = sourceRecord.pointer()[0];
             if (!pointer) return null;
@@ -123,9 +135,9 @@ export class SourceExtractor {
     /**
      * Extrait un enregistrement REPOSITORY complet
      * @param {Object} repoRecord - Enregistrement dépôt read-gedcom
-     * @returns {Promise<Object>} Données du dépôt extraites
+     * @returns {Object} Données du dépôt extraites
      */
-    async extractSingleRepository(repoRecord) {
+    extractSingleRepository(repoRecord) {
         try {
             const pointer = repoRecord.pointer()[0];
             if (!pointer) return null;
@@ -155,6 +155,52 @@ export const GEDCOM_TAGS = {
         CHIL: 'CHIL'     // Child
     },
     
+    // Header & Submission
+    HEADER: {
+        GEDC: 'GEDC',    // GEDCOM Format
+        VERS: 'VERS',    // Version
+        CHAR: 'CHAR',    // Character Set
+        DEST: 'DEST',    // Receiving System
+        CORP: 'CORP',    // Corporation
+        COPR: 'COPR',    // Copyright
+        SUBN: 'SUBN',    // Submission
+        FAMF: 'FAMF',    // Family File
+        ANCE: 'ANCE',    // Generations of Ancestors
+        DESC: 'DESC',    // Generations of Descendants
+        ORDI: 'ORDI'     // Ordinance Process Flag
+    },
+    
+    // LDS Ordinances
+    LDS: {
+        BAPL: 'BAPL',    // LDS Baptism
+        CONL: 'CONL',    // LDS Confirmation
+        ENDL: 'ENDL',    // LDS Endowment
+        SLGC: 'SLGC',    // LDS Child Sealing
+        SLGS: 'SLGS',    // LDS Spouse Sealing
+        TEMP: 'TEMP'     // Temple
+    },
+    
+    // GEDCOM 7.0 additions
+    GEDCOM7: {
+        SNOTE: 'SNOTE',  // Shared Note
+        SCHMA: 'SCHMA',  // Extension Schema
+        TAG: 'TAG',      // Extension Tag Definition
+        EXID: 'EXID',    // External Identifier
+        UID: 'UID',      // Unique Identifier
+        SDATE: 'SDATE',  // Sort Date
+        PHRASE: 'PHRASE', // Free-text Phrase
+        TRAN: 'TRAN',    // Translation
+        NO: 'NO',        // Did Not Happen
+        MIME: 'MIME',    // Media Type
+        CROP: 'CROP',    // Crop
+        TOP: 'TOP',      // Crop Top
+        LEFT: 'LEFT',    // Crop Left
+        HEIGHT: 'HEIGHT', // Crop Height
+        WIDTH: 'WIDTH',  // Crop Width
+        INIL: 'INIL',    // Initiatory
+        CREA: 'CREA'     // Creation
+    },
+    
     // Other
     OTHER: {
         DATE: 'DATE',    // Date
@@ -172,7 +218,15 @@ export const GEDCOM_TAGS = {
         RIN: 'RIN',      // Record ID Number
         CHAN: 'CHAN',    // Change
         CONC: 'CONC',    // Concatenation
-        CONT: 'CONT'     // Continuation
+        CONT: 'CONT',    // Continuation
+        ALIA: 'ALIA',    // Alias
+        AFN: 'AFN',      // Ancestral File Number
+        RFN: 'RFN',      // Record File Number
+        RESN: 'RESN',    // Restriction
+        SSN: 'SSN',      // Social Security Number
+        CALN: 'CALN',    // Call Number
+        MEDI: 'MEDI',    // Media Type
+        BLOB: 'BLOB'     // Binary Object (5.5)
     }
 };
 
@@ -0,0 +1,39 @@
+/**
+ * Numéros de ligne dans le fichier GEDCOM d'origine
+ *
+ * read-gedcom garde pour chaque nœud son rang dans le texte lu (indexSource, à partir de 0).
+ * En streaming et sur workers, read-gedcom lit des lots recomposés (HEAD + individus + familles) :
+ * la table de correspondance fournie par composeBatchGedcom ramène leurs lignes à celles du fichier.
+ * Pour un fichier GEDCOM 7, normalizeGedcom7 indique la ligne d'origine de chaque ligne normalisée.
+ */
+
+/**
+ * Ligne (à partir de 1) du premier nœud d'une sélection read-gedcom
+ * @param {Object} selection - Sélection read-gedcom
+ * @returns {number|null} null si la sélection est vide
+ */
+export function sourceLine(selection) {
+    const node = selection && selection[0];
+    return node && Number.isInteger(node.indexSource) && node.indexSource >= 0 ? node.indexSource + 1 : null;
+}
+
+/**
+ * Convertit une ligne d'un lot recomposé en ligne du fichier d'origine
+ * @param {Array<[number, number, number]>|null} lineMap - Segments [ligne du lot, ligne d'origine, nombre de lignes]
+ * @returns {function(number|null): number|null} Identité sans table ; null hors des segments
+ *
+ * @example
+ * const toOriginal = createLineMapper([[3, 120, 8]]);
+ * toOriginal(5) // → 122
+ */
+export function createLineMapper(lineMap) {
+    if (!lineMap) return line => line;
+
+    return (line) => {
+        if (line === null || line === undefined) return null;
+        for (const [batchLine, originalLine, count] of lineMap) {
+            if (line >= batchLine && line < batchLine + count) return originalLine + line - batchLine;
+        }
+        return null;
+    };
+}
@@ -0,0 +1,52 @@
+/**
+ * Worker d'extraction des individus (options.workers)
+ * Reçoit des lots sous forme de mini-GEDCOM (HEAD + individus + familles référencées),
+ * les extrait et les compresse, puis renvoie les individus et l'état du lot.
+ * Fonctionne comme worker_threads (Node) et comme Web Worker de type module.
+ */
+
+import { readGedcom } from 'read-gedcom';
+import { DataExtractor } from '../DataExtractor.js';
+import { CacheBuilder } from '../CacheBuilder.js';
+import { MemoryGeoDataProvider } from '../../utils/geoDataProvider.js';
+
+const port = typeof globalThis.WorkerGlobalScope !== 'undefined' ?
+    globalThis :
+    (await import('node:worker_threads')).parentPort;
+
+let dataExtractor = null;
+let cacheBuilder = null;
+
+/**
+ * Messages reçus :
+ * - { type: 'init', options } : options du parser (sans fonctions ni signal), options.geoData pour les clés hiérarchiques
+ * - { type: 'shard', index, text, lineMap } : lot à traiter et correspondance de ses lignes avec le fichier
+ * Réponses : { type: 'result', index, individuals, state } ou { type: 'error', index, message }
+ */
+function handleMessage(message) {
+    if (message.type === 'init') {
+        dataExtractor = new DataExtractor(message.options);
+        const { geoData, ...options } = message.options;
+        cacheBuilder = new CacheBuilder({ ...options, geoDataProvider: geoData ? new MemoryGeoDataProvider(geoData) : null });
+        return;
+    }
+
+    if (message.type !== 'shard') return;
+
+    try {
+        const state = cacheBuilder.createStreamState();
+        const rootSelection = readGedcom(new TextEncoder().encode(message.text).buffer, { forcedCharset: 'UTF-8' });
+        const individualsData = dataExtractor.extractIndividualsSync(rootSelection);
+        const individuals = cacheBuilder.buildBatchSync(individualsData, state, message.lineMap);
+
+        port.postMessage({ type: 'result', index: message.index, individuals: [...individuals], state });
+    } catch (error) {
+        port.postMessage({ type: 'error', index: message.index, message: error.message });
+    }
+}
+
+if (port === globalThis) {
+    globalThis.addEventListener('message', event => handleMessage(event.data));
+} else {
+    port.on('message', handleMessage);
+}
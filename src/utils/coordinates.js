@@ -0,0 +1,329 @@
+/**
+ * coordinates.js - Lecture des coordonnées géographiques (MAP/LATI/LONG, texte libre)
+ *
+ * Formats reconnus pour une coordonnée :
+ * - décimal, avec point ou virgule : 48.8566, -2.35, 48,8566
+ * - hémisphère en préfixe ou suffixe (O = Ouest) : N48.8566, 48.8566N, 2,35 O
+ * - degrés-minutes-secondes : 48°51'30"N, 48°51'30.5", 48 51 30 N, 48D51M30S
+ * - degrés-minutes : 48°51.5'N, 48 51,5 N, 48D51.5M
+ *
+ * Une paire dont les hémisphères (ou les valeurs) montrent une latitude et une longitude
+ * inversées est remise dans l'ordre ; une valeur hors limites est rejetée avec un diagnostic.
+ *
+ * Les points relevés pour un même lieu sont regroupés par distance (clusterCoordinates)
+ * et résumés par un centre robuste et son étendue (coordinateCentroid).
+ */
+
+/**
+ * Valeur absolue maximale par axe
+ */
+export const COORDINATE_LIMITS = {
+    latitude: 90,
+    longitude: 180
+};
+
+const HEMISPHERES = {
+    N: { axis: 'latitude', sign: 1 },
+    S: { axis: 'latitude', sign: -1 },
+    E: { axis: 'longitude', sign: 1 },
+    W: { axis: 'longitude', sign: -1 },
+    O: { axis: 'longitude', sign: -1 }
+};
+
+const AXIS_LABELS = { latitude: 'Latitude', longitude: 'Longitude' };
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Lit une coordonnée isolée
+ * @param {string|number} value - Valeur brute (LATI, LONG, moitié d'un texte libre)
+ * @param {string} [axis] - 'latitude' ou 'longitude' : vérifie hémisphère et limites
+ * @returns {{value: number|null, axis: string|null, error: string|null}}
+ *          axis : axe désigné par l'hémisphère (N/S, E/W/O), null sans hémisphère
+ *
+ * @example
+ * parseCoordinate('48°51\'30"N')          // → { value: 48.858333, axis: 'latitude', error: null }
+ * parseCoordinate('2,3522 O', 'longitude') // → { value: -2.3522, axis: 'longitude', error: null }
+ * parseCoordinate('95.2', 'latitude')      // → { value: null, axis: null, error: 'Latitude hors limites (±90) : 95.2' }
+ */
+export function parseCoordinate(value, axis = null) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (!text) return _failure('Coordonnée vide');
+
+    let rest = _normalize(text);
+
+    // Hémisphère en préfixe et/ou en suffixe
+    let hemisphere = null;
+    const prefix = rest.match(/^([NSEWO])\s*/);
+    if (prefix) {
+        hemisphere = prefix[1];
+        rest = rest.slice(prefix[0].length);
+    }
+    const suffix = rest.match(/\s*([NSEWO])$/);
+    if (suffix) {
+        if (hemisphere && hemisphere !== suffix[1]) return _failure(`Hémisphères contradictoires : "${text}"`);
+        hemisphere = suffix[1];
+        rest = rest.slice(0, -suffix[0].length);
+    }
+
+    let sign = 1;
+    const signMatch = rest.match(/^([+-])\s*/);
+    if (signMatch) {
+        sign = signMatch[1] === '-' ? -1 : 1;
+        rest = rest.slice(signMatch[0].length);
+    }
+    if (hemisphere && sign < 0 && HEMISPHERES[hemisphere].sign > 0) {
+        return _failure(`Signe et hémisphère contradictoires : "${text}"`);
+    }
+
+    // Degrés, minutes, secondes : seule la dernière partie peut être décimale
+    const parts = rest.split(/\s*[°'"]\s*|\s+/).filter(Boolean);
+    const valid = parts.length >= 1 && parts.length <= 3 &&
+        parts.every((part, index) => (index === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part));
+    if (!valid) return _failure(`Coordonnée illisible : "${text}"`);
+
+    const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+    if (minutes >= 60 || seconds >= 60) return _failure(`Minutes ou secondes hors limites : "${text}"`);
+
+    let decimal = degrees + minutes / 60 + seconds / 3600;
+    if (parts.length > 1) decimal = _round(decimal);
+    if (hemisphere) decimal = Math.abs(decimal) * HEMISPHERES[hemisphere].sign;
+    else decimal *= sign;
+
+    const hemisphereAxis = hemisphere ? HEMISPHERES[hemisphere].axis : null;
+    if (axis) {
+        if (hemisphereAxis && hemisphereAxis !== axis) {
+            return _failure(`Hémisphère ${hemisphere} incompatible avec une ${axis} : "${text}"`);
+        }
+        const error = _rangeError(decimal, axis);
+        if (error) return _failure(error);
+    }
+
+    return { value: decimal, axis: hemisphereAxis, error: null };
+}
+
+/**
+ * Lit une paire latitude / longitude (MAP > LATI, LONG)
+ * @param {string|number} latitude - Valeur de LATI
+ * @param {string|number} longitude - Valeur de LONG
+ * @returns {{latitude: number|null, longitude: number|null, swapped: boolean, issue: string|null}}
+ *          issue : diagnostic (coordonnées rejetées, ou inversées puis corrigées)
+ *
+ * @example
+ * parseCoordinates('E2.3522', 'N48.8566')
+ * // → { latitude: 48.8566, longitude: 2.3522, swapped: true, issue: 'Latitude et longitude inversées' }
+ */
+export function parseCoordinates(latitude, longitude) {
+    const missing = [latitude, longitude].map(value => value === null || value === undefined || String(value).trim() === '');
+    if (missing[0] && missing[1]) return { latitude: null, longitude: null, swapped: false, issue: null };
+    if (missing[0] || missing[1]) return _rejected(`${missing[0] ? 'Latitude' : 'Longitude'} absente`);
+
+    const first = parseCoordinate(latitude);
+    const second = parseCoordinate(longitude);
+    const failed = [first, second].find(coordinate => coordinate.error);
+    if (failed) return _rejected(failed.error);
+    if (first.axis && first.axis === second.axis) {
+        return _rejected(`Deux ${first.axis}s : "${latitude}", "${longitude}"`);
+    }
+
+    const swapped = first.axis === 'longitude' || second.axis === 'latitude' ||
+        (!first.axis && !second.axis && Math.abs(first.value) > COORDINATE_LIMITS.latitude &&
+            Math.abs(second.value) <= COORDINATE_LIMITS.latitude);
+    const [lat, lon] = swapped ? [second.value, first.value] : [first.value, second.value];
+
+    const error = _rangeError(lat, 'latitude') || _rangeError(lon, 'longitude');
+    if (error) return _rejected(error);
+
+    return { latitude: lat, longitude: lon, swapped, issue: swapped ? 'Latitude et longitude inversées' : null };
+}
+
+/**
+ * Lit une paire écrite dans un seul texte
+ * Séparateurs : point-virgule, barre, virgule suivie d'une espace, virgule seule entre
+ * deux décimaux à point, espace après l'hémisphère de la latitude, ou moitié des nombres
+ * @param {string} text - Ex. "48.8566, 2.3522", "48,8566; 2,3522", "48°51'30\"N 2°17'40\"E"
+ * @returns {{latitude: number|null, longitude: number|null, swapped: boolean, issue: string|null}}
+ */
+export function parseCoordinateText(text) {
+    const value = text === null || text === undefined ? '' : String(text).trim();
+    if (!value) return { latitude: null, longitude: null, swapped: false, issue: null };
+
+    const pair = _splitPair(value);
+    if (!pair) return _rejected(`Coordonnées illisibles : "${value}"`);
+    return parseCoordinates(pair[0], pair[1]);
+}
+
+/**
+ * Distance orthodromique (haversine) entre deux points
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} Distance en kilomètres
+ */
+export function coordinateDistance(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Centre robuste d'un ensemble de points : médiane de chaque axe, qu'un point aberrant ne déplace pas
+ * @param {Array<{latitude: number, longitude: number, count?: number}>} points - count : occurrences du point (1 par défaut)
+ * @returns {{latitude: number, longitude: number, spread: number}|null}
+ *          spread : distance (km) du point le plus éloigné du centre
+ *
+ * @example
+ * coordinateCentroid([{ latitude: 45.76, longitude: 4.83 }, { latitude: 45.77, longitude: 4.84, count: 2 }])
+ * // → { latitude: 45.77, longitude: 4.84, spread: 1.36 }
+ */
+export function coordinateCentroid(points) {
+    if (!points || points.length === 0) return null;
+
+    const center = {
+        latitude: _round(_weightedMedian(points, 'latitude')),
+        longitude: _round(_weightedMedian(points, 'longitude'))
+    };
+    const spread = Math.max(...points.map(point => coordinateDistance(center, point)));
+    return { ...center, spread: Math.round(spread * 100) / 100 };
+}
+
+/**
+ * Regroupe de proche en proche les points distants de moins de maxDistance
+ * @param {Array<{latitude: number, longitude: number, count?: number}>} points
+ * @param {number} maxDistance - Distance maximale (km) entre deux voisins d'un même groupe
+ * @returns {Array<Array<Object>>} Groupes de points, le plus fourni (en occurrences) d'abord
+ */
+export function clusterCoordinates(points, maxDistance) {
+    const parents = points.map((_, index) => index);
+    const find = index => (parents[index] === index ? index : (parents[index] = find(parents[index])));
+
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            if (coordinateDistance(points[i], points[j]) <= maxDistance) parents[find(j)] = find(i);
+        }
+    }
+
+    const clusters = new Map();
+    points.forEach((point, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(point);
+    });
+
+    const weight = cluster => cluster.reduce((sum, point) => sum + (point.count ?? 1), 0);
+    return [...clusters.values()].sort((a, b) => weight(b) - weight(a));
+}
+
+/**
+ * Symboles unifiés, notation lettrée (48D51M30S) convertie, virgule décimale → point
+ * @private
+ */
+function _normalize(text) {
+    let value = text.toUpperCase()
+        .replace(/[º˚]/g, '°')
+        .replace(/''/g, '"')
+        .replace(/[″“”]/g, '"')
+        .replace(/[′’‘´`]/g, '\'');
+
+    // D/M/S ne sont des unités qu'après un D de degrés : 48D, 48D51.5M, 48D51M30S
+    if (/\d\s*D(\s*\d|\s*[NSEWO]?$)/.test(value)) {
+        value = value.replace(/(\d)\s*D(?=\s*\d|\s*[NSEWO]?$)/, '$1°');
+        if (/°\s*\d+(?:[.,]\d+)?\s*M/.test(value)) {
+            value = value.replace(/(°\s*\d+(?:[.,]\d+)?)\s*M/, '$1\'');
+            value = value.replace(/('\s*\d+(?:[.,]\d+)?)\s*S(?=\s*[NSEWO]?$)/, '$1"');
+        }
+    }
+
+    return value.replace(/(\d),(\d)/g, '$1.$2');
+}
+
+/**
+ * Coupe un texte libre en latitude et longitude
+ * @private
+ */
+function _splitPair(value) {
+    const explicit = value.split(/\s*[;|]\s*/);
+    if (explicit.length === 2) return explicit;
+
+    const commaSpace = value.split(/,\s+/);
+    if (commaSpace.length === 2) return commaSpace;
+
+    if (!/\s/.test(value)) {
+        const commas = value.split(',');
+        if (commas.length === 2) return commas;
+        // Deux décimaux à virgule : 48,8566,2,3522
+        if (commas.length === 4) return [`${commas[0]},${commas[1]}`, `${commas[2]},${commas[3]}`];
+        // Hémisphères collés : 48.8566N2.3522E
+        const glued = value.match(/^(.*?\d\s*["']?\s*[NS])\s*([EWO]?\s*\d.*)$/i);
+        return glued ? [glued[1], glued[2]] : null;
+    }
+
+    const tokens = value.split(/\s+/);
+    if (tokens.length === 2) return tokens;
+
+    // Après l'hémisphère de la latitude (…N 2°17'40"E) ou avant celui de la longitude (N48 51 E2 17)
+    for (let i = 1; i < tokens.length; i++) {
+        if (/[NS]$/i.test(tokens[i - 1]) || /^[EWO]\d/i.test(tokens[i])) {
+            return [tokens.slice(0, i).join(' '), tokens.slice(i).join(' ')];
+        }
+    }
+
+    // Nombres seuls : 48 51 30 2 17 40
+    if (tokens.length % 2 === 0 && tokens.every(token => /^[+-]?\d+([.,]\d+)?$/.test(token))) {
+        const half = tokens.length / 2;
+        return [tokens.slice(0, half).join(' '), tokens.slice(half).join(' ')];
+    }
+    return null;
+}
+
+/**
+ * Médiane pondérée par count ; moyenne des deux valeurs centrales pour un total pair
+ * @private
+ */
+function _weightedMedian(points, axis) {
+    const sorted = points
+        .map(point => ({ value: point[axis], weight: point.count ?? 1 }))
+        .sort((a, b) => a.value - b.value);
+    const half = sorted.reduce((sum, { weight }) => sum + weight, 0) / 2;
+
+    let cumulated = 0;
+    let lower = null;
+    for (const { value, weight } of sorted) {
+        cumulated += weight;
+        if (lower === null && cumulated >= half) lower = value;
+        if (cumulated > half) return (lower + value) / 2;
+    }
+    return lower;
+}
+
+/**
+ * Six décimales : une dizaine de centimètres
+ * @private
+ */
+function _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * @private
+ */
+function _rangeError(value, axis) {
+    const limit = COORDINATE_LIMITS[axis];
+    return Math.abs(value) > limit ? `${AXIS_LABELS[axis]} hors limites (±${limit}) : ${value}` : null;
+}
+
+/**
+ * @private
+ */
+function _failure(error) {
+    return { value: null, axis: null, error };
+}
+
+/**
+ * @private
+ */
+function _rejected(issue) {
+    return { latitude: null, longitude: null, swapped: false, issue };
+}
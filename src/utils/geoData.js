@@ -0,0 +1,119 @@
+/**
+ * geoData.js - Données géographiques embarquées (aucune requête réseau)
+ *
+ * Même rôle que la réponse de l'API geo-data, sous une forme plus compacte :
+ * pays (code ISO) avec leurs variantes normalisées, départements français par code.
+ */
+
+/**
+ * Données par défaut de BundledGeoDataProvider
+ */
+export const BUNDLED_GEO_DATA = {
+    countries: [
+        // France
+        {
+            name: { FR: "France" },
+            code: "FR",
+            variants: ["france", "fr", "french", "francais"]
+        },
+
+        // États-Unis avec variantes et territoires
+        {
+            name: { FR: "États-Unis" },
+            code: "US",
+            variants: ["usa", "us", "etats-unis", "united-states", "america", "amerique"],
+            territories: ["puerto-rico", "porto-rico", "hawaii", "alaska", "guam", "virgin-islands"]
+        },
+
+        // Canada
+        {
+            name: { FR: "Canada" },
+            code: "CA",
+            variants: ["canada", "ca", "canadien"]
+        },
+
+        // Royaume-Uni avec territoires
+        {
+            name: { FR: "Royaume-Uni" },
+            code: "GB",
+            variants: ["royaume-uni", "uk", "united-kingdom", "great-britain", "england", "scotland", "wales", "northern-ireland", "angleterre", "ecosse", "galles"],
+            territories: ["gibraltar", "jersey", "guernsey", "isle-of-man"]
+        },
+
+        // Autres pays européens
+        {
+            name: { FR: "Allemagne" },
+            code: "DE",
+            variants: ["allemagne", "germany", "deutschland", "de"]
+        },
+        {
+            name: { FR: "Belgique" },
+            code: "BE",
+            variants: ["belgique", "belgium", "be"]
+        },
+        {
+            name: { FR: "Suisse" },
+            code: "CH",
+            variants: ["suisse", "switzerland", "swiss", "schweiz", "ch"]
+        },
+        {
+            name: { FR: "Italie" },
+            code: "IT",
+            variants: ["italie", "italy", "italia", "it"]
+        },
+        {
+            name: { FR: "Espagne" },
+            code: "ES",
+            variants: ["espagne", "spain", "espana", "es"]
+        },
+        {
+            name: { FR: "Pays-Bas" },
+            code: "NL",
+            variants: ["pays-bas", "netherlands", "holland", "nl"]
+        },
+
+        // Autres continents
+        {
+            name: { FR: "Maroc" },
+            code: "MA",
+            variants: ["maroc", "morocco", "ma"]
+        },
+        {
+            name: { FR: "Algérie" },
+            code: "DZ",
+            variants: ["algerie", "algeria", "dz"]
+        },
+        {
+            name: { FR: "Tunisie" },
+            code: "TN",
+            variants: ["tunisie", "tunisia", "tn"]
+        }
+    ],
+    departments: {
+        "01": "Ain", "02": "Aisne", "03": "Allier", "04": "Alpes-de-Haute-Provence",
+        "05": "Hautes-Alpes", "06": "Alpes-Maritimes", "07": "Ardèche", "08": "Ardennes",
+        "09": "Ariège", "10": "Aube", "11": "Aude", "12": "Aveyron",
+        "13": "Bouches-du-Rhône", "14": "Calvados", "15": "Cantal", "16": "Charente",
+        "17": "Charente-Maritime", "18": "Cher", "19": "Corrèze", "21": "Côte-d'Or",
+        "22": "Côtes-d'Armor", "23": "Creuse", "24": "Dordogne", "25": "Doubs",
+        "26": "Drôme", "27": "Eure", "28": "Eure-et-Loir", "29": "Finistère",
+        "30": "Gard", "31": "Haute-Garonne", "32": "Gers", "33": "Gironde",
+        "34": "Hérault", "35": "Ille-et-Vilaine", "36": "Indre", "37": "Indre-et-Loire",
+        "38": "Isère", "39": "Jura", "40": "Landes", "41": "Loir-et-Cher",
+        "42": "Loire", "43": "Haute-Loire", "44": "Loire-Atlantique", "45": "Loiret",
+        "46": "Lot", "47": "Lot-et-Garonne", "48": "Lozère", "49": "Maine-et-Loire",
+        "50": "Manche", "51": "Marne", "52": "Haute-Marne", "53": "Mayenne",
+        "54": "Meurthe-et-Moselle", "55": "Meuse", "56": "Morbihan", "57": "Moselle",
+        "58": "Nièvre", "59": "Nord", "60": "Oise", "61": "Orne",
+        "62": "Pas-de-Calais", "63": "Puy-de-Dôme", "64": "Pyrénées-Atlantiques",
+        "65": "Hautes-Pyrénées", "66": "Pyrénées-Orientales", "67": "Bas-Rhin",
+        "68": "Haut-Rhin", "69": "Rhône", "70": "Haute-Saône", "71": "Saône-et-Loire",
+        "72": "Sarthe", "73": "Savoie", "74": "Haute-Savoie", "75": "Paris",
+        "76": "Seine-Maritime", "77": "Seine-et-Marne", "78": "Yvelines",
+        "79": "Deux-Sèvres", "80": "Somme", "81": "Tarn", "82": "Tarn-et-Garonne",
+        "83": "Var", "84": "Vaucluse", "85": "Vendée", "86": "Vienne",
+        "87": "Haute-Vienne", "88": "Vosges", "89": "Yonne", "90": "Territoire de Belfort",
+        "91": "Essonne", "92": "Hauts-de-Seine", "93": "Seine-Saint-Denis",
+        "94": "Val-de-Marne", "95": "Val-d'Oise"
+    }
+};
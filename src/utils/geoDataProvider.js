@@ -0,0 +1,149 @@
+/**
+ * geoDataProvider.js - Fournisseurs des données géographiques (pays, départements)
+ *
+ * Un fournisseur expose load() (asynchrone) et loadSync(). GeneaFanParser le reçoit via
+ * options.geoDataProvider ; par défaut BundledGeoDataProvider, sans accès réseau.
+ *
+ * Deux formats de données sont acceptés :
+ * - celui de l'API geo-data : { countries: { continents: [{ countries: [{ name, code, key, territories }] }] },
+ *   departments: { clé: { code, name, region, departementColor } } }
+ * - celui des données embarquées : { countries: [{ name, variants, territories }], departments: { code: nom } }
+ */
+
+import { BUNDLED_GEO_DATA } from './geoData.js';
+import { logger } from './logger.js';
+
+const MODULE = 'geoDataProvider';
+
+/**
+ * URL de l'API geo-data de GeneaFan
+ */
+export const GEO_DATA_URL = 'https://geocode.genealogie.app/api/geo-data';
+
+/**
+ * Interface des fournisseurs : à étendre en redéfinissant loadSync() et/ou load()
+ */
+export class GeoDataProvider {
+    /**
+     * Données géographiques, chargées si besoin
+     * @returns {Promise<{countries: Object|Array, departments: Object}>}
+     */
+    async load() {
+        return this.loadSync();
+    }
+
+    /**
+     * Données géographiques disponibles sans attendre (parseSync, construction par lots)
+     * @returns {{countries: Object|Array, departments: Object}}
+     */
+    loadSync() {
+        throw new Error(`${this.constructor.name} ne fournit pas de données géographiques synchrones`);
+    }
+}
+
+/**
+ * Données embarquées dans le paquet (fournisseur par défaut)
+ */
+export class BundledGeoDataProvider extends GeoDataProvider {
+    loadSync() {
+        return BUNDLED_GEO_DATA;
+    }
+}
+
+/**
+ * Données fournies par l'appelant (tests, copie locale de l'API relue depuis un fichier...)
+ *
+ * @example
+ * const data = JSON.parse(fs.readFileSync('geo-data.json', 'utf8'));
+ * new GeneaFanParser({ geoDataProvider: new MemoryGeoDataProvider(data) });
+ */
+export class MemoryGeoDataProvider extends GeoDataProvider {
+    /**
+     * @param {{countries: Object|Array, departments: Object}} data
+     */
+    constructor(data) {
+        super();
+        if (!data || typeof data !== 'object') {
+            throw new Error('Données géographiques invalides : objet { countries, departments } attendu');
+        }
+        this.data = data;
+    }
+
+    loadSync() {
+        return this.data;
+    }
+}
+
+/**
+ * Données téléchargées une seule fois (API geo-data par défaut)
+ * En cas d'échec, les données du fournisseur de repli sont utilisées (sans nouvel essai) ;
+ * loadSync() rend les données téléchargées si load() a abouti, celles du repli sinon
+ *
+ * @example
+ * const geoDataProvider = new HttpGeoDataProvider();
+ * const result = await new GeneaFanParser({ geoDataProvider }).parse(buffer);
+ */
+export class HttpGeoDataProvider extends GeoDataProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.url=GEO_DATA_URL] - Adresse de l'API
+     * @param {Function} [options.fetch=globalThis.fetch] - Implémentation de fetch
+     * @param {number} [options.timeout=10000] - Délai maximal de la requête (ms)
+     * @param {GeoDataProvider|null} [options.fallback] - Repli en cas d'échec (données embarquées par défaut),
+     *        null pour propager l'erreur
+     */
+    constructor(options = {}) {
+        super();
+        this.url = options.url || GEO_DATA_URL;
+        this.fetch = options.fetch || globalThis.fetch;
+        this.timeout = options.timeout ?? 10000;
+        this.fallback = options.fallback === undefined ? new BundledGeoDataProvider() : options.fallback;
+        this.data = null;
+        this.loadPromise = null;
+    }
+
+    async load() {
+        if (this.data) return this.data;
+        if (!this.loadPromise) {
+            // Un échec avec repli n'est pas retenté : les parsings suivants ne réinterrogent pas le réseau
+            this.loadPromise = this._download().catch(error => {
+                if (!this.fallback) {
+                    this.loadPromise = null;
+                    throw error;
+                }
+                logger.warn(MODULE, 'Échec chargement API, utilisation du fournisseur de repli:', error.message);
+                return this.fallback.load();
+            });
+        }
+        return this.loadPromise;
+    }
+
+    loadSync() {
+        if (this.data) return this.data;
+        if (!this.fallback) throw new Error(`Données géographiques non chargées : attendre load() (${this.url})`);
+        return this.fallback.loadSync();
+    }
+
+    /**
+     * @private
+     */
+    async _download() {
+        if (typeof this.fetch !== 'function') throw new Error('fetch indisponible');
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller && this.timeout > 0 ? setTimeout(() => controller.abort(), this.timeout) : null;
+        try {
+            logger.debug(MODULE, 'Chargement geo-data depuis', this.url);
+            const response = await this.fetch(this.url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) throw new Error(`Failed to load geo data: ${response.status}`);
+
+            const data = await response.json();
+            if (!data || typeof data !== 'object') throw new Error('Réponse geo-data invalide');
+            logger.debug(MODULE, 'Départements chargés:', Object.keys(data.departments || {}).length);
+            this.data = data;
+            return data;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+}
@@ -7,68 +7,28 @@
 
 import { parsePlaceParts } from 'read-gedcom';
 import { logger } from './logger.js';
+import { BUNDLED_GEO_DATA } from './geoData.js';
+import { BundledGeoDataProvider } from './geoDataProvider.js';
+import { parseCoordinates } from './coordinates.js';
+import { placeLevels } from './placFormat.js';
 
 // 🚀 OPTIMISATION: Cache de normalisation pour éviter les recalculs
 const normalizationCache = new Map();
 
-// 🌐 Cache pour les données géographiques depuis l'API
-let geoDataCache = null;
-let geoDataLoadPromise = null;
+// Tables de recherche (pays, départements) déduites de chaque jeu de données géographiques
+const geoIndexCache = new WeakMap();
 
 // Module name pour le logger
 const MODULE = 'geoUtils';
 
-// Cache pour le format PLAC du fichier GEDCOM
-let placFormatCache = null;
-
 /**
- * Charge les données géographiques depuis l'API Cloudflare KV
+ * Précharge les données géographiques d'un fournisseur
+ * Équivaut à provider.load() ; les fournisseurs HTTP gardent ensuite leurs données pour les appels synchrones
+ * @param {GeoDataProvider} [provider] - Fournisseur (données embarquées par défaut)
  * @returns {Promise<{countries: Object, departments: Object}>}
  */
-async function loadGeoData() {
-    // Si déjà en cache, retourner directement
-    if (geoDataCache) return geoDataCache;
-    
-    // Si chargement en cours, attendre la promesse existante
-    if (geoDataLoadPromise) return geoDataLoadPromise;
-    
-    // Lancer le chargement
-    geoDataLoadPromise = (async () => {
-        try {
-            logger.debug(MODULE, 'Tentative chargement API geo-data...');
-            logger.debug(MODULE, 'Démarrage fetch()...');
-            const response = await fetch('https://geocode.genealogie.app/api/geo-data');
-            logger.debug(MODULE, 'Réponse API reçue:', response.status, response.ok);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load geo data: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            geoDataCache = data;
-            logger.debug(MODULE, 'Données géographiques chargées depuis API');
-            logger.debug(MODULE, 'Continents chargés:', data.countries?.continents?.length);
-            logger.debug(MODULE, 'Départements chargés:', Object.keys(data.departments || {}).length);
-            return data;
-        } catch (error) {
-            logger.warn(MODULE, 'Échec chargement API, utilisation données locales:', error.message);
-            // Fallback sur les données locales minimales
-            const localCountries = getLocalCountriesData();
-            const localDepartments = getLocalDepartmentsData();
-            logger.debug(MODULE, 'Fallback - Pays locaux:', localCountries.continents?.length);
-            logger.debug(MODULE, 'Fallback - Départements locaux:', Object.keys(localDepartments || {}).length);
-            
-            geoDataCache = {
-                countries: localCountries,
-                departments: localDepartments
-            };
-            return geoDataCache;
-        } finally {
-            geoDataLoadPromise = null;
-        }
-    })();
-    
-    return geoDataLoadPromise;
+export async function preloadGeoData(provider = new BundledGeoDataProvider()) {
+    return provider.load();
 }
 
 /**
@@ -165,21 +125,12 @@ export function normalizeGeoString(inputString) {
         .replace(/\s/g, "_"); // Espaces → underscores
 }
 
-/**
- * 🆕 NOUVEAU: Configure le format PLAC depuis l'en-tête GEDCOM
- * @param {string} placForm - Format PLAC (ex: "Town, Area code, County, Region, Country, Subdivision")
- */
-export function setPlacFormat(placForm) {
-    if (typeof placForm === 'string' && placForm.trim()) {
-        placFormatCache = placForm.split(',').map(part => part.trim());
-        logger.debug(MODULE, `Format PLAC configuré: ${placFormatCache.length} champs`);
-    }
-}
-
 /**
  * 🆕 NOUVEAU: Parse un lieu avec extraction de subdivision selon le format PLAC
  * @param {string} placeString - Lieu brut depuis le GEDCOM
- * @returns {Object} - { normalizedPlace, subdivision, fullPlace }
+ * @param {{form: string|null, keys: string[]}|null} [placeContext] - Contexte PLAC du parsing (createPlaceContext)
+ * @returns {Object} - { normalizedPlace, subdivision, fullPlace, levels }
+ *          levels : { town, area_code, county, region, country, subdivision } (placeLevels)
  * 
  * @example
  * parsePlaceWithSubdivision("Paris,75000,Paris,Île-de-France,FRANCE,Synagogue de la rue Copernic")
@@ -188,66 +139,74 @@ export function setPlacFormat(placForm) {
  * parsePlaceWithSubdivision("Paris,75000,Paris,Île-de-France,FRANCE,Ecole Polytechnique : promo 1952")
  * // → { normalizedPlace: "paris", subdivision: "Ecole Polytechnique : promo 1952", fullPlace: "Paris,75000,..." }
  */
-export function parsePlaceWithSubdivision(placeString) {
+export function parsePlaceWithSubdivision(placeString, placeContext = null) {
     if (!placeString || typeof placeString !== 'string') {
-        return { normalizedPlace: null, subdivision: null, fullPlace: placeString };
+        return { normalizedPlace: null, subdivision: null, fullPlace: placeString, levels: placeLevels('', null) };
     }
 
     // Normalisation standard du lieu
     const normalizedPlace = normalizePlace(placeString);
+    const formFields = placeContext?.keys || [];
+    const withLevels = result => _withLevels(result, placeString, placeContext);
     
     // Si pas de format PLAC configuré, retourner sans subdivision
-    if (!placFormatCache || placFormatCache.length === 0) {
-        return { normalizedPlace, subdivision: null, fullPlace: placeString };
+    if (formFields.length === 0) {
+        return withLevels({ normalizedPlace, subdivision: null, fullPlace: placeString });
     }
     
     try {
         // Utiliser la validation géographique intelligente pour détecter les subdivisions informatives
-        const validationResult = detectInformativeSubdivisionByValidation(placeString);
+        const validationResult = detectInformativeSubdivisionByValidation(placeString, placeContext);
         
         if (validationResult.isInformative) {
             // Si une partie informative détectée, la traiter comme subdivision
-            return {
+            return withLevels({
                 normalizedPlace,
                 subdivision: validationResult.informativePart || null,
                 fullPlace: placeString,
                 isInformativeSubdivision: true
-            };
+            });
         }
         
         // Fallback: logique originale pour extraire subdivision géographique
         const parts = placeString.split(',').map(part => part.trim());
-        const subdivisionIndex = placFormatCache.length - 1;
+        // Position du niveau Subdivision dans le FORM : sans ce niveau, pas de subdivision géographique
+        const subdivisionIndex = formFields.findIndex(field => field.includes('subdivision'));
         let subdivision = null;
         
-        const lastFieldName = placFormatCache[subdivisionIndex]?.toLowerCase();
-        if (lastFieldName && lastFieldName.includes('subdivision') && subdivisionIndex === placFormatCache.length - 1) {
+        if (subdivisionIndex >= 0 && subdivisionIndex === formFields.length - 1) {
             const subdivisionContent = parts.slice(subdivisionIndex).join(', ').trim();
             if (subdivisionContent && subdivisionContent !== '') {
                 subdivision = subdivisionContent;
             }
-        } else if (parts.length > placFormatCache.length) {
-            const excessParts = parts.slice(placFormatCache.length).filter(part => part && part !== '');
-            if (excessParts.length > 0) {
-                subdivision = excessParts.join(', ');
-            }
         } else if (subdivisionIndex >= 0 && subdivisionIndex < parts.length && parts[subdivisionIndex] && parts[subdivisionIndex] !== '') {
             subdivision = parts[subdivisionIndex];
         }
         
-        return {
+        return withLevels({
             normalizedPlace,
             subdivision: subdivision || null,
             fullPlace: placeString,
             isInformativeSubdivision: subdivision ? isInformativeSubdivision(subdivision) : false
-        };
+        });
         
     } catch (error) {
         logger.debug(MODULE, `Erreur parsing subdivision pour "${placeString}": ${error.message}`);
-        return { normalizedPlace, subdivision: null, fullPlace: placeString };
+        return withLevels({ normalizedPlace, subdivision: null, fullPlace: placeString });
     }
 }
 
+/**
+ * Ajoute au résultat de parsePlaceWithSubdivision les niveaux du lieu selon le FORM du contexte
+ * La subdivision des niveaux est celle du FORM, ou la partie informative détectée
+ * @private
+ */
+function _withLevels(result, placeString, placeContext) {
+    const levels = placeLevels(placeString, placeContext?.form || null);
+    if (result.isInformativeSubdivision) levels.subdivision = result.subdivision;
+    return { ...result, levels };
+}
+
 /**
  * 🆕 Valide si un champ géographique semble cohérent selon sa position dans le format PLAC
  * @param {string} value - Valeur à valider
@@ -297,15 +256,16 @@ function isValidGeographicField(value, fieldType) {
  * 🆕 Détecte les subdivisions informatives par validation géographique progressive
  * Utilise le format PLAC pour valider la cohérence géographique de gauche à droite
  * @param {string} placeString - Chaîne lieu complète
+ * @param {{form: string|null, keys: string[]}|null} [placeContext] - Contexte PLAC du parsing (createPlaceContext)
  * @returns {{isInformative: boolean, splitIndex: number, geographicPart: string, informativePart: string}}
  */
-export function detectInformativeSubdivisionByValidation(placeString) {
-    if (!placFormatCache || placFormatCache.length === 0) {
+export function detectInformativeSubdivisionByValidation(placeString, placeContext = null) {
+    const formatFields = placeContext?.keys || [];
+    if (formatFields.length === 0) {
         return { isInformative: false, splitIndex: -1, geographicPart: placeString, informativePart: '' };
     }
     
     const parts = placeString.split(',').map(part => part.trim());
-    const formatFields = placFormatCache.map(f => f.toLowerCase().trim());
     
     // Si pas plus de parties que le format, pas de subdivision informative
     if (parts.length <= formatFields.length) {
@@ -543,9 +503,22 @@ export function getCacheStats() {
  * 🚀 LOGIQUE SOPHISTIQUÉE : Porte depuis placeProcessor de GeneaFan
  * 
  * @param {string} placeString - Chaîne de lieu brute du GEDCOM
+ * @param {GeoDataProvider} [provider] - Fournisseur des pays et départements (données embarquées par défaut)
  * @returns {Promise<Object>} - Composants du lieu
  */
-export async function extractPlaceComponents(placeString) {
+export async function extractPlaceComponents(placeString, provider = new BundledGeoDataProvider()) {
+    return extractPlaceComponentsSync(placeString, await provider.load());
+}
+
+/**
+ * Version synchrone de extractPlaceComponents
+ * Le résultat ne dépend que de placeString et des données géographiques reçues
+ * 
+ * @param {string} placeString - Chaîne de lieu brute du GEDCOM
+ * @param {Object} [geoData] - Données d'un GeoDataProvider (données embarquées par défaut)
+ * @returns {Object} - Composants du lieu
+ */
+export function extractPlaceComponentsSync(placeString, geoData = BUNDLED_GEO_DATA) {
     logger.debug(MODULE, 'extractPlaceComponents appelée avec:', placeString);
     
     if (!placeString || typeof placeString !== 'string') {
@@ -581,28 +554,34 @@ export async function extractPlaceComponents(placeString) {
             department: null,
             region: null,
             country: null,
+            countryCode: null,      // Code ISO du pays (clés hiérarchiques, voir placeKeys.js)
+            departmentCode: null,   // Numéro du département français
             normalizedKey: normalizePlace(placeString)
         };
         
         // 3. 🔍 DÉTECTION INTELLIGENTE DU PAYS (logique placeProcessor._findCountry)
+        const geoIndex = _geoIndex(geoData);
         const normalizedSegments = parts.map(part => normalizeGeoString(part));
-        const countryMatch = await _findCountryInSegments(normalizedSegments);
+        const countryMatch = _findCountryInSegments(normalizedSegments, geoIndex.countries);
         if (countryMatch) {
             result.country = countryMatch.name.FR;
+            result.countryCode = countryMatch.code || null;
         }
         
         // 4. 🇫🇷 TRAITEMENT SPÉCIAL FRANÇAIS (logique placeProcessor._processFrenchDepartement)
         if (!result.country || result.country === "France") {
-            const departmentInfo = await _extractFrenchDepartment(placeString);
+            const departmentInfo = _extractFrenchDepartment(placeString, geoIndex.departments);
             if (departmentInfo) {
                 result.department = departmentInfo.name;
                 result.postalCode = departmentInfo.postalCode;
                 result.departmentColor = departmentInfo.color;
                 result.region = departmentInfo.region;
+                result.departmentCode = departmentInfo.code;
                 
                 // Si département français détecté, assigner pays France
                 if (!result.country) {
                     result.country = "France";
+                    result.countryCode = "FR";
                 }
             }
         }
@@ -624,7 +603,7 @@ export async function extractPlaceComponents(placeString) {
             const uniqueParts = [...new Set(cleanParts.map(p => normalizeGeoString(p)))];
             
             // Ne pas utiliser le pays détecté comme département
-            const countriesList = await _getCountriesList();
+            const countriesList = geoIndex.countries;
             const nonCountryParts = cleanParts.filter(part => {
                 const normalized = normalizeGeoString(part);
                 
@@ -651,6 +630,12 @@ export async function extractPlaceComponents(placeString) {
                     result.department = potentialDepartments[0] || null;
                 }
             }
+            
+            // Département français cité par son nom ("Saint-Martin, Manche")
+            if (result.department && (!result.country || result.country === "France")) {
+                const department = geoIndex.departmentsByName.get(normalizeGeoString(result.department));
+                if (department) result.departmentCode = department.code;
+            }
         }
         
         return result;
@@ -672,17 +657,12 @@ export async function extractPlaceComponents(placeString) {
  * 🔍 FONCTION INTERNE: Trouve un pays dans les segments normalisés
  * 🚀 AMÉLIORÉE: Gère variantes, abréviations, territoires
  */
-async function _findCountryInSegments(normalizedSegments) {
+function _findCountryInSegments(normalizedSegments, countries) {
     logger.debug(MODULE, '_findCountryInSegments appelée avec:', normalizedSegments);
     
     // Filtrer les segments vides
     const cleanSegments = normalizedSegments.filter(s => s && s.trim() !== '');
     
-    // Utiliser la liste partagée des pays
-    logger.debug(MODULE, 'Appel _getCountriesList()...');
-    const countries = await _getCountriesList();
-    logger.debug(MODULE, 'Pays reçus:', countries.length);
-    
     // Recherche directe dans les variantes
     for (const country of countries) {
         for (const segment of cleanSegments) {
@@ -692,7 +672,7 @@ async function _findCountryInSegments(normalizedSegments) {
             }
             
             // Vérifier les territoires (donnent le pays parent)
-            if (country.territories && country.territories.includes(segment)) {
+            if (country.territories.includes(segment)) {
                 return country;
             }
         }
@@ -702,118 +682,68 @@ async function _findCountryInSegments(normalizedSegments) {
 }
 
 /**
- * 🔍 FONCTION HELPER: Retourne la liste des pays pour réutilisation
- * Utilise l'API si disponible, sinon fallback local
+ * Tables de recherche d'un jeu de données géographiques, calculées une fois par jeu
+ * Pays : { name, code, variants, territories } ; départements : code → { name, code, color, region },
+ * et nom normalisé → même objet
+ * @private
  */
-async function _getCountriesList() {
-    try {
-        const geoData = await loadGeoData();
-        if (geoData?.countries?.continents) {
-            // Extraire tous les pays de la structure continents
-            const countries = [];
-            for (const continent of geoData.countries.continents) {
-                for (const country of continent.countries) {
-                    // Adapter la structure pour correspondre au format attendu
-                    countries.push({
-                        name: country.name,
-                        code: country.code,
-                        variants: [
-                            country.key.FR,
-                            country.key.EN?.toLowerCase(),
-                            country.code?.toLowerCase()
-                        ].filter(Boolean),
-                        territories: country.territories || []
-                    });
-                }
-            }
-            return countries;
-        }
-    } catch (error) {
-        console.warn('⚠️ [geoUtils] Utilisation données pays locales:', error.message);
-    }
-    
-    // Fallback sur données locales
-    return getLocalCountriesData();
+function _geoIndex(geoData) {
+    const cached = geoIndexCache.get(geoData);
+    if (cached) return cached;
+    
+    const departments = _indexDepartments(geoData?.departments);
+    const index = {
+        countries: _indexCountries(geoData?.countries),
+        departments,
+        departmentsByName: new Map([...departments.values()].map(department => [normalizeGeoString(department.name), department]))
+    };
+    geoIndexCache.set(geoData, index);
+    logger.debug(MODULE, 'Pays indexés:', index.countries.length, '- départements:', index.departments.size);
+    return index;
 }
 
 /**
- * Données locales de fallback pour les pays
+ * Pays au format de l'API (continents) ou des données embarquées (liste avec variantes)
+ * @private
  */
-function getLocalCountriesData() {
-    return [
-        // France
-        { 
-            name: { FR: "France" }, 
-            variants: ["france", "fr", "french", "francais"] 
-        },
-        
-        // États-Unis avec variantes et territoires
-        { 
-            name: { FR: "États-Unis" }, 
-            variants: ["usa", "us", "etats-unis", "united-states", "america", "amerique"],
-            territories: ["puerto-rico", "porto-rico", "hawaii", "alaska", "guam", "virgin-islands"]
-        },
-        
-        // Canada
-        { 
-            name: { FR: "Canada" }, 
-            variants: ["canada", "ca", "canadien"] 
-        },
-        
-        // Royaume-Uni avec territoires
-        { 
-            name: { FR: "Royaume-Uni" }, 
-            variants: ["royaume-uni", "uk", "united-kingdom", "great-britain", "england", "scotland", "wales", "northern-ireland", "angleterre", "ecosse", "galles"],
-            territories: ["gibraltar", "jersey", "guernsey", "isle-of-man"]
-        },
-        
-        // Autres pays européens
-        { 
-            name: { FR: "Allemagne" }, 
-            variants: ["allemagne", "germany", "deutschland", "de"] 
-        },
-        { 
-            name: { FR: "Belgique" }, 
-            variants: ["belgique", "belgium", "be"] 
-        },
-        { 
-            name: { FR: "Suisse" }, 
-            variants: ["suisse", "switzerland", "swiss", "schweiz", "ch"] 
-        },
-        { 
-            name: { FR: "Italie" }, 
-            variants: ["italie", "italy", "italia", "it"] 
-        },
-        { 
-            name: { FR: "Espagne" }, 
-            variants: ["espagne", "spain", "espana", "es"] 
-        },
-        { 
-            name: { FR: "Pays-Bas" }, 
-            variants: ["pays-bas", "netherlands", "holland", "nl"] 
-        },
-        
-        // Autres continents
-        { 
-            name: { FR: "Maroc" }, 
-            variants: ["maroc", "morocco", "ma"] 
-        },
-        { 
-            name: { FR: "Algérie" }, 
-            variants: ["algerie", "algeria", "dz"] 
-        },
-        { 
-            name: { FR: "Tunisie" }, 
-            variants: ["tunisie", "tunisia", "tn"] 
+function _indexCountries(countries) {
+    const list = Array.isArray(countries)
+        ? countries
+        : (countries?.continents || []).flatMap(continent => continent.countries || []);
+    
+    return list.map(country => ({
+        name: country.name,
+        code: country.code,
+        variants: country.variants || [
+            country.key?.FR,
+            country.key?.EN?.toLowerCase(),
+            country.code?.toLowerCase()
+        ].filter(Boolean),
+        territories: country.territories || []
+    }));
+}
+
+/**
+ * Départements au format de l'API (objets avec code) ou des données embarquées (code → nom)
+ * @private
+ */
+function _indexDepartments(departments) {
+    const index = new Map();
+    for (const [key, dept] of Object.entries(departments || {})) {
+        if (typeof dept === 'string') {
+            index.set(key, { name: dept, code: key });
+        } else if (dept?.code) {
+            index.set(dept.code, { name: dept.name, code: dept.code, color: dept.departementColor, region: dept.region });
         }
-    ];
+    }
+    return index;
 }
 
 /**
  * 🇫🇷 FONCTION INTERNE: Extrait département français
  * Porte depuis placeProcessor._processFrenchDepartement() + _extractAndSetDepartement()
  */
-async function _extractFrenchDepartment(original) {
+function _extractFrenchDepartment(original, departments) {
     // Regex étendue pour capturer plus de formats :
     // - \b\d{5}\b : code postal (5 chiffres) comme "59310"
     // - \(\d{2}\) : code département entre parenthèses comme "(59)"
@@ -838,72 +768,12 @@ async function _extractFrenchDepartment(original) {
         // Pas de code postal disponible
     }
     
-    // Charger les données depuis l'API si possible
-    try {
-        const geoData = await loadGeoData();
-        if (geoData?.departments) {
-            // Rechercher par code dans les données de l'API
-            for (const [key, dept] of Object.entries(geoData.departments)) {
-                if (dept.code === departmentCode) {
-                    return {
-                        name: dept.name,
-                        code: departmentCode,
-                        postalCode: postalCode,
-                        color: dept.departementColor,
-                        region: dept.region
-                    };
-                }
-            }
-        }
-    } catch (error) {
-        console.warn('⚠️ [geoUtils] Utilisation mapping départements local');
-    }
+    const department = departments.get(departmentCode);
+    if (!department) return null;
     
-    // Fallback: Mapping code → nom (simplifié des principaux départements)
-    const deptMapping = getLocalDepartmentsData();
-    
-    const departmentName = deptMapping[departmentCode];
-    if (departmentName) {
-        return {
-            name: departmentName,
-            code: departmentCode,
-            postalCode: postalCode
-        };
-    }
-    
-    return null;
-}
-
-/**
- * Données locales de fallback pour les départements
- */
-function getLocalDepartmentsData() {
     return {
-        "01": "Ain", "02": "Aisne", "03": "Allier", "04": "Alpes-de-Haute-Provence",
-        "05": "Hautes-Alpes", "06": "Alpes-Maritimes", "07": "Ardèche", "08": "Ardennes",
-        "09": "Ariège", "10": "Aube", "11": "Aude", "12": "Aveyron",
-        "13": "Bouches-du-Rhône", "14": "Calvados", "15": "Cantal", "16": "Charente",
-        "17": "Charente-Maritime", "18": "Cher", "19": "Corrèze", "21": "Côte-d'Or",
-        "22": "Côtes-d'Armor", "23": "Creuse", "24": "Dordogne", "25": "Doubs",
-        "26": "Drôme", "27": "Eure", "28": "Eure-et-Loir", "29": "Finistère",
-        "30": "Gard", "31": "Haute-Garonne", "32": "Gers", "33": "Gironde",
-        "34": "Hérault", "35": "Ille-et-Vilaine", "36": "Indre", "37": "Indre-et-Loire",
-        "38": "Isère", "39": "Jura", "40": "Landes", "41": "Loir-et-Cher",
-        "42": "Loire", "43": "Haute-Loire", "44": "Loire-Atlantique", "45": "Loiret",
-        "46": "Lot", "47": "Lot-et-Garonne", "48": "Lozère", "49": "Maine-et-Loire",
-        "50": "Manche", "51": "Marne", "52": "Haute-Marne", "53": "Mayenne",
-        "54": "Meurthe-et-Moselle", "55": "Meuse", "56": "Morbihan", "57": "Moselle",
-        "58": "Nièvre", "59": "Nord", "60": "Oise", "61": "Orne",
-        "62": "Pas-de-Calais", "63": "Puy-de-Dôme", "64": "Pyrénées-Atlantiques",
-        "65": "Hautes-Pyrénées", "66": "Pyrénées-Orientales", "67": "Bas-Rhin",
-        "68": "Haut-Rhin", "69": "Rhône", "70": "Haute-Saône", "71": "Saône-et-Loire",
-        "72": "Sarthe", "73": "Savoie", "74": "Haute-Savoie", "75": "Paris",
-        "76": "Seine-Maritime", "77": "Seine-et-Marne", "78": "Yvelines",
-        "79": "Deux-Sèvres", "80": "Somme", "81": "Tarn", "82": "Tarn-et-Garonne",
-        "83": "Var", "84": "Vaucluse", "85": "Vendée", "86": "Vienne",
-        "87": "Haute-Vienne", "88": "Vosges", "89": "Yonne", "90": "Territoire de Belfort",
-        "91": "Essonne", "92": "Hauts-de-Seine", "93": "Seine-Saint-Denis",
-        "94": "Val-de-Marne", "95": "Val-d'Oise"
+        ...department,
+        postalCode: postalCode
     };
 }
 
@@ -913,38 +783,27 @@ function getLocalDepartmentsData() {
 
 /**
  * Extrait les coordonnées géographiques depuis l'arbre GEDCOM
+ * Même lecture que l'extraction des événements (DMS, DM, décimal, hémisphères, virgule décimale)
  * @param {Array} tree - Arbre GEDCOM du lieu (PLAC)
- * @returns {{latitude: number|null, longitude: number|null}}
+ * @returns {{latitude: number|null, longitude: number|null, issue: string|null}}
+ *          issue : diagnostic si LATI/LONG sont rejetées ou inversées
  */
 export function extractGeolocation(tree) {
     if (!Array.isArray(tree)) {
-        return { latitude: null, longitude: null };
+        return { latitude: null, longitude: null, issue: null };
     }
     
-    try {
-        // Chercher le nœud MAP
-        const mapNode = tree.find(node => node.tag === 'MAP');
-        if (!mapNode || !Array.isArray(mapNode.tree)) {
-            return { latitude: null, longitude: null };
-        }
-        
-        // Chercher LATI et LONG dans MAP
-        const latiNode = mapNode.tree.find(node => node.tag === 'LATI');
-        const longNode = mapNode.tree.find(node => node.tag === 'LONG');
-        
-        if (latiNode && longNode) {
-            const latitude = parseFloat(latiNode.data?.trim());
-            const longitude = parseFloat(longNode.data?.trim());
-            
-            if (!isNaN(latitude) && !isNaN(longitude)) {
-                return { latitude, longitude };
-            }
-        }
-    } catch (error) {
-        console.warn('[geoUtils] Erreur extraction géolocalisation:', error.message);
+    // Chercher le nœud MAP
+    const mapNode = tree.find(node => node.tag === 'MAP');
+    if (!mapNode || !Array.isArray(mapNode.tree)) {
+        return { latitude: null, longitude: null, issue: null };
     }
     
-    return { latitude: null, longitude: null };
+    // Chercher LATI et LONG dans MAP
+    const latiNode = mapNode.tree.find(node => node.tag === 'LATI');
+    const longNode = mapNode.tree.find(node => node.tag === 'LONG');
+    const { latitude, longitude, issue } = parseCoordinates(latiNode?.data ?? null, longNode?.data ?? null);
+    return { latitude, longitude, issue };
 }
 
 /**
@@ -77,4 +77,81 @@ function splitKeys(form) {
     .map(s => s.trim())
     .filter(Boolean)
     .map(s => s.toLowerCase().replace(/\s+/g, '_')); // "Area code" -> "area_code"
-}
\ No newline at end of file
+}
+
+/**
+ * Niveaux normalisés d'un lieu (FORM par défaut de GeneaFan)
+ */
+export const PLACE_LEVELS = ['town', 'area_code', 'county', 'region', 'country', 'subdivision'];
+
+/**
+ * Contexte PLAC d'un parsing : FORM de l'en-tête et ses clés normalisées.
+ * Créé par DataExtractor pour chaque fichier et transmis aux extracteurs,
+ * il remplace tout état global : deux parsings simultanés ne se gênent pas.
+ *
+ * @param {string|null} form ex: "Town, Area code, County, Region, Country, Subdivision"
+ * @returns {{form: string|null, keys: string[]}}
+ */
+export function createPlaceContext(form) {
+  const value = typeof form === 'string' && form.trim() ? form.trim() : null;
+  return { form: value, keys: value ? splitKeys(value) : [] };
+}
+
+/**
+ * Niveaux d'un lieu selon le FORM : { town, area_code, county, region, country, subdivision }.
+ * Les synonymes usuels du FORM (City, Département, State, Pays...) sont ramenés à ces niveaux ;
+ * les niveaux absents valent null.
+ *
+ * @param {string} rawPlac ex: "Paris, 75016, Paris, Île-de-France, France"
+ * @param {string|null} form ex: "Town, Area code, County, Region, Country, Subdivision"
+ * @returns {{town: string|null, area_code: string|null, county: string|null, region: string|null, country: string|null, subdivision: string|null}}
+ */
+export function placeLevels(rawPlac, form) {
+  const levels = Object.fromEntries(PLACE_LEVELS.map(level => [level, null]));
+  const { parts, keys, map } = applyPlacForm(rawPlac, form);
+
+  if (!map) {
+    // Sans FORM, seul le premier niveau est sûr
+    levels.town = parts[0] || null;
+    return levels;
+  }
+  for (const key of keys) {
+    const level = COMPONENT_LEVELS[PLAC_FORM_COMPONENTS[key]];
+    if (level && !levels[level] && map[key]) levels[level] = map[key];
+  }
+  return levels;
+}
+
+// Clés de FORM usuelles → composant d'une entrée familyTownsStore
+const PLAC_FORM_COMPONENTS = {
+  town: 'town', city: 'town', ville: 'town', commune: 'town', lieu: 'town',
+  area_code: 'postalCode', postal_code: 'postalCode', zip: 'postalCode', code_postal: 'postalCode', insee: 'postalCode',
+  county: 'departement', department: 'departement', departement: 'departement', 'département': 'departement',
+  region: 'region', 'région': 'region', state: 'region', province: 'region',
+  country: 'country', pays: 'country',
+  subdivision: 'subdivision'
+};
+
+// Composant familyTownsStore → niveau normalisé (PLACE_LEVELS)
+const COMPONENT_LEVELS = {
+  town: 'town', postalCode: 'area_code', departement: 'county', region: 'region', country: 'country', subdivision: 'subdivision'
+};
+
+/**
+ * Recompose une chaîne PLAC selon la convention du FORM (inverse de applyPlacForm).
+ * Les niveaux inconnus restent vides ; les virgules de fin sont retirées.
+ *
+ * @param {object} components ex: { town: "Paris", postalCode: "75016", departement: "Paris", country: "France" }
+ * @param {string|null} form ex: "Town, Area code, County, Region, Country"
+ * @returns {string} ex: "Paris, 75016, Paris, , France"
+ */
+export function formatPlacForm(components, form) {
+  const fields = form ?
+    splitKeys(form).map(key => PLAC_FORM_COMPONENTS[key] || null) :
+    ['subdivision', 'town', 'departement', 'region', 'country'];
+
+  const parts = fields.map(field => (field && components[field]) || '');
+  while (parts.length > 0 && !parts[parts.length - 1]) parts.pop();
+
+  return form ? parts.join(', ') : parts.filter(Boolean).join(', ');
+}
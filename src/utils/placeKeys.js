@@ -0,0 +1,195 @@
+/**
+ * placeKeys.js - Clés hiérarchiques des lieux (option placeKeys: 'hierarchical')
+ *
+ * La clé par défaut ne retient que la ville normalisée : "Paris, Texas" et "Paris, France"
+ * partagent "paris". La clé hiérarchique y ajoute le département (numéro pour la France)
+ * et le pays (code ISO) : "paris@75@fr", "paris@texas@us". Les niveaux inconnus restent
+ * vides et ceux de fin sont retirés ("st-martin@@fr", "paris").
+ *
+ * La ville en tête de clé est toujours l'ancienne clé : placeKeyMigration() et
+ * migratePlaceKeys() s'en servent pour passer d'un format à l'autre.
+ */
+
+import { normalizePlace, normalizeGeoString, extractPlaceComponentsSync } from './geoUtils.js';
+import { placeLevels } from './placFormat.js';
+import { BUNDLED_GEO_DATA } from './geoData.js';
+
+/**
+ * Séparateur des niveaux d'une clé hiérarchique
+ */
+export const PLACE_KEY_SEPARATOR = '@';
+
+/**
+ * Clé hiérarchique ville@département@pays d'un lieu
+ * Département et pays viennent de extractPlaceComponentsSync (numéro de département français,
+ * code ISO du pays) ; à défaut, des niveaux département et pays du FORM (placeLevels : County,
+ * Département, Country, Pays...)
+ * @param {string} placeString - Lieu brut (PLAC)
+ * @param {Object} [options]
+ * @param {string|null} [options.form] - FORM du lieu, ex: "Town, Area code, County, Region, Country"
+ * @param {Object} [options.geoData] - Données d'un GeoDataProvider (données embarquées par défaut)
+ * @param {Map} [options.cache] - Clés déjà calculées (FORM + libellé), propres à un parsing et au même
+ *        geoData : CacheBuilder en crée une par construction, aucun cache ne survit au parsing
+ * @returns {string|null} Clé, ou null si la ville est illisible
+ *
+ * @example
+ * hierarchicalPlaceKey('Paris, 75016, Paris, Île-de-France, France') // → "paris@75@fr"
+ * hierarchicalPlaceKey('Paris, Texas, USA')                          // → "paris@texas@us"
+ * hierarchicalPlaceKey('Bruges, Flandre-Occidentale, Belgique')      // → "bruges@flandre-occidentale@be"
+ */
+export function hierarchicalPlaceKey(placeString, options = {}) {
+    const { form = null, geoData = BUNDLED_GEO_DATA, cache = null } = options;
+    if (!placeString || typeof placeString !== 'string') return null;
+    if (!cache) return _buildKey(placeString, form, geoData);
+
+    const cacheKey = `${form || ''}\n${placeString}`;
+    if (!cache.has(cacheKey)) cache.set(cacheKey, _buildKey(placeString, form, geoData));
+    return cache.get(cacheKey);
+}
+
+/**
+ * Ancienne clé (ville seule) d'une clé hiérarchique ou d'un homonyme séparé ("paris@france")
+ * @param {string} key
+ * @returns {string}
+ */
+export function townPlaceKey(key) {
+    return typeof key === 'string' ? key.split(PLACE_KEY_SEPARATOR)[0] : key;
+}
+
+/**
+ * Correspondance des anciennes clés vers les nouvelles, d'après un résultat de parsing
+ * obtenu avec placeKeys: 'hierarchical'
+ * @param {Object} result - Résultat de parsing (familyTownsStore)
+ * @returns {Object<string, string[]>} Ancienne clé → nouvelles clés (plusieurs pour des homonymes) ;
+ *          les clés restées identiques (ville sans département ni pays) n'y figurent pas
+ *
+ * @example
+ * placeKeyMigration(result)
+ * // → { paris: ['paris@75@fr', 'paris@texas@us'], lyon: ['lyon@69@fr'] }
+ */
+export function placeKeyMigration(result) {
+    const migration = {};
+    for (const key of Object.keys(result.familyTownsStore || {})) {
+        const town = townPlaceKey(key);
+        if (town === key) continue;
+        if (!migration[town]) migration[town] = [];
+        migration[town].push(key);
+    }
+    return migration;
+}
+
+/**
+ * Réécrit les lieux (l) d'un individualsCache à clés de ville avec les clés hiérarchiques
+ * Chaque événement reprend la clé de l'événement de même rang du même individu dans result
+ * (même fichier relu avec placeKeys: 'hierarchical') ; à défaut, la seule nouvelle clé de
+ * la ville. Une clé ambiguë (homonymes) sans événement correspondant est conservée.
+ * @param {Map|Object} individualsCache - Cache à migrer (non modifié)
+ * @param {Object} result - Résultat de parsing obtenu avec placeKeys: 'hierarchical'
+ * @returns {{individualsCache: Map, unresolved: string[]}} Cache migré et anciennes clés conservées
+ */
+export function migratePlaceKeys(individualsCache, result) {
+    const migration = placeKeyMigration(result);
+    const current = _asMap(result.individualsCache);
+    const migrated = new Map();
+    const unresolved = new Set();
+
+    const migrateKey = (key, matching) => {
+        if (!key || !migration[key]) return key;
+        if (matching && townPlaceKey(matching) === key) return matching;
+        if (migration[key].length === 1) return migration[key][0];
+        unresolved.add(key);
+        return key;
+    };
+
+    for (const [pointer, individual] of _asMap(individualsCache)) {
+        if (!Array.isArray(individual.e)) {
+            migrated.set(pointer, individual);
+            continue;
+        }
+        const events = current.get(pointer)?.e || [];
+        migrated.set(pointer, {
+            ...individual,
+            e: individual.e.map((event, index) => {
+                const match = events[index];
+                const copy = { ...event, l: migrateKey(event.l, match?.l) };
+                if (copy.l === undefined) delete copy.l;
+                if (event.m?.ceremonies) {
+                    copy.m = {
+                        ...event.m,
+                        ceremonies: event.m.ceremonies.map((ceremony, rank) =>
+                            ({ ...ceremony, l: migrateKey(ceremony.l, match?.m?.ceremonies?.[rank]?.l) }))
+                    };
+                }
+                return copy;
+            })
+        });
+    }
+
+    return { individualsCache: migrated, unresolved: [...unresolved] };
+}
+
+/**
+ * Réoriente vers leur homonyme les événements d'un lieu séparé (voir _split dans familyTownsStore)
+ * En streaming, les lots sont émis avant que tous les lieux soient connus : le résultat final
+ * donne splitPlaceKeys, à appliquer aux lots déjà enregistrés (les workers l'appliquent eux-mêmes)
+ * @param {Map|Object} individuals - Individus compressés (individualsCache ou lot), modifiés en place
+ * @param {Object<string, Object<string, string>>} splitPlaceKeys - Pointeur → rang dans e → clé ;
+ *   `rang.cérémonie` désigne une cérémonie d'un mariage fusionné (m.ceremonies)
+ * @returns {number} Nombre d'événements réorientés
+ *
+ * @example
+ * const { splitPlaceKeys } = await parser.parseStream(stream, { onBatch: ({ individuals }) => save(individuals) });
+ * applySplitPlaceKeys(loadIndividuals(), splitPlaceKeys);
+ */
+export function applySplitPlaceKeys(individuals, splitPlaceKeys = {}) {
+    let updated = 0;
+    for (const [pointer, individual] of _asMap(individuals)) {
+        const keys = splitPlaceKeys[pointer];
+        if (!keys || !Array.isArray(individual.e)) continue;
+        for (const [index, key] of Object.entries(keys)) {
+            const [rank, ceremony] = index.split('.');
+            const event = ceremony === undefined ? individual.e[rank] : individual.e[rank]?.m?.ceremonies?.[ceremony];
+            // Clé commune attendue (`${clé}@${département ou pays}`) : un rang décalé n'est pas réécrit
+            if (!event || !event.l || !key.startsWith(`${event.l}${PLACE_KEY_SEPARATOR}`)) continue;
+            event.l = key;
+            updated++;
+        }
+    }
+    return updated;
+}
+
+/**
+ * @private
+ */
+function _buildKey(placeString, form, geoData) {
+    const town = normalizePlace(placeString);
+    if (!town) return null;
+
+    const components = extractPlaceComponentsSync(placeString, geoData);
+    const levels = form ? placeLevels(placeString, form) : {};
+
+    const department = components.departmentCode || components.department || levels.county;
+    const country = components.countryCode || components.country || levels.country ||
+        (components.departmentCode ? 'FR' : null);
+
+    const parts = [town, _keyPart(department), _keyPart(country)];
+    while (parts.length > 1 && !parts[parts.length - 1]) parts.pop();
+    return parts.join(PLACE_KEY_SEPARATOR);
+}
+
+/**
+ * Niveau de clé : minuscules sans accents, sans le séparateur
+ * @private
+ */
+function _keyPart(value) {
+    if (!value) return '';
+    return normalizeGeoString(String(value).trim()).split(PLACE_KEY_SEPARATOR).join('');
+}
+
+/**
+ * @private
+ */
+function _asMap(cache) {
+    if (cache instanceof Map) return cache;
+    return new Map(Object.entries(cache || {}));
+}
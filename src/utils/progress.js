@@ -0,0 +1,141 @@
+/**
+ * progress.js - Progression par enregistrement et annulation (AbortSignal)
+ * Partagé par GeneaFanParser, DataExtractor, CacheBuilder et les extracteurs
+ */
+
+/**
+ * Phases rapportées à onProgress(phase, progress, details)
+ */
+export const PROGRESS_PHASES = {
+    GEDCOM_PARSING: 'gedcom-parsing',
+    INDIVIDUALS: 'individuals-extraction',
+    SOURCES: 'sources-extraction',
+    REPOSITORIES: 'repositories-extraction',
+    MEDIA: 'media-extraction',
+    NOTES: 'notes-extraction',
+    FAMILIES: 'families-extraction',
+    DATA_EXTRACTION: 'data-extraction',
+    COMPRESSION: 'individuals-compression',
+    PLACES: 'places-building',
+    CACHE_BUILDING: 'cache-building',
+    STREAMING: 'streaming'
+};
+
+/**
+ * Suivi d'une phase : compte les enregistrements, estime le temps restant
+ * et vérifie l'AbortSignal à chaque enregistrement
+ */
+export class ProgressTracker {
+    /**
+     * @param {Object} options
+     * @param {function(string, number|null, Object): void} [options.onProgress] - (phase, progress 0→1, { current, total, elapsed, eta })
+     * @param {AbortSignal} [options.signal] - Annulation
+     * @param {number} [options.progressInterval=50] - Délai minimal (ms) entre deux rapports d'une même phase
+     */
+    constructor(options = {}) {
+        this.onProgress = options.onProgress || null;
+        this.signal = options.signal || null;
+        this.interval = options.progressInterval ?? 50;
+
+        this.phase = null;
+        this.total = null;
+        this.current = 0;
+        this.startTime = 0;
+        this.lastReport = 0;
+    }
+
+    /**
+     * Vrai si l'annulation a été demandée
+     */
+    get aborted() {
+        return Boolean(this.signal && this.signal.aborted);
+    }
+
+    /**
+     * Lève la raison de l'annulation (AbortError par défaut) si le signal est déclenché
+     */
+    checkAborted() {
+        if (!this.aborted) return;
+        if (typeof this.signal.throwIfAborted === 'function') {
+            this.signal.throwIfAborted();
+        }
+        throw this.signal.reason ?? new DOMException('Parsing annulé', 'AbortError');
+    }
+
+    /**
+     * Démarre une phase
+     * @param {string} phase - Une valeur de PROGRESS_PHASES
+     * @param {number|null} total - Nombre d'enregistrements (null si inconnu)
+     */
+    start(phase, total) {
+        this.checkAborted();
+        this.phase = phase;
+        this.total = total;
+        this.current = 0;
+        this.startTime = Date.now();
+        this._report(this.startTime);
+    }
+
+    /**
+     * Compte des enregistrements traités
+     * @param {number} [count=1]
+     * @returns {boolean} Vrai si un rapport vient d'être émis (point de pause pour le mode async)
+     */
+    tick(count = 1) {
+        this.checkAborted();
+        this.current += count;
+
+        const now = Date.now();
+        if (this.current === this.total || now - this.lastReport >= this.interval) {
+            this._report(now);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    _report(now) {
+        this.lastReport = now;
+        if (!this.onProgress) return;
+
+        const { current, total } = this;
+        const elapsed = now - this.startTime;
+        const known = typeof total === 'number';
+        const progress = !known ? null : total === 0 ? 1 : current / total;
+        const eta = !known ? null :
+            current >= total ? 0 :
+            current > 0 ? Math.round(elapsed / current * (total - current)) : null;
+
+        this.onProgress(this.phase, progress, { current, total, elapsed, eta });
+    }
+}
+
+/**
+ * Exécute un générateur d'étapes jusqu'au bout (version sync)
+ * @param {Generator} steps - Générateur dont chaque yield marque un point de pause
+ * @returns {*} Valeur retournée par le générateur
+ */
+export function runSteps(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        step = steps.next();
+    }
+    return step.value;
+}
+
+/**
+ * Exécute un générateur d'étapes en rendant la main à la boucle d'événements
+ * à chaque pause : l'interface reste réactive et une annulation peut être prise en compte
+ * @param {Generator} steps - Générateur dont chaque yield marque un point de pause
+ * @returns {Promise<*>} Valeur retournée par le générateur
+ */
+export async function runStepsAsync(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        step = steps.next();
+    }
+    return step.value;
+}
@@ -270,63 +270,127 @@ export function calculateCacheQualityStats(individualsCache) {
         return { error: 'Cache vide' };
     }
     
-    const scores = [];
-    const levels = { excellent: 0, good: 0, fair: 0, poor: 0 };
-    const categories = {
-        identity: [],
-        events: [],
-        sources: [],
-        relations: [],
-        multimedia: []
+    const accumulator = createQualityStatsAccumulator();
+    accumulateQualityStats(accumulator, individualsCache.values());
+    return finalizeQualityStats(accumulator);
+}
+
+/**
+ * Crée un accumulateur de statistiques qualité (calcul par lots)
+ * @returns {Object} Accumulateur vide
+ */
+export function createQualityStatsAccumulator() {
+    const emptyRange = () => ({ count: 0, sum: 0, min: Infinity, max: -Infinity });
+    
+    return {
+        total: 0,
+        scores: emptyRange(),
+        levels: { excellent: 0, good: 0, fair: 0, poor: 0 },
+        categories: {
+            identity: emptyRange(),
+            events: emptyRange(),
+            sources: emptyRange(),
+            relations: emptyRange(),
+            multimedia: emptyRange()
+        }
+    };
+}
+
+/**
+ * Ajoute un lot d'individus compressés à l'accumulateur
+ * @param {Object} accumulator - Accumulateur créé par createQualityStatsAccumulator
+ * @param {Iterable<Object>} individuals - Individus au format GeneaFan
+ */
+export function accumulateQualityStats(accumulator, individuals) {
+    const add = (range, score) => {
+        range.count++;
+        range.sum += score;
+        if (score < range.min) range.min = score;
+        if (score > range.max) range.max = score;
     };
     
-    // Analyser chaque individu
-    for (const individual of individualsCache.values()) {
+    for (const individual of individuals) {
         const quality = calculateQualityScore(individual);
-        scores.push(quality.score);
-        levels[quality.level]++;
+        accumulator.total++;
+        add(accumulator.scores, quality.score);
+        accumulator.levels[quality.level]++;
         
         // Collecter scores par catégorie
         for (const [category, score] of Object.entries(quality.breakdown)) {
-            if (categories[category]) {
-                categories[category].push(score);
+            if (accumulator.categories[category]) {
+                add(accumulator.categories[category], score);
             }
         }
     }
+}
+
+/**
+ * Fusionne un accumulateur (lot traité ailleurs) dans un autre
+ * @param {Object} target - Accumulateur complété
+ * @param {Object} source - Accumulateur du lot
+ */
+export function mergeQualityStats(target, source) {
+    const merge = (range, other) => {
+        range.count += other.count;
+        range.sum += other.sum;
+        range.min = Math.min(range.min, other.min);
+        range.max = Math.max(range.max, other.max);
+    };
+    
+    target.total += source.total;
+    merge(target.scores, source.scores);
+    for (const level of Object.keys(target.levels)) {
+        target.levels[level] += source.levels[level];
+    }
+    for (const category of Object.keys(target.categories)) {
+        merge(target.categories[category], source.categories[category]);
+    }
+}
+
+/**
+ * Produit les statistiques qualité finales à partir de l'accumulateur
+ * @param {Object} accumulator - Accumulateur alimenté par accumulateQualityStats
+ * @returns {Object} Statistiques globales (même format que calculateCacheQualityStats)
+ */
+export function finalizeQualityStats(accumulator) {
+    const { total, scores, levels } = accumulator;
+    if (total === 0) {
+        return { error: 'Cache vide' };
+    }
     
     // Calculer moyennes par catégorie
     const categoryAverages = {};
-    for (const [category, scoreList] of Object.entries(categories)) {
-        if (scoreList.length > 0) {
+    for (const [category, range] of Object.entries(accumulator.categories)) {
+        if (range.count > 0) {
             categoryAverages[category] = {
-                average: scoreList.reduce((sum, score) => sum + score, 0) / scoreList.length,
-                min: Math.min(...scoreList),
-                max: Math.max(...scoreList)
+                average: range.sum / range.count,
+                min: range.min,
+                max: range.max
             };
         }
     }
     
     return {
-        totalIndividuals: individualsCache.size,
+        totalIndividuals: total,
         
         // Scores globaux
-        averageScore: scores.reduce((sum, score) => sum + score, 0) / scores.length,
-        minScore: Math.min(...scores),
-        maxScore: Math.max(...scores),
+        averageScore: scores.sum / scores.count,
+        minScore: scores.min,
+        maxScore: scores.max,
         
         // Distribution par niveau
         distribution: {
-            excellent: { count: levels.excellent, percent: (levels.excellent / individualsCache.size * 100).toFixed(1) },
-            good: { count: levels.good, percent: (levels.good / individualsCache.size * 100).toFixed(1) },
-            fair: { count: levels.fair, percent: (levels.fair / individualsCache.size * 100).toFixed(1) },
-            poor: { count: levels.poor, percent: (levels.poor / individualsCache.size * 100).toFixed(1) }
+            excellent: { count: levels.excellent, percent: (levels.excellent / total * 100).toFixed(1) },
+            good: { count: levels.good, percent: (levels.good / total * 100).toFixed(1) },
+            fair: { count: levels.fair, percent: (levels.fair / total * 100).toFixed(1) },
+            poor: { count: levels.poor, percent: (levels.poor / total * 100).toFixed(1) }
         },
         
         // Moyennes par catégorie
         categories: categoryAverages,
         
         // Recommandations globales
-        globalRecommendations: generateGlobalRecommendations(categoryAverages, levels, individualsCache.size)
+        globalRecommendations: generateGlobalRecommendations(categoryAverages, levels, total)
     };
 }
 
@@ -0,0 +1,342 @@
+/**
+ * Validation de cohérence généalogique (result.validation)
+ *
+ * Signale les données impossibles ou suspectes à partir des individus extraits
+ * (événements d'EventExtractor, relations d'IndividualExtractor.extractDirectFamilyRelations) :
+ * naissance après le décès, parent trop jeune ou mère trop âgée, mariage après le décès,
+ * inhumation avant le décès, durée de vie excessive, individu ancêtre de lui-même, enfant
+ * cité deux fois dans une famille.
+ *
+ * Une date approximative (ABT, CAL, EST) fait passer une erreur en avertissement.
+ * Les bornes d'une date (BEF, AFT, BET/AND, FROM/TO, mois ou jour inconnu) sont prises
+ * au plus large : seule une incohérence certaine est signalée.
+ *
+ * Calcul par lots comme qualityStats : createValidationAccumulator, accumulateValidation
+ * (par lot), mergeValidation (lot traité sur un worker), finalizeValidation.
+ */
+
+import { encodeGedcomDate, fromSortKey, toSortKey } from '../dates/gedcomDate.js';
+import { createLineMapper } from '../parser/sourceLines.js';
+
+/**
+ * Règles de validation : identifiant → gravité et description
+ */
+export const VALIDATION_RULES = {
+    'birth-after-death': { severity: 'error', description: 'Naissance postérieure au décès' },
+    'burial-before-death': { severity: 'error', description: 'Inhumation antérieure au décès' },
+    'marriage-before-birth': { severity: 'error', description: 'Mariage antérieur à la naissance' },
+    'marriage-after-death': { severity: 'error', description: 'Mariage postérieur au décès' },
+    'lifespan-too-long': { severity: 'warning', description: 'Durée de vie supérieure au maximum' },
+    'born-before-parent': { severity: 'error', description: 'Enfant né avant son parent' },
+    'parent-too-young': { severity: 'warning', description: 'Parent trop jeune à la naissance de l\'enfant' },
+    'mother-too-old': { severity: 'warning', description: 'Mère trop âgée à la naissance de l\'enfant' },
+    'born-after-mother-death': { severity: 'error', description: 'Enfant né après le décès de sa mère' },
+    'born-after-father-death': { severity: 'warning', description: 'Enfant né longtemps après le décès de son père' },
+    'own-ancestor': { severity: 'error', description: 'Individu ancêtre de lui-même' },
+    'duplicate-child': { severity: 'error', description: 'Enfant cité plusieurs fois dans une famille' }
+};
+
+/**
+ * Seuils (en années) des règles de plausibilité
+ */
+export const VALIDATION_THRESHOLDS = {
+    minParentAge: 12,
+    maxMotherAge: 55,
+    maxLifespan: 110,
+    maxPosthumousBirth: 1
+};
+
+const APPROXIMATE_QUALIFIERS = new Set(['ab', 'ca', 'es']);
+
+/**
+ * Valide un ensemble d'individus extraits en une fois
+ * @param {Array<Object>} individualsData - Individus du DataExtractor
+ * @param {Object} [thresholds] - Seuils remplaçant VALIDATION_THRESHOLDS
+ * @returns {Object} Rapport (voir finalizeValidation)
+ */
+export function validateGenealogy(individualsData, thresholds = {}) {
+    const accumulator = createValidationAccumulator(thresholds);
+    accumulateValidation(accumulator, individualsData);
+    return finalizeValidation(accumulator);
+}
+
+/**
+ * Crée un accumulateur de validation (calcul par lots)
+ * @param {Object} [thresholds] - Seuils remplaçant VALIDATION_THRESHOLDS
+ * @returns {Object} Accumulateur vide (copie structurée possible vers/depuis un worker)
+ */
+export function createValidationAccumulator(thresholds = {}) {
+    return {
+        thresholds: { ...VALIDATION_THRESHOLDS, ...thresholds },
+        people: new Map(),
+        families: new Map(),
+        findings: []
+    };
+}
+
+/**
+ * Ajoute un lot d'individus extraits : règles propres à chaque individu, puis
+ * résumé (parents, naissance, décès) gardé pour les règles entre individus
+ * @param {Object} accumulator - Accumulateur créé par createValidationAccumulator
+ * @param {Array<Object>} individualsData - Individus du DataExtractor
+ * @param {Array|null} [lineMap] - Correspondance des lignes d'un lot recomposé (composeBatchGedcom)
+ */
+export function accumulateValidation(accumulator, individualsData, lineMap = null) {
+    const toOriginal = createLineMapper(lineMap);
+    const { thresholds, findings } = accumulator;
+
+    for (const individual of individualsData) {
+        if (!individual || !individual.pointer) continue;
+        const { pointer } = individual;
+        const line = toOriginal(individual.line ?? null);
+        const dated = (individual.events || [])
+            .map(event => ({ type: event.type, spouse: event.spouseId || null, ..._dateBounds(event.date, toOriginal(event.line ?? null)) }))
+            .filter(event => event.date);
+        const first = type => dated.find(event => event.type === type) || null;
+
+        const birth = first('birth');
+        const death = first('death');
+        const burial = first('burial');
+
+        if (birth && death && birth.from > death.to) {
+            findings.push(_finding('birth-after-death', [pointer], birth.line ?? line, [birth, death],
+                `Naissance (${birth.date}) postérieure au décès (${death.date})`));
+        }
+        if (burial && death && burial.to < death.from) {
+            findings.push(_finding('burial-before-death', [pointer], burial.line ?? line, [burial, death],
+                `Inhumation (${burial.date}) antérieure au décès (${death.date})`));
+        }
+
+        for (const marriage of dated.filter(event => event.type === 'marriage')) {
+            const pointers = marriage.spouse ? [pointer, marriage.spouse] : [pointer];
+            if (birth && marriage.to < birth.from) {
+                findings.push(_finding('marriage-before-birth', pointers, marriage.line ?? line, [marriage, birth],
+                    `Mariage (${marriage.date}) antérieur à la naissance (${birth.date})`));
+            }
+            if (death && marriage.from > death.to) {
+                findings.push(_finding('marriage-after-death', pointers, marriage.line ?? line, [marriage, death],
+                    `Mariage (${marriage.date}) postérieur au décès (${death.date})`));
+            }
+        }
+
+        // Durée de vie minimale : naissance au plus tard → décès (ou dernier événement daté) au plus tôt
+        const end = death || burial || dated
+            .filter(event => Number.isFinite(event.from))
+            .reduce((latest, event) => (!latest || event.from > latest.from ? event : latest), null);
+        const lifespan = birth && end ? _yearsBetween(birth.to, end.from) : null;
+        if (lifespan !== null && lifespan > thresholds.maxLifespan) {
+            findings.push(_finding('lifespan-too-long', [pointer], end.line ?? line, [birth, end],
+                `Durée de vie d'au moins ${Math.floor(lifespan)} ans (${birth.date} → ${end.date})`));
+        }
+
+        // Une famille conjugale est vue par chacun des conjoints : indexée par pointeur
+        for (const family of individual.directFamilyRelations?.spouseFamilies || []) {
+            if (!family.pointer || accumulator.families.has(family.pointer)) continue;
+            const seen = new Set();
+            const duplicates = [];
+            for (const child of family.children) {
+                if (seen.has(child.pointer)) duplicates.push({ pointer: child.pointer, line: toOriginal(child.line ?? null) });
+                seen.add(child.pointer);
+            }
+            accumulator.families.set(family.pointer, duplicates.map(child => _finding(
+                'duplicate-child', [family.pointer, child.pointer], child.line ?? toOriginal(family.line ?? null), [],
+                `${child.pointer} cité plusieurs fois comme enfant de ${family.pointer}`)));
+        }
+
+        accumulator.people.set(pointer, {
+            line,
+            father: individual.fatherId || null,
+            mother: individual.motherId || null,
+            birth: birth && _summary(birth),
+            death: death && _summary(death)
+        });
+    }
+}
+
+/**
+ * Fusionne un accumulateur (lot traité ailleurs) dans un autre
+ * @param {Object} target - Accumulateur complété
+ * @param {Object} source - Accumulateur du lot
+ */
+export function mergeValidation(target, source) {
+    target.findings.push(...source.findings);
+    for (const [pointer, person] of source.people) target.people.set(pointer, person);
+    for (const [pointer, findings] of source.families) {
+        if (!target.families.has(pointer)) target.families.set(pointer, findings);
+    }
+}
+
+/**
+ * Applique les règles entre individus et produit le rapport
+ * @param {Object} accumulator - Accumulateur alimenté par accumulateValidation
+ * @returns {{errors: number, warnings: number, rules: Object<string, number>,
+ *            findings: Array<{severity: string, rule: string, message: string, pointers: string[], line: number|null}>}}
+ *          Constats triés par ligne puis par règle
+ */
+export function finalizeValidation(accumulator) {
+    const { people, thresholds } = accumulator;
+    const findings = [...accumulator.findings, ...[...accumulator.families.values()].flat()];
+
+    for (const [pointer, person] of people) {
+        const { birth } = person;
+        if (!birth) continue;
+
+        for (const role of ['father', 'mother']) {
+            const parentPointer = person[role];
+            const parent = parentPointer && people.get(parentPointer);
+            if (!parent) continue;
+            const pointers = [pointer, parentPointer];
+
+            if (parent.birth) {
+                const age = _yearsBetween(parent.birth.to, birth.from);
+                const maxAge = _yearsBetween(parent.birth.from, birth.to);
+                if (birth.to < parent.birth.from) {
+                    findings.push(_finding('born-before-parent', pointers, birth.line ?? person.line, [birth, parent.birth],
+                        `Né (${birth.date}) avant son parent ${parentPointer} (${parent.birth.date})`));
+                } else if (age !== null && age < thresholds.minParentAge) {
+                    findings.push(_finding('parent-too-young', pointers, birth.line ?? person.line, [birth, parent.birth],
+                        `${parentPointer} avait au plus ${Math.floor(age)} ans à la naissance (${parent.birth.date} → ${birth.date})`));
+                } else if (role === 'mother' && maxAge !== null && maxAge > thresholds.maxMotherAge) {
+                    findings.push(_finding('mother-too-old', pointers, birth.line ?? person.line, [birth, parent.birth],
+                        `${parentPointer} avait au moins ${Math.floor(maxAge)} ans à la naissance (${parent.birth.date} → ${birth.date})`));
+                }
+            }
+
+            if (parent.death) {
+                if (role === 'mother' && birth.from > parent.death.to) {
+                    findings.push(_finding('born-after-mother-death', pointers, birth.line ?? person.line, [birth, parent.death],
+                        `Né (${birth.date}) après le décès de sa mère ${parentPointer} (${parent.death.date})`));
+                }
+                const delay = _yearsBetween(parent.death.to, birth.from);
+                if (role === 'father' && delay !== null && delay > thresholds.maxPosthumousBirth) {
+                    findings.push(_finding('born-after-father-death', pointers, birth.line ?? person.line, [birth, parent.death],
+                        `Né (${birth.date}) plus de ${thresholds.maxPosthumousBirth} an après le décès de son père ${parentPointer} (${parent.death.date})`));
+                }
+            }
+        }
+    }
+
+    for (const cycle of _findAncestryCycles(people)) {
+        findings.push(_finding('own-ancestor', cycle, people.get(cycle[0]).line, [],
+            `${cycle[0]} est son propre ancêtre (${[...cycle, cycle[0]].join(' → ')})`));
+    }
+
+    findings.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity) ||
+        a.rule.localeCompare(b.rule) ||
+        a.pointers.join().localeCompare(b.pointers.join()));
+
+    const rules = {};
+    for (const { rule } of findings) rules[rule] = (rules[rule] || 0) + 1;
+
+    return {
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length,
+        rules,
+        findings
+    };
+}
+
+/**
+ * Boucles de filiation (père/mère), chacune une fois, en commençant par son plus petit pointeur
+ * @private
+ */
+function _findAncestryCycles(people) {
+    const cycles = [];
+    const state = new Map(); // 1 : en cours d'exploration, 2 : terminé
+
+    for (const start of [...people.keys()].sort()) {
+        if (state.has(start)) continue;
+        const stack = [[start, _parents(people, start)]];
+        state.set(start, 1);
+
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            const next = top[1].shift();
+            if (next === undefined) {
+                state.set(top[0], 2);
+                stack.pop();
+                continue;
+            }
+            if (state.get(next) === 1) {
+                const cycle = stack.slice(stack.findIndex(([pointer]) => pointer === next)).map(([pointer]) => pointer);
+                const first = cycle.indexOf([...cycle].sort()[0]);
+                cycles.push([...cycle.slice(first), ...cycle.slice(0, first)]);
+            } else if (!state.has(next)) {
+                state.set(next, 1);
+                stack.push([next, _parents(people, next)]);
+            }
+        }
+    }
+
+    return cycles;
+}
+
+/**
+ * @private
+ */
+function _parents(people, pointer) {
+    const { father, mother } = people.get(pointer);
+    return [father, mother].filter(parent => parent && people.has(parent));
+}
+
+/**
+ * Bornes d'une date : from au plus tôt, to au plus tard (clés YYYYMMDD, ±Infinity si ouverte)
+ * @private
+ */
+function _dateBounds(date, line) {
+    const encoded = date ? encodeGedcomDate(date) : null;
+    if (!encoded || typeof encoded.d !== 'number') return null;
+
+    const { d, dq, du } = encoded;
+    return {
+        date,
+        line,
+        from: dq === 'bf' || dq === 'to' ? -Infinity : d,
+        to: dq === 'af' || dq === 'fr' ? Infinity : _endOfPeriod(du ?? d),
+        approximate: APPROXIMATE_QUALIFIERS.has(dq)
+    };
+}
+
+/**
+ * Dernier jour d'une date partielle (1850 → 18501231, 1850-03 → 18500331)
+ * @private
+ */
+function _endOfPeriod(sortKey) {
+    const { year, month, day } = fromSortKey(sortKey);
+    return toSortKey({ year, month: month || 12, day: day || 31 });
+}
+
+/**
+ * Années écoulées entre deux clés YYYYMMDD, null si l'une des bornes est ouverte
+ * @private
+ */
+function _yearsBetween(fromKey, toKey) {
+    if (!Number.isFinite(fromKey) || !Number.isFinite(toKey)) return null;
+    const asYears = (key) => {
+        const { year, month, day } = fromSortKey(key);
+        return year + ((month || 1) - 1) / 12 + ((day || 1) - 1) / 365;
+    };
+    return asYears(toKey) - asYears(fromKey);
+}
+
+/**
+ * @private
+ */
+function _summary({ date, line, from, to, approximate }) {
+    return { date, line, from, to, approximate };
+}
+
+/**
+ * @private
+ */
+function _finding(rule, pointers, line, dates, message) {
+    const { severity } = VALIDATION_RULES[rule];
+    const approximate = dates.some(date => date && date.approximate);
+    return {
+        severity: severity === 'error' && approximate ? 'warning' : severity,
+        rule,
+        message,
+        pointers,
+        line: line ?? null
+    };
+}
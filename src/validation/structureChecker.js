@@ -0,0 +1,339 @@
+/**
+ * Contrôle de conformité structurelle d'un fichier GEDCOM (result.conformance)
+ *
+ * Porte sur le texte du fichier et non sur les données extraites : lignes illisibles,
+ * sauts de niveau, lignes de plus de 255 caractères (5.5.1), tags hors de GEDCOM_TAGS /
+ * CUSTOM_TAGS, pointeurs vers un enregistrement absent ou d'un autre type, liens
+ * FAMC/FAMS ↔ HUSB/WIFE/CHIL sans réciproque et enregistrements que rien ne référence.
+ * read-gedcom ignore ces défauts sans les signaler : un FAMC vers une famille absente
+ * laisse simplement l'individu sans parents.
+ *
+ * Le texte peut être lu en une fois ou enregistrement par enregistrement (streaming) :
+ * createStructureAccumulator, accumulateStructure (par morceau d'enregistrements complets),
+ * finalizeStructure.
+ */
+
+import { CUSTOM_TAGS, categorizeTag } from '../parser/gedcomTags.js';
+
+/**
+ * Règles de conformité : identifiant → gravité et description
+ */
+export const STRUCTURE_RULES = {
+    'invalid-line': { severity: 'error', description: 'Ligne GEDCOM illisible' },
+    'level-jump': { severity: 'error', description: 'Niveau supérieur de plus d\'un à celui de la ligne précédente' },
+    'line-too-long': { severity: 'warning', description: 'Ligne de plus de 255 caractères (GEDCOM 5.5.1)' },
+    'unknown-tag': { severity: 'warning', description: 'Tag absent de la norme GEDCOM' },
+    'extension-tag': { severity: 'info', description: 'Tag d\'extension non répertorié ni déclaré (SCHMA)' },
+    'missing-header': { severity: 'error', description: 'Le fichier ne commence pas par HEAD' },
+    'missing-trailer': { severity: 'error', description: 'Le fichier ne se termine pas par TRLR' },
+    'duplicate-pointer': { severity: 'error', description: 'Pointeur défini par plusieurs enregistrements' },
+    'dangling-pointer': { severity: 'error', description: 'Pointeur vers un enregistrement absent' },
+    'wrong-record-type': { severity: 'error', description: 'Pointeur vers un enregistrement du mauvais type' },
+    'non-reciprocal-link': { severity: 'warning', description: 'Lien individu ↔ famille sans réciproque' },
+    'orphan-record': { severity: 'warning', description: 'Enregistrement référencé nulle part' },
+    'isolated-individual': { severity: 'info', description: 'Individu sans famille ni lien' }
+};
+
+// GEDCOM 5.5.1 : longueur maximale d'une ligne, niveau et terminateur compris
+const MAX_LINE_LENGTH = 255;
+
+const LINE_PATTERN = /^(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?:\s(.*))?$/;
+const POINTER_VALUE = /^@[^@#\s][^@]*@$/;
+const VOID_POINTER = '@VOID@';
+
+// Types d'enregistrement attendus au bout d'un pointeur, selon le tag qui le porte
+const REFERENCE_TARGETS = {
+    FAMC: ['FAM'],
+    FAMS: ['FAM'],
+    HUSB: ['INDI'],
+    WIFE: ['INDI'],
+    CHIL: ['INDI'],
+    ASSO: ['INDI'],
+    ALIA: ['INDI'],
+    ANCI: ['SUBM'],
+    DESI: ['SUBM'],
+    SOUR: ['SOUR'],
+    REPO: ['REPO'],
+    OBJE: ['OBJE'],
+    NOTE: ['NOTE', 'SNOTE'],
+    SNOTE: ['SNOTE', 'NOTE'],
+    SUBM: ['SUBM'],
+    SUBN: ['SUBN']
+};
+
+// Enregistrements qui n'existent que pour être référencés
+const REFERENCED_RECORDS = new Set(['FAM', 'SOUR', 'REPO', 'OBJE', 'NOTE', 'SNOTE', 'SUBM', 'SUBN']);
+
+const KNOWN_CUSTOM_TAGS = new Set(Object.values(CUSTOM_TAGS));
+
+/**
+ * Contrôle un texte GEDCOM complet
+ * @param {string} text - Texte décodé du fichier (avant normalisation GEDCOM 7)
+ * @returns {Object} Rapport (voir finalizeStructure)
+ *
+ * @example
+ * checkGedcomStructure(text).findings[0]
+ * // → { severity: 'error', rule: 'dangling-pointer', message: 'FAMC pointe vers @F9@, absent du fichier',
+ * //     pointers: ['@I1@', '@F9@'], line: 12 }
+ */
+export function checkGedcomStructure(text) {
+    const accumulator = createStructureAccumulator();
+    accumulateStructure(accumulator, text);
+    return finalizeStructure(accumulator);
+}
+
+/**
+ * État d'un contrôle lu par morceaux
+ * @returns {Object}
+ */
+export function createStructureAccumulator() {
+    return {
+        started: false,
+        version: null,
+        extensionTags: new Set(),
+        firstRecord: null,
+        lastRecord: null,
+        record: null,
+        path: [],
+        records: new Map(),
+        references: [],
+        links: [],
+        tags: new Map(),
+        findings: []
+    };
+}
+
+/**
+ * Contrôle une suite d'enregistrements complets
+ * Comme GedcomRecordReader, les lignes vides et ce qui précède le premier niveau 0 sont ignorés
+ * @param {Object} accumulator - État créé par createStructureAccumulator
+ * @param {string} text - Texte d'un ou plusieurs enregistrements
+ * @param {number} [firstLine=1] - Ligne du fichier où commence le texte
+ */
+export function accumulateStructure(accumulator, text, firstLine = 1) {
+    const lines = text.split(/\r\n|\r|\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+        const lineNumber = firstLine + index;
+        let line = lines[index];
+        if (!accumulator.started) line = line.replace(/^\uFEFF/, '');
+        line = line.trimStart();
+        if (!line) continue;
+
+        const match = line.match(LINE_PATTERN);
+        if (!accumulator.started) {
+            if (!match || match[1] !== '0') continue;
+            accumulator.started = true;
+        }
+        if (!match) {
+            _push(accumulator, 'invalid-line', _recordPointers(accumulator), lineNumber,
+                `Ligne illisible : « ${_excerpt(line)} »`);
+            continue;
+        }
+
+        const level = Number(match[1]);
+        const pointer = match[2] || null;
+        const tag = match[3].toUpperCase();
+        const value = match[4] ?? null;
+
+        // Pile des lignes englobantes, comme TreeBuilder : un saut de niveau est signalé puis suivi
+        const { path } = accumulator;
+        if (level === 0) {
+            _openRecord(accumulator, pointer, tag, lineNumber);
+        } else {
+            while (path.length > 0 && path[path.length - 1].level >= level) path.pop();
+            const parentLevel = path.length > 0 ? path[path.length - 1].level : -1;
+            if (level > parentLevel + 1) {
+                _push(accumulator, 'level-jump', _recordPointers(accumulator), lineNumber,
+                    `Niveau ${level} sous une ligne de niveau ${parentLevel}`);
+            }
+        }
+        path.push({ level, tag });
+
+        _readHeader(accumulator, tag, value);
+        _countTag(accumulator, tag, lineNumber);
+
+        if (line.length > MAX_LINE_LENGTH && !_isGedcom7(accumulator)) {
+            _push(accumulator, 'line-too-long', _recordPointers(accumulator), lineNumber,
+                `Ligne de ${line.length} caractères (maximum ${MAX_LINE_LENGTH})`);
+        }
+
+        const target = value && value.trim();
+        if (level > 0 && target && target !== VOID_POINTER && POINTER_VALUE.test(target)) {
+            const record = accumulator.record;
+            accumulator.references.push({ from: record && record.pointer, tag, target, line: lineNumber });
+            if (level === 1 && record && record.pointer && _isFamilyLink(record.tag, tag)) {
+                record.members = true;
+                accumulator.links.push({ from: record.pointer, tag, target, line: lineNumber });
+            }
+        }
+    }
+}
+
+/**
+ * Résout les pointeurs et produit le rapport
+ * @param {Object} accumulator - État alimenté par accumulateStructure
+ * @returns {{errors: number, warnings: number, infos: number, rules: Object<string, number>,
+ *            findings: Array<{severity: string, rule: string, message: string, pointers: string[], line: number|null}>}}
+ *          Constats triés par ligne puis par règle
+ */
+export function finalizeStructure(accumulator) {
+    const { records, findings } = accumulator;
+
+    if (accumulator.firstRecord && accumulator.firstRecord.tag !== 'HEAD') {
+        _push(accumulator, 'missing-header', [], accumulator.firstRecord.line,
+            `Premier enregistrement ${accumulator.firstRecord.tag} au lieu de HEAD`);
+    }
+    if (!accumulator.lastRecord || accumulator.lastRecord.tag !== 'TRLR') {
+        _push(accumulator, 'missing-trailer', [], null, 'Enregistrement TRLR absent en fin de fichier');
+    }
+
+    const referenced = new Set();
+    for (const { from, tag, target, line } of accumulator.references) {
+        referenced.add(target);
+        const pointers = from ? [from, target] : [target];
+        const record = records.get(target);
+        const expected = REFERENCE_TARGETS[tag];
+        if (!record) {
+            _push(accumulator, 'dangling-pointer', pointers, line, `${tag} pointe vers ${target}, absent du fichier`);
+        } else if (expected && !expected.includes(record.tag)) {
+            _push(accumulator, 'wrong-record-type', pointers, line,
+                `${tag} pointe vers ${target} (${record.tag}) au lieu d'un enregistrement ${expected[0]}`);
+        }
+    }
+
+    // Liens FAMC/FAMS d'un individu ↔ HUSB/WIFE/CHIL d'une famille
+    const linkKeys = new Set(accumulator.links.map(({ from, tag, target }) => `${from} ${_linkRole(tag)} ${target}`));
+    for (const { from, tag, target, line } of accumulator.links) {
+        const other = records.get(target);
+        if (!other || other.tag !== (tag.startsWith('FAM') ? 'FAM' : 'INDI')) continue;
+        if (linkKeys.has(`${target} ${_linkRole(tag)} ${from}`)) continue;
+        const missing = tag === 'FAMC' ? `CHIL ${from}` : tag === 'FAMS' ? `HUSB/WIFE ${from}` : `${tag === 'CHIL' ? 'FAMC' : 'FAMS'} ${from}`;
+        _push(accumulator, 'non-reciprocal-link', [from, target], line, `${from} : ${tag} ${target} sans ${missing} en retour`);
+    }
+
+    for (const [pointer, record] of records) {
+        if (referenced.has(pointer)) continue;
+        if (REFERENCED_RECORDS.has(record.tag) && !(record.tag === 'FAM' && record.members)) {
+            _push(accumulator, 'orphan-record', [pointer], record.line, `${record.tag} ${pointer} n'est référencé par aucun enregistrement`);
+        } else if (record.tag === 'INDI' && !record.members) {
+            _push(accumulator, 'isolated-individual', [pointer], record.line, `${pointer} n'a ni famille ni lien`);
+        }
+    }
+
+    for (const [tag, { line, pointer, count }] of accumulator.tags) {
+        if (categorizeTag(tag) === 'UNKNOWN') {
+            _push(accumulator, 'unknown-tag', pointer ? [pointer] : [], line, `Tag ${tag} inconnu (${count} occurrence${count > 1 ? 's' : ''})`);
+        } else if (tag.startsWith('_') && !KNOWN_CUSTOM_TAGS.has(tag) && !accumulator.extensionTags.has(tag)) {
+            _push(accumulator, 'extension-tag', pointer ? [pointer] : [], line, `Tag d'extension ${tag} (${count} occurrence${count > 1 ? 's' : ''})`);
+        }
+    }
+
+    findings.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity) ||
+        a.rule.localeCompare(b.rule) ||
+        a.pointers.join().localeCompare(b.pointers.join()));
+
+    const rules = {};
+    for (const { rule } of findings) rules[rule] = (rules[rule] || 0) + 1;
+    const count = severity => findings.filter(finding => finding.severity === severity).length;
+
+    return {
+        errors: count('error'),
+        warnings: count('warning'),
+        infos: count('info'),
+        rules,
+        findings
+    };
+}
+
+/**
+ * @private
+ */
+function _openRecord(accumulator, pointer, tag, line) {
+    const record = { pointer, tag, line, members: false };
+    accumulator.record = record;
+    accumulator.path.length = 0;
+    if (!accumulator.firstRecord) accumulator.firstRecord = record;
+    accumulator.lastRecord = record;
+    if (!pointer) return;
+
+    if (accumulator.records.has(pointer)) {
+        _push(accumulator, 'duplicate-pointer', [pointer], line,
+            `${pointer} déjà défini ligne ${accumulator.records.get(pointer).line}`);
+        return;
+    }
+    accumulator.records.set(pointer, record);
+}
+
+/**
+ * Version (HEAD.GEDC.VERS) et tags d'extension déclarés (HEAD.SCHMA.TAG)
+ * @private
+ */
+function _readHeader(accumulator, tag, value) {
+    const path = accumulator.path.map(entry => entry.tag).join('.');
+    if (path === 'HEAD.GEDC.VERS' && value) {
+        accumulator.version = value.trim();
+    } else if (path === 'HEAD.SCHMA.TAG' && value) {
+        accumulator.extensionTags.add(value.trim().split(/\s+/)[0].toUpperCase());
+    }
+}
+
+/**
+ * Tags à contrôler : première occurrence et nombre (un constat par tag, pas par ligne)
+ * @private
+ */
+function _countTag(accumulator, tag, line) {
+    const entry = accumulator.tags.get(tag);
+    if (entry) {
+        entry.count++;
+    } else {
+        const record = accumulator.record;
+        accumulator.tags.set(tag, { line, pointer: record && record.pointer, count: 1 });
+    }
+}
+
+/**
+ * @private
+ */
+function _isFamilyLink(recordTag, tag) {
+    if (recordTag === 'INDI') return tag === 'FAMC' || tag === 'FAMS';
+    if (recordTag === 'FAM') return tag === 'HUSB' || tag === 'WIFE' || tag === 'CHIL';
+    return false;
+}
+
+/**
+ * FAMC ↔ CHIL : 'child', FAMS ↔ HUSB/WIFE : 'spouse'
+ * @private
+ */
+function _linkRole(tag) {
+    return tag === 'FAMC' || tag === 'CHIL' ? 'child' : 'spouse';
+}
+
+/**
+ * @private
+ */
+function _isGedcom7(accumulator) {
+    return accumulator.version !== null && /^7(\.|$)/.test(accumulator.version);
+}
+
+/**
+ * @private
+ */
+function _recordPointers(accumulator) {
+    const record = accumulator.record;
+    return record && record.pointer ? [record.pointer] : [];
+}
+
+/**
+ * @private
+ */
+function _excerpt(line) {
+    return line.length > 40 ? `${line.slice(0, 40)}…` : line;
+}
+
+/**
+ * @private
+ */
+function _push(accumulator, rule, pointers, line, message) {
+    accumulator.findings.push({ severity: STRUCTURE_RULES[rule].severity, rule, message, pointers, line });
+}
@@ -0,0 +1,629 @@
+/**
+ * GedcomWriter - Export des caches GeneaFan vers un fichier GEDCOM 5.5.1
+ * Prend le résultat de GeneaFanParser.parse (individualsCache, sourcesCache, notesCache,
+ * mediaCache, repositoriesCache, familyTownsStore, metadata) et produit HEAD, SUBM,
+ * INDI, FAM, NOTE, SOUR, REPO, OBJE puis TRLR.
+ * Les familles sont reconstruites depuis les relations des individus (f, m, s) :
+ * familiesCache est vide depuis que les relations sont portées par individualsCache.
+ */
+
+import { EVENT_TYPE_DECOMPRESSION, EVENT_TYPE_TAGS, decompressEventType } from '../compression/eventCompression.js';
+import { decodeGedcomDate, formatGedcomDate } from '../dates/gedcomDate.js';
+import { encodeText, CHARSETS } from '../encoding/charsetDecoder.js';
+import { formatPlacForm, createPlaceContext } from '../utils/placFormat.js';
+
+/**
+ * Valeur de "1 CHAR" par jeu de caractères
+ */
+const CHAR_VALUES = {
+    [CHARSETS.UTF8]: 'UTF-8',
+    [CHARSETS.UTF16LE]: 'UNICODE',
+    [CHARSETS.UTF16BE]: 'UNICODE',
+    [CHARSETS.ANSEL]: 'ANSEL',
+    [CHARSETS.CP1252]: 'ANSI',
+    [CHARSETS.MACINTOSH]: 'MACINTOSH',
+    [CHARSETS.IBMPC]: 'IBMPC'
+};
+
+// Événements portés par la famille (FAM) plutôt que par l'individu
+const FAMILY_EVENT_TYPES = new Set(['marriage', 'divorce']);
+
+// Événements déduits des relations (CHIL) ou du calcul, jamais exportés
+const DERIVED_EVENT_TYPES = new Set(['child-birth', 'today']);
+
+// Événements qui acceptent "Y" pour affirmer un événement sans détail
+const ASSERTABLE_TAGS = new Set(['BIRT', 'CHR', 'DEAT', 'MARR', 'DIV']);
+
+const POINTER = /^@[^@]+@$/;
+
+export class GedcomWriter {
+    constructor(options = {}) {
+        this.options = {
+            charset: null,          // Valeur de CHARSETS ; null = jeu d'origine (metadata.charset)
+            lineEnding: '\n',
+            maxLineLength: 255,
+            placeForm: null,        // null = metadata.placeHierarchy (PLAC FORM d'origine)
+            sourceName: 'GENEAFAN',
+            submitterName: 'GeneaFan',
+            date: null,             // Date du HEAD ; null = maintenant
+            verbose: false,
+            ...options
+        };
+    }
+    
+    /**
+     * Produit le texte GEDCOM
+     * @param {Object} caches - Résultat de GeneaFanParser.parse
+     * @returns {string}
+     */
+    write(caches) {
+        const startTime = Date.now();
+        const context = this._createContext(caches);
+        const lines = [];
+        
+        this._writeHeader(lines, context);
+        
+        for (const [pointer, individual] of context.individuals) {
+            this._writeIndividual(lines, pointer, individual, context);
+        }
+        for (const family of context.families) {
+            this._writeFamily(lines, family, context);
+        }
+        for (const [pointer, note] of context.notes) {
+            if (!POINTER.test(pointer)) continue; // notes inline : écrites sous leur individu
+            this._pushText(lines, 0, 'NOTE', note.text || '', pointer);
+        }
+        for (const [pointer, source] of context.sources) {
+            this._writeSource(lines, pointer, source);
+        }
+        for (const [pointer, repository] of context.repositories) {
+            this._writeRepository(lines, pointer, repository, context);
+        }
+        for (const [pointer, media] of context.media) {
+            this._writeMedia(lines, pointer, media, context);
+        }
+        
+        lines.push('0 TRLR');
+        
+        this._log(`✅ ${context.individuals.size} individus, ${context.families.length} familles écrits en ${Date.now() - startTime}ms`);
+        
+        return lines.join(this.options.lineEnding) + this.options.lineEnding;
+    }
+    
+    /**
+     * Produit les octets du fichier GEDCOM, encodés selon le jeu de caractères du HEAD
+     * @param {Object} caches - Résultat de GeneaFanParser.parse
+     * @returns {Uint8Array}
+     */
+    writeBytes(caches) {
+        return encodeText(this.write(caches), this.resolveCharset(caches));
+    }
+    
+    /**
+     * Jeu de caractères de sortie : option charset, sinon celui du fichier d'origine, sinon UTF-8
+     * @param {Object} caches
+     * @returns {string} Valeur de CHARSETS
+     */
+    resolveCharset(caches) {
+        const charset = this.options.charset || caches?.metadata?.charset?.applied;
+        return CHAR_VALUES[charset] ? charset : CHARSETS.UTF8;
+    }
+    
+    /**
+     * Index des caches et familles reconstruites
+     * @private
+     */
+    _createContext(caches) {
+        const context = {
+            individuals: this._toMap(caches.individualsCache),
+            notes: this._toMap(caches.notesCache),
+            sources: this._toMap(caches.sourcesCache),
+            repositories: this._toMap(caches.repositoriesCache),
+            media: this._toMap(caches.mediaCache),
+            towns: caches.familyTownsStore || {},
+            metadata: caches.metadata || {},
+            charset: this.resolveCharset(caches),
+            placeForm: this.options.placeForm || caches.metadata?.placeHierarchy || null
+        };
+        context.subdivisionLast = createPlaceContext(context.placeForm).keys.at(-1) === 'subdivision';
+        
+        context.noteLinks = this._indexLinks(context.notes, (id) => POINTER.test(id));
+        context.mediaLinks = this._indexLinks(context.media);
+        context.sourceLinks = this._indexLinks(context.sources);
+        
+        const newPointer = this._createPointerFactory([context.individuals, context.notes, context.sources, context.repositories, context.media]);
+        Object.assign(context, this._buildFamilies(context.individuals, newPointer));
+        context.submitter = newPointer('SUBM', context.metadata.submitterId);
+        
+        return context;
+    }
+    
+    /**
+     * Reconstruit les familles : d'abord les couples de parents (rôles connus par f/m),
+     * puis les couples de conjoints sans enfant
+     * @private
+     */
+    _buildFamilies(individuals, newPointer) {
+        const families = [];
+        const byCouple = new Map();
+        const bySpouse = new Map(); // conjoint → ses familles, dans l'ordre de création
+        const order = new Map([...individuals.keys()].map((pointer, index) => [pointer, index]));
+        const gender = (pointer) => individuals.get(pointer)?.g;
+        
+        const familyOf = (husband, wife) => {
+            const found = byCouple.get(`${husband}|${wife}`) || byCouple.get(`${wife}|${husband}`);
+            if (found) return found;
+            
+            const family = { pointer: newPointer('F'), husband, wife, children: [] };
+            byCouple.set(`${husband}|${wife}`, family);
+            families.push(family);
+            for (const spouse of [husband, wife]) {
+                if (!spouse) continue;
+                if (!bySpouse.has(spouse)) bySpouse.set(spouse, []);
+                bySpouse.get(spouse).push(family);
+            }
+            return family;
+        };
+        
+        for (const [pointer, individual] of individuals) {
+            if (individual.f || individual.m) {
+                familyOf(individual.f || '', individual.m || '').children.push(pointer);
+            }
+        }
+        
+        // Rôles HUSB/WIFE d'un couple de conjoints : sexe, puis ordre des individus
+        const roles = (a, b) => {
+            if (gender(a) === 'F' && gender(b) !== 'F') return [b, a];
+            if (gender(b) === 'M' && gender(a) !== 'M') return [b, a];
+            if (gender(a) === gender(b) && order.get(b) < order.get(a)) return [b, a];
+            return [a, b];
+        };
+        
+        for (const [pointer, individual] of individuals) {
+            for (const spouse of individual.s || []) {
+                familyOf(...roles(pointer, spouse));
+            }
+            
+            // Mariage sans conjoint connu : famille à un seul conjoint
+            if ((individual.e || []).some(event => event.t === 'fm' && !event.m?.s)) {
+                familyOf(...(gender(pointer) === 'F' ? ['', pointer] : [pointer, '']));
+            }
+        }
+        
+        // Enfants d'une seconde famille (adoption, parent nourricier) : connus seulement
+        // par les événements fc du parent, f/m ne gardant que la famille principale
+        const births = (pointer) => (individuals.get(pointer)?.e || [])
+            .filter(event => event.t === 'fc' && event.m?.c).map(event => event.m.c);
+        const parentsOf = (family) => [family.husband, family.wife].filter(Boolean);
+        
+        for (const [pointer] of individuals) {
+            for (const child of births(pointer)) {
+                if (!individuals.has(child)) continue;
+                const ownFamilies = bySpouse.get(pointer) || [];
+                if (ownFamilies.some(family => family.children.includes(child))) continue;
+                
+                // Famille dont l'autre conjoint déclare aussi l'enfant, sinon famille du parent seul
+                const family = ownFamilies.find(candidate => parentsOf(candidate).length === 2 &&
+                    births(parentsOf(candidate).find(parent => parent !== pointer)).includes(child)) ||
+                    familyOf(...(gender(pointer) === 'F' ? ['', pointer] : [pointer, '']));
+                family.children.push(child);
+            }
+        }
+        
+        const childOf = new Map();
+        const spouseOf = new Map();
+        
+        for (const family of families) {
+            // Ordre des enfants : celui des événements fc du parent (ordre CHIL d'origine)
+            const childOrder = births(family.husband || family.wife);
+            const rank = (child) => childOrder.includes(child) ? childOrder.indexOf(child) : Infinity;
+            family.children.sort((a, b) => rank(a) - rank(b));
+            
+            family.events = this._familyEvents(family, individuals);
+            
+            for (const child of family.children) {
+                if (!childOf.has(child)) childOf.set(child, []);
+                childOf.get(child).push(family.pointer);
+            }
+            for (const spouse of [family.husband, family.wife]) {
+                if (!spouse) continue;
+                if (!spouseOf.has(spouse)) spouseOf.set(spouse, []);
+                spouseOf.get(spouse).push(family);
+            }
+        }
+        
+        // FAMS dans l'ordre des conjoints de l'individu
+        for (const [pointer, list] of spouseOf) {
+            const spouses = individuals.get(pointer)?.s || [];
+            const rank = (family) => {
+                const index = spouses.indexOf(family.husband === pointer ? family.wife : family.husband);
+                return index === -1 ? Infinity : index;
+            };
+            spouseOf.set(pointer, list.sort((a, b) => rank(a) - rank(b)).map(family => family.pointer));
+        }
+        
+        return { families, childOf, spouseOf };
+    }
+    
+    /**
+     * Événements familiaux d'un couple, pris chez le mari puis, à défaut, chez la femme
+     * (chaque conjoint en porte une copie)
+     * @private
+     */
+    _familyEvents(family, individuals) {
+        const eventsOf = (pointer, spouse) => (individuals.get(pointer)?.e || []).filter(event =>
+            FAMILY_EVENT_TYPES.has(EVENT_TYPE_DECOMPRESSION[event.t]) && (event.m?.s || '') === spouse);
+        
+        const fromHusband = family.husband ? eventsOf(family.husband, family.wife) : [];
+        return fromHusband.length > 0 || !family.wife ? fromHusband : eventsOf(family.wife, family.husband);
+    }
+    
+    /**
+     * @private
+     */
+    _writeHeader(lines, context) {
+        const date = this.options.date || new Date();
+        
+        lines.push('0 HEAD');
+        lines.push(`1 SOUR ${this.options.sourceName}`);
+        lines.push('2 NAME read-gedcom-geneafan');
+        lines.push(`1 DATE ${formatGedcomDate({ date: { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() } })}`);
+        lines.push(`1 SUBM ${context.submitter}`);
+        if (context.metadata.copyright) this._pushText(lines, 1, 'COPR', context.metadata.copyright);
+        lines.push('1 GEDC');
+        lines.push('2 VERS 5.5.1');
+        lines.push('2 FORM LINEAGE-LINKED');
+        lines.push(`1 CHAR ${CHAR_VALUES[context.charset]}`);
+        if (context.metadata.language) lines.push(`1 LANG ${context.metadata.language}`);
+        if (context.placeForm) {
+            lines.push('1 PLAC');
+            this._pushText(lines, 2, 'FORM', context.placeForm);
+        }
+        
+        lines.push(`0 ${context.submitter} SUBM`);
+        this._pushText(lines, 1, 'NAME', this.options.submitterName);
+    }
+    
+    /**
+     * @private
+     */
+    _writeIndividual(lines, pointer, individual, context) {
+        lines.push(`0 ${pointer} INDI`);
+        
+        if (individual.fn) {
+            const [surname = '', given = ''] = individual.fn.split('|');
+            this._pushText(lines, 1, 'NAME', [given, surname ? `/${surname}/` : ''].filter(Boolean).join(' '));
+            if (given) this._pushText(lines, 2, 'GIVN', given);
+            if (surname) this._pushText(lines, 2, 'SURN', surname);
+            if (individual.fo) {
+                const [phoneticSurname = '', phoneticGiven = ''] = individual.fo.split('|');
+                this._pushText(lines, 2, 'FONE',
+                    [phoneticGiven, phoneticSurname ? `/${phoneticSurname}/` : ''].filter(Boolean).join(' '));
+            }
+        }
+        if (individual.g) lines.push(`1 SEX ${individual.g}`);
+        
+        const eventNotes = new Set();
+        for (const event of individual.e || []) {
+            const type = decompressEventType(event);
+            if (FAMILY_EVENT_TYPES.has(type) || DERIVED_EVENT_TYPES.has(type)) continue;
+            this._writeEvent(lines, 1, event, context);
+            (event.m?.n || []).forEach(id => eventNotes.add(id));
+        }
+        
+        for (const family of context.childOf.get(pointer) || []) {
+            lines.push(`1 FAMC ${family}`);
+        }
+        for (const family of context.spouseOf.get(pointer) || []) {
+            lines.push(`1 FAMS ${family}`);
+        }
+        
+        // Citations : le cache ne garde pas l'événement cité, elles sont écrites au niveau INDI
+        for (const source of context.sourceLinks.get(pointer) || []) {
+            lines.push(`1 SOUR ${source}`);
+        }
+        for (const media of context.mediaLinks.get(pointer) || []) {
+            lines.push(`1 OBJE ${media}`);
+        }
+        // Notes liées à un événement : déjà écrites sous l'événement
+        for (const note of context.noteLinks.get(pointer) || []) {
+            if (!eventNotes.has(note)) lines.push(`1 NOTE ${note}`);
+        }
+        this._writeNotes(lines, 1, individual.n, context);
+        
+        // Identifiants stables : rapprochement après export et réimport (voir diffResults)
+        for (const { i, t } of individual.x || []) {
+            this._pushText(lines, 1, 'EXID', i);
+            if (t) this._pushText(lines, 2, 'TYPE', t);
+        }
+        if (individual.r) this._pushText(lines, 1, 'RIN', individual.r);
+        if (individual.u) this._pushText(lines, 1, '_UID', individual.u);
+    }
+    
+    /**
+     * @private
+     */
+    _writeFamily(lines, family, context) {
+        lines.push(`0 ${family.pointer} FAM`);
+        if (family.husband) lines.push(`1 HUSB ${family.husband}`);
+        if (family.wife) lines.push(`1 WIFE ${family.wife}`);
+        family.children.forEach(child => lines.push(`1 CHIL ${child}`));
+        
+        for (const event of family.events) {
+            const ceremonies = event.m?.ceremonies;
+            if (!ceremonies || ceremonies.length === 0) {
+                this._writeEvent(lines, 1, event, context);
+                continue;
+            }
+            
+            // Mariages fusionnés : une structure MARR par cérémonie
+            for (const { t, n, sd, ...ceremony } of ceremonies) {
+                this._writeEvent(lines, 1, {
+                    ...ceremony,
+                    t: event.t,
+                    m: { et: t === 'c' ? 'civil' : 'religious', n, sd }
+                }, context);
+            }
+        }
+    }
+    
+    /**
+     * Écrit un événement compressé : tag, valeur d'attribut, TYPE, DATE, PLAC (+ MAP), NOTE
+     * @private
+     */
+    _writeEvent(lines, level, event, context) {
+        const type = decompressEventType(event);
+        const metadata = event.m || {};
+        const tag = EVENT_TYPE_TAGS[type] || 'EVEN';
+        
+        // Types sans tag standard (military-service, promotion...) : EVEN + TYPE
+        const descriptor = type === 'custom' ? metadata.et || metadata.ct :
+            EVENT_TYPE_TAGS[type] ? metadata.et : metadata.et || type;
+        
+        const details = [];
+        if (descriptor) this._pushText(details, level + 1, 'TYPE', descriptor);
+        
+        const dateModel = decodeGedcomDate(event);
+        const date = dateModel && formatGedcomDate(dateModel);
+        if (date) details.push(`${level + 1} DATE ${date}`);
+        
+        this._writePlace(details, level + 1, event.l, metadata.sd, context);
+        this._writeNotes(details, level + 1, metadata.n, context);
+        
+        const value = metadata.v || (details.length === 0 && ASSERTABLE_TAGS.has(tag) ? 'Y' : '');
+        this._pushText(lines, level, tag, value);
+        lines.push(...details);
+    }
+    
+    /**
+     * PLAC : texte d'origine du lieu (familyTownsStore._placText), sinon composants selon le FORM ;
+     * la subdivision de l'événement est remise à sa place dans le FORM (en tête par défaut)
+     * @private
+     */
+    _writePlace(lines, level, key, subdivision, context) {
+        if (!key && !subdivision) return;
+        
+        const town = key ? context.towns[key] : null;
+        let text = key || '';
+        if (town) {
+            text = town._placText || formatPlacForm(town, context.placeForm) || town.town || key;
+        }
+        if (subdivision && !text) {
+            text = subdivision;
+        } else if (subdivision) {
+            text = context.subdivisionLast ? `${text}, ${subdivision}` : `${subdivision}, ${text}`;
+        }
+        
+        this._pushText(lines, level, 'PLAC', text);
+        
+        const latitude = parseFloat(town?.latitude);
+        const longitude = parseFloat(town?.longitude);
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            lines.push(`${level + 1} MAP`);
+            lines.push(`${level + 2} LATI ${latitude < 0 ? 'S' : 'N'}${Math.abs(latitude)}`);
+            lines.push(`${level + 2} LONG ${longitude < 0 ? 'W' : 'E'}${Math.abs(longitude)}`);
+        }
+    }
+    
+    /**
+     * Notes par identifiant : pointeur → lien, note inline → texte
+     * @private
+     */
+    _writeNotes(lines, level, ids, context) {
+        for (const id of ids || []) {
+            if (POINTER.test(id)) {
+                lines.push(`${level} NOTE ${id}`);
+            } else if (context.notes.has(id)) {
+                this._pushText(lines, level, 'NOTE', context.notes.get(id).text || '');
+            }
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _writeSource(lines, pointer, source) {
+        lines.push(`0 ${pointer} SOUR`);
+        if (source.author) this._pushText(lines, 1, 'AUTH', source.author);
+        if (source.title) this._pushText(lines, 1, 'TITL', source.title);
+        if (source.publisher) this._pushText(lines, 1, 'PUBL', source.publisher);
+        
+        const repository = typeof source.repository === 'string' ? source.repository : source.repository?.pointer;
+        if (repository && POINTER.test(repository)) lines.push(`1 REPO ${repository}`);
+    }
+    
+    /**
+     * @private
+     */
+    _writeRepository(lines, pointer, repository, context) {
+        lines.push(`0 ${pointer} REPO`);
+        this._pushText(lines, 1, 'NAME', repository.name || '');
+        
+        const address = repository.address;
+        if (address) {
+            this._pushText(lines, 1, 'ADDR', address.full || '');
+            if (address.city) this._pushText(lines, 2, 'CITY', address.city);
+            if (address.state) this._pushText(lines, 2, 'STAE', address.state);
+            if (address.postalCode) this._pushText(lines, 2, 'POST', address.postalCode);
+            if (address.country) this._pushText(lines, 2, 'CTRY', address.country);
+        }
+        if (repository.contact?.phone) this._pushText(lines, 1, 'PHON', repository.contact.phone);
+        if (repository.contact?.email) this._pushText(lines, 1, 'EMAIL', repository.contact.email);
+        
+        this._writeLinkedNotes(lines, 1, repository.notes, context);
+    }
+    
+    /**
+     * @private
+     */
+    _writeMedia(lines, pointer, media, context) {
+        lines.push(`0 ${pointer} OBJE`);
+        this._pushText(lines, 1, 'FILE', media.file || media.url || '');
+        if (media.format) this._pushText(lines, 2, 'FORM', media.format);
+        if (media.title) this._pushText(lines, 2, 'TITL', media.title);
+        
+        this._writeLinkedNotes(lines, 1, media.notes, context);
+    }
+    
+    /**
+     * Notes des enregistrements REPO/OBJE : { pointer } vers une NOTE, ou texte
+     * @private
+     */
+    _writeLinkedNotes(lines, level, notes, context) {
+        for (const note of notes || []) {
+            const value = note.pointer || note.text;
+            if (!value) continue;
+            if (POINTER.test(value)) {
+                lines.push(`${level} NOTE ${value}`);
+            } else {
+                this._pushText(lines, level, 'NOTE', value);
+            }
+        }
+    }
+    
+    /**
+     * Ajoute une ligne de texte : "@" échappé, retours à la ligne en CONT,
+     * lignes trop longues découpées en CONC
+     * @param {string[]} lines
+     * @param {number} level
+     * @param {string} tag
+     * @param {string} text
+     * @param {string} [pointer] - Pointeur d'enregistrement (niveau 0)
+     * @private
+     */
+    _pushText(lines, level, tag, text, pointer = null) {
+        const paragraphs = String(text ?? '').replace(/@/g, '@@').split(/\r\n|\r|\n/);
+        
+        paragraphs.forEach((paragraph, index) => {
+            const prefix = index === 0 ?
+                (pointer ? `${level} ${pointer} ${tag}` : `${level} ${tag}`) :
+                `${level + 1} CONT`;
+            const chunks = this._splitLine(paragraph, this.options.maxLineLength - prefix.length - 1);
+            
+            lines.push(chunks[0] ? `${prefix} ${chunks[0]}` : prefix);
+            for (const chunk of chunks.slice(1)) {
+                lines.push(`${level + 1} CONC ${chunk}`);
+            }
+        });
+    }
+    
+    /**
+     * Découpe une valeur en morceaux CONC de longueur maximale donnée
+     * Jamais sur une espace (supprimée par certains lecteurs), ni au milieu de "@@"
+     * ou d'une paire de substitution UTF-16
+     * @private
+     */
+    _splitLine(value, firstLength) {
+        const chunks = [];
+        const concLength = this.options.maxLineLength - 7; // "n CONC "
+        let rest = value;
+        let limit = Math.max(firstLength, 1);
+        
+        while (rest.length > limit) {
+            let cut = limit;
+            while (cut > 1 && (rest[cut - 1] === ' ' || rest[cut] === ' ' ||
+                this._isSurrogate(rest, cut) || this._splitsEscape(rest, cut))) {
+                cut--;
+            }
+            // Aucune coupure propre (longue suite d'espaces) : coupure franche
+            if (cut <= 1) cut = limit;
+            
+            chunks.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+            limit = concLength;
+        }
+        chunks.push(rest);
+        
+        return chunks;
+    }
+    
+    /**
+     * @private
+     */
+    _isSurrogate(text, index) {
+        const code = text.charCodeAt(index);
+        return code >= 0xDC00 && code <= 0xDFFF;
+    }
+    
+    /**
+     * Vrai si la coupure tombe entre les deux "@" d'un "@@"
+     * @private
+     */
+    _splitsEscape(text, index) {
+        let count = 0;
+        while (index - count - 1 >= 0 && text[index - count - 1] === '@') count++;
+        return count % 2 === 1;
+    }
+    
+    /**
+     * Individus liés par enregistrement (champ individuals des notes/médias), par individu
+     * @private
+     */
+    _indexLinks(cache, accept = () => true) {
+        const links = new Map();
+        for (const [id, record] of cache) {
+            if (!accept(id)) continue;
+            for (const individual of record.individuals || []) {
+                if (!links.has(individual)) links.set(individual, []);
+                links.get(individual).push(id);
+            }
+        }
+        return links;
+    }
+    
+    /**
+     * Générateur de pointeurs libres : (préfixe, proposé) → le pointeur proposé
+     * s'il n'est pas pris, sinon @<préfixe><n>@ numéroté à partir de 1
+     * @private
+     */
+    _createPointerFactory(caches) {
+        const used = new Set(caches.flatMap(cache => [...cache.keys()]));
+        const counters = {};
+        
+        return (prefix, proposed = null) => {
+            let pointer = proposed && POINTER.test(proposed) && !used.has(proposed) ? proposed : null;
+            while (!pointer) {
+                counters[prefix] = (counters[prefix] || 0) + 1;
+                pointer = `@${prefix}${counters[prefix]}@`;
+                if (used.has(pointer)) pointer = null;
+            }
+            used.add(pointer);
+            return pointer;
+        };
+    }
+    
+    /**
+     * Accepte une Map ou un objet (cache sérialisé en JSON)
+     * @private
+     */
+    _toMap(cache) {
+        if (cache instanceof Map) return cache;
+        return new Map(Object.entries(cache || {}));
+    }
+    
+    _log(message) {
+        if (this.options.verbose) {
+            console.log(`[GedcomWriter] ${message}`);
+        }
+    }
+}
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    GeneaFanParser,
+    expandIndividual,
+    compactIndividual,
+    expandCache,
+    compactCache,
+    compressEvent,
+    decompressEvent
+} from '../src/index.js';
+
+const parseSample = (sample) => new GeneaFanParser().parseSync(readFileSync(new URL(`./data/${sample}`, import.meta.url)));
+
+// Les champs absents (undefined) ne font pas partie du format compressé
+const normalize = (value) => JSON.parse(JSON.stringify(value));
+
+describe('Cache expansion', () => {
+    for (const sample of ['sample555.ged', 'TGC551.ged', 'TGC55C.ged', 'sample7.ged']) {
+        it(`round-trips every individual of ${sample}`, () => {
+            const { individualsCache } = parseSample(sample);
+            const compacted = compactCache(expandCache(individualsCache));
+
+            assert.deepEqual([...compacted.keys()], [...individualsCache.keys()]);
+            for (const [pointer, compressed] of individualsCache) {
+                assert.deepEqual(normalize(compacted.get(pointer)), normalize(compressed), pointer);
+            }
+        });
+    }
+
+    it('expands names, relations and event metadata', () => {
+        const { individualsCache } = parseSample('TGC551.ged');
+        const person = expandIndividual(individualsCache.get('@PERSON1@'), '@PERSON1@');
+
+        assert.equal(person.pointer, '@PERSON1@');
+        assert.deepEqual(person.name, { surname: 'Torture', given: 'Joseph Tag', full: 'Joseph Tag Torture' });
+        assert.equal(person.sex, 'M');
+        assert.equal(person.fatherId, '@PERSON5@');
+        assert.equal(person.motherId, null);
+        assert.deepEqual(person.spouseIds, ['@PERSON2@', '@PERSON8@']);
+        assert.deepEqual(person.childrenIds, ['@PERSON3@', '@PERSON4@', '@PERSON7@']);
+        assert.deepEqual(person.noteIds, ['INLINE_@PERSON1@_0']);
+        assert.equal(person.quality, 85);
+
+        const byType = (type) => person.events.filter(event => event.type === type);
+        assert.equal(byType('occupation')[0].value, 'Occupation');
+        assert.deepEqual(byType('death')[0].noteIds, ['INLINE_EVENT_@PERSON1@_death_2']);
+        assert.equal(byType('custom')[0].customType, 'EVEN');
+        assert.equal(byType('marriage')[0].spouseId, '@PERSON2@');
+        assert.equal(byType('birth')[0].townKey, 'salt_lake_city');
+    });
+
+    it('expands GEDCOM 7 fields', () => {
+        const { individualsCache } = parseSample('sample7.ged');
+        const person = expandIndividual(individualsCache.get('@I1@'), '@I1@');
+
+        const birth = person.events.find(event => event.type === 'birth');
+        assert.equal(birth.subdivision, undefined); // FORM sans niveau Subdivision
+        assert.equal(birth.dateCalendar, 'julian');
+        assert.equal(birth.sortDate, '2/3/1700');
+        assert.deepEqual(person.nameTranslations, [{ language: 'ru', surname: 'Martinov', given: 'Ivan', full: 'Ivan Martinov' }]);
+        assert.deepEqual(person.externalIds, [
+            { id: '12345', type: 'https://www.familysearch.org/tree/person/' },
+            { id: 'ABCD-EFG', type: null }
+        ]);
+        assert.equal(person.negativeAssertions[0].type, 'death');
+        assert.equal(person.negativeAssertions[0].dateQualifier, 'before');
+        assert.deepEqual(compactIndividual(person), individualsCache.get('@I1@'));
+    });
+
+    it('round-trips dates of every precision', () => {
+        const cases = [
+            [{ t: 'fb', d: 18500101 }, '1/1/1850'],
+            [{ t: 'fb', d: 18500000 }, '1850'],
+            [{ t: 'fb', d: 18500700 }, '7/1850'],
+            [{ t: 'fb', d: -440000 }, '-44'],
+            [{ t: 'fb', d: 320000 }, '32']
+        ];
+
+        for (const [compressed, date] of cases) {
+            const event = decompressEvent(compressed);
+            assert.equal(event.date, date);
+            assert.deepEqual(compressEvent(event), compressed, date);
+        }
+    });
+
+    it('round-trips merged marriage ceremonies and unknown places', () => {
+        const compressed = {
+            t: 'fm',
+            d: 19000105,
+            l: null,
+            m: {
+                s: '@I2@',
+                ceremonies: [
+                    { t: 'c', d: 19000105, l: 'paris', n: ['@N1@'] },
+                    { t: 'r', d: 19000000, dq: 'ab', l: 'lyon', sd: 'Église Saint-Jean' }
+                ]
+            }
+        };
+
+        const event = decompressEvent(compressed);
+        assert.equal(event.townKey, null);
+        assert.deepEqual(event.ceremonies.map(ceremony => ceremony.type), ['civil', 'religious']);
+        assert.equal(event.ceremonies[1].gedcomDate, 'ABT 1900');
+        assert.equal(event.ceremonies[1].subdivision, 'Église Saint-Jean');
+        assert.deepEqual(compressEvent(event), compressed);
+    });
+
+    it('accepts a cache serialized as a plain object', () => {
+        const { individualsCache } = parseSample('sample555.ged');
+        const fromJson = normalize(Object.fromEntries(individualsCache));
+
+        const expanded = expandCache(fromJson);
+        assert.ok(expanded instanceof Map);
+        assert.deepEqual([...expanded.keys()], [...individualsCache.keys()]);
+        assert.deepEqual(normalize(Object.fromEntries(compactCache(expanded))), fromJson);
+    });
+});
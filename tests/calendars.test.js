@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toGregorian, normalizeFrenchRepublicanDate } from '../src/dates/calendars.js';
+import { parseGedcomDate, encodeGedcomDate, decodeGedcomDate, formatGedcomDate } from '../src/dates/gedcomDate.js';
+import { decompressEvent } from '../src/compression/eventCompression.js';
+
+describe('Calendars', () => {
+    it('converts Julian, Hebrew and French Republican dates to Gregorian', () => {
+        assert.deepEqual(toGregorian('julian', { year: 1582, month: 10, day: 4 }), { year: 1582, month: 10, day: 14 });
+        assert.deepEqual(toGregorian('hebrew', { year: 5785, month: 1, day: 1 }), { year: 2024, month: 10, day: 3 });
+        assert.deepEqual(toGregorian('hebrew', { year: 5784, month: 8, day: 15 }), { year: 2024, month: 4, day: 23 });
+        assert.deepEqual(toGregorian('french-republican', { year: 4, month: 1, day: 1 }), { year: 1795, month: 9, day: 23 });
+        assert.deepEqual(toGregorian('french-republican', { year: 8, month: 2, day: 18 }), { year: 1799, month: 11, day: 9 });
+    });
+
+    it('keeps the precision of partial dates', () => {
+        assert.deepEqual(toGregorian('french-republican', { year: 2, month: null, day: null }), { year: 1793, month: null, day: null });
+        assert.deepEqual(toGregorian('french-republican', { year: 10, month: 3, day: null }), { year: 1801, month: 11, day: null });
+    });
+
+    it('rewrites French Republican dates written without escape', () => {
+        assert.equal(normalizeFrenchRepublicanDate('12 VEND AN III'), '@#DFRENCH R@ 12 VEND 3');
+        assert.equal(normalizeFrenchRepublicanDate('ABT 18 BRUMAIRE AN VIII'), 'ABT @#DFRENCH R@ 18 BRUM 8');
+        assert.equal(normalizeFrenchRepublicanDate('3 NIVÔSE AN 5'), '@#DFRENCH R@ 3 NIVO 5');
+        assert.equal(normalizeFrenchRepublicanDate('12 MAR 1850'), '12 MAR 1850');
+    });
+
+    it('encodes a Gregorian sort key with the source calendar and text', () => {
+        assert.deepEqual(encodeGedcomDate('12 VEND AN III'), { d: 17941003, dc: 'f', dr: '12 VEND AN III' });
+        assert.deepEqual(encodeGedcomDate('@#DJULIAN@ 12 MAR 1700'), { d: 17000323, dc: 'j', dr: '@#DJULIAN@ 12 MAR 1700' });
+        assert.deepEqual(encodeGedcomDate('@#DHEBREW@ 14 ADS 5784'), { d: 20240324, dc: 'h', dr: '@#DHEBREW@ 14 ADS 5784' });
+
+        const model = parseGedcomDate('18 brumaire an VIII');
+        assert.equal(model.calendar, 'french-republican');
+        assert.deepEqual(model.original.date, { year: 8, month: 2, day: 18 });
+    });
+
+    it('restores the source calendar on decode', () => {
+        const encoded = encodeGedcomDate('ABT 3 nivôse an 5');
+        assert.equal(formatGedcomDate(decodeGedcomDate(encoded)), 'ABT @#DFRENCH R@ 3 NIVO 5');
+
+        const event = decompressEvent({ t: 'fb', ...encoded });
+        assert.equal(event.dateCalendar, 'french-republican');
+        assert.equal(event.dateOriginal, 'ABT 3 nivôse an 5');
+    });
+
+    it('sorts Republican and Gregorian dates together', () => {
+        const keys = ['1 JAN 1795', '12 VEND AN III', '20 SEP 1794'].map(s => encodeGedcomDate(s).d);
+        assert.deepEqual([...keys].sort((a, b) => a - b), [keys[2], keys[1], keys[0]]);
+    });
+});
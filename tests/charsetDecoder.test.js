@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCharset, decodeGedcomBuffer, decodeBytes, CHARSETS } from '../src/encoding/charsetDecoder.js';
+import { GeneaFanParser } from '../src/index.js';
+
+const gedcom = (charset, nameBytes) => Buffer.concat([
+    Buffer.from(`0 HEAD\n1 CHAR ${charset}\n0 @I1@ INDI\n1 NAME `),
+    Buffer.from(nameBytes),
+    Buffer.from('\n0 TRLR\n')
+]);
+
+describe('Charset decoding', () => {
+    it('detects BOMs and the declared CHAR', () => {
+        assert.equal(detectCharset(Buffer.from([0xEF, 0xBB, 0xBF, 0x30])).charset, CHARSETS.UTF8);
+        assert.equal(detectCharset(Buffer.from([0xFF, 0xFE, 0x30, 0x00])).charset, CHARSETS.UTF16LE);
+        assert.equal(detectCharset(Buffer.from([0xFE, 0xFF, 0x00, 0x30])).charset, CHARSETS.UTF16BE);
+        assert.deepEqual(detectCharset(gedcom('ANSI', [0x41])), { charset: CHARSETS.CP1252, declared: 'ANSI', source: 'header', hasBom: false });
+        assert.equal(detectCharset(gedcom('IBMPC', [0x41])).charset, CHARSETS.IBMPC);
+        assert.equal(detectCharset(gedcom('MACINTOSH', [0x41])).charset, CHARSETS.MACINTOSH);
+    });
+
+    it('decodes ANSEL combining diacritics placed before the base letter', () => {
+        // é, ü, ç, ş (cédille sur s : pas de forme précomposée courante dans les tables)
+        assert.equal(decodeBytes(Buffer.from([0xE2, 0x65, 0xE8, 0x75, 0xF0, 0x63, 0xF0, 0x73]), CHARSETS.ANSEL), 'éüçş');
+        // Deux diacritiques sur la même lettre : ṏ (o tilde tréma)
+        assert.equal(decodeBytes(Buffer.from([0xE4, 0xE8, 0x6F]), CHARSETS.ANSEL), 'ṏ'.normalize('NFC'));
+        assert.equal(decodeBytes(Buffer.from([0xA2, 0xB5, 0xCF]), CHARSETS.ANSEL), 'Øæß');
+    });
+
+    it('decodes CP1252, MacRoman and IBMPC high bytes', () => {
+        assert.equal(decodeBytes(Buffer.from([0x80, 0xE9, 0x9C]), CHARSETS.CP1252), '€éœ');
+        assert.equal(decodeBytes(Buffer.from([0x8E, 0x88, 0x8D]), CHARSETS.MACINTOSH), 'éàç');
+        assert.equal(decodeBytes(Buffer.from([0x82, 0x85, 0x87]), CHARSETS.IBMPC), 'éàç');
+    });
+
+    it('applies UTF-8 when an 8-bit declared file is really UTF-8', () => {
+        const decoded = decodeGedcomBuffer(gedcom('ANSI', Buffer.from('René /Durand/')));
+        assert.equal(decoded.detectedCharset, CHARSETS.CP1252);
+        assert.equal(decoded.appliedCharset, CHARSETS.UTF8);
+        assert.match(decoded.text, /René/);
+    });
+
+    it('reports the detected and applied charset in metadata', () => {
+        const parser = new GeneaFanParser();
+        const result = parser.parseSync(gedcom('ANSI', [0x52, 0x65, 0x6E, 0xE9, 0x20, 0x2F, 0x44, 0x75, 0x72, 0x61, 0x6E, 0x64, 0x2F]));
+
+        assert.equal(result.individualsCache.get('@I1@').fn, 'Durand|René');
+        assert.equal(result.metadata.charset.declared, 'ANSI');
+        assert.equal(result.metadata.charset.detected, CHARSETS.CP1252);
+        assert.equal(result.metadata.charset.applied, CHARSETS.CP1252);
+    });
+
+    it('honours forcedCharset', () => {
+        const parser = new GeneaFanParser({ forcedCharset: 'MACINTOSH' });
+        const result = parser.parseSync(gedcom('ANSI', [0x52, 0x65, 0x6E, 0x8E, 0x20, 0x2F, 0x44, 0x2F]));
+        assert.equal(result.individualsCache.get('@I1@').fn, 'D|René');
+        assert.equal(result.metadata.charset.source, 'forced');
+    });
+});
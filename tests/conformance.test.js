@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, checkGedcomStructure, STRUCTURE_RULES } from '../src/index.js';
+
+/**
+ * Fichier lisible par read-gedcom mais mal formé : I1 pointe vers une famille absente et
+ * cite un individu comme source, I2 se dit conjoint de F1 qui ne le cite pas, F1 cite
+ * un enfant I4 qui ne la cite pas, S1 n'est cité par personne, I3 n'a aucun lien
+ */
+const LINES = [
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8', '1 SUBM @U1@',
+    '0 @U1@ SUBM', '1 NAME Auteur',
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/', '1 FAMC @F9@', '1 FAMS @F1@', '1 SOUR @I2@', '1 _FOO valeur', '1 ZZZZ inconnu',
+    '0 @I2@ INDI', '1 NAME Marie /Durand/', '1 FAMS @F1@', `1 NOTE ${'x'.repeat(300)}`,
+    '0 @I3@ INDI', '1 NAME Isolé /Seul/',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 CHIL @I4@',
+    '0 @I4@ INDI', '1 NAME Enfant /Dupont/',
+    '0 @S1@ SOUR', '1 TITL Registre',
+    '0 TRLR'
+];
+const GEDCOM = LINES.join('\n');
+const lineOf = text => LINES.indexOf(text) + 1;
+
+const summary = ({ findings }) => findings.map(({ rule, pointers, line }) => ({ rule, pointers, line }));
+
+describe('Structural conformance', () => {
+    it('reports broken references, links, orphans and unknown tags with their line', () => {
+        const { conformance } = new GeneaFanParser().parseSync(Buffer.from(GEDCOM));
+
+        assert.deepEqual(summary(conformance), [
+            { rule: 'dangling-pointer', pointers: ['@I1@', '@F9@'], line: lineOf('1 FAMC @F9@') },
+            { rule: 'wrong-record-type', pointers: ['@I1@', '@I2@'], line: lineOf('1 SOUR @I2@') },
+            { rule: 'extension-tag', pointers: ['@I1@'], line: lineOf('1 _FOO valeur') },
+            { rule: 'unknown-tag', pointers: ['@I1@'], line: lineOf('1 ZZZZ inconnu') },
+            { rule: 'non-reciprocal-link', pointers: ['@I2@', '@F1@'], line: lineOf('0 @I2@ INDI') + 2 },
+            { rule: 'line-too-long', pointers: ['@I2@'], line: lineOf('0 @I2@ INDI') + 3 },
+            { rule: 'isolated-individual', pointers: ['@I3@'], line: lineOf('0 @I3@ INDI') },
+            { rule: 'non-reciprocal-link', pointers: ['@F1@', '@I4@'], line: lineOf('1 CHIL @I4@') },
+            { rule: 'orphan-record', pointers: ['@S1@'], line: lineOf('0 @S1@ SOUR') }
+        ]);
+        assert.equal(conformance.errors, 2);
+        assert.equal(conformance.warnings, 5);
+        assert.equal(conformance.infos, 2);
+        assert.equal(conformance.rules['non-reciprocal-link'], 2);
+        assert.equal(conformance.findings[0].message, 'FAMC pointe vers @F9@, absent du fichier');
+    });
+
+    it('reports what read-gedcom cannot parse', () => {
+        const report = checkGedcomStructure([
+            '0 @I1@ INDI', '1 NAME Jean /Dupont/', '1 BIRT', '3 DATE 1900', '2 PLAC Paris',
+            'ligne sans niveau', '0 @I1@ INDI', '1 NAME Doublon /Dupont/'
+        ].join('\r\n'));
+
+        assert.deepEqual(summary(report), [
+            { rule: 'isolated-individual', pointers: ['@I1@'], line: 1 },
+            { rule: 'missing-header', pointers: [], line: 1 },
+            { rule: 'level-jump', pointers: ['@I1@'], line: 4 },
+            { rule: 'invalid-line', pointers: ['@I1@'], line: 6 },
+            { rule: 'duplicate-pointer', pointers: ['@I1@'], line: 7 },
+            { rule: 'missing-trailer', pointers: [], line: null }
+        ]);
+        assert.ok(Object.keys(report.rules).every(rule => rule in STRUCTURE_RULES));
+    });
+
+    it('gives the same report in every parsing mode', async () => {
+        const expected = new GeneaFanParser().parseSync(Buffer.from(GEDCOM)).conformance;
+        const parallel = await new GeneaFanParser({ workers: 2, shardSize: 2 }).parse(Buffer.from(GEDCOM));
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([Buffer.from(GEDCOM)]), { batchSize: 2 });
+
+        assert.deepEqual(parallel.conformance, expected);
+        assert.deepEqual(streamed.conformance, expected);
+        assert.deepEqual(new GeneaFanParser({ checkStructure: false }).parseSync(Buffer.from(GEDCOM)).conformance, {});
+    });
+
+    it('checks GEDCOM 7 files before normalization', async () => {
+        const buffer = readFileSync(new URL('./data/sample7.ged', import.meta.url));
+        const { conformance } = new GeneaFanParser().parseSync(buffer);
+
+        // SNOTE, PHRASE, SCHMA sont connus ; _SKYPEID est déclaré dans HEAD.SCHMA
+        assert.deepEqual(summary(conformance), [{ rule: 'orphan-record', pointers: ['@O2@'], line: 76 }]);
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([buffer]), { batchSize: 1 });
+        assert.deepEqual(streamed.conformance, conformance);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import {
+    GeneaFanParser,
+    parseCoordinate,
+    parseCoordinates,
+    parseCoordinateText,
+    extractGeolocation
+} from '../src/index.js';
+
+const place = (name, lati, long) => ['1 RESI', `2 PLAC ${name}`, '3 MAP', `4 LATI ${lati}`, `4 LONG ${long}`];
+const gedcom = places => Buffer.from([
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8',
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/', ...places.flat(),
+    '0 TRLR'
+].join('\n'));
+
+const PLACES = [
+    place('Paris', '48°51\'24"N', '2°21\'08"E'),
+    place('Lyon', '45,7640', '4,8357'),
+    place('Brest', 'W4.4861', 'N48.3904'),
+    place('Rio de Janeiro', '22D54M30SS', '43D10M20SW'),
+    place('Atlantide', 'N95.5', 'E2')
+];
+
+const coordinates = store => Object.fromEntries(Object.entries(store)
+    .map(([key, town]) => [key, [town.latitude, town.longitude, town._coordsIssues]]));
+
+describe('Coordinate parsing', () => {
+    it('reads decimal, DM and DMS values with hemispheres and decimal commas', () => {
+        const values = {
+            '48.8566': 48.8566,
+            '48,8566': 48.8566,
+            '-2.35': -2.35,
+            'N48.8566': 48.8566,
+            '48.8566S': -48.8566,
+            '2,35 O': -2.35,
+            '48°51\'30"N': 48.858333,
+            '48º51′30″': 48.858333,
+            '48 51 30 W': -48.858333,
+            '48D51M30S': 48.858333,
+            '48D51M30SS': -48.858333,
+            '48°51,5\'N': 48.858333,
+            '48D51.5M': 48.858333
+        };
+        for (const [text, expected] of Object.entries(values)) {
+            assert.equal(parseCoordinate(text).value, expected, text);
+        }
+
+        assert.equal(parseCoordinate('N48').axis, 'latitude');
+        assert.equal(parseCoordinate('2.3 E').axis, 'longitude');
+        assert.match(parseCoordinate('48°75\'N').error, /Minutes ou secondes hors limites/);
+        assert.match(parseCoordinate('-48N').error, /Signe et hémisphère contradictoires/);
+        assert.match(parseCoordinate('environ 48').error, /Coordonnée illisible/);
+        assert.match(parseCoordinate('95.2', 'latitude').error, /Latitude hors limites \(±90\) : 95.2/);
+        assert.match(parseCoordinate('E2', 'latitude').error, /Hémisphère E incompatible/);
+    });
+
+    it('checks pairs: swapped axes, out-of-range values, free-form text', () => {
+        assert.deepEqual(parseCoordinates('E2.3522', 'N48.8566'),
+            { latitude: 48.8566, longitude: 2.3522, swapped: true, issue: 'Latitude et longitude inversées' });
+        assert.deepEqual(parseCoordinates('120.5', '45.2'),
+            { latitude: 45.2, longitude: 120.5, swapped: true, issue: 'Latitude et longitude inversées' });
+        assert.deepEqual(parseCoordinates('N0', 'E0'), { latitude: 0, longitude: 0, swapped: false, issue: null });
+        assert.match(parseCoordinates('45', '190').issue, /Longitude hors limites \(±180\) : 190/);
+        assert.match(parseCoordinates('N45', 'S2').issue, /Deux latitudes/);
+        assert.match(parseCoordinates('45', '').issue, /Longitude absente/);
+
+        for (const text of ['48.8566, 2.3522', '48,8566; 2,3522', '48.8566,2.3522', '48,8566,2,3522', '48.8566N2.3522E']) {
+            assert.deepEqual(parseCoordinateText(text), { latitude: 48.8566, longitude: 2.3522, swapped: false, issue: null }, text);
+        }
+        for (const text of ['48°51\'30"N 2°17\'40"E', '48 51 30 N 2 17 40 E', '48 51 30 2 17 40']) {
+            const { latitude, longitude } = parseCoordinateText(text);
+            assert.deepEqual([latitude, longitude], [48.858333, 2.294444], text);
+        }
+        assert.match(parseCoordinateText('vers Lyon').issue, /Coordonnée illisible : "vers"/);
+        assert.match(parseCoordinateText('inconnu').issue, /Coordonnées illisibles/);
+    });
+
+    it('keeps every place coordinate and reports rejected ones per place', async () => {
+        const result = new GeneaFanParser().parseSync(gedcom(PLACES));
+        assert.deepEqual(coordinates(result.familyTownsStore), {
+            paris: ['48.856667', '2.352222', undefined],
+            lyon: ['45.764', '4.8357', undefined],
+            brest: ['48.3904', '-4.4861', ['Latitude et longitude inversées']],
+            'rio-de-janeiro': ['-22.908333', '-43.172222', undefined],
+            atlantide: ['', '', ['Latitude hors limites (±90) : 95.5']]
+        });
+
+        // Même résultat en streaming (lots de 1 individu)
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([gedcom(PLACES)]), { batchSize: 1 });
+        assert.deepEqual(streamed.familyTownsStore, result.familyTownsStore);
+
+        const tree = [{ tag: 'MAP', tree: [{ tag: 'LATI', data: '45,7640' }, { tag: 'LONG', data: '4°50\'8.5"E' }] }];
+        assert.deepEqual(extractGeolocation(tree), { latitude: 45.764, longitude: 4.835694, issue: null });
+    });
+});
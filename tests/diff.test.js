@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, diffResults, applyPatch } from '../src/index.js';
+
+const gedcom = records => Buffer.from(['0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8', ...records, '0 TRLR'].join('\n'));
+const parse = records => new GeneaFanParser().parseSync(gedcom(records));
+
+const PREVIOUS = [
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/', '1 SEX M', '1 BIRT', '2 DATE 1900', '2 PLAC Paris', '1 SOUR @S1@', '1 FAMS @F1@',
+    '0 @I2@ INDI', '1 NAME Marie /Martin/', '1 SEX F', '1 _UID 4F2A9C1E-0B7D-4E11-9A3C-5D6E7F809A1B', '1 FAMS @F1@',
+    '0 @I3@ INDI', '1 NAME Paul /Durand/', '1 SEX M', '1 RIN 17',
+    '0 @I4@ INDI', '1 NAME Louis /Leroy/', '1 SEX M',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 MARR', '2 DATE 1925',
+    '0 @S1@ SOUR', '1 TITL Registre paroissial'
+];
+
+/**
+ * Un mois plus tard : Jean a un deuxième prénom, un décès, un fils et une note ; le logiciel
+ * a renuméroté Marie (@I20@, même _UID) et Paul (@I30@, même RIN) ; Louis a disparu
+ */
+const CURRENT = [
+    '0 @I1@ INDI', '1 NAME Jean Pierre /Dupont/', '1 SEX M', '1 BIRT', '2 DATE 1900', '2 PLAC Paris',
+    '1 DEAT', '2 DATE 1970', '2 PLAC Lyon', '1 SOUR @S1@', '1 SOUR @S2@', '1 FAMS @F1@', '1 NOTE Cordonnier',
+    '0 @I20@ INDI', '1 NAME Marie /Martin/', '1 SEX F', '1 _UID {4f2a9c1e0b7d4e119a3c5d6e7f809a1b}', '1 FAMS @F1@',
+    '0 @I30@ INDI', '1 NAME Paul /Durand/', '1 SEX M', '1 RIN 17',
+    '0 @I5@ INDI', '1 NAME Pierre /Dupont/', '1 SEX M', '1 BIRT', '2 DATE 1930', '1 FAMC @F1@',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I20@', '1 CHIL @I5@', '1 MARR', '2 DATE 1925',
+    '0 @S1@ SOUR', '1 TITL Registre paroissial',
+    '0 @S2@ SOUR', '1 TITL État civil de Lyon'
+];
+
+const CACHES = ['individualsCache', 'notesCache', 'sourcesCache', 'mediaCache', 'repositoriesCache', 'familyTownsStore'];
+const caches = result => Object.fromEntries(CACHES.map(name => [name, result[name]]));
+// Copie telle que stockée en JSON (Map → objet)
+const toJson = result => JSON.parse(JSON.stringify(Object.fromEntries(CACHES.map(name =>
+    [name, result[name] instanceof Map ? Object.fromEntries(result[name]) : result[name]]))));
+
+describe('Tree diff', () => {
+    it('matches individuals by pointer, then _UID, then RIN', () => {
+        const { individuals, statistics } = diffResults(parse(PREVIOUS), parse(CURRENT));
+
+        assert.deepEqual(individuals.added, ['@I5@']);
+        assert.deepEqual(individuals.removed, ['@I4@']);
+        assert.deepEqual(individuals.modified.map(({ pointer, previousPointer, matchedBy }) => [pointer, previousPointer, matchedBy]), [
+            ['@I1@', '@I1@', 'pointer'],
+            ['@I20@', '@I2@', 'uid']
+        ]);
+        assert.equal(statistics.renamed, 2);
+        assert.equal(statistics.unchanged, 1);
+    });
+
+    it('reports field-level changes with the new pointers', () => {
+        const { individuals, records } = diffResults(parse(PREVIOUS), parse(CURRENT));
+        const [jean, marie] = individuals.modified;
+
+        assert.deepEqual(jean.changes, [
+            { type: 'name', field: 'name', action: 'modified', before: 'Dupont|Jean', after: 'Dupont|Jean Pierre' },
+            { type: 'event', field: 'death', action: 'added', after: { t: 'fd', d: 19700000, l: 'lyon' } },
+            { type: 'relation', field: 'child', action: 'added', after: '@I5@' },
+            { type: 'note', action: 'added', after: 'Cordonnier' },
+            { type: 'source', action: 'added', after: '@S2@' }
+        ]);
+        // Renumérotée, Marie n'a changé que par la naissance de son fils
+        assert.deepEqual(marie.changes, [{ type: 'relation', field: 'child', action: 'added', after: '@I5@' }]);
+        assert.deepEqual(records.sources, { added: ['@S2@'], removed: [], modified: [] });
+        assert.deepEqual(records.places.added, ['lyon']);
+    });
+
+    it('produces a JSON patch that updates the previous caches', () => {
+        const previous = parse(PREVIOUS);
+        const current = parse(CURRENT);
+        const { patch } = diffResults(previous, current);
+
+        assert.ok(patch.every(({ path }) => /^\/(individualsCache|notesCache|sourcesCache|familyTownsStore)\//.test(path)));
+        assert.deepEqual(JSON.parse(JSON.stringify(patch)), patch);
+
+        // Sur les Map du parsing comme sur la copie JSON
+        assert.deepEqual(applyPatch(caches(previous), patch), caches(current));
+        assert.deepEqual(applyPatch(toJson(parse(PREVIOUS)), patch), toJson(current));
+        assert.throws(() => applyPatch(toJson(previous), [{ op: 'remove', path: '/individualsCache/@I9@' }]), /Chemin absent/);
+    });
+
+    it('finds nothing to change between two imports of the same file', () => {
+        const buffer = readFileSync(new URL('./data/TGC551.ged', import.meta.url));
+        const result = new GeneaFanParser().parseSync(buffer);
+        const diff = diffResults(result, new GeneaFanParser().parseSync(buffer));
+
+        assert.deepEqual(diff.patch, []);
+        assert.equal(diff.statistics.unchanged, result.individualsCache.size);
+        assert.equal(result.individualsCache.get('@PERSON1@').r, '12');
+    });
+});
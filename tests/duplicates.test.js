@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, findDuplicates, soundex } from '../src/index.js';
+
+/**
+ * A et B : même personne saisie deux fois (Dupont / Dupond) ; C : homonyme de date approximative ;
+ * E : homonyme né 50 ans plus tard ; D : sœur ; M : autre nom, jamais comparé
+ */
+const caches = {
+    individualsCache: new Map(Object.entries({
+        '@P@': { fn: 'DUPONT|Louis', g: 'M', e: [{ t: 'fb', d: 18700000 }] },
+        '@A@': { fn: 'DUPONT|Jean Pierre', g: 'M', f: '@P@', e: [
+            { t: 'fb', d: 19000101, l: 'paris' }, { t: 'fd', d: 19700505, l: 'lyon' }
+        ] },
+        '@B@': { fn: 'DUPOND|Jean-Pierre', g: 'M', f: '@P@', e: [{ t: 'fb', d: 19000101, l: 'paris' }] },
+        '@C@': { fn: 'DUPONT|Jean', g: 'M', e: [{ t: 'fb', d: 19010000, dq: 'ab', l: 'versailles' }] },
+        '@D@': { fn: 'DUPONT|Marie', g: 'F', f: '@P@', e: [{ t: 'fb', d: 19030000 }] },
+        '@E@': { fn: 'DUPONT|Jean Pierre', g: 'M', e: [{ t: 'fb', d: 19500101, l: 'paris' }] },
+        '@M@': { fn: 'MARTIN|Jean Pierre', g: 'M', f: '@P@', e: [{ t: 'fb', d: 19000101, l: 'paris' }] }
+    })),
+    familyTownsStore: {
+        paris: { town: 'Paris', departement: 'Paris', country: 'France' },
+        versailles: { town: 'Versailles', departement: 'Yvelines', country: 'France' },
+        lyon: { town: 'Lyon', departement: 'Rhône', country: 'France' }
+    }
+};
+
+const fields = entries => entries.map(({ field, level }) => `${field}:${level}`);
+
+describe('Duplicate detection', () => {
+    it('ranks candidate pairs and explains the matching fields', () => {
+        const { candidates, statistics } = findDuplicates(caches, { minScore: 0 });
+
+        assert.deepEqual(candidates.map(({ pointers }) => pointers), [['@A@', '@B@'], ['@A@', '@C@'], ['@B@', '@C@']]);
+        const [best] = candidates;
+        assert.equal(best.score, 0.963);
+        assert.deepEqual(fields(best.matches), [
+            'given:exact', 'surname:phonetic', 'birthDate:exact', 'birthPlace:exact', 'parents:same'
+        ]);
+        assert.deepEqual(best.conflicts, []);
+        assert.deepEqual(best.matches[1].values, ['DUPONT', 'DUPOND']);
+
+        const approximate = candidates[1];
+        assert.deepEqual(fields(approximate.matches), ['given:first-name', 'surname:exact', 'birthDate:close']);
+        assert.ok(approximate.score < best.score);
+
+        // Bloc DUPONT 1900-1909 : A, B, C, D (D exclue : autre sexe) ; E et M ne sont comparés à personne
+        assert.equal(statistics.individuals, 7);
+        assert.equal(statistics.comparisons, 6);
+    });
+
+    it('keeps the pairs above minScore only', () => {
+        const { candidates } = findDuplicates(caches);
+        assert.deepEqual(candidates.map(({ pointers }) => pointers), [['@A@', '@B@']]);
+        assert.equal(findDuplicates(caches, { minScore: 0.99 }).candidates.length, 0);
+        assert.equal(soundex('Dupont'), soundex('Du Pond'));
+    });
+
+    it('reports date and place contradictions', () => {
+        const individualsCache = new Map(Object.entries({
+            '@X@': { fn: 'DURAND|Paul', g: 'M', e: [{ t: 'fb', d: 18500312 }, { t: 'fd', d: 19100000, l: 'paris' }] },
+            '@Y@': { fn: 'DURANT|Paul', g: 'M', e: [{ t: 'fb', d: 18500312 }, { t: 'fd', d: 18800000, l: 'lyon' }] }
+        }));
+        const [pair] = findDuplicates({ individualsCache, familyTownsStore: caches.familyTownsStore }, { minScore: 0 }).candidates;
+
+        assert.deepEqual(fields(pair.conflicts), ['deathDate:conflict']);
+        assert.deepEqual(fields(pair.matches), ['given:exact', 'surname:phonetic', 'birthDate:exact']);
+        assert.deepEqual(pair.conflicts[0].values, [19100000, 18800000]);
+    });
+
+    it('compares a bounded number of pairs on large trees', () => {
+        // 20 000 individus, 2 000 noms (une dizaine d'homonymes par nom), 8 prénoms, 300 ans
+        const consonants = 'bcdfglmnprstv';
+        const vowels = 'aeiou';
+        const given = ['Jean', 'Marie', 'Pierre', 'Louis', 'Anne', 'Jacques', 'François', 'Catherine'];
+        const individualsCache = new Map();
+        for (let i = 0; i < 20000; i++) {
+            const k = i % 2000;
+            const surname = consonants[k % 13] + vowels[k % 5] + consonants[Math.floor(k / 13) % 13] +
+                vowels[Math.floor(k / 65) % 5] + consonants[Math.floor(k / 169) % 13];
+            individualsCache.set(`@I${i}@`, {
+                fn: `${surname.toUpperCase()}|${given[(i * 7) % 8]}`,
+                g: i % 2 ? 'M' : 'F',
+                e: i % 5 ? [{ t: 'fb', d: (1600 + (i * 13) % 300) * 10000 + 101 }] : []
+            });
+        }
+
+        const { statistics } = findDuplicates({ individualsCache });
+        assert.equal(statistics.individuals, 20000);
+        // Comparaison exhaustive : 2 × 10⁸ paires
+        assert.ok(statistics.comparisons < 20000 * 10, `${statistics.comparisons} comparaisons`);
+    });
+
+    it('compares an oversized block by sliding window', () => {
+        // 1 000 homonymes sans date, dont un doublon (Dupont / Dupond) : un seul bloc, même par prénom
+        const individualsCache = new Map();
+        for (let i = 0; i < 998; i++) {
+            individualsCache.set(`@I${i}@`, { fn: 'DUPONT|Jean', g: 'M', e: i % 2 ? [{ t: 'fb', l: `lieu${i}` }] : [] });
+        }
+        individualsCache.set('@J1@', { fn: 'DUPONT|Jean', g: 'M', f: '@I0@', e: [{ t: 'fb', l: 'paris' }] });
+        individualsCache.set('@J2@', { fn: 'DUPOND|Jean', g: 'M', f: '@I0@', e: [{ t: 'fb', l: 'paris' }] });
+
+        const { candidates, statistics } = findDuplicates({ individualsCache, familyTownsStore: caches.familyTownsStore });
+        assert.equal(statistics.blocks, 1);
+        // 20 voisins par membre au lieu de 1000 × 999 / 2 = 499 500 paires
+        assert.equal(statistics.comparisons, 20 * (1000 - 20) + 20 * 19 / 2);
+        assert.deepEqual(candidates.map(({ pointers }) => pointers), [['@J1@', '@J2@']]);
+        assert.equal(findDuplicates({ individualsCache }, { windowSize: 5 }).statistics.comparisons, 5 * (1000 - 5) + 5 * 4 / 2);
+    });
+
+    it('finds no duplicate in a tree without one', () => {
+        const result = new GeneaFanParser().parseSync(readFileSync(new URL('./data/TGC551.ged', import.meta.url)));
+        assert.deepEqual(findDuplicates(result).candidates, []);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, GedzipArchive, normalizeGedcom7, isGedcom7, encodeGedcomDate, CHARSETS } from '../src/index.js';
+
+const readSample = (sample) => readFileSync(new URL(`./data/${sample}`, import.meta.url));
+
+// Caches comparables (les octets des médias sont vérifiés à part)
+const comparable = (result) => ({
+    individuals: [...result.individualsCache],
+    notes: [...result.notesCache],
+    media: [...result.mediaCache].map(([pointer, { data, ...media }]) => [pointer, media])
+});
+
+describe('GEDCOM 7.0', () => {
+    it('normalizes 7.0 structures to their 5.5.1 equivalent', () => {
+        const text = [
+            '0 HEAD', '1 GEDC', '2 VERS 7.0',
+            '0 @I1@ INDI', '1 BIRT', '2 DATE 1 JAN 1900', '3 PHRASE Jour de l\'an', '1 SNOTE @N1@',
+            '1 FAMC @VOID@', '2 PEDI BIRTH',
+            '0 @N1@ SNOTE Texte',
+            '0 @O1@ OBJE', '1 FILE photo.png', '2 FORM image/png',
+            '0 TRLR'
+        ].join('\r\n');
+
+        assert.equal(isGedcom7(text), true);
+        assert.equal(isGedcom7('0 HEAD\n1 SOUR APP\n2 VERS 7.1\n1 GEDC\n2 VERS 5.5.1\n'), false);
+        assert.equal(normalizeGedcom7(text), [
+            '0 HEAD', '1 GEDC', '2 VERS 7.0',
+            '0 @I1@ INDI', '1 BIRT', '2 DATE 1 JAN 1900 (Jour de l\'an)', '1 NOTE @N1@',
+            '0 @N1@ NOTE Texte',
+            '0 @O1@ OBJE', '1 FILE photo.png', '2 FORM png',
+            '0 TRLR'
+        ].join('\n'));
+    });
+
+    it('reads the 7.0 date grammar', () => {
+        assert.deepEqual(encodeGedcomDate('JULIAN 20 FEB 1700'), { d: 17000302, dc: 'j', dr: 'JULIAN 20 FEB 1700' });
+        assert.deepEqual(encodeGedcomDate('44 BCE'), { d: -440000 });
+        assert.deepEqual(encodeGedcomDate('BET 1720 AND 1730 (Apprentissage)'),
+            { d: 17200000, dq: 'bt', du: 17300000, dt: 'Apprentissage' });
+    });
+
+    it('parses a 7.0 file into the usual caches', () => {
+        const result = new GeneaFanParser().parseSync(readSample('sample7.ged'));
+        const jean = result.individualsCache.get('@I1@');
+
+        assert.equal(result.metadata.gedcomVersion, '7.0');
+        assert.equal(result.metadata.charset.applied, CHARSETS.UTF8);
+        assert.equal(result.metadata.placeHierarchy, 'City, County, State, Country');
+        assert.deepEqual(result.metadata.extensionTags, {
+            _SKYPEID: 'http://xmlns.com/foaf/0.1/skypeID',
+            _MEMBER: 'http://xmlns.com/foaf/0.1/member'
+        });
+
+        assert.deepEqual(jean.tn, { ru: 'Martinov|Ivan' });
+        assert.deepEqual(jean.x, [{ i: '12345', t: 'https://www.familysearch.org/tree/person/' }, { i: 'ABCD-EFG' }]);
+        assert.deepEqual(jean.no, [{ t: 'fd', d: 17000000, dq: 'bf' }]);
+
+        const [birth, christening, occupation] = jean.e;
+        assert.equal(birth.ds, 17000302);
+        assert.equal(birth.dc, 'j');
+        assert.deepEqual(christening, { t: 'ft', dq: 'ph', dt: 'Peu après la naissance' });
+        assert.equal(occupation.dt, 'Pendant son apprentissage');
+
+        // @VOID@ : ni famille fantôme ni enfant inconnu
+        assert.equal(result.individualsCache.get('@I2@').f, undefined);
+        assert.deepEqual(result.individualsCache.get('@I3@').b, undefined);
+        assert.equal(result.individualsCache.get('@I3@').e[0].d, -440000);
+
+        assert.deepEqual(result.notesCache.get('@N1@').individuals, ['@I1@']);
+        assert.deepEqual(result.notesCache.get('@N1@').translations,
+            [{ text: 'Shared note about the Martin family.', language: 'en', mime: null }]);
+        assert.equal(result.mediaCache.get('@O1@').format, 'jpg');
+        assert.equal(result.mediaCache.get('@O1@').title, 'Portrait de Jean');
+    });
+
+    it('gives the same caches when streamed', async () => {
+        const parser = new GeneaFanParser();
+        const individuals = new Map();
+        // ReadableStream web (ReadableStream.from n'existe qu'à partir de Node 20.6)
+        const stream = new ReadableStream({
+            start(controller) {
+                controller.enqueue(readSample('sample7.ged'));
+                controller.close();
+            }
+        });
+        const streamed = await parser.parseStream(stream, {
+            batchSize: 2,
+            onBatch: (batch) => batch.individuals.forEach((individual, pointer) => individuals.set(pointer, individual))
+        });
+        const result = parser.parseSync(readSample('sample7.ged'));
+
+        assert.deepEqual(individuals, result.individualsCache);
+        assert.deepEqual(streamed.notesCache, result.notesCache);
+    });
+});
+
+describe('GEDZIP', () => {
+    it('lists and reads archive entries', async () => {
+        const archive = new GedzipArchive(readSample('sample7.gdz'));
+
+        assert.equal(GedzipArchive.isGedzip(readSample('sample7.gdz')), true);
+        assert.equal(GedzipArchive.isGedzip(readSample('sample7.ged')), false);
+        assert.deepEqual(archive.mediaPaths.sort(), ['media/acte.pdf', 'media/portrait jean.jpg']);
+        assert.equal(archive.resolve('./media/portrait%20jean.jpg'), 'media/portrait jean.jpg');
+        assert.equal(archive.resolve('https://example.org/jean.png'), null);
+        assert.deepEqual(await archive.read('gedcom.ged'), new Uint8Array(readSample('sample7.ged')));
+        assert.deepEqual(archive.readSync('media/acte.pdf'), await archive.read('media/acte.pdf'));
+    });
+
+    it('parses the GEDCOM and resolves archived media into mediaCache', async () => {
+        const data = readSample('sample7.gdz');
+        const result = await new GeneaFanParser().parse(data);
+        const portrait = result.mediaCache.get('@O1@');
+        const deed = result.mediaCache.get('@O2@');
+
+        assert.deepEqual(result.metadata.archive, { format: 'gedzip', files: 2, resolvedMedia: 2 });
+        assert.equal(portrait.size, 14);
+        assert.deepEqual([...portrait.data.subarray(0, 3)], [0xFF, 0xD8, 0xFF]);
+        assert.equal(new TextDecoder().decode(deed.data.subarray(0, 8)), '%PDF-1.4');
+        assert.equal(deed.size, deed.data.length);
+
+        assert.deepEqual(comparable(new GeneaFanParser().parseSync(data)), comparable(result));
+        const plain = comparable(new GeneaFanParser().parseSync(readSample('sample7.ged')));
+        assert.deepEqual(comparable(result).individuals, plain.individuals);
+    });
+
+    it('rejects a zip without gedcom.ged', () => {
+        const archive = readSample('sample7.gdz');
+        // Renomme gedcom.ged dans le répertoire central
+        const bytes = new Uint8Array(archive);
+        const name = new TextEncoder().encode('gedcom.ged');
+        const central = Buffer.from(bytes).lastIndexOf(Buffer.from(name));
+        bytes[central] = 0x78;
+
+        assert.throws(() => new GedzipArchive(bytes), /gedcom\.ged absent/);
+    });
+});
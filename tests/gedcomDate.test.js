@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGedcomDate, encodeGedcomDate, decodeGedcomDate, formatGedcomDate } from '../src/dates/gedcomDate.js';
+import { compressEvent, decompressEvent } from '../src/compression/eventCompression.js';
+
+describe('GEDCOM dates', () => {
+    it('encodes exact and partial dates with 00 for unknown parts', () => {
+        assert.deepEqual(encodeGedcomDate('20 JUL 1929'), { d: 19290720 });
+        assert.deepEqual(encodeGedcomDate('MAR 1850'), { d: 18500300 });
+        assert.deepEqual(encodeGedcomDate('1850'), { d: 18500000 });
+    });
+
+    it('encodes approximations, ranges and periods', () => {
+        assert.deepEqual(encodeGedcomDate('ABT 1850'), { d: 18500000, dq: 'ab' });
+        assert.deepEqual(encodeGedcomDate('CAL MAR 1850'), { d: 18500300, dq: 'ca' });
+        assert.deepEqual(encodeGedcomDate('EST 1800'), { d: 18000000, dq: 'es' });
+        assert.deepEqual(encodeGedcomDate('BEF 1900'), { d: 19000000, dq: 'bf' });
+        assert.deepEqual(encodeGedcomDate('AFT 12 FEB 1850'), { d: 18500212, dq: 'af' });
+        assert.deepEqual(encodeGedcomDate('BET 1820 AND 1825'), { d: 18200000, dq: 'bt', du: 18250000 });
+        assert.deepEqual(encodeGedcomDate('FROM 1914 TO 1918'), { d: 19140000, dq: 'ft', du: 19180000 });
+        assert.deepEqual(encodeGedcomDate('FROM 1914'), { d: 19140000, dq: 'fr' });
+        assert.deepEqual(encodeGedcomDate('TO 1918'), { d: 19180000, dq: 'to' });
+    });
+
+    it('keeps interpreted dates and phrases', () => {
+        assert.deepEqual(encodeGedcomDate('INT 1850 (vers la fin du siècle)'), { d: 18500000, dq: 'in', dt: 'vers la fin du siècle' });
+        assert.deepEqual(encodeGedcomDate('(pendant la guerre)'), { dq: 'ph', dt: 'pendant la guerre' });
+        assert.deepEqual(encodeGedcomDate('le jour de Noël'), { dq: 'ph', dt: 'le jour de Noël' });
+    });
+
+    it('tolerates lowercase keywords, dual years and B.C. dates', () => {
+        assert.deepEqual(encodeGedcomDate('abt. 1850'), { d: 18500000, dq: 'ab' });
+        assert.equal(encodeGedcomDate('1 MAR 1750/51').d, 17510301);
+        const bc = encodeGedcomDate('44 B.C.');
+        assert.deepEqual(decodeGedcomDate(bc).date, { year: -44, month: null, day: null });
+    });
+
+    it('round-trips through decode and format', () => {
+        const samples = [
+            '20 JUL 1929', 'MAR 1850', 'ABT 1850', 'BEF 1900', 'AFT 12 FEB 1850',
+            'BET 1820 AND 1825', 'FROM 1914 TO 1918', 'FROM 1914', 'TO 1918',
+            'INT 1850 (vers la fin du siècle)', '(pendant la guerre)'
+        ];
+        for (const sample of samples) {
+            const parsed = parseGedcomDate(sample);
+            const decoded = decodeGedcomDate(encodeGedcomDate(sample));
+            assert.deepEqual(decoded, { raw: null, qualifier: parsed.qualifier, calendar: parsed.calendar, date: parsed.date, endDate: parsed.endDate, phrase: parsed.phrase });
+            assert.equal(formatGedcomDate(decoded), sample);
+        }
+    });
+
+    it('encodes dual years reversibly in every position', () => {
+        assert.deepEqual(encodeGedcomDate('1 JAN 1850/51'), { d: 18510101, dr: '1 JAN 1850/51' });
+        assert.deepEqual(encodeGedcomDate('1850/51'), { d: 18510000, dr: '1850/51' });
+        assert.deepEqual(encodeGedcomDate('ABT 1850/51'), { d: 18510000, dq: 'ab', dr: 'ABT 1850/51' });
+        assert.deepEqual(encodeGedcomDate('BET 1699/00 AND 1701'), { d: 17000000, dq: 'bt', du: 17010000, dr: 'BET 1699/00 AND 1701' });
+        // Seconde année incohérente : pas une année double
+        assert.deepEqual(encodeGedcomDate('1850/53'), { dq: 'ph', dt: '1850/53' });
+
+        const samples = [
+            '1 JAN 1850/51', '1850/51', 'MAR 1750/1751', 'ABT 1850/51', 'BEF 10 MAR 1699/00',
+            'BET 1699/00 AND 1701', 'FROM 1750/51 TO 1760', 'INT 1850/51 (vers la fin du siècle)',
+            '@#DJULIAN@ 1 JAN 1750/51'
+        ];
+        for (const sample of samples) {
+            const encoded = encodeGedcomDate(sample);
+            assert.equal(encoded.dr, sample, sample);
+            assert.equal(formatGedcomDate(decodeGedcomDate(encoded)), sample, sample);
+            assert.equal(decompressEvent({ t: 'fb', ...encoded }).gedcomDate, sample, sample);
+            assert.deepEqual(compressEvent(decompressEvent({ t: 'fb', ...encoded })), { t: 'fb', ...encoded }, sample);
+        }
+    });
+
+    it('sorts year-only dates before precise dates of the same year', () => {
+        const keys = ['1 JAN 1850', '1850', 'DEC 1849'].map(s => encodeGedcomDate(s).d).sort((a, b) => a - b);
+        assert.deepEqual(keys, [18491200, 18500000, 18500101]);
+    });
+
+    it('gives back the date semantics from decompressEvent', () => {
+        const event = decompressEvent({ t: 'fb', d: 18200000, dq: 'bt', du: 18250000 });
+        assert.equal(event.type, 'birth');
+        assert.equal(event.date, '1820');
+        assert.equal(event.dateQualifier, 'between');
+        assert.equal(event.dateEnd, '1825');
+        assert.equal(event.gedcomDate, 'BET 1820 AND 1825');
+        assert.equal(decompressEvent({ t: 'fb', d: 19290101 }).date, '1/1/1929');
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+    GeneaFanParser,
+    BundledGeoDataProvider,
+    MemoryGeoDataProvider,
+    HttpGeoDataProvider,
+    extractPlaceComponents,
+    extractPlaceComponentsSync
+} from '../src/index.js';
+
+const gedcom = places => Buffer.from([
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8',
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/',
+    ...places.flatMap(place => ['1 RESI', `2 PLAC ${place}`]),
+    '0 TRLR'
+].join('\n'));
+
+// Réponse de l'API geo-data : un pays imaginaire et un département renommé
+const API_DATA = {
+    countries: { continents: [{ countries: [{ name: { FR: 'Freedonie' }, code: 'FD', key: { FR: 'freedonie', EN: 'Freedonia' } }] }] },
+    departments: { nord: { code: '59', name: 'Nord (API)', region: 'Hauts-de-France', departementColor: '#336699' } }
+};
+
+describe('Geo data providers', () => {
+    it('uses the bundled data by default, without any network access', async () => {
+        const fetch = globalThis.fetch;
+        let calls = 0;
+        globalThis.fetch = async () => {
+            calls++;
+            throw new Error('réseau interdit');
+        };
+        try {
+            const result = await new GeneaFanParser().parse(gedcom(['Belgique', 'Freedonie']));
+            assert.equal(result.familyTownsStore.belgique.country, 'Belgique');
+            assert.equal(result.familyTownsStore.freedonie.country, '');
+            assert.equal(calls, 0);
+        } finally {
+            globalThis.fetch = fetch;
+        }
+
+        const components = await extractPlaceComponents('Glageon (59)', new BundledGeoDataProvider());
+        assert.deepEqual([components.department, components.country], ['Nord', 'France']);
+    });
+
+    it('looks countries and departments up in the injected data', () => {
+        const geoDataProvider = new MemoryGeoDataProvider(API_DATA);
+        const result = new GeneaFanParser({ geoDataProvider }).parseSync(gedcom(['Belgique', 'Freedonie']));
+        assert.equal(result.familyTownsStore.freedonie.country, 'Freedonie');
+        assert.equal(result.familyTownsStore.belgique.country, '');
+
+        const components = extractPlaceComponentsSync('Glageon, 59310', geoDataProvider.loadSync());
+        assert.equal(components.department, 'Nord (API)');
+        assert.equal(components.region, 'Hauts-de-France');
+        assert.equal(components.departmentColor, '#336699');
+        assert.equal(components.postalCode, '59310');
+
+        assert.throws(() => new MemoryGeoDataProvider(null), /Données géographiques invalides/);
+    });
+
+    describe('HTTP provider', () => {
+        let server;
+        let baseUrl;
+        let requests = 0;
+
+        before(async () => {
+            server = createServer((request, response) => {
+                requests++;
+                if (request.url !== '/api/geo-data') {
+                    response.writeHead(500).end();
+                    return;
+                }
+                response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(API_DATA));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => new Promise(resolve => server.close(resolve)));
+
+        it('downloads the data once and shares it with synchronous parses', async () => {
+            requests = 0;
+            const geoDataProvider = new HttpGeoDataProvider({ url: `${baseUrl}/api/geo-data` });
+
+            // Avant téléchargement : repli sur les données embarquées
+            assert.equal(geoDataProvider.loadSync().departments['59'], 'Nord');
+
+            const parser = new GeneaFanParser({ geoDataProvider });
+            const first = await parser.parse(gedcom(['Freedonie']));
+            const second = await parser.parse(gedcom(['Freedonie']));
+            assert.equal(first.familyTownsStore.freedonie.country, 'Freedonie');
+            assert.deepEqual(second.familyTownsStore, first.familyTownsStore);
+            assert.deepEqual(parser.parseSync(gedcom(['Freedonie'])).familyTownsStore, first.familyTownsStore);
+            assert.equal(requests, 1);
+        });
+
+        it('falls back on the bundled data when the server fails', async () => {
+            requests = 0;
+            const geoDataProvider = new HttpGeoDataProvider({ url: `${baseUrl}/panne` });
+            const result = await new GeneaFanParser({ geoDataProvider }).parse(gedcom(['Belgique']));
+            assert.equal(result.familyTownsStore.belgique.country, 'Belgique');
+
+            // Échec non retenté
+            await geoDataProvider.load();
+            assert.equal(requests, 1);
+
+            const strict = new HttpGeoDataProvider({ url: `${baseUrl}/panne`, fallback: null });
+            await assert.rejects(strict.load(), /Failed to load geo data: 500/);
+            assert.throws(() => strict.loadSync(), /Données géographiques non chargées/);
+        });
+    });
+});
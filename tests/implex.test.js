@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, analyzeImplex, computeInbreedingCoefficient } from '../src/index.js';
+
+/**
+ * Les parents de R sont cousins germains (ancêtres communs GG1 et GG2)
+ *
+ *   GG1 ═ GG2
+ *   ├─ A ═ WA        └─ B ═ HB
+ *   │  └─ F               └─ M
+ *   └──────── F ═ M ────────┘
+ *                └─ R
+ */
+const FAMILY = {
+    '@R@': { fn: 'F|R', g: 'M', f: '@F@', m: '@M@' },
+    '@F@': { fn: 'F|F', g: 'M', f: '@A@', m: '@WA@', s: ['@M@'] },
+    '@M@': { fn: 'M|M', g: 'F', f: '@HB@', m: '@B@', s: ['@F@'] },
+    '@A@': { fn: 'G|A', g: 'M', f: '@GG1@', m: '@GG2@', s: ['@WA@'] },
+    '@WA@': { fn: 'W|WA', g: 'F', s: ['@A@'] },
+    '@B@': { fn: 'G|B', g: 'F', f: '@GG1@', m: '@GG2@', s: ['@HB@'] },
+    '@HB@': { fn: 'M|HB', g: 'M', s: ['@B@'] },
+    '@GG1@': { fn: 'G|GG1', g: 'M', s: ['@GG2@'] },
+    '@GG2@': { fn: 'H|GG2', g: 'F', s: ['@GG1@'] }
+};
+
+describe('Implex analysis', () => {
+    it('reports duplicated ancestors and implex rate per generation', () => {
+        const report = analyzeImplex(new Map(Object.entries(FAMILY)), '@R@');
+
+        assert.equal(report.root, '@R@');
+        assert.equal(report.ancestors, 8);
+        assert.equal(report.positions, 10);
+        assert.equal(report.implexRate, 0.2);
+        assert.deepEqual(report.generations, [
+            { generation: 1, theoretical: 2, known: 2, distinct: 2, completeness: 1, implexRate: 0 },
+            { generation: 2, theoretical: 4, known: 4, distinct: 4, completeness: 1, implexRate: 0 },
+            { generation: 3, theoretical: 8, known: 4, distinct: 2, completeness: 0.5, implexRate: 0.5 }
+        ]);
+        assert.deepEqual(report.duplicatedAncestors, [
+            { pointer: '@GG1@', sosa: [8, 14], paths: 2, generations: [3] },
+            { pointer: '@GG2@', sosa: [9, 15], paths: 2, generations: [3] }
+        ]);
+    });
+
+    it('counts positions by paths when the pedigree collapses over many generations', () => {
+        // Frère et sœur mariés à chaque génération : 2^g positions, 2 ancêtres distincts
+        const cache = new Map([['@G0@', { fn: 'C|G0', g: 'M', f: '@H1@', m: '@W1@' }]]);
+        for (let generation = 1; generation <= 30; generation++) {
+            const parents = generation < 30 ? { f: `@H${generation + 1}@`, m: `@W${generation + 1}@` } : {};
+            cache.set(`@H${generation}@`, { fn: `C|H${generation}`, g: 'M', ...parents });
+            cache.set(`@W${generation}@`, { fn: `C|W${generation}`, g: 'F', ...parents });
+        }
+
+        const report = analyzeImplex(cache, '@G0@', { maxNumbers: 2 });
+        assert.equal(report.ancestors, 60);
+        assert.equal(report.positions, 2 ** 31 - 2);
+        assert.deepEqual(report.generations[29],
+            { generation: 30, theoretical: 2 ** 30, known: 2 ** 30, distinct: 2, completeness: 1, implexRate: 1 });
+        assert.deepEqual(report.duplicatedAncestors.find(({ pointer }) => pointer === '@W30@'),
+            { pointer: '@W30@', sosa: [2 ** 30 + 1, 2 ** 30 + 3], paths: 2 ** 29, generations: [30] });
+        // G0 puis H1..H28 et W1..W28 (H30 et W30 ne sont pas apparentés)
+        assert.equal(report.couples.length, 57);
+    });
+
+    it('lists the related couples and the inbreeding coefficient', () => {
+        const report = analyzeImplex(FAMILY, '@R@', { language: 'en' });
+
+        assert.equal(report.inbreeding, 0.0625);
+        assert.equal(report.couples.length, 1);
+        assert.deepEqual({ ...report.couples[0], commonAncestors: report.couples[0].commonAncestors.sort() }, {
+            father: '@F@',
+            mother: '@M@',
+            child: '@R@',
+            sosa: [1],
+            relationship: 'first cousin',
+            commonAncestors: ['@GG1@', '@GG2@'],
+            inbreeding: 0.0625
+        });
+
+        assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+    });
+
+    it('computes inbreeding for close and nested consanguinity', () => {
+        // Z : enfant d'un frère et d'une sœur (1/4) ; Y : enfant de Z et de sa tante (implexe imbriqué)
+        const cache = new Map(Object.entries({
+            '@P@': { fn: 'P|P', g: 'M' },
+            '@Q@': { fn: 'Q|Q', g: 'F' },
+            '@X1@': { fn: 'P|X1', g: 'M', f: '@P@', m: '@Q@' },
+            '@X2@': { fn: 'P|X2', g: 'F', f: '@P@', m: '@Q@' },
+            '@X3@': { fn: 'P|X3', g: 'F', f: '@P@', m: '@Q@' },
+            '@Z@': { fn: 'P|Z', g: 'M', f: '@X1@', m: '@X2@' },
+            '@Y@': { fn: 'P|Y', g: 'F', f: '@Z@', m: '@X3@' }
+        }));
+
+        assert.equal(computeInbreedingCoefficient(cache, '@Z@'), 0.25);
+        // F(Y) = φ(Z, X3) = (φ(X1, X3) + φ(X2, X3)) / 2 = 1/4
+        assert.equal(computeInbreedingCoefficient(cache, '@Y@'), 0.25);
+        assert.equal(computeInbreedingCoefficient(cache, '@X1@'), 0);
+        assert.equal(computeInbreedingCoefficient(cache, '@NOBODY@'), 0);
+        assert.equal(analyzeImplex(cache, '@NOBODY@'), null);
+
+        const report = analyzeImplex(cache, '@Y@');
+        assert.deepEqual(report.couples.map(({ child, inbreeding }) => [child, inbreeding]), [['@Y@', 0.25], ['@Z@', 0.25]]);
+    });
+
+    it('finds no implex in a tree without consanguinity', () => {
+        const { individualsCache } = new GeneaFanParser().parseSync(readFileSync(new URL('./data/TGC551.ged', import.meta.url)));
+        const report = analyzeImplex(individualsCache, '@PERSON7@');
+
+        assert.equal(report.implexRate, 0);
+        assert.equal(report.inbreeding, 0);
+        assert.deepEqual(report.duplicatedAncestors, []);
+        assert.deepEqual(report.couples, []);
+        assert.equal(report.generations[0].known, 2);
+    });
+});
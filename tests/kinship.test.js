@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, RelationshipCalculator, getRelationship, formatKinship } from '../src/index.js';
+
+/**
+ * Famille de test (format individualsCache) :
+ *
+ *   GGP ─┬─ GP1 ═ GP2          GP1 ═ GP3 (second mariage)
+ *        │    ├─ P1 ═ S1 ═ X      └─ P3
+ *        │    │   ├─ C1 (P1+S1)
+ *        │    │   └─ SC (X+S1)
+ *        │    └─ P2 ═ H2
+ *        │        └─ C2 ── GC2
+ *        └─ GU
+ */
+const FAMILY = {
+    '@GGP@': { fn: 'A|Gaston', g: 'M' },
+    '@GP1@': { fn: 'A|Georges', g: 'M', f: '@GGP@', s: ['@GP2@', '@GP3@'] },
+    '@GP2@': { fn: 'B|Gisèle', g: 'F', s: ['@GP1@'] },
+    '@GP3@': { fn: 'C|Hélène', g: 'F', s: ['@GP1@'] },
+    '@GU@': { fn: 'A|Gustave', g: 'M', f: '@GGP@' },
+    '@P1@': { fn: 'A|Paul', g: 'M', f: '@GP1@', m: '@GP2@', s: ['@S1@'] },
+    '@P2@': { fn: 'A|Pauline', g: 'F', f: '@GP1@', m: '@GP2@', s: ['@H2@'] },
+    '@P3@': { fn: 'A|Pierre', g: 'M', f: '@GP1@', m: '@GP3@' },
+    '@H2@': { fn: 'H|Henri', g: 'M', s: ['@P2@'] },
+    '@S1@': { fn: 'S|Sophie', g: 'F', s: ['@P1@', '@X@'] },
+    '@X@': { fn: 'X|Xavier', g: 'M', s: ['@S1@'] },
+    '@C1@': { fn: 'A|Claire', g: 'F', f: '@P1@', m: '@S1@' },
+    '@SC@': { fn: 'X|Simon', g: 'M', f: '@X@', m: '@S1@' },
+    '@C2@': { fn: 'H|Charles', g: 'M', f: '@H2@', m: '@P2@' },
+    '@GC2@': { fn: 'H|Camille', g: 'U', f: '@C2@' },
+    '@ALONE@': { fn: 'Z|Zoé', g: 'F' }
+};
+
+const calculator = new RelationshipCalculator(new Map(Object.entries(FAMILY)));
+const labels = (from, to) => [
+    calculator.getRelationship(from, to).label,
+    calculator.getRelationship(from, to, { language: 'en' }).label
+];
+
+describe('Kinship', () => {
+    it('finds common ancestors from the closest', () => {
+        const common = calculator.findCommonAncestors('@C1@', '@C2@');
+        assert.deepEqual(common.slice(0, 2).map(({ pointer }) => pointer).sort(), ['@GP1@', '@GP2@']);
+        assert.deepEqual(common[0].generations, { from: 2, to: 2 });
+        assert.equal(common.at(-1).pointer, '@GGP@');
+
+        assert.deepEqual(calculator.getRelationship('@C1@', '@C2@').commonAncestors.sort(), ['@GP1@', '@GP2@']);
+    });
+
+    it('names direct lines, siblings, uncles and cousins', () => {
+        assert.deepEqual(labels('@C1@', '@P1@'), ['père', 'father']);
+        assert.deepEqual(labels('@C1@', '@GGP@'), ['arrière-grand-père', 'great-grandfather']);
+        assert.deepEqual(labels('@GGP@', '@GC2@'), ['arrière-arrière-petit-enfant', 'great-great-grandchild']);
+        assert.deepEqual(labels('@P1@', '@P2@'), ['sœur', 'sister']);
+        assert.deepEqual(labels('@C1@', '@P2@'), ['tante', 'aunt']);
+        assert.deepEqual(labels('@P2@', '@C1@'), ['nièce', 'niece']);
+        assert.deepEqual(labels('@C1@', '@GU@'), ['grand-oncle', 'grand-uncle']);
+        assert.deepEqual(labels('@GC2@', '@GU@'), ['arrière-grand-oncle', 'great-grand-uncle']);
+        assert.deepEqual(labels('@C1@', '@C2@'), ['cousin germain', 'first cousin']);
+        assert.deepEqual(labels('@GC2@', '@C1@'), ['cousine germaine (1 génération d\'écart)', 'first cousin once removed']);
+    });
+
+    it('detects half relationships', () => {
+        const halfBrother = calculator.getRelationship('@P1@', '@P3@');
+        assert.equal(halfBrother.half, true);
+        assert.deepEqual(halfBrother.commonAncestors, ['@GP1@']);
+        assert.deepEqual(labels('@P1@', '@P3@'), ['demi-frère', 'half-brother']);
+        assert.deepEqual(labels('@C1@', '@SC@'), ['demi-frère', 'half-brother']);
+        assert.equal(calculator.getRelationship('@P1@', '@P2@').half, false);
+
+        // Mère inconnue d'un côté : rien ne dit qu'elle diffère, le lien reste entier
+        const partial = new RelationshipCalculator(new Map(Object.entries({
+            '@F@': { fn: 'A|Jean', g: 'M' },
+            '@M@': { fn: 'B|Marie', g: 'F' },
+            '@K1@': { fn: 'A|Luc', g: 'M', f: '@F@', m: '@M@' },
+            '@K2@': { fn: 'A|Marc', g: 'M', f: '@F@' }
+        })));
+        assert.equal(partial.getRelationship('@K1@', '@K2@').half, false);
+        assert.deepEqual(['fr', 'en'].map(language => partial.getRelationship('@K1@', '@K2@', { language }).label), ['frère', 'brother']);
+    });
+
+    it('names spouses, in-laws and step relationships', () => {
+        assert.deepEqual(labels('@P1@', '@S1@'), ['épouse', 'wife']);
+        assert.deepEqual(labels('@S1@', '@GP1@'), ['beau-père', 'father-in-law']);
+        assert.deepEqual(labels('@S1@', '@P2@'), ['belle-sœur', 'sister-in-law']);
+        assert.deepEqual(labels('@P1@', '@H2@'), ['beau-frère', 'brother-in-law']);
+        assert.deepEqual(labels('@GP2@', '@S1@'), ['belle-fille', 'daughter-in-law']);
+        assert.deepEqual(labels('@C1@', '@H2@'), ['oncle par alliance', 'uncle by marriage']);
+        assert.deepEqual(labels('@C1@', '@X@'), ['beau-père', 'stepfather']);
+        assert.deepEqual(labels('@X@', '@C1@'), ['belle-fille', 'stepdaughter']);
+        assert.deepEqual(labels('@P1@', '@GP3@'), ['belle-mère', 'stepmother']);
+
+        const stepfather = calculator.getRelationship('@C1@', '@X@');
+        assert.equal(stepfather.type, 'step');
+        assert.equal(stepfather.via, '@S1@');
+    });
+
+    it('returns the path between both individuals', () => {
+        const cousin = calculator.getRelationship('@C1@', '@C2@');
+        assert.deepEqual(cousin.path.map(({ pointer }) => pointer), ['@C1@', '@P1@', '@GP1@', '@P2@', '@C2@']);
+        assert.deepEqual(cousin.path.map(({ relation }) => relation), [null, 'parent', 'parent', 'child', 'child']);
+
+        const inLaw = calculator.getRelationship('@S1@', '@P2@');
+        assert.deepEqual(inLaw.path.map(({ relation }) => relation), [null, 'spouse', 'parent', 'child']);
+    });
+
+    it('handles unknown pointers, strangers and unknown sex', () => {
+        assert.equal(calculator.getRelationship('@C1@', '@NOBODY@'), null);
+        assert.equal(calculator.getRelationship('@C1@', '@ALONE@').type, 'none');
+        assert.deepEqual(labels('@C1@', '@ALONE@'), ['aucun lien connu', 'no known relationship']);
+        assert.deepEqual(labels('@C1@', '@C1@'), ['soi-même', 'self']);
+        assert.deepEqual(labels('@C1@', '@GC2@'), [
+            'cousin germain ou cousine germaine (1 génération d\'écart)',
+            'first cousin once removed'
+        ]);
+    });
+
+    it('names distant cousins', () => {
+        const cousin = (from, to, sex = 'M') => [
+            formatKinship({ type: 'blood', kind: 'cousin', generations: { from, to }, sex }, 'fr'),
+            formatKinship({ type: 'blood', kind: 'cousin', generations: { from, to }, sex }, 'en')
+        ];
+        assert.deepEqual(cousin(3, 4, 'F'), ['cousine issue de germain (1 génération d\'écart)', 'second cousin once removed']);
+        assert.deepEqual(cousin(5, 8), ['cousin au 4e degré (3 générations d\'écart)', 'fourth cousin 3 times removed']);
+        assert.equal(formatKinship({ type: 'blood', kind: 'ancestor', generations: { from: 6, to: 0 }, sex: 'F' }, 'en'),
+            'fourth great-grandmother');
+    });
+
+    it('walks a parsed individualsCache', () => {
+        const { individualsCache } = new GeneaFanParser().parseSync(readFileSync(new URL('./data/TGC551.ged', import.meta.url)));
+
+        assert.equal(getRelationship(individualsCache, '@PERSON3@', '@PERSON7@', { language: 'en' }).label, 'half-sibling');
+        assert.equal(getRelationship(individualsCache, '@PERSON7@', '@I13@', { language: 'en' }).label, 'great-grandmother');
+        assert.equal(getRelationship(individualsCache, '@PERSON7@', '@I11@', { language: 'en' }).label, 'great-great-grand-uncle');
+        assert.equal(getRelationship(individualsCache, '@PERSON3@', '@PERSON8@').label, 'belle-mère');
+        assert.equal(getRelationship(individualsCache, '@PERSON2@', '@PERSON7@', { language: 'en' }).label, 'stepchild');
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, mergeResults } from '../src/index.js';
+
+const gedcom = records => Buffer.from(['0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8', ...records, '0 TRLR'].join('\n'));
+const parse = records => new GeneaFanParser().parseSync(gedcom(records));
+
+// Notre arbre : Jean Dupont et Marie Martin
+const OURS = [
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/', '1 SEX M', '1 BIRT', '2 DATE 1 JAN 1900', '2 PLAC Paris', '1 SOUR @S1@', '1 FAMS @F1@',
+    '0 @I2@ INDI', '1 NAME Marie /Martin/', '1 SEX F', '1 FAMS @F1@',
+    '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 MARR', '2 DATE 1925',
+    '0 @S1@ SOUR', '1 TITL Registre paroissial de Paris'
+];
+
+/**
+ * Celui d'un cousin : les mêmes (@I2@, @I3@) avec leur fils @I1@, une autre date de naissance
+ * pour Jean tirée d'une autre source (@S1@), et notre source sous un autre pointeur (@S2@)
+ */
+const COUSIN = [
+    '0 @I1@ INDI', '1 NAME Pierre /Dupont/', '1 SEX M', '1 BIRT', '2 DATE 1930', '1 FAMC @F1@',
+    '0 @I2@ INDI', '1 NAME Jean /Dupont/', '1 SEX M', '1 BIRT', '2 DATE 12 MAR 1900', '2 PLAC Paris',
+    '1 DEAT', '2 DATE 1970', '2 PLAC Lyon', '1 SOUR @S1@', '1 FAMS @F1@', '1 NOTE @N1@', '1 NOTE Cordonnier',
+    '0 @I3@ INDI', '1 NAME Marie /Martin/', '1 SEX F', '1 SOUR @S2@', '1 FAMS @F1@',
+    '0 @F1@ FAM', '1 HUSB @I2@', '1 WIFE @I3@', '1 CHIL @I1@', '1 MARR', '2 DATE 1925',
+    '0 @S1@ SOUR', '1 TITL État civil de Lyon',
+    '0 @S2@ SOUR', '1 TITL Registre paroissial de Paris',
+    '0 @N1@ NOTE Apprenti à Lyon'
+];
+
+const types = individual => individual.e.map(({ t }) => t);
+
+// Lieux de même clé : Paris en France chez nous, au Texas chez le cousin
+const birth = (pointer, name, place, lati, long) =>
+    [`0 ${pointer} INDI`, `1 NAME ${name}`, '1 BIRT', '2 DATE 1900', `2 PLAC ${place}`, '3 MAP', `4 LATI ${lati}`, `4 LONG ${long}`];
+const PARIS_FRANCE = birth('@I1@', 'Jean /Dupont/', 'Paris, France', 'N48.8566', 'E2.3522');
+const PARIS_TEXAS = birth('@I1@', 'John /Smith/', 'Paris, Texas, USA', 'N33.66', 'W95.55');
+const places = cache => [...cache.values()].map(individual => individual.e[0].l);
+
+describe('Merging two parse results', () => {
+    it('renumbers colliding pointers and merges identical people', () => {
+        const merged = mergeResults(parse(OURS), parse(COUSIN), { mapping: { '@I2@': '@I1@', '@I3@': '@I2@' } });
+        const { individualsCache, sourcesCache, notesCache } = merged;
+
+        assert.deepEqual([...individualsCache.keys()], ['@I1@', '@I2@', '@I4@']);
+        assert.deepEqual(merged.metadata.merge.renamed, { '@I1@': '@I4@', 'INLINE_@I2@_0': 'INLINE_@I1@_0', '@S1@': '@S3@' });
+        assert.deepEqual(merged.metadata.merge.individuals, { base: 2, other: 3, merged: 2, total: 3 });
+
+        const pierre = individualsCache.get('@I4@');
+        assert.equal(pierre.f, '@I1@');
+        assert.equal(pierre.m, '@I2@');
+
+        // Décès et note ajoutés, naissance de Pierre ajoutée, mariage non dupliqué
+        const jean = individualsCache.get('@I1@');
+        assert.deepEqual(types(jean), ['fb', 'fm', 'fd', 'fc']);
+        assert.equal(jean.e[0].d, 19000101);
+        assert.deepEqual(jean.e[3].m, { c: '@I4@' });
+        assert.deepEqual(jean.n, ['INLINE_@I1@_0']);
+        assert.equal(notesCache.get('INLINE_@I1@_0').text, 'Cordonnier');
+        assert.deepEqual(notesCache.get('@N1@').individuals, ['@I1@']);
+
+        // @S2@ du cousin est notre @S1@ ; son @S1@ devient @S3@
+        assert.deepEqual([...sourcesCache.keys()], ['@S1@', '@S3@']);
+        assert.deepEqual(sourcesCache.get('@S1@').individuals, ['@I1@', '@I2@']);
+        assert.equal(sourcesCache.get('@S3@').title, 'État civil de Lyon');
+        assert.deepEqual(Object.keys(merged.familyTownsStore).sort(), ['lyon', 'paris']);
+    });
+
+    it('reports contradictions with the sources of each side', () => {
+        const { conflicts } = mergeResults(parse(OURS), parse(COUSIN), { mapping: { '@I2@': '@I1@' } });
+
+        assert.deepEqual(conflicts, [{
+            pointers: ['@I1@', '@I2@'],
+            field: 'birth',
+            values: [{ d: 19000101, l: 'paris' }, { d: 19000312, l: 'paris' }],
+            sources: [['@S1@'], ['@S3@']]
+        }]);
+    });
+
+    it('detects identical people when no mapping is given', () => {
+        const merged = mergeResults(parse(OURS), parse(COUSIN));
+        assert.deepEqual(merged.metadata.merge.mapping, { '@I2@': '@I1@' });
+        assert.equal(merged.metadata.merge.detected, 1);
+
+        const unmatched = mergeResults(parse(OURS), parse(COUSIN), { autoDetect: false });
+        assert.equal(unmatched.individualsCache.size, 5);
+        assert.equal(unmatched.conflicts.length, 0);
+        assert.throws(() => mergeResults(parse(OURS), parse(COUSIN), { mapping: { '@I9@': '@I1@' } }), /Correspondance invalide/);
+    });
+
+    it('leaves a tree unchanged when merged with itself', () => {
+        const buffer = readFileSync(new URL('./data/TGC551.ged', import.meta.url));
+        const result = new GeneaFanParser().parseSync(buffer);
+        const merged = mergeResults(result, new GeneaFanParser().parseSync(buffer));
+
+        assert.equal(merged.metadata.merge.detected, result.individualsCache.size);
+        assert.deepEqual(merged.individualsCache, result.individualsCache);
+        assert.deepEqual(merged.notesCache, result.notesCache);
+        assert.deepEqual(merged.familyTownsStore, result.familyTownsStore);
+        assert.deepEqual(merged.conflicts, []);
+    });
+
+    it('splits places of the same key from another country into homonyms', () => {
+        const merged = mergeResults(parse(PARIS_FRANCE), parse(PARIS_TEXAS), { autoDetect: false });
+        const store = merged.familyTownsStore;
+
+        assert.deepEqual(places(merged.individualsCache), ['paris@france', 'paris@etats-unis']);
+        assert.deepEqual(store.paris._split, { by: 'country', distance: 7783.1, keys: ['paris@france', 'paris@etats-unis'] });
+        assert.equal(store.paris.latitude, '');
+        assert.deepEqual(['townDisplay', 'latitude', 'country', '_placText', '_splitFrom'].map(field => store['paris@etats-unis'][field]),
+            ['Paris (États-Unis)', '33.66', 'États-Unis', 'Paris, Texas, USA', 'paris']);
+        assert.equal(store['paris@france'].latitude, '48.8566');
+        assert.deepEqual(merged.conflicts, []);
+
+        // Déjà séparé d'un côté : l'entrée de l'autre rejoint son homonyme
+        const both = parse([...PARIS_FRANCE, ...birth('@I2@', 'John /Smith/', 'Paris, Texas, USA', 'N33.66', 'W95.55')]);
+        const joined = mergeResults(both, parse(PARIS_TEXAS), { autoDetect: false });
+        assert.deepEqual(places(joined.individualsCache), ['paris@france', 'paris@etats-unis', 'paris@etats-unis']);
+        assert.deepEqual(joined.familyTownsStore.paris._split.keys, ['paris@france', 'paris@etats-unis']);
+    });
+
+    it('reports distant places of the same key that nothing tells apart', () => {
+        const merged = mergeResults(parse(birth('@I1@', 'Jean /Dupont/', 'Atlantide', 'N10', 'E10')),
+            parse(birth('@I1@', 'John /Smith/', 'Atlantide', 'N30', 'E30')), { autoDetect: false });
+
+        assert.deepEqual(places(merged.individualsCache), ['atlantide', 'atlantide']);
+        assert.deepEqual(merged.conflicts, [{
+            field: 'place',
+            place: 'atlantide',
+            distance: 3040.6,
+            values: [
+                { latitude: '10', longitude: '10', departement: '', country: '' },
+                { latitude: '30', longitude: '30', departement: '', country: '' }
+            ]
+        }]);
+    });
+});
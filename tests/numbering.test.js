@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    GeneaFanParser,
+    computeSosaNumbers,
+    computeDescendantNumbers,
+    numberGenealogy,
+    getSosaGeneration,
+    expandIndividual
+} from '../src/index.js';
+
+/**
+ * Implexe : les parents de R sont cousins germains
+ *
+ *   GG1 ═ GG2
+ *   ├─ A ═ WA        └─ B ═ HB   (fc : A puis B)
+ *   │  └─ F               └─ M
+ *   └──────── F ═ M ────────┘
+ *                └─ R
+ */
+const childBirth = (...children) => children.map(child => ({ t: 'fc', m: { c: child } }));
+
+const implexFamily = () => new Map(Object.entries({
+    '@R@': { fn: 'F|R', g: 'M', f: '@F@', m: '@M@' },
+    '@M@': { fn: 'M|M', g: 'F', f: '@HB@', m: '@B@', s: ['@F@'], e: childBirth('@R@') },
+    '@F@': { fn: 'F|F', g: 'M', f: '@A@', m: '@WA@', s: ['@M@'], e: childBirth('@R@') },
+    '@B@': { fn: 'G|B', g: 'F', f: '@GG1@', m: '@GG2@', s: ['@HB@'], e: childBirth('@M@') },
+    '@HB@': { fn: 'M|HB', g: 'M', s: ['@B@'] },
+    '@A@': { fn: 'G|A', g: 'M', f: '@GG1@', m: '@GG2@', s: ['@WA@'], e: childBirth('@F@') },
+    '@WA@': { fn: 'W|WA', g: 'F', s: ['@A@'] },
+    '@GG1@': { fn: 'G|GG1', g: 'M', s: ['@GG2@'], e: childBirth('@A@', '@B@') },
+    '@GG2@': { fn: 'H|GG2', g: 'F', s: ['@GG1@'], e: childBirth('@A@', '@B@') },
+    '@OTHER@': { fn: 'Z|Z', g: 'U', gen: 5 }
+}));
+
+describe('Genealogical numbering', () => {
+    it('assigns Sosa numbers with implex', () => {
+        const sosa = computeSosaNumbers(implexFamily(), '@R@');
+
+        assert.deepEqual(sosa.get('@R@'), { sosa: [1], generation: 0, paths: 1 });
+        assert.deepEqual(sosa.get('@F@'), { sosa: [2], generation: 1, paths: 1 });
+        assert.deepEqual(sosa.get('@M@'), { sosa: [3], generation: 1, paths: 1 });
+        assert.deepEqual(sosa.get('@A@'), { sosa: [4], generation: 2, paths: 1 });
+        assert.deepEqual(sosa.get('@B@'), { sosa: [7], generation: 2, paths: 1 });
+        assert.deepEqual(sosa.get('@GG1@'), { sosa: [8, 14], generation: 3, paths: 2 });
+        assert.deepEqual(sosa.get('@GG2@'), { sosa: [9, 15], generation: 3, paths: 2 });
+        assert.equal(sosa.has('@OTHER@'), false);
+        assert.deepEqual([...sosa.keys()], ['@R@', '@F@', '@M@', '@A@', '@WA@', '@HB@', '@B@', '@GG1@', '@GG2@']);
+
+        assert.equal(computeSosaNumbers(implexFamily(), '@R@', { maxGenerations: 1 }).size, 3);
+        assert.equal(computeSosaNumbers(implexFamily(), '@NOBODY@').size, 0);
+        assert.deepEqual([1, 2, 3, 4, 7, 8, 15].map(getSosaGeneration), [0, 1, 1, 2, 2, 3, 3]);
+    });
+
+    it('keeps a bounded number of Sosa numbers when the pedigree collapses', () => {
+        // Un seul couple par génération : 2^g chemins vers chaque ancêtre de la génération g
+        const cache = new Map([['@G0@', { fn: 'C|G0', g: 'M', f: '@H1@', m: '@W1@' }]]);
+        for (let generation = 1; generation <= 40; generation++) {
+            const parents = generation < 40 ? { f: `@H${generation + 1}@`, m: `@W${generation + 1}@` } : {};
+            cache.set(`@H${generation}@`, { fn: `C|H${generation}`, g: 'M', ...parents });
+            cache.set(`@W${generation}@`, { fn: `C|W${generation}`, g: 'F', ...parents });
+        }
+
+        const sosa = computeSosaNumbers(cache, '@G0@', { maxNumbers: 4 });
+        assert.equal(sosa.size, 81);
+        assert.deepEqual(sosa.get('@H3@'), { sosa: [8, 10, 12, 14], generation: 3, paths: 4 });
+        assert.equal(sosa.get('@W40@').sosa.length, 4);
+        assert.equal(sosa.get('@W40@').paths, 2 ** 39);
+        assert.equal(sosa.get('@W40@').generation, 40);
+
+        const descendants = computeDescendantNumbers(cache, '@H20@', { maxNumbers: 3 });
+        const { numbers, generation, paths } = descendants.get('@G0@');
+        assert.equal(numbers.length, 3);
+        assert.equal(numbers[0], `1${'.1'.repeat(20)}`);
+        assert.equal(generation, 20);
+        assert.equal(paths, 2 ** 19);
+    });
+
+    it('assigns d\'Aboville and Henry numbers to descendants', () => {
+        const aboville = computeDescendantNumbers(implexFamily(), '@GG1@');
+        assert.deepEqual(aboville.get('@GG1@'), { numbers: ['1'], generation: 0, paths: 1 });
+        assert.deepEqual(aboville.get('@A@'), { numbers: ['1.1'], generation: 1, paths: 1 });
+        assert.deepEqual(aboville.get('@B@'), { numbers: ['1.2'], generation: 1, paths: 1 });
+        assert.deepEqual(aboville.get('@M@'), { numbers: ['1.2.1'], generation: 2, paths: 1 });
+        assert.deepEqual(aboville.get('@R@'), { numbers: ['1.1.1.1', '1.2.1.1'], generation: 3, paths: 2 });
+
+        const henry = computeDescendantNumbers(implexFamily(), '@GG1@', { system: 'henry' });
+        assert.deepEqual(henry.get('@R@').numbers, ['1111', '1211']);
+
+        const large = new Map([['@P@', { fn: 'P|P', g: 'M' }]]);
+        for (let i = 1; i <= 11; i++) large.set(`@C${i}@`, { fn: `P|C${i}`, g: 'U', f: '@P@' });
+        const numbers = computeDescendantNumbers(large, '@P@', { system: 'henry' });
+        assert.deepEqual(['@C9@', '@C10@', '@C11@'].map(pointer => numbers.get(pointer).numbers[0]), ['19', '1(10)', '1(11)']);
+
+        assert.throws(() => computeDescendantNumbers(large, '@P@', { system: 'meurgey' }), /meurgey/);
+    });
+
+    it('stores the relative generation as gen', () => {
+        const cache = implexFamily();
+        const { generations } = numberGenealogy(cache, '@B@', { storeGeneration: true });
+
+        assert.equal(generations.get('@B@'), 0);
+        assert.equal(generations.get('@GG2@'), 1);
+        assert.equal(generations.get('@R@'), -2);
+        assert.equal(cache.get('@M@').gen, -1);
+        assert.equal(cache.get('@GG1@').gen, 1);
+        assert.equal('gen' in cache.get('@OTHER@'), false);
+        assert.equal('gen' in cache.get('@A@'), false);
+        assert.equal(expandIndividual(cache.get('@R@')).generation, -2);
+
+        const untouched = implexFamily();
+        numberGenealogy(untouched, '@B@');
+        assert.equal('gen' in untouched.get('@M@'), false);
+    });
+
+    it('numbers a parsed individualsCache', () => {
+        const { individualsCache } = new GeneaFanParser().parseSync(readFileSync(new URL('./data/TGC551.ged', import.meta.url)));
+        const { sosa, descendants } = numberGenealogy(individualsCache, '@PERSON7@');
+
+        assert.deepEqual(sosa.get('@PERSON1@').sosa, [2]);
+        assert.deepEqual(sosa.get('@PERSON8@').sosa, [3]);
+        assert.deepEqual(sosa.get('@I13@').sosa, [9]);
+        assert.equal(descendants.size, 1);
+
+        const fromAncestor = computeDescendantNumbers(individualsCache, '@PERSON1@');
+        assert.deepEqual(['@PERSON3@', '@PERSON4@', '@PERSON7@'].map(pointer => fromAncestor.get(pointer).numbers[0]), ['1.1', '1.2', '1.3']);
+    });
+});
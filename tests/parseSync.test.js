@@ -0,0 +1,39 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, parseGedcomToGeneaFanSync, preloadGeoData } from '../src/index.js';
+
+const SAMPLES = ['sample555.ged', 'TGC551.ged', 'sample55516le.ged'];
+
+describe('Synchronous parse', () => {
+    // Même jeu de données géographiques pour parse() et parseSync()
+    before(async () => {
+        await preloadGeoData();
+    });
+
+    it('returns the caches without a promise', () => {
+        const result = parseGedcomToGeneaFanSync(readFileSync(new URL('./data/sample555.ged', import.meta.url)));
+        assert.ok(!(result instanceof Promise));
+        assert.equal(result.individualsCache.size, 3);
+        assert.ok(result.readGedcomData);
+    });
+
+    it('produces the same caches as parse()', async () => {
+        for (const sample of SAMPLES) {
+            const buffer = readFileSync(new URL(`./data/${sample}`, import.meta.url));
+            const parser = new GeneaFanParser();
+
+            const syncResult = parser.parseSync(buffer);
+            const asyncResult = await parser.parse(buffer);
+
+            assert.deepEqual([...syncResult.individualsCache], [...asyncResult.individualsCache], sample);
+            assert.deepEqual(syncResult.familyTownsStore, asyncResult.familyTownsStore, sample);
+        }
+    });
+
+    it('accepts string input', () => {
+        const ged = '0 HEAD\n1 CHAR UTF-8\n0 @I1@ INDI\n1 NAME Jean /DUPONT/\n1 BIRT\n2 DATE 1850\n0 TRLR\n';
+        const result = new GeneaFanParser({ fixEncoding: false }).parseSync(ged);
+        assert.equal(result.individualsCache.get('@I1@').fn, 'DUPONT|Jean');
+    });
+});
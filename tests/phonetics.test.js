@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GeneaFanParser, writeGedcom, expandIndividual, soundex, daitchMokotoff, soundexFr,
+    buildPhoneticIndex, searchPhoneticIndex, phoneticKeys
+} from '../src/index.js';
+
+const gedcom = records => Buffer.from(['0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8', ...records, '0 TRLR'].join('\n'));
+
+// @I4@ s'écrit autrement, mais sa prononciation (FONE) est notée
+const RECORDS = [
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/',
+    '0 @I2@ INDI', '1 NAME Marie /Du Pond/',
+    '0 @I3@ INDI', '1 NAME Louis /Martin/',
+    '0 @I4@ INDI', '1 NAME Anne /Dieupont/', '2 FONE Anne /Dupont/',
+    '0 @I5@ INDI', '1 NAME Pierre /Carré/'
+];
+
+describe('Phonetic name indexing', () => {
+    it('encodes names with Soundex, Daitch–Mokotoff and Soundex2', () => {
+        assert.equal(soundex('Du Pond'), 'D153');
+        assert.deepEqual(daitchMokotoff('Auerbach'), ['097400', '097500']);
+        assert.deepEqual(daitchMokotoff('Szlamawicz'), daitchMokotoff('Shlamovitz'));
+        assert.deepEqual(daitchMokotoff('Lewinsky'), ['876450']);
+        assert.deepEqual(daitchMokotoff(''), []);
+
+        const french = { Martin: 'MRTN', Bernard: 'BRNR', Rousseau: 'RS', Chapuis: 'CHP', Gauthier: 'KTR', Boyer: 'BYR' };
+        for (const [name, code] of Object.entries(french)) assert.equal(soundexFr(name), code, name);
+        assert.equal(soundexFr('Dupont'), soundexFr('Du Pond'));
+    });
+
+    it('reads FONE and keeps it through the cache and the writer', () => {
+        const result = new GeneaFanParser().parseSync(gedcom(RECORDS));
+        const individual = result.individualsCache.get('@I4@');
+
+        assert.equal(individual.fo, 'Dupont|Anne');
+        assert.deepEqual(expandIndividual(individual).phoneticName, { surname: 'Dupont', given: 'Anne', full: 'Anne Dupont' });
+        assert.match(writeGedcom(result), /1 NAME Anne \/Dieupont\/\n2 GIVN Anne\n2 SURN Dieupont\n2 FONE Anne \/Dupont\//);
+        assert.deepEqual(phoneticKeys(individual, { algorithms: ['soundexFr'] }), { soundexFr: ['DPN'] });
+    });
+
+    it('indexes every spelling and ranks the search results', () => {
+        const result = new GeneaFanParser().parseSync(gedcom(RECORDS));
+        const index = buildPhoneticIndex(result);
+
+        assert.deepEqual(Object.keys(index), ['soundex', 'daitchMokotoff', 'soundexFr']);
+        assert.deepEqual(index.soundexFr.get('DPN'), ['@I1@', '@I2@', '@I4@']);
+
+        const found = searchPhoneticIndex(index, 'Dupond');
+        assert.deepEqual(found.map(({ pointer }) => pointer), ['@I1@', '@I2@', '@I4@']);
+        assert.deepEqual(found[0].algorithms, ['soundex', 'daitchMokotoff', 'soundexFr']);
+
+        // Karé / Carré : même Soundex2 (KR), Soundex différent (K600 / C600)
+        assert.deepEqual(searchPhoneticIndex(index, 'Karé'), [{ pointer: '@I5@', algorithms: ['daitchMokotoff', 'soundexFr'] }]);
+        assert.throws(() => buildPhoneticIndex(result, { algorithms: ['metaphone'] }), /Algorithme phonétique inconnu/);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readGedcom } from 'read-gedcom';
+import { DataExtractor } from '../src/parser/DataExtractor.js';
+import { GeneaFanParser, createPlaceContext, placeLevels } from '../src/index.js';
+
+const SYNAGOGUE = 'Paris, 75016, Paris, Île-de-France, France, Synagogue de la rue Copernic';
+const gedcom = (form, places) => Buffer.from([
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8',
+    ...(form ? ['1 PLAC', `2 FORM ${form}`] : []),
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/',
+    ...places.flatMap(([place, form]) => ['1 RESI', `2 PLAC ${place}`, ...(form ? [`3 FORM ${form}`] : [])]),
+    '0 TRLR'
+].join('\n'));
+
+const eventPlaces = buffer => new DataExtractor().extractSync(readGedcom(buffer))
+    .individuals[0].events.map(event => event.place);
+const subdivisions = result => result.individualsCache.get('@I1@').e.map(event => event.m?.sd);
+
+describe('PLAC FORM context', () => {
+    it('maps FORM synonyms to town, area_code, county, region, country and subdivision', () => {
+        assert.deepEqual(createPlaceContext('  City, State, Pays '), { form: 'City, State, Pays', keys: ['city', 'state', 'pays'] });
+        assert.deepEqual(createPlaceContext(''), { form: null, keys: [] });
+
+        assert.deepEqual(placeLevels('Springfield, Illinois, USA', 'City, State, Pays'),
+            { town: 'Springfield', area_code: null, county: null, region: 'Illinois', country: 'USA', subdivision: null });
+        assert.deepEqual(placeLevels('Lyon, Rhône', null),
+            { town: 'Lyon', area_code: null, county: null, region: null, country: null, subdivision: null });
+    });
+
+    it('gives every event place its levels, from the header FORM or the FORM under PLAC', () => {
+        const [header, own] = eventPlaces(gedcom('Subdivision, Town, County, Country', [
+            ['Synagogue de la rue Copernic, Paris, Paris, France'],
+            ['Lyon, 69001, Rhône, France', 'Town, Area code, County, Country']
+        ]));
+
+        assert.deepEqual(header.levels,
+            { town: 'Paris', area_code: null, county: 'Paris', region: null, country: 'France', subdivision: 'Synagogue de la rue Copernic' });
+        assert.equal(header.subdivision, 'Synagogue de la rue Copernic');
+        assert.equal(header._placeForm, 'Subdivision, Town, County, Country');
+
+        assert.deepEqual(own.levels,
+            { town: 'Lyon', area_code: '69001', county: 'Rhône', region: null, country: 'France', subdivision: null });
+        assert.equal(own._placeForm, 'Town, Area code, County, Country');
+
+        // Sans FORM dans l'en-tête : FORM par défaut de GeneaFan
+        const [fallback] = eventPlaces(gedcom(null, [[SYNAGOGUE]]));
+        assert.equal(fallback.levels.region, 'Île-de-France');
+        assert.equal(fallback.levels.subdivision, 'Synagogue de la rue Copernic');
+    });
+
+    it('keeps each parse on its own FORM when parses run concurrently', async () => {
+        const withSubdivision = gedcom('Town, Area code, County, Region, Country, Subdivision', [[SYNAGOGUE]]);
+        const withoutSubdivision = gedcom('Town, Area code, County, Region, Country', [['Lyon, 69001, Rhône, Auvergne-Rhône-Alpes, France']]);
+
+        const results = await Promise.all([
+            new GeneaFanParser().parse(withSubdivision),
+            new GeneaFanParser().parse(withoutSubdivision),
+            new GeneaFanParser().parse(withSubdivision)
+        ]);
+        // Sans niveau Subdivision dans le FORM, pas de subdivision (le pays n'en tient pas lieu)
+        assert.deepEqual(results.map(subdivisions),
+            [['Synagogue de la rue Copernic'], [undefined], ['Synagogue de la rue Copernic']]);
+        assert.deepEqual(results.map(result => result.metadata.placeHierarchy), [
+            'Town, Area code, County, Region, Country, Subdivision',
+            'Town, Area code, County, Region, Country',
+            'Town, Area code, County, Region, Country, Subdivision'
+        ]);
+    });
+});
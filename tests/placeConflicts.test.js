@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { GeneaFanParser, applySplitPlaceKeys, coordinateCentroid, clusterCoordinates } from '../src/index.js';
+
+const place = (name, lati, long) => ['1 RESI', `2 PLAC ${name}`, ...(lati ? ['3 MAP', `4 LATI ${lati}`, `4 LONG ${long}`] : [])];
+const gedcom = individuals => Buffer.from([
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8',
+    ...individuals.flatMap((places, index) => [`0 @I${index + 1}@ INDI`, '1 NAME Jean /Dupont/', ...places.flat()]),
+    '0 TRLR'
+].join('\n'));
+
+const INDIVIDUALS = [
+    [
+        place('Saint-Martin, Manche, France', 'N49.0', 'W1.3'),
+        place('Saint-Martin, Gers, France', 'N43.6', 'E0.5'),
+        place('Paris, France', 'N48.8566', 'E2.3522')
+    ],
+    [
+        place('Saint-Martin (32)'),
+        place('Paris, Texas, USA', 'N33.66', 'W95.55'),
+        place('Lyon', 'N45.76', 'E4.83'),
+        place('Lyon', 'N45.77', 'E4.84'),
+        place('Lyon', 'N45.77', 'E4.84'),
+        place('Atlantide', 'N10', 'E10'),
+        place('Atlantide', 'N30', 'E30')
+    ]
+];
+
+const places = individual => individual.e.map(event => event.l);
+
+// Mariage civil puis religieux : fusionnés en un événement fm à cérémonies, chez les deux conjoints
+const MARRIAGE = [
+    '0 @I3@ INDI', '1 NAME Pierre /Martin/', '1 SEX M', '1 FAMS @F1@',
+    '0 @I4@ INDI', '1 NAME Marie /Durand/', '1 SEX F', '1 FAMS @F1@',
+    '0 @F1@ FAM', '1 HUSB @I3@', '1 WIFE @I4@',
+    '1 MARR', '2 DATE 1900', '2 PLAC Saint-Martin, Gers, France',
+    '1 MARR', '2 TYPE religious', '2 DATE 1901', '2 PLAC Saint-Martin, Manche, France'
+];
+const withMarriage = () => Buffer.from(gedcom(INDIVIDUALS).toString().replace('0 TRLR', [...MARRIAGE, '0 TRLR'].join('\n')));
+const marriagePlaces = individual => individual.e.filter(event => event.t === 'fm')
+    .map(event => [event.l, ...event.m.ceremonies.map(ceremony => ceremony.l)]);
+
+describe('Place coordinate conflicts', () => {
+    it('computes a weighted median centre and clusters nearby points', () => {
+        assert.equal(coordinateCentroid([]), null);
+        assert.deepEqual(coordinateCentroid([
+            { latitude: 45.76, longitude: 4.83 },
+            { latitude: 45.77, longitude: 4.84, count: 2 }
+        ]), { latitude: 45.77, longitude: 4.84, spread: 1.36 });
+
+        // Un point aberrant ne déplace pas le centre
+        const { latitude, longitude } = coordinateCentroid([
+            { latitude: 45.76, longitude: 4.83 },
+            { latitude: 45.78, longitude: 4.85 },
+            { latitude: 45.77, longitude: 4.84 },
+            { latitude: -45.77, longitude: 120 }
+        ]);
+        assert.deepEqual([latitude, longitude], [45.765, 4.845]);
+
+        const clusters = clusterCoordinates([
+            { latitude: 49, longitude: -1.3 },
+            { latitude: 43.6, longitude: 0.5, count: 3 },
+            { latitude: 49.1, longitude: -1.3 }
+        ], 20);
+        assert.deepEqual(clusters.map(cluster => cluster.length), [1, 2]);
+    });
+
+    it('splits distant homonyms by department or country and points events to them', () => {
+        const result = new GeneaFanParser().parseSync(gedcom(INDIVIDUALS));
+        const store = result.familyTownsStore;
+
+        assert.deepEqual(store['st-martin']._split,
+            { by: 'department', distance: 616.1, keys: ['st-martin@manche', 'st-martin@gers'] });
+        assert.equal(store['st-martin'].latitude, '');
+        assert.deepEqual(
+            ['townDisplay', 'latitude', 'longitude', 'departement', '_splitFrom'].map(field => store['st-martin@gers'][field]),
+            ['St-Martin (Gers)', '43.6', '0.5', 'Gers', 'st-martin']);
+        assert.equal(store['st-martin@manche'].townDisplay, 'St-Martin (Manche)');
+
+        assert.deepEqual(store.paris._split.keys, ['paris@france', 'paris@etats-unis']);
+        assert.equal(store.paris._split.by, 'country');
+        assert.equal(store['paris@etats-unis'].country, 'États-Unis');
+
+        // Chaque événement pointe vers son homonyme (coordonnées, sinon département)
+        const individuals = result.individualsCache;
+        assert.deepEqual(places(individuals.get('@I1@')), ['st-martin@manche', 'st-martin@gers', 'paris@france']);
+        assert.deepEqual(places(individuals.get('@I2@')).slice(0, 2), ['st-martin@gers', 'paris@etats-unis']);
+    });
+
+    it('keeps a robust centre for duplicates and reports indistinguishable clusters', async () => {
+        const result = new GeneaFanParser().parseSync(gedcom(INDIVIDUALS));
+        const { lyon, atlantide } = result.familyTownsStore;
+
+        assert.deepEqual([lyon.latitude, lyon.longitude, lyon._coordsOccurrences, lyon._coordsSpread],
+            ['45.77', '4.84', 3, 1.36]);
+        assert.deepEqual([atlantide.latitude, atlantide.longitude], ['10', '10']);
+        assert.equal(atlantide._coordsConflict.distance, 3040.6);
+        assert.equal(atlantide._coordsConflict.clusters.length, 2);
+
+        // Tolérance plus large : les deux groupes n'en font qu'un
+        const wide = new GeneaFanParser({ placeConflictDistance: 5000 }).parseSync(gedcom(INDIVIDUALS));
+        assert.equal(wide.familyTownsStore.atlantide._coordsConflict, undefined);
+        assert.equal(wide.familyTownsStore.atlantide._coordsSpread, 1544.76);
+
+        // Même familyTownsStore en streaming (lots de 1 individu)
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([gedcom(INDIVIDUALS)]), { batchSize: 1 });
+        assert.deepEqual(streamed.familyTownsStore, result.familyTownsStore);
+    });
+
+    it('points events to the same homonyms in streaming and on workers', async () => {
+        const expected = [...new GeneaFanParser().parseSync(gedcom(INDIVIDUALS)).individualsCache.values()].map(places);
+
+        // Streaming : lots émis avant la séparation, réorientés ensuite par splitPlaceKeys
+        const batches = new Map();
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([gedcom(INDIVIDUALS)]), {
+            batchSize: 1,
+            onBatch: ({ individuals }) => individuals.forEach((individual, pointer) => batches.set(pointer, individual))
+        });
+        assert.deepEqual(streamed.splitPlaceKeys, {
+            '@I1@': { 0: 'st-martin@manche', 1: 'st-martin@gers', 2: 'paris@france' },
+            '@I2@': { 0: 'st-martin@gers', 1: 'paris@etats-unis' }
+        });
+        assert.equal(applySplitPlaceKeys(batches, streamed.splitPlaceKeys), 5);
+        assert.deepEqual([...batches.values()].map(places), expected);
+        // Déjà réorientés : rien à refaire
+        assert.equal(applySplitPlaceKeys(batches, streamed.splitPlaceKeys), 0);
+
+        const parallel = await new GeneaFanParser({ workers: 2, shardSize: 1 }).parse(gedcom(INDIVIDUALS));
+        assert.deepEqual(parallel.metadata.workers, { count: 2, shards: 2 });
+        assert.deepEqual([...parallel.individualsCache.values()].map(places), expected);
+        assert.equal(parallel.splitPlaceKeys, undefined);
+    });
+
+    it('points marriages and their ceremonies to their homonym in every mode', async () => {
+        const expected = [['st-martin@gers', 'st-martin@gers', 'st-martin@manche']];
+        const result = new GeneaFanParser().parseSync(withMarriage());
+        assert.deepEqual(marriagePlaces(result.individualsCache.get('@I3@')), expected);
+        assert.deepEqual(marriagePlaces(result.individualsCache.get('@I4@')), expected);
+
+        const batches = new Map();
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([withMarriage()]), {
+            batchSize: 1,
+            onBatch: ({ individuals }) => individuals.forEach((individual, pointer) => batches.set(pointer, individual))
+        });
+        assert.deepEqual(streamed.splitPlaceKeys['@I3@'], { 0: 'st-martin@gers', '0.0': 'st-martin@gers', '0.1': 'st-martin@manche' });
+        applySplitPlaceKeys(batches, streamed.splitPlaceKeys);
+        assert.deepEqual(marriagePlaces(batches.get('@I4@')), expected);
+
+        const parallel = await new GeneaFanParser({ workers: 2, shardSize: 2 }).parse(withMarriage());
+        assert.deepEqual(marriagePlaces(parallel.individualsCache.get('@I3@')), expected);
+        assert.deepEqual(marriagePlaces(parallel.individualsCache.get('@I4@')), expected);
+    });
+});
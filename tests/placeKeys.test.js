@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import {
+    GeneaFanParser,
+    hierarchicalPlaceKey,
+    townPlaceKey,
+    placeKeyMigration,
+    migratePlaceKeys
+} from '../src/index.js';
+
+const PLACES = [
+    'Paris, 75016, Paris, Île-de-France, France',
+    'Paris, Texas, USA',
+    'Saint-Martin, Manche',
+    'Saint-Martin, Gers, France',
+    'Lyon'
+];
+const gedcom = places => Buffer.from([
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8',
+    '0 @I1@ INDI', '1 NAME Jean /Dupont/',
+    ...places.flatMap(place => ['1 RESI', `2 PLAC ${place}`]),
+    '0 TRLR'
+].join('\n'));
+
+const places = individual => individual.e.map(event => event.l);
+
+describe('Hierarchical place keys', () => {
+    it('builds town@department@country keys', () => {
+        assert.deepEqual(PLACES.map(place => hierarchicalPlaceKey(place)),
+            ['paris@75@fr', 'paris@texas@us', 'st-martin@50@fr', 'st-martin@32@fr', 'lyon']);
+        assert.equal(hierarchicalPlaceKey('Paris, France'), 'paris@@fr');
+        assert.equal(hierarchicalPlaceKey('Bruges, Flandre-Occidentale, Belgique'), 'bruges@flandre-occidentale@be');
+
+        // Niveau Country du FORM quand le pays n'est pas reconnu
+        assert.equal(hierarchicalPlaceKey('Springfield, , Sangamon, Illinois, Freedonia'), 'springfield@sangamon');
+        assert.equal(hierarchicalPlaceKey('Springfield, , Sangamon, Illinois, Freedonia',
+            { form: 'Town, Area code, County, State, Country' }), 'springfield@sangamon@freedonia');
+        assert.equal(hierarchicalPlaceKey('Springfield, Sangamon, Illinois, Freedonia',
+            { form: 'Ville, Département, Région, Pays' }), 'springfield@sangamon@freedonia');
+        assert.equal(hierarchicalPlaceKey(''), null);
+
+        // Cache fourni par l'appelant (un par parsing) : aucun cache global
+        const cache = new Map();
+        assert.equal(hierarchicalPlaceKey('Paris, Texas, USA', { cache }), 'paris@texas@us');
+        assert.deepEqual([...cache], [['\nParis, Texas, USA', 'paris@texas@us']]);
+        assert.equal(townPlaceKey('paris@75@fr'), 'paris');
+    });
+
+    it('uses the same keys in events and familyTownsStore, in every parsing mode', async () => {
+        const result = new GeneaFanParser({ placeKeys: 'hierarchical' }).parseSync(gedcom(PLACES));
+        const keys = ['paris@75@fr', 'paris@texas@us', 'st-martin@50@fr', 'st-martin@32@fr', 'lyon'];
+        assert.deepEqual(places(result.individualsCache.get('@I1@')), keys);
+        assert.deepEqual(Object.keys(result.familyTownsStore), keys);
+
+        const texas = result.familyTownsStore['paris@texas@us'];
+        assert.deepEqual([texas.townDisplay, texas.country, texas._samples], ['Paris (Texas)', 'États-Unis', ['Paris, Texas, USA']]);
+        assert.equal(result.familyTownsStore['st-martin@50@fr'].departement, 'Manche');
+
+        const streamed = await new GeneaFanParser({ placeKeys: 'hierarchical' })
+            .parseStream(Readable.from([gedcom(PLACES)]), { batchSize: 1 });
+        assert.deepEqual(streamed.familyTownsStore, result.familyTownsStore);
+
+        const parallel = await new GeneaFanParser({ placeKeys: 'hierarchical', workers: 1 }).parse(gedcom(PLACES));
+        assert.deepEqual(places(parallel.individualsCache.get('@I1@')), keys);
+        assert.deepEqual(parallel.familyTownsStore, result.familyTownsStore);
+
+        // Mode par défaut inchangé
+        const town = new GeneaFanParser().parseSync(gedcom(PLACES));
+        assert.deepEqual(Object.keys(town.familyTownsStore), ['paris', 'st-martin', 'lyon']);
+    });
+
+    it('maps town keys to hierarchical keys', () => {
+        const old = new GeneaFanParser().parseSync(gedcom(PLACES));
+        const result = new GeneaFanParser({ placeKeys: 'hierarchical' }).parseSync(gedcom(PLACES));
+
+        assert.deepEqual(placeKeyMigration(result), {
+            paris: ['paris@75@fr', 'paris@texas@us'],
+            'st-martin': ['st-martin@50@fr', 'st-martin@32@fr']
+        });
+
+        const migrated = migratePlaceKeys(old.individualsCache, result);
+        assert.deepEqual(places(migrated.individualsCache.get('@I1@')), places(result.individualsCache.get('@I1@')));
+        assert.deepEqual(migrated.unresolved, []);
+        assert.equal(places(old.individualsCache.get('@I1@'))[0], 'paris');
+
+        // Individu absent du nouveau résultat : seules les clés sans homonyme sont migrées
+        const orphan = migratePlaceKeys(new Map([['@I9@', { e: [{ t: 'pr', l: 'paris' }, { t: 'pr', l: 'lyon' }] }]]),
+            new GeneaFanParser({ placeKeys: 'hierarchical' }).parseSync(gedcom(['Paris, France', 'Lyon, Rhône', 'Saint-Martin, Manche', 'Saint-Martin (32)'])));
+        assert.deepEqual(places(orphan.individualsCache.get('@I9@')), ['paris@@fr', 'lyon@69@fr']);
+
+        const ambiguous = migratePlaceKeys(new Map([['@I9@', { e: [{ t: 'pr', l: 'paris' }] }]]), result);
+        assert.deepEqual(places(ambiguous.individualsCache.get('@I9@')), ['paris']);
+        assert.deepEqual(ambiguous.unresolved, ['paris']);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { readGedcom } from 'read-gedcom';
+import { GeneaFanParser, preloadGeoData, PROGRESS_PHASES } from '../src/index.js';
+import { DataExtractor } from '../src/parser/DataExtractor.js';
+import { CacheBuilder } from '../src/parser/CacheBuilder.js';
+import { ProgressTracker } from '../src/utils/progress.js';
+
+const buffer = readFileSync(new URL('./data/TGC551.ged', import.meta.url));
+
+describe('Progress reporting and cancellation', () => {
+    before(async () => {
+        await preloadGeoData();
+    });
+
+    it('reports every record of each phase with counts', async () => {
+        const calls = [];
+        await new GeneaFanParser({
+            progressInterval: 0,
+            onProgress: (phase, progress, details) => calls.push({ phase, progress, ...details })
+        }).parse(buffer);
+
+        const individuals = calls.filter(call => call.phase === PROGRESS_PHASES.INDIVIDUALS);
+        assert.deepEqual(individuals.map(call => call.current), Array.from({ length: 16 }, (_, i) => i));
+        assert.ok(individuals.every(call => call.total === 15));
+        assert.equal(individuals.at(-1).progress, 1);
+        assert.equal(individuals.at(-1).eta, 0);
+
+        for (const phase of [PROGRESS_PHASES.SOURCES, PROGRESS_PHASES.NOTES, PROGRESS_PHASES.COMPRESSION, PROGRESS_PHASES.PLACES]) {
+            const last = calls.filter(call => call.phase === phase).at(-1);
+            assert.ok(last, phase);
+            assert.equal(last.current, last.total, phase);
+        }
+        assert.deepEqual(calls.at(-1), { phase: 'cache-building', progress: 1, current: 1, total: 1, elapsed: null, eta: 0 });
+    });
+
+    it('throttles reports with progressInterval', async () => {
+        const calls = [];
+        await new GeneaFanParser({
+            progressInterval: 60000,
+            onProgress: (phase, progress) => phase === PROGRESS_PHASES.INDIVIDUALS && calls.push(progress)
+        }).parse(buffer);
+
+        // Début et fin de phase seulement
+        assert.deepEqual(calls, [0, 1]);
+    });
+
+    it('rejects with an AbortError when the signal fires during extraction', async () => {
+        const controller = new AbortController();
+        let seen = 0;
+        const parser = new GeneaFanParser({
+            signal: controller.signal,
+            progressInterval: 0,
+            onProgress: (phase) => {
+                if (phase === PROGRESS_PHASES.INDIVIDUALS && ++seen === 5) controller.abort();
+            }
+        });
+
+        await assert.rejects(parser.parse(buffer), { name: 'AbortError' });
+        assert.equal(seen, 5);
+        assert.throws(() => parser.parseSync(buffer), { name: 'AbortError' });
+    });
+
+    it('yields to the event loop so a timer can cancel the parse', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new Error('annulé par l\'utilisateur')), 0);
+
+        await assert.rejects(
+            new GeneaFanParser({ signal: controller.signal, progressInterval: 0 }).parse(buffer),
+            { message: 'annulé par l\'utilisateur' }
+        );
+    });
+
+    it('lets DataExtractor.extract and CacheBuilder.build be cancelled on their own', async () => {
+        const rootSelection = readGedcom(buffer);
+        const data = new DataExtractor().extractSync(rootSelection);
+
+        const aborted = AbortSignal.abort();
+        await assert.rejects(new DataExtractor({ signal: aborted }).extract(rootSelection), { name: 'AbortError' });
+        await assert.rejects(new CacheBuilder({ signal: aborted }).build(data), { name: 'AbortError' });
+    });
+
+    it('estimates the remaining time from the elapsed time', () => {
+        const calls = [];
+        const tracker = new ProgressTracker({ progressInterval: 0, onProgress: (...args) => calls.push(args) });
+        tracker.start('test', 4);
+        tracker.startTime -= 100;
+        tracker.tick();
+
+        const [phase, progress, details] = calls.at(-1);
+        assert.equal(phase, 'test');
+        assert.equal(progress, 0.25);
+        assert.ok(details.eta >= 300 && details.eta < 400);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReadStream, readFileSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { GeneaFanParser, parseGedcomStream, createStreamDecoder, preloadGeoData, CHARSETS } from '../src/index.js';
+
+const SAMPLES = ['sample555.ged', 'TGC551.ged', 'TGC55CLF.ged', 'sample55516be.ged'];
+const sampleUrl = (sample) => new URL(`./data/${sample}`, import.meta.url);
+
+// Le ratio de compression est estimé lot par lot en streaming
+const withoutRatio = (statistics) => ({ ...statistics, compressionRatio: null });
+
+describe('Streaming parse', () => {
+    before(async () => {
+        await preloadGeoData();
+    });
+
+    it('emits the same individuals and final caches as parseSync()', async () => {
+        for (const sample of SAMPLES) {
+            const parser = new GeneaFanParser();
+            const expected = parser.parseSync(readFileSync(sampleUrl(sample)));
+
+            const individuals = new Map();
+            const sizes = [];
+            // Petits morceaux de taille impaire : coupe les lignes et les caractères UTF-16
+            const result = await parser.parseStream(createReadStream(sampleUrl(sample), { highWaterMark: 97 }), {
+                batchSize: 4,
+                onBatch: (batch) => {
+                    sizes.push(batch.individuals.size);
+                    for (const [pointer, individual] of batch.individuals) individuals.set(pointer, individual);
+                }
+            });
+
+            assert.ok(sizes.every(size => size <= 4), sample);
+            assert.equal(result.individualsCache, undefined, sample);
+            assert.deepEqual(individuals, expected.individualsCache, sample);
+            assert.deepEqual(result.familyTownsStore, expected.familyTownsStore, sample);
+            assert.deepEqual(withoutRatio(result.statistics), withoutRatio(expected.statistics), sample);
+            assert.deepEqual(result.qualityStats, expected.qualityStats, sample);
+            assert.deepEqual(result.validation, expected.validation, sample);
+            assert.deepEqual(result.conformance, expected.conformance, sample);
+            assert.deepEqual(result.notesCache, expected.notesCache, sample);
+            assert.deepEqual(result.sourcesCache, expected.sourcesCache, sample);
+            assert.deepEqual(result.metadata.charset, expected.metadata.charset, sample);
+            assert.deepEqual(result.metadata.statistics, expected.metadata.statistics, sample);
+        }
+    });
+
+    it('reads a web ReadableStream through the async iterator', async () => {
+        const webStream = Readable.toWeb(createReadStream(sampleUrl('TGC551.ged'), { highWaterMark: 512 }));
+        const items = [];
+        for await (const item of new GeneaFanParser().streamBatches(webStream, { batchSize: 10 })) {
+            items.push(item);
+        }
+
+        const end = items.pop();
+        assert.equal(end.type, 'end');
+        assert.deepEqual(items.map(item => [item.type, item.index, item.individuals.size]), [['batch', 0, 10], ['batch', 1, 5]]);
+        assert.equal(end.result.statistics.individuals, 15);
+        assert.equal(end.result.metadata.streaming.batches, 2);
+    });
+
+    it('waits for the FAM records before emitting an individual', async () => {
+        const ged = [
+            '0 HEAD', '1 CHAR UTF-8',
+            '0 @I1@ INDI', '1 NAME Jean /DUPONT/', '1 FAMS @F1@',
+            '0 @I2@ INDI', '1 NAME Marie /MARTIN/', '1 FAMS @F1@',
+            '0 @I3@ INDI', '1 NAME Paul /DUPONT/', '1 FAMC @F1@',
+            '0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 MARR', '2 DATE 1850',
+            '0 TRLR', ''
+        ].join('\r');
+
+        const individuals = new Map();
+        await parseGedcomStream(Readable.from([Buffer.from(ged)]), {
+            batchSize: 1,
+            onBatch: (batch) => batch.individuals.forEach((individual, pointer) => individuals.set(pointer, individual))
+        });
+
+        assert.equal(individuals.get('@I3@').f, '@I1@');
+        assert.equal(individuals.get('@I3@').m, '@I2@');
+        assert.deepEqual(individuals.get('@I1@').s, ['@I2@']);
+        assert.ok(individuals.get('@I1@').e.some(event => event.t === 'fm' && event.d === 18500000));
+    });
+
+    it('decodes ANSEL diacritics split across chunks', () => {
+        const decoder = createStreamDecoder({ probeSize: 24 });
+        const bytes = Buffer.concat([Buffer.from('0 HEAD\n1 CHAR ANSEL\n0 @I1@ INDI\n1 NAME Ren'), Buffer.from([0xE2, 0x65]), Buffer.from(' /M'), Buffer.from([0xE8, 0x75]), Buffer.from('ller/\n')]);
+
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 5) {
+            text += decoder.write(bytes.subarray(i, i + 5));
+        }
+        text += decoder.end();
+
+        assert.match(text, /1 NAME René \/Müller\/\n$/);
+        assert.equal(decoder.report().appliedCharset, CHARSETS.ANSEL);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, extractAncestry, extractDescendancy, pruneCaches, writeGedcom } from '../src/index.js';
+
+/**
+ * TGC551 : PERSON7 est l'enfant de PERSON1 et PERSON8 ; PERSON1 (fils de PERSON5)
+ * a eu PERSON3 et PERSON4 de son premier mariage avec PERSON2
+ */
+const parsed = new GeneaFanParser().parseSync(readFileSync(new URL('./data/TGC551.ged', import.meta.url)));
+
+describe('Subtree extraction', () => {
+    it('extracts an ancestry limited in generations', () => {
+        const ancestry = extractAncestry(parsed, '@PERSON7@', { generations: 2 });
+
+        assert.deepEqual([...ancestry.individualsCache.keys()].sort(), ['@PERSON1@', '@PERSON5@', '@PERSON7@', '@PERSON8@']);
+        assert.deepEqual(ancestry.metadata.subset, { type: 'ancestry', root: '@PERSON7@', generations: 2, individuals: 4 });
+        assert.equal(extractAncestry(parsed, '@PERSON7@', { generations: 1 }).individualsCache.size, 3);
+        assert.equal(extractAncestry(parsed, '@NOBODY@'), null);
+
+        const father = ancestry.individualsCache.get('@PERSON1@');
+        assert.deepEqual(father.s, ['@PERSON8@']);
+        assert.deepEqual(father.e.filter(event => event.t === 'fc').map(event => event.m.c), ['@PERSON7@']);
+        assert.equal(father.e.find(event => event.t === 'fm').m.s, undefined);
+        // Le cache d'origine n'est pas modifié
+        assert.deepEqual(parsed.individualsCache.get('@PERSON1@').s, ['@PERSON2@', '@PERSON8@']);
+    });
+
+    it('extracts a descendancy with or without spouses', () => {
+        const descendants = extractDescendancy(parsed, '@PERSON1@', { generations: 1 });
+        assert.deepEqual([...descendants.individualsCache.keys()].sort(), ['@PERSON1@', '@PERSON3@', '@PERSON4@', '@PERSON7@']);
+        assert.equal(descendants.individualsCache.get('@PERSON1@').s, undefined);
+        assert.equal(descendants.individualsCache.get('@PERSON1@').f, undefined);
+
+        const withSpouses = extractDescendancy(parsed, '@PERSON1@', { includeSpouses: true });
+        assert.deepEqual([...withSpouses.individualsCache.keys()].sort(),
+            ['@PERSON1@', '@PERSON2@', '@PERSON3@', '@PERSON4@', '@PERSON7@', '@PERSON8@']);
+        assert.deepEqual(withSpouses.individualsCache.get('@PERSON1@').s, ['@PERSON2@', '@PERSON8@']);
+        assert.equal(withSpouses.metadata.subset.includeSpouses, true);
+    });
+
+    it('only keeps records and towns referenced by the subset', () => {
+        const subset = extractAncestry(parsed, '@PERSON7@', { generations: 1 });
+        const kept = new Set(subset.individualsCache.keys());
+
+        for (const cache of [subset.notesCache, subset.sourcesCache, subset.mediaCache]) {
+            for (const record of cache.values()) {
+                assert.ok(record.individuals.every(pointer => kept.has(pointer)));
+            }
+        }
+        assert.ok(subset.notesCache.has('INLINE_@PERSON1@_0'));
+        assert.ok(!subset.notesCache.has('INLINE_EVENT_@PERSON2@_marriage_0'));
+        assert.deepEqual(subset.sourcesCache.get('@SOURCE1@').individuals, ['@PERSON1@']);
+
+        const townKeys = new Set([...subset.individualsCache.values()].flatMap(({ e = [] }) => e.map(event => event.l).filter(Boolean)));
+        assert.deepEqual(Object.keys(subset.familyTownsStore).sort(), [...townKeys].sort());
+
+        const alone = pruneCaches(parsed, ['@PERSON7@']);
+        assert.equal(alone.sourcesCache.size, 0);
+        assert.deepEqual(Object.keys(alone.familyTownsStore), ['london']);
+    });
+
+    it('produces caches that can be exported to GEDCOM', () => {
+        const subset = extractDescendancy(parsed, '@PERSON1@', { generations: 1, includeSpouses: true });
+        const reparsed = new GeneaFanParser().parseSync(Buffer.from(writeGedcom(subset)));
+
+        assert.deepEqual([...reparsed.individualsCache.keys()].sort(), [...subset.individualsCache.keys()].sort());
+        assert.equal(reparsed.individualsCache.get('@PERSON7@').f, '@PERSON1@');
+        assert.deepEqual(reparsed.sourcesCache.get('@SOURCE1@').individuals, ['@PERSON1@']);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, validateGenealogy, VALIDATION_RULES } from '../src/index.js';
+
+/**
+ * Un individu (ou une famille) par incohérence : I5 ═ I6 (F1) ont I7 (avant son père),
+ * I8 (mère de 60 ans, père mort depuis 30 ans) et I7 en double ; I9 ═ I10 (F2) se marient
+ * avant la naissance de I9, qui est père à 8 ans de I11, né après la mort de sa mère ;
+ * I12 et I13 sont chacun le père de l'autre
+ */
+const LINES = [
+    '0 HEAD', '1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8',
+    '0 @I1@ INDI', '1 NAME Avant /Décès/', '1 BIRT', '2 DATE 1 JAN 1900', '1 DEAT', '2 DATE 1850',
+    '0 @I2@ INDI', '1 NAME Inhumé /Tôt/', '1 BIRT', '2 DATE 1800', '1 DEAT', '2 DATE 1850', '1 BURI', '2 DATE 1840',
+    '0 @I3@ INDI', '1 NAME Très /Vieux/', '1 BIRT', '2 DATE ABT 1800', '1 DEAT', '2 DATE 1950',
+    '0 @I4@ INDI', '1 NAME Environ /Décès/', '1 BIRT', '2 DATE ABT 1900', '1 DEAT', '2 DATE 1850',
+    '0 @I5@ INDI', '1 NAME Père /Mort/', '1 SEX M', '1 BIRT', '2 DATE 1850', '1 DEAT', '2 DATE 1860', '1 FAMS @F1@',
+    '0 @I6@ INDI', '1 NAME Mère /Âgée/', '1 SEX F', '1 BIRT', '2 DATE 1830', '1 FAMS @F1@',
+    '0 @I7@ INDI', '1 NAME Aîné /Mort/', '1 BIRT', '2 DATE 1845', '1 FAMC @F1@',
+    '0 @I8@ INDI', '1 NAME Cadet /Mort/', '1 BIRT', '2 DATE 1890', '1 FAMC @F1@',
+    '0 @I9@ INDI', '1 NAME Jeune /Père/', '1 SEX M', '1 BIRT', '2 DATE 1820', '1 FAMS @F2@',
+    '0 @I10@ INDI', '1 NAME Mère /Morte/', '1 SEX F', '1 DEAT', '2 DATE 1825', '1 FAMS @F2@',
+    '0 @I11@ INDI', '1 NAME Enfant /Tardif/', '1 BIRT', '2 DATE 1828', '1 FAMC @F2@',
+    '0 @I12@ INDI', '1 NAME Boucle /Un/', '1 SEX M', '1 FAMS @F3@', '1 FAMC @F4@',
+    '0 @I13@ INDI', '1 NAME Boucle /Deux/', '1 SEX M', '1 FAMS @F4@', '1 FAMC @F3@',
+    '0 @F1@ FAM', '1 HUSB @I5@', '1 WIFE @I6@', '1 MARR', '2 DATE 1 JAN 1870', '1 CHIL @I7@', '1 CHIL @I8@', '1 CHIL @I7@',
+    '0 @F2@ FAM', '1 HUSB @I9@', '1 WIFE @I10@', '1 MARR', '2 DATE 1800', '1 CHIL @I11@',
+    '0 @F3@ FAM', '1 HUSB @I12@', '1 CHIL @I13@',
+    '0 @F4@ FAM', '1 HUSB @I13@', '1 CHIL @I12@',
+    '0 TRLR'
+];
+const GEDCOM = LINES.join('\n');
+
+// Ligne (à partir de 1) de la première occurrence de `line` après l'enregistrement `record`
+const lineOf = (record, line) => LINES.indexOf(line, LINES.indexOf(record)) + 1;
+
+const summary = ({ findings }) => findings.map(({ rule, severity, pointers, line }) => ({ rule, severity, pointers, line }));
+
+describe('Genealogical validation', () => {
+    it('reports each inconsistency with its pointers and source line', () => {
+        const { validation } = new GeneaFanParser().parseSync(Buffer.from(GEDCOM));
+
+        assert.deepEqual(summary(validation), [
+            { rule: 'birth-after-death', severity: 'error', pointers: ['@I1@'], line: lineOf('0 @I1@ INDI', '1 BIRT') },
+            { rule: 'burial-before-death', severity: 'error', pointers: ['@I2@'], line: lineOf('0 @I2@ INDI', '1 BURI') },
+            { rule: 'lifespan-too-long', severity: 'warning', pointers: ['@I3@'], line: lineOf('0 @I3@ INDI', '1 DEAT') },
+            { rule: 'birth-after-death', severity: 'warning', pointers: ['@I4@'], line: lineOf('0 @I4@ INDI', '1 BIRT') },
+            { rule: 'born-before-parent', severity: 'error', pointers: ['@I7@', '@I5@'], line: lineOf('0 @I7@ INDI', '1 BIRT') },
+            { rule: 'born-after-father-death', severity: 'warning', pointers: ['@I8@', '@I5@'], line: lineOf('0 @I8@ INDI', '1 BIRT') },
+            { rule: 'mother-too-old', severity: 'warning', pointers: ['@I8@', '@I6@'], line: lineOf('0 @I8@ INDI', '1 BIRT') },
+            { rule: 'born-after-mother-death', severity: 'error', pointers: ['@I11@', '@I10@'], line: lineOf('0 @I11@ INDI', '1 BIRT') },
+            { rule: 'parent-too-young', severity: 'warning', pointers: ['@I11@', '@I9@'], line: lineOf('0 @I11@ INDI', '1 BIRT') },
+            { rule: 'own-ancestor', severity: 'error', pointers: ['@I12@', '@I13@'], line: lineOf('0 @I12@ INDI', '0 @I12@ INDI') },
+            { rule: 'marriage-after-death', severity: 'error', pointers: ['@I5@', '@I6@'], line: lineOf('0 @F1@ FAM', '1 MARR') },
+            { rule: 'duplicate-child', severity: 'error', pointers: ['@F1@', '@I7@'], line: LINES.lastIndexOf('1 CHIL @I7@') + 1 },
+            { rule: 'marriage-before-birth', severity: 'error', pointers: ['@I9@', '@I10@'], line: lineOf('0 @F2@ FAM', '1 MARR') }
+        ]);
+
+        assert.equal(validation.errors, 8);
+        assert.equal(validation.warnings, 5);
+        assert.equal(validation.rules['birth-after-death'], 2);
+        assert.deepEqual(Object.keys(validation.rules).sort(), Object.keys(VALIDATION_RULES).sort());
+        assert.match(validation.findings[0].message, /Naissance \(1 JAN 1900\) postérieure au décès \(1850\)/);
+    });
+
+    it('finds the same inconsistencies in every parsing mode', async () => {
+        const expected = new GeneaFanParser().parseSync(Buffer.from(GEDCOM)).validation;
+        const parallel = await new GeneaFanParser({ workers: 2, shardSize: 3 }).parse(Buffer.from(GEDCOM));
+        const streamed = await new GeneaFanParser().parseStream(Readable.from([Buffer.from(GEDCOM)]), { batchSize: 2 });
+
+        assert.deepEqual(parallel.validation, expected);
+        assert.deepEqual(streamed.validation, expected);
+    });
+
+    it('accepts custom thresholds and can be disabled', () => {
+        const relaxed = new GeneaFanParser({ validationThresholds: { maxMotherAge: 65, minParentAge: 5 } })
+            .parseSync(Buffer.from(GEDCOM)).validation;
+        assert.equal(relaxed.rules['mother-too-old'], undefined);
+        assert.equal(relaxed.rules['parent-too-young'], undefined);
+
+        assert.deepEqual(new GeneaFanParser({ validate: false }).parseSync(Buffer.from(GEDCOM)).validation, {});
+        assert.deepEqual(validateGenealogy([]), { errors: 0, warnings: 0, rules: {}, findings: [] });
+    });
+
+    it('gives GEDCOM 7 findings the line of the original file', () => {
+        const text = readFileSync(new URL('./data/sample7.ged', import.meta.url), 'utf8');
+        const { validation } = new GeneaFanParser().parseSync(Buffer.from(text));
+        const finding = validation.findings.find(({ rule }) => rule === 'born-before-parent');
+
+        assert.deepEqual(finding.pointers, ['@I3@', '@I1@']);
+        assert.equal(text.split(/\r?\n/)[finding.line - 1], '1 BIRT');
+        assert.equal(text.split(/\r?\n/)[finding.line], '2 DATE 44 BCE');
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Worker } from 'node:worker_threads';
+import { GeneaFanParser, ParallelExtractor, preloadGeoData, PROGRESS_PHASES } from '../src/index.js';
+
+const SAMPLES = ['sample555.ged', 'TGC551.ged', 'TGC55CLF.ged', 'sample55516be.ged'];
+const readSample = (sample) => readFileSync(new URL(`./data/${sample}`, import.meta.url));
+
+// Le ratio de compression est estimé lot par lot
+const withoutRatio = (statistics) => ({ ...statistics, compressionRatio: null });
+
+describe('Worker-thread extraction', () => {
+    before(async () => {
+        await preloadGeoData();
+    });
+
+    it('produces the same caches as parseSync()', async () => {
+        for (const sample of SAMPLES) {
+            const buffer = readSample(sample);
+            const expected = new GeneaFanParser().parseSync(buffer);
+            const result = await new GeneaFanParser({ workers: 2, shardSize: 4 }).parse(buffer);
+
+            // Même ordre d'insertion que le parse mono-thread
+            assert.deepEqual([...result.individualsCache.keys()], [...expected.individualsCache.keys()], sample);
+            assert.deepEqual(result.individualsCache, expected.individualsCache, sample);
+            assert.deepEqual(result.familyTownsStore, expected.familyTownsStore, sample);
+            assert.deepEqual(withoutRatio(result.statistics), withoutRatio(expected.statistics), sample);
+            assert.deepEqual(result.qualityStats, expected.qualityStats, sample);
+            assert.deepEqual(result.validation, expected.validation, sample);
+            assert.deepEqual(result.conformance, expected.conformance, sample);
+            assert.deepEqual(result.notesCache, expected.notesCache, sample);
+            assert.deepEqual(result.mediaCache, expected.mediaCache, sample);
+            assert.deepEqual(result.sourcesCache, expected.sourcesCache, sample);
+            assert.deepEqual(result.metadata.charset, expected.metadata.charset, sample);
+            assert.ok(result.readGedcomData, sample);
+        }
+    });
+
+    it('decodes the charset like parseSync() when decoding is left to read-gedcom', async () => {
+        for (const sample of ['sample55516be.ged', 'TGC551.ged']) {
+            const buffer = readSample(sample);
+            const expected = new GeneaFanParser({ decodeCharset: false }).parseSync(buffer);
+            const result = await new GeneaFanParser({ decodeCharset: false, workers: 2, shardSize: 2 }).parse(buffer);
+
+            assert.ok(result.individualsCache.size > 0, sample);
+            assert.deepEqual(result.individualsCache, expected.individualsCache, sample);
+        }
+    });
+
+    it('rejects when a worker exits without reporting an error', async () => {
+        // Worker réel qui s'arrête aussitôt (code 3) sans répondre ni émettre d'erreur
+        class ExitingExtractor extends ParallelExtractor {
+            async _spawnWorker() {
+                const worker = new Worker('process.exit(3)', { eval: true });
+                return {
+                    post: (message) => worker.postMessage(message),
+                    onMessage: (handler) => worker.on('message', handler),
+                    onError: (handler) => worker.on('error', handler),
+                    onExit: (handler) => worker.on('exit', handler),
+                    terminate: () => worker.terminate()
+                };
+            }
+        }
+
+        const text = readSample('TGC551.ged').toString('latin1');
+        await assert.rejects(new ExitingExtractor({ workers: 1, shardSize: 4 }).extract(text), /Worker arrêté \(code 3\)/);
+    });
+
+    it('rejects when a worker stops answering and no exit event comes', async () => {
+        // Comme un Web Worker mort : ni réponse, ni erreur, ni événement de sortie
+        class SilentExtractor extends ParallelExtractor {
+            async _spawnWorker() {
+                const worker = new Worker('setInterval(() => {}, 1000)', { eval: true });
+                return {
+                    post: (message) => worker.postMessage(message),
+                    onMessage: (handler) => worker.on('message', handler),
+                    onError: (handler) => worker.on('error', handler),
+                    onExit: () => {},
+                    terminate: () => worker.terminate()
+                };
+            }
+        }
+
+        const text = readSample('TGC551.ged').toString('latin1');
+        await assert.rejects(new SilentExtractor({ workers: 1, shardSize: 4, workerTimeout: 200 }).extract(text),
+            /Worker sans réponse \(lot 0\) après 200 ms/);
+    });
+
+    it('reports shard progress and the worker count', async () => {
+        const individuals = [];
+        const result = await new GeneaFanParser({
+            workers: 2,
+            shardSize: 4,
+            progressInterval: 0,
+            onProgress: (phase, progress, { current }) => phase === PROGRESS_PHASES.INDIVIDUALS && individuals.push(current)
+        }).parse(readSample('TGC551.ged'));
+
+        // Un rapport par lot terminé, dans l'ordre de fin des workers
+        assert.equal(individuals.length, 5);
+        assert.equal(individuals[0], 0);
+        assert.equal(individuals.at(-1), 15);
+        assert.deepEqual(result.metadata.workers, { count: 2, shards: 4 });
+    });
+
+    it('terminates the workers when the signal fires', async () => {
+        const controller = new AbortController();
+        const parser = new GeneaFanParser({
+            workers: 2,
+            shardSize: 4,
+            signal: controller.signal,
+            onProgress: (phase, progress, { current }) => {
+                if (phase === PROGRESS_PHASES.INDIVIDUALS && current > 0) controller.abort();
+            }
+        });
+
+        await assert.rejects(parser.parse(readSample('TGC551.ged')), { name: 'AbortError' });
+    });
+
+    it('resolves the worker count from the option', async () => {
+        assert.equal(ParallelExtractor.isEnabled(0), false);
+        assert.equal(ParallelExtractor.isEnabled(3), true);
+        assert.equal(ParallelExtractor.isEnabled('auto'), true);
+        assert.equal(await new ParallelExtractor({ workers: 3 }).resolveWorkerCount(), 3);
+        assert.ok(await new ParallelExtractor({ workers: 'auto' }).resolveWorkerCount() >= 1);
+    });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeneaFanParser, GedcomWriter, writeGedcom, preloadGeoData, CHARSETS } from '../src/index.js';
+
+const readSample = (sample) => readFileSync(new URL(`./data/${sample}`, import.meta.url));
+const date = new Date(2025, 0, 15);
+
+// Qualité recalculée à la relecture : hors comparaison
+const withoutQuality = (cache) => new Map([...cache].map(([pointer, { q, ...individual }]) => [pointer, individual]));
+
+describe('GEDCOM writer', () => {
+    before(async () => {
+        await preloadGeoData();
+    });
+
+    it('writes a file that parses back to the same caches', () => {
+        const parser = new GeneaFanParser();
+        const original = parser.parseSync(readSample('sample555.ged'));
+        const reparsed = parser.parseSync(Buffer.from(writeGedcom(original, { date })));
+
+        assert.deepEqual(withoutQuality(reparsed.individualsCache), withoutQuality(original.individualsCache));
+        assert.deepEqual(reparsed.familyTownsStore, original.familyTownsStore);
+        assert.deepEqual(reparsed.sourcesCache, original.sourcesCache);
+        assert.deepEqual(reparsed.repositoriesCache, original.repositoriesCache);
+        assert.deepEqual(reparsed.notesCache, original.notesCache);
+    });
+
+    it('rebuilds families, relations and records of a complex file', () => {
+        const parser = new GeneaFanParser();
+        const original = parser.parseSync(readSample('TGC551.ged'));
+        const reparsed = parser.parseSync(Buffer.from(new GedcomWriter({ date }).write(original)));
+
+        const relations = (cache) => [...cache].map(([pointer, { fn, g, f, m, s, b, e = [] }]) =>
+            [pointer, fn, g, f, m, s, b, e.filter(event => ['fm', 'fc'].includes(event.t))]);
+        assert.deepEqual(relations(reparsed.individualsCache), relations(original.individualsCache));
+        assert.deepEqual(reparsed.mediaCache, original.mediaCache);
+        assert.deepEqual(reparsed.sourcesCache, original.sourcesCache);
+        assert.equal(reparsed.metadata.placeHierarchy, original.metadata.placeHierarchy);
+    });
+
+    it('writes the header with the original PLAC FORM and charset', () => {
+        const original = new GeneaFanParser().parseSync(readSample('TGC55C.ged'));
+        const writer = new GedcomWriter({ date });
+        const lines = writer.write(original).split('\n');
+
+        assert.deepEqual(lines.slice(0, 4), ['0 HEAD', '1 SOUR GENEAFAN', '2 NAME read-gedcom-geneafan', '1 DATE 15 JAN 2025']);
+        assert.ok(lines.includes('2 VERS 5.5.1'));
+        assert.ok(lines.includes('1 CHAR ANSEL'));
+        assert.deepEqual(lines.slice(lines.indexOf('1 PLAC'), lines.indexOf('1 PLAC') + 2), ['1 PLAC', '2 FORM City, County, State, Country']);
+        assert.equal(lines.at(-2), '0 TRLR');
+
+        // Octets ANSEL relus à l'identique
+        const reparsed = new GeneaFanParser().parseSync(Buffer.from(writer.writeBytes(original)));
+        assert.equal(reparsed.metadata.charset.applied, CHARSETS.ANSEL);
+        assert.deepEqual([...reparsed.individualsCache.values()].map(individual => individual.fn),
+            [...original.individualsCache.values()].map(individual => individual.fn));
+    });
+
+    it('splits long values with CONC and line breaks with CONT', () => {
+        const text = `Première ligne avec un courriel jean@exemple.fr\n${'mot '.repeat(150)}fin\n\nDernière ligne`;
+        const caches = {
+            individualsCache: new Map([['@I1@', { fn: 'Dupont|Jean', g: 'M' }]]),
+            notesCache: new Map([['@N1@', { text, individuals: ['@I1@'] }]])
+        };
+
+        const gedcom = writeGedcom(caches, { date, lineEnding: '\r\n' });
+        const lines = gedcom.split('\r\n').filter(Boolean);
+
+        assert.ok(lines.every(line => line.length <= 255));
+        assert.ok(lines.includes('1 NOTE @N1@'));
+        assert.ok(lines.includes('0 @N1@ NOTE Première ligne avec un courriel jean@@exemple.fr'));
+        const conc = lines.filter(line => line.startsWith('1 CONC '));
+        assert.ok(conc.length >= 1);
+        assert.ok(conc.every(line => !line.startsWith('1 CONC  ') && !line.endsWith(' ')));
+
+        const reparsed = new GeneaFanParser().parseSync(Buffer.from(gedcom));
+        assert.equal(reparsed.notesCache.get('@N1@').text, text);
+    });
+
+    it('turns compressed events back into their tags', () => {
+        const caches = {
+            individualsCache: new Map([
+                ['@I1@', {
+                    fn: 'Martin|Pierre', g: 'M', s: ['@I2@'],
+                    e: [
+                        { t: 'fb', d: 18500000, dq: 'ab', l: 'paris' },
+                        { t: 'po', m: { v: 'Forgeron' } },
+                        { t: 'pm', d: 18700000 },
+                        { t: 'fd' },
+                        { t: 'fm', d: 18750612, m: { s: '@I2@' } },
+                        { t: 'fc', m: { c: '@I3@' } }
+                    ]
+                }],
+                ['@I2@', { fn: 'Durand|Marie', g: 'F', s: ['@I1@'], e: [{ t: 'fm', d: 18750612, m: { s: '@I1@' } }] }],
+                ['@I3@', { fn: 'Martin|Paul', g: 'M', f: '@I1@', m: '@I2@' }]
+            ]),
+            familyTownsStore: { paris: { town: 'Paris', departement: 'Paris', country: 'France', latitude: '48.8566', longitude: '2.3522', _placText: 'Paris, 75, France' } }
+        };
+
+        const gedcom = writeGedcom(caches, { date });
+        const individual = gedcom.slice(gedcom.indexOf('0 @I1@ INDI'), gedcom.indexOf('0 @I2@ INDI'));
+        assert.equal(individual, [
+            '0 @I1@ INDI', '1 NAME Pierre /Martin/', '2 GIVN Pierre', '2 SURN Martin', '1 SEX M',
+            '1 BIRT', '2 DATE ABT 1850', '2 PLAC Paris, 75, France', '3 MAP', '4 LATI N48.8566', '4 LONG E2.3522',
+            '1 OCCU Forgeron',
+            '1 EVEN', '2 TYPE military-service', '2 DATE 1870',
+            '1 DEAT Y',
+            '1 FAMS @F1@', ''
+        ].join('\n'));
+
+        const family = gedcom.slice(gedcom.indexOf('0 @F1@ FAM'), gedcom.indexOf('0 TRLR'));
+        assert.equal(family, ['0 @F1@ FAM', '1 HUSB @I1@', '1 WIFE @I2@', '1 CHIL @I3@', '1 MARR', '2 DATE 12 JUN 1875', ''].join('\n'));
+    });
+
+    it('writes back the original PLAC text instead of the place key', () => {
+        const parser = new GeneaFanParser();
+        const original = parser.parseSync(Buffer.from([
+            '0 HEAD', '1 GEDC', '2 VERS 5.5.1',
+            '0 @I1@ INDI', '1 NAME Jean /Martin/',
+            '1 BIRT', '2 PLAC Église Saint-Jean, Lyon, Rhône, France',
+            '1 DEAT', '2 PLAC Saint-Étienne, Loire, France',
+            '0 TRLR'
+        ].join('\n')));
+        const gedcom = writeGedcom(original, { date });
+        const places = gedcom.split('\n').filter(line => line.startsWith('2 PLAC '));
+        assert.deepEqual(places, ['2 PLAC Église Saint-Jean, Lyon, Rhône, France', '2 PLAC Saint-Étienne, Loire, France']);
+
+        const reparsed = parser.parseSync(Buffer.from(gedcom));
+        assert.deepEqual(reparsed.individualsCache.get('@I1@').e, original.individualsCache.get('@I1@').e);
+        assert.deepEqual(reparsed.familyTownsStore, original.familyTownsStore);
+    });
+
+    it('keeps identifiers and the baptism tag through a round trip', () => {
+        const parser = new GeneaFanParser();
+        const original = parser.parseSync(Buffer.from([
+            '0 HEAD', '1 GEDC', '2 VERS 7.0',
+            '0 @I1@ INDI', '1 NAME Jean /Martin/',
+            '1 BAPM', '2 DATE 1900', '1 CHR', '2 DATE 1901',
+            '1 EXID 123', '2 TYPE https://example.org', '1 RIN 12', '1 UID 0A1B2C',
+            '0 TRLR'
+        ].join('\n')));
+        const gedcom = writeGedcom(original, { date });
+        assert.ok(gedcom.includes('1 BAPM\n2 DATE 1900\n'));
+        assert.ok(gedcom.includes('1 CHR\n2 DATE 1901\n'));
+        assert.ok(gedcom.includes('1 EXID 123\n2 TYPE https://example.org\n1 RIN 12\n1 _UID 0A1B2C\n'));
+
+        const { q, ...individual } = parser.parseSync(Buffer.from(gedcom)).individualsCache.get('@I1@');
+        const { q: _, ...expected } = original.individualsCache.get('@I1@');
+        assert.deepEqual(individual, expected);
+        assert.deepEqual(expected.x, [{ i: '123', t: 'https://example.org' }]);
+        assert.equal(expected.r, '12');
+        assert.equal(expected.u, '0A1B2C');
+    });
+});